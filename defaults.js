@@ -27,6 +27,7 @@ module.exports = {
     'apostrophe-docs': {},
     'apostrophe-jobs': {},
     'apostrophe-versions': {},
+    'apostrophe-audit': {},
     'apostrophe-tags': {},
     'apostrophe-modal': {},
     'apostrophe-attachments': {},
@@ -80,6 +80,37 @@ apos.define('apostrophe-admin-bar', {
       }
     };
 
+    // Display the names of the other users who have the doc with the
+    // given _id open, as reported by `apos.docs.watchPresence`. If
+    // `canTakeOver` is true and one of them holds the lock on the doc,
+    // a button to take control of it is displayed as well.
+
+    self.showPresence = function(_id, presence, canTakeOver) {
+      var $presence = $('[data-apos-admin-bar-presence]');
+      $presence.empty();
+      if (!presence.length) {
+        return;
+      }
+      var names = _.map(presence, function(user) {
+        return user.title || user.username;
+      });
+      $presence.append($('<span></span>').text('Also here: ' + names.join(', ')));
+      if (canTakeOver && _.find(presence, 'locked')) {
+        var $takeOver = $('<a href="#" class="apos-admin-bar-take-over"></a>').text('Take Control');
+        $takeOver.on('click', function() {
+          apos.docs.takeOver(_id, function(err) {
+            if (err) {
+              return apos.notify('You were unable to take control of the document.', { type: 'error' });
+            }
+            apos.notify('You have taken control of the document.', { type: 'success', dismiss: true });
+            $takeOver.remove();
+          });
+          return false;
+        });
+        $presence.append($takeOver);
+      }
+    };
+
     apos.adminBar = self;
   }
 });
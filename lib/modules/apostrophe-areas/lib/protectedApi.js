@@ -75,7 +75,7 @@ module.exports = function(self, options) {
     var originalSchema = manager.schema;
     var allowedSchema = manager.allowedSchema(req);
     var disallowed = _.filter(originalSchema, function(field) {
-      return !_.find(allowedSchema, { name: field.name });
+      return (!_.find(allowedSchema, { name: field.name })) || (!self.apos.schemas.canEditField(req, field));
     });
     if (!disallowed.length) {
       return;
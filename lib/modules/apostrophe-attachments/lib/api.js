@@ -842,6 +842,19 @@ module.exports = function(self, options) {
     return self.updateDocReferences(doc, callback);
   };
 
+  // Batch equivalent of `docAfterSave`, invoked by `apos.docs.insertMany`
+  // and `apos.docs.updateMany`. Permissions are updated just once
+  // for the whole batch.
+
+  self.docsAfterSave = function(req, docs, options, callback) {
+    return async.series([
+      function(callback) {
+        return async.eachSeries(docs, self.updateDocReferenceCounts, callback);
+      },
+      self.updatePermissions
+    ], callback);
+  };
+
   self.docAfterTrash = function(req, doc, callback) {
     return self.updateDocReferences(doc, callback);
   };
@@ -850,6 +863,37 @@ module.exports = function(self, options) {
     return self.updateDocReferences(doc, callback);
   };
 
+  // A doc permanently discarded from the trash no longer references
+  // any attachments. Attachments it was the last user of remain
+  // web-inaccessible, as they were while it was in the trash.
+
+  self.docAfterDeleteFromTrash = function(req, doc, callback) {
+    return async.series([
+      pull,
+      self.updatePermissions
+    ], callback);
+
+    function pull(callback) {
+      return self.db.update({
+        $or: [
+          {
+            trashDocIds: { $in: [ doc._id ] }
+          },
+          {
+            docIds: { $in: [ doc._id ] }
+          }
+        ]
+      }, {
+        $pull: {
+          trashDocIds: doc._id,
+          docIds: doc._id
+        }
+      }, {
+        multi: true
+      }, callback);
+    }
+  };
+
   // When the last doc that contains this attachment goes to the
   // trash, its permissions should change to reflect that so
   // it is no longer web-accessible to those who know the URL.
@@ -858,6 +902,19 @@ module.exports = function(self, options) {
   // or rescued.
 
   self.updateDocReferences = function(doc, callback) {
+    return async.series([
+      function(callback) {
+        return self.updateDocReferenceCounts(doc, callback);
+      },
+      self.updatePermissions
+    ], callback);
+  };
+
+  // Update the `docIds` and `trashDocIds` properties of the attachments
+  // referenced by the given doc, and of any it no longer references.
+  // Called by `updateDocReferences`, which then calls `updatePermissions`.
+
+  self.updateDocReferenceCounts = function(doc, callback) {
 
     // We "own" only the attachments that are permanent properties
     // of the doc, drop any joins first
@@ -938,16 +995,9 @@ module.exports = function(self, options) {
       }
     ]);
 
-    return async.series([
-      updateCounts,
-      self.updatePermissions
-    ], callback);
-
-    function updateCounts(callback) {
-      return async.eachSeries(commands, function(command, callback) {
-        return self.db.update(command[0], command[1], callback);
-      }, callback);
-    }
+    return async.eachSeries(commands, function(command, callback) {
+      return self.db.update(command[0], command[1], callback);
+    }, callback);
 
   };
 
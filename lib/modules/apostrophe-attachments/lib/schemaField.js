@@ -7,7 +7,8 @@ module.exports = function(self, options) {
     self.apos.schemas.addFieldType({
       name: self.name,
       partial: self.fieldTypePartial,
-      converters: self.converters
+      converters: self.converters,
+      jsonSchema: self.fieldTypeJsonSchema
     });
   };
 
@@ -15,6 +16,45 @@ module.exports = function(self, options) {
     return self.partial('attachment', data);
   };
 
+  // Describes the value of an attachment field for
+  // `apos.schemas.toJsonSchema`. URLs are not stored, see `url`.
+
+  self.fieldTypeJsonSchema = function(field) {
+    var schema = {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' },
+        type: { type: 'string', enum: [ 'attachment' ] },
+        name: { type: 'string' },
+        title: { type: 'string' },
+        extension: { type: 'string' },
+        group: { type: 'string' },
+        length: { type: 'integer' },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        crop: {
+          type: 'object',
+          properties: {
+            top: { type: 'integer' },
+            left: { type: 'integer' },
+            width: { type: 'integer' },
+            height: { type: 'integer' }
+          }
+        }
+      },
+      required: [ '_id' ]
+    };
+    var groups = field.fileGroups || (field.fileGroup && [ field.fileGroup ]);
+    var extensions = field.extensions || (field.extension && [ field.extension ]);
+    if (groups) {
+      schema.properties.group.enum = groups;
+    }
+    if (extensions) {
+      schema.properties.extension.enum = extensions;
+    }
+    return schema;
+  };
+
   self.converters = {
     string: function(req, data, name, object, field, callback) {
       // TODO would be interesting to support filenames mapped to a
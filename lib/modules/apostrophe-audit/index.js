@@ -0,0 +1,67 @@
+// Keeps an audit log of changes to content. Every time a doc is inserted,
+// updated, published, unpublished, moved to the trash, rescued, discarded
+// or moved in the page tree, and every time permissions are applied to pieces
+// in a batch or a user logs in, a structured entry is written to the
+// `aposAudit` collection, recording who did what to which doc and when.
+//
+// Unlike `apostrophe-versions`, entries do not contain the content of the
+// doc, so they are small and cheap to keep indefinitely.
+//
+// Admins can browse and filter the log via the "Audit Log" item on the
+// admin bar. The `apostrophe-audit:export` command line task writes
+// entries as JSON Lines, for consumption by log management tools.
+//
+// The audit log is disabled by default, since it costs an extra read
+// before each update, to tell a publication or a move to the trash from
+// an ordinary update, and an extra write after each save.
+//
+// ## Options
+//
+// ### `enabled`
+//
+// Set to `true` to enable the audit log.
+//
+// ### `perPage`
+//
+// Number of entries per page in the admin modal. Defaults to `50`.
+
+var async = require('async');
+
+module.exports = {
+
+  enabled: false,
+
+  alias: 'audit',
+
+  perPage: 50,
+
+  afterConstruct: function(self, callback) {
+    if (!self.options.enabled) {
+      return setImmediate(callback);
+    }
+    return async.series([
+      self.enableCollection
+    ], function(err) {
+      if (err) {
+        return callback(err);
+      }
+      self.on('apostrophe:migrate', 'ensureIndexesPromisified', function() {
+        return require('bluebird').promisify(self.ensureIndexes)();
+      });
+      self.addToAdminBar();
+      self.addTasks();
+      return callback(null);
+    });
+  },
+
+  construct: function(self, options) {
+    if (!self.options.enabled) {
+      return;
+    }
+
+    require('./lib/api.js')(self, options);
+    require('./lib/routes.js')(self, options);
+    require('./lib/browser.js')(self, options);
+    require('./lib/tasks.js')(self, options);
+  }
+};
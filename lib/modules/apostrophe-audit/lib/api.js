@@ -0,0 +1,255 @@
+var async = require('async');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+
+module.exports = function(self, options) {
+
+  self.enableCollection = function(callback) {
+    return self.apos.db.collection('aposAudit', function(err, collection) {
+      self.db = collection;
+      return callback(err);
+    });
+  };
+
+  self.ensureIndexes = function(callback) {
+    return async.series([
+      function(callback) {
+        return self.db.ensureIndex({ createdAt: -1 }, callback);
+      },
+      function(callback) {
+        return self.db.ensureIndex({ docId: 1, createdAt: -1 }, callback);
+      },
+      function(callback) {
+        return self.db.ensureIndex({ userId: 1, createdAt: -1 }, callback);
+      },
+      function(callback) {
+        return self.db.ensureIndex({ action: 1, createdAt: -1 }, callback);
+      }
+    ], callback);
+  };
+
+  // The actions recorded by this module. Used to populate the
+  // action filter of the admin modal. If you record actions of your
+  // own via `record`, extend this method to add them.
+
+  self.getActions = function() {
+    return [ 'insert', 'update', 'publish', 'unpublish', 'trash', 'rescue', 'delete', 'move', 'permissions', 'login' ];
+  };
+
+  // Returns a new audit log entry, ready to insert, describing `action`
+  // carried out by `req.user` on `doc`. `doc` may be null for actions
+  // that do not concern a doc. `details` is an optional object with
+  // additional information specific to the action.
+
+  self.newEntry = function(req, action, doc, details) {
+    var user = req.user || {};
+    return {
+      _id: self.apos.utils.generateId(),
+      action: action,
+      docId: doc ? doc._id : null,
+      docType: doc ? doc.type : null,
+      title: doc ? (doc.title || doc.slug || null) : null,
+      userId: user._id || null,
+      username: user.username || null,
+      createdAt: new Date(),
+      details: details || {}
+    };
+  };
+
+  // Insert an array of entries created with `newEntry`.
+
+  self.insertEntries = function(entries, callback) {
+    if (!entries.length) {
+      return setImmediate(callback);
+    }
+    return self.db.insert(entries, function(err) {
+      return callback(err);
+    });
+  };
+
+  // Record a single action. See `newEntry` for the parameters.
+  // Returns a promise if no callback is given.
+
+  self.record = function(req, action, doc, details, callback) {
+    if (!callback) {
+      return Promise.promisify(body)();
+    }
+    return body(callback);
+    function body(callback) {
+      return self.insertEntries([ self.newEntry(req, action, doc, details) ], callback);
+    }
+  };
+
+  // Before an insert we remember that the doc is new, so that
+  // `docAfterSave` can record the right action.
+
+  self.docBeforeInsert = function(req, doc, options) {
+    doc._auditPrevious = false;
+  };
+
+  self.docsBeforeInsert = function(req, docs, options) {
+    _.each(docs, function(doc) {
+      doc._auditPrevious = false;
+    });
+  };
+
+  // Before an update we fetch the stored `published` and `trash`
+  // properties, so that `docAfterSave` can tell a publication or a
+  // move to the trash from an ordinary update.
+
+  self.docBeforeUpdate = function(req, doc, options, callback) {
+    return self.docsBeforeUpdate(req, [ doc ], options, callback);
+  };
+
+  self.docsBeforeUpdate = function(req, docs, options, callback) {
+    return self.apos.docs.db.findWithProjection({ _id: { $in: _.pluck(docs, '_id') } }, { published: 1, trash: 1 }).toArray(function(err, stored) {
+      if (err) {
+        return callback(err);
+      }
+      var storedById = _.indexBy(stored, '_id');
+      _.each(docs, function(doc) {
+        doc._auditPrevious = storedById[doc._id] || false;
+      });
+      return callback(null);
+    });
+  };
+
+  self.docAfterSave = function(req, doc, options, callback) {
+    return self.docsAfterSave(req, [ doc ], options, callback);
+  };
+
+  self.docsAfterSave = function(req, docs, options, callback) {
+    var entries = _.map(docs, function(doc) {
+      var entry = self.newEntry(req, self.getSaveAction(doc), doc, { revision: doc.aposRevision });
+      delete doc._auditPrevious;
+      return entry;
+    });
+    return self.insertEntries(entries, callback);
+  };
+
+  // Returns the action to be recorded for a doc that has just been
+  // saved, based on the `_auditPrevious` property set before the save.
+  // An update that also moves the doc to or from the trash, or
+  // changes whether it is published, is recorded as that more
+  // specific action.
+
+  self.getSaveAction = function(doc) {
+    var previous = doc._auditPrevious;
+    if (!previous) {
+      return 'insert';
+    }
+    if (!!previous.trash !== !!doc.trash) {
+      return doc.trash ? 'trash' : 'rescue';
+    }
+    if (!!previous.published !== !!doc.published) {
+      return doc.published ? 'publish' : 'unpublish';
+    }
+    return 'update';
+  };
+
+  self.docAfterTrash = function(req, doc, callback) {
+    return self.record(req, 'trash', doc, {}, callback);
+  };
+
+  self.docAfterRescue = function(req, doc, callback) {
+    return self.record(req, 'rescue', doc, {}, callback);
+  };
+
+  self.docAfterDeleteFromTrash = function(req, doc, callback) {
+    return self.record(req, 'delete', doc, {}, callback);
+  };
+
+  self.pieceAfterBatchPermissions = function(req, piece, permissions, callback) {
+    return self.record(req, 'permissions', piece, { permissions: permissions }, callback);
+  };
+
+  self.on('apostrophe-pages:afterMove', 'recordMove', function(req, page, info) {
+    return self.record(req, 'move', page, {
+      targetId: info.target._id,
+      position: info.position,
+      originalSlug: info.originalSlug,
+      slug: page.slug
+    });
+  });
+
+  self.on('apostrophe-login:after', 'recordLogin', function(req) {
+    return self.record(req, 'login', null, {
+      ip: req.ip || null
+    });
+  });
+
+  // Returns MongoDB criteria for the `aposAudit` collection based on
+  // `filters`, which may contain `action` (a string or an array of
+  // strings), `docId`, `docType`, `userId`, `username`, `since` and
+  // `until` (dates). `search` matches the start of a title or username,
+  // case insensitively.
+
+  self.getCriteria = function(filters) {
+    var clauses = [];
+    if (filters.action) {
+      clauses.push({ action: Array.isArray(filters.action) ? { $in: filters.action } : filters.action });
+    }
+    _.each([ 'docId', 'docType', 'userId', 'username' ], function(name) {
+      if (filters[name]) {
+        var clause = {};
+        clause[name] = filters[name];
+        clauses.push(clause);
+      }
+    });
+    if (filters.since || filters.until) {
+      var range = {};
+      if (filters.since) {
+        range.$gte = filters.since;
+      }
+      if (filters.until) {
+        range.$lt = filters.until;
+      }
+      clauses.push({ createdAt: range });
+    }
+    if (filters.search) {
+      var search = new RegExp('^' + self.apos.utils.regExpQuote(filters.search), 'i');
+      clauses.push({ $or: [ { title: search }, { username: search } ] });
+    }
+    return clauses.length ? { $and: clauses } : {};
+  };
+
+  // Delivers audit log entries matching `filters` (see `getCriteria`),
+  // newest first, to the callback as `(err, entries, total)`. `options`
+  // may contain `skip` and `limit`. Only admins may read the audit log,
+  // for anyone else a `forbidden` error is reported.
+
+  self.find = function(req, filters, options, callback) {
+    if (!self.apos.permissions.can(req, 'admin')) {
+      return callback('forbidden');
+    }
+    var criteria = self.getCriteria(filters);
+    var results = {};
+    return async.series({
+      count: function(callback) {
+        return self.db.count(criteria, function(err, total) {
+          results.total = total;
+          return callback(err);
+        });
+      },
+      fetch: function(callback) {
+        var cursor = self.db.findWithProjection(criteria).sort({ createdAt: -1 });
+        if (options.skip) {
+          cursor.skip(options.skip);
+        }
+        if (options.limit) {
+          cursor.limit(options.limit);
+        }
+        return cursor.toArray(function(err, entries) {
+          results.entries = entries;
+          return callback(err);
+        });
+      }
+    }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, results.entries, results.total);
+    });
+  };
+
+};
@@ -0,0 +1,14 @@
+module.exports = function(self, options) {
+
+  self.pushAsset('script', 'user', { when: 'user' });
+  self.pushAsset('script', 'manager-modal', { when: 'user' });
+
+  self.pushAsset('stylesheet', 'user', { when: 'user' });
+
+  self.apos.push.browserCall('user', 'apos.create("apostrophe-audit", ?)', { action: self.action });
+
+  self.addToAdminBar = function() {
+    self.apos.adminBar.add(self.__meta.name, 'Audit Log', 'admin');
+  };
+
+};
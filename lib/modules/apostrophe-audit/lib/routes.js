@@ -0,0 +1,59 @@
+var _ = require('@sailshq/lodash');
+
+module.exports = function(self, options) {
+
+  self.renderRoute('post', 'manager', function(req, res, next) {
+    if (!self.apos.permissions.can(req, 'admin')) {
+      return next('forbidden');
+    }
+    return next(null, {
+      template: 'manager',
+      data: {
+        actions: self.getActions()
+      }
+    });
+  });
+
+  self.renderRoute('post', 'list', function(req, res, next) {
+    var filters = self.getFiltersFromBody(req.body);
+    var page = self.apos.launder.integer(req.body.page, 1, 1);
+    var perPage = self.options.perPage;
+    return self.find(req, filters, { skip: (page - 1) * perPage, limit: perPage }, function(err, entries, total) {
+      if (err) {
+        return next(err);
+      }
+      return next(null, {
+        template: 'list',
+        data: {
+          entries: entries,
+          total: total,
+          page: page,
+          totalPages: Math.max(1, Math.ceil(total / perPage))
+        }
+      });
+    });
+  });
+
+  // Launder the filters submitted by the admin modal into
+  // an object suitable for `find`. `since` and `until` are
+  // calendar dates, and `until` is inclusive.
+
+  self.getFiltersFromBody = function(body) {
+    var filters = {
+      action: self.apos.launder.select(body.action, self.getActions(), undefined),
+      docType: self.apos.launder.string(body.docType),
+      search: self.apos.launder.string(body.search)
+    };
+    var since = self.apos.launder.date(body.since, null);
+    var until = self.apos.launder.date(body.until, null);
+    if (since) {
+      filters.since = new Date(since);
+    }
+    if (until) {
+      filters.until = new Date(until);
+      filters.until.setDate(filters.until.getDate() + 1);
+    }
+    return _.pick(filters, _.identity);
+  };
+
+};
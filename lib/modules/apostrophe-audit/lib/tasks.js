@@ -0,0 +1,100 @@
+var fs = require('fs');
+
+module.exports = function(self, options) {
+
+  self.addTasks = function() {
+    self.addExportTask();
+  };
+
+  self.addExportTask = function() {
+    self.addTask('export',
+      'Usage: node app apostrophe-audit:export [--output=file.jsonl] [--since=YYYY-MM-DD]\n' +
+      '  [--until=YYYY-MM-DD] [--action=trash,rescue] [--type=type] [--user=username]\n\n' +
+      'Write audit log entries as JSON Lines (one JSON object per line),\n' +
+      'oldest first. Entries are written to standard output unless --output\n' +
+      'is given. --until is inclusive.',
+      function(apos, argv, callback) {
+        return self.exportTask(argv, callback);
+      }
+    );
+  };
+
+  self.exportTask = function(argv, callback) {
+    var filters;
+    try {
+      filters = self.getFiltersFromArgv(argv);
+    } catch (e) {
+      return callback(e);
+    }
+    var out = argv.output ? fs.createWriteStream(argv.output) : process.stdout;
+    return self.exportEntries(filters, out, function(err, count) {
+      if (err) {
+        return callback(err);
+      }
+      if (out === process.stdout) {
+        return callback(null);
+      }
+      return out.end(function() {
+        self.apos.utils.log('Exported ' + count + ' entries to ' + argv.output + '.');
+        return callback(null);
+      });
+    });
+  };
+
+  // Convert command line arguments to filters for `getCriteria`.
+
+  self.getFiltersFromArgv = function(argv) {
+    var filters = {};
+    if (argv.action) {
+      filters.action = String(argv.action).split(',');
+    }
+    if (argv.type) {
+      filters.docType = String(argv.type);
+    }
+    if (argv.user) {
+      filters.username = String(argv.user);
+    }
+    if (argv.since) {
+      filters.since = self.parseDateArgument(argv.since, 'since');
+    }
+    if (argv.until) {
+      filters.until = self.parseDateArgument(argv.until, 'until');
+      filters.until.setDate(filters.until.getDate() + 1);
+    }
+    return filters;
+  };
+
+  self.parseDateArgument = function(value, name) {
+    var date = new Date(String(value));
+    if (isNaN(date.getTime())) {
+      throw new Error('--' + name + ' must be a date in YYYY-MM-DD format.');
+    }
+    return date;
+  };
+
+  // Write the entries matching `filters` to the writable stream `out`
+  // as JSON Lines, oldest first, one at a time so that large logs
+  // need not fit in memory. Delivers `(err, count)` to the callback.
+
+  self.exportEntries = function(filters, out, callback) {
+    var cursor = self.db.findWithProjection(self.getCriteria(filters)).sort({ createdAt: 1 });
+    var count = 0;
+    return next();
+    function next() {
+      return cursor.next(function(err, entry) {
+        if (err) {
+          return callback(err);
+        }
+        if (!entry) {
+          return callback(null, count);
+        }
+        count++;
+        if (out.write(JSON.stringify(entry) + '\n')) {
+          return next();
+        }
+        return out.once('drain', next);
+      });
+    }
+  };
+
+};
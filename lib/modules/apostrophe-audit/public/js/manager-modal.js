@@ -0,0 +1,48 @@
+// A modal that lists audit log entries, newest first, and allows
+// admins to filter them by action, doc type, date range and
+// title or username.
+
+apos.define('apostrophe-audit-manager-modal', {
+  extend: 'apostrophe-modal',
+  source: 'manager',
+  construct: function(self, options) {
+    self.page = 1;
+
+    self.beforeShow = function(callback) {
+      self.$filters = self.$el.find('[data-apos-audit-filters]');
+      self.$results = self.$el.find('[data-apos-audit-list]');
+      self.$filters.on('change', 'select, input', function() {
+        self.page = 1;
+        self.refresh();
+      });
+      self.$el.on('click', '[data-apos-audit-page]', function() {
+        self.page = parseInt($(this).attr('data-apos-audit-page'));
+        self.refresh();
+        return false;
+      });
+      return self.refresh(callback);
+    };
+
+    self.getFilters = function() {
+      var filters = { page: self.page };
+      self.$filters.find('[name]').each(function() {
+        var $field = $(this);
+        if ($field.val()) {
+          filters[$field.attr('name')] = $field.val();
+        }
+      });
+      return filters;
+    };
+
+    self.refresh = function(callback) {
+      return self.html('list', self.getFilters(), function(html) {
+        self.$results.html(html);
+        if (callback) {
+          return callback();
+        }
+      }, function() {
+        apos.notify('An error occurred. Please try again.', { type: 'error', dismiss: true });
+      });
+    };
+  }
+});
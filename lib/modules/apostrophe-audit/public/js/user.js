@@ -0,0 +1,25 @@
+// A singleton that opens the audit log modal when the
+// "Audit Log" admin bar item is clicked.
+
+apos.define('apostrophe-audit', {
+
+  extend: 'apostrophe-context',
+
+  afterConstruct: function(self) {
+    self.enableClickHandlers();
+  },
+
+  construct: function(self, options) {
+    self.enableClickHandlers = function() {
+      apos.adminBar.link('apostrophe-audit', function() {
+        self.manage();
+      });
+    };
+
+    self.manage = function() {
+      apos.create('apostrophe-audit-manager-modal', { action: self.action });
+    };
+
+    apos.audit = self;
+  }
+});
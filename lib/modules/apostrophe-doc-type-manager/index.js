@@ -19,6 +19,37 @@
 // they are automatically given permission to edit it as an individual so they can
 // continue to manage it.)
 //
+// ### `scheduledPublishing`
+//
+// If true, "Publish At" and "Unpublish At" fields are added to the schema,
+// in a "Schedule" tab. They are `datetime` fields named `publishAt` and
+// `unpublishAt`, so editors also choose a time zone. Docs with a
+// publication date in the future are saved unpublished and become
+// visible at that time, and docs are hidden again once their
+// unpublication date passes. See `applySchedule` and `publishScheduled` in
+// [apostrophe-docs](../apostrophe-docs/index.html).
+//
+// ### `indexes`
+//
+// An array of compound MongoDB indexes for docs of this type, such as
+// `[ { fields: { category: 1, price: -1 } } ]`. A top level field of the
+// schema may also be indexed on its own with `index: true`. Joins index
+// their `idField` or `idsField`. `unique: true` and `sparse: true`
+// may be given as properties of an index, or as an object in place of
+// `true`, for instance `index: { unique: true, sparse: true }`. Unique
+// indexes apply among docs of this type only; if you use
+// `apostrophe-workflow`, include `workflowLocale` in their fields.
+//
+// Each index is limited to docs of this type by a partial filter. Before
+// version 5.0, MongoDB does not allow two indexes of the same properties
+// with different partial filters, so if two doc types index the same
+// properties only the first one gets an index there, and a warning is
+// printed for the other.
+//
+// The indexes are created during the `apostrophe:migrate` event, and
+// indexes that are no longer declared are reported so that you can drop
+// them. See `getSchemaIndexes`.
+//
 // ### Schema options
 // The standard schema options, including `addFields`, `removeFields` and `arrangeFields`.
 // See the [schema guide](/advanced-topics/schema-guide.md).
@@ -142,6 +173,21 @@ module.exports = {
       }
     ].concat(permissionsFields, options.addFields || []);
 
+    if (options.scheduledPublishing) {
+      options.addFields = [
+        {
+          type: 'datetime',
+          name: 'publishAt',
+          label: 'Publish At'
+        },
+        {
+          type: 'datetime',
+          name: 'unpublishAt',
+          label: 'Unpublish At'
+        }
+      ].concat(options.addFields);
+    }
+
     options.arrangeFields = [
       {
         name: 'basics',
@@ -154,7 +200,13 @@ module.exports = {
         fields: options.apos.schemas.getPermissionsFieldNames(),
         last: true
       }
-    ].concat(options.arrangeFields || []);
+    ].concat(options.scheduledPublishing ? [
+      {
+        name: 'schedule',
+        label: 'Schedule',
+        fields: [ 'publishAt', 'unpublishAt' ]
+      }
+    ] : [], options.arrangeFields || []);
     if (options.apos.docs.trashInSchema) {
       // If the trash field is in the schema, we need to add it to
       // a suitable group without making devs who already built their
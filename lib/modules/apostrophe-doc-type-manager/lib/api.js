@@ -242,13 +242,13 @@ module.exports = function(self, options) {
   // Return a new schema containing only fields for which the
   // current user has the permission specified by the `permission`
   // property of the schema field, or there is no `permission` property for the field.
+  // Fields the user may view but not edit are `readOnly`. See
+  // `apos.schemas.applyFieldPermissions`.
 
   self.allowedSchema = function(req) {
     var disabled;
     var type;
-    var schema = _.filter(self.schema, function(field) {
-      return (!field.permission) || self.apos.permissions.can(req, field.permission);
-    });
+    var schema = self.apos.schemas.applyFieldPermissions(req, self.schema);
     var typeIndex = _.findIndex(schema, { name: 'type' });
     if (typeIndex !== -1) {
       // This option exists so that the
@@ -272,6 +272,15 @@ module.exports = function(self, options) {
     return schema;
   };
 
+  // Returns a shallow copy of `doc` without the properties the user
+  // associated with `req` may not view according to the `permission`
+  // properties of the schema. Used by API routes that send docs to
+  // the browser.
+
+  self.removeUnviewableFields = function(req, doc) {
+    return self.apos.schemas.removeUnviewableFields(req, self.schema, doc);
+  };
+
   self.composeSchema = function() {
 
     // If a type is adminOnly remove the fields relating to permissions editing
@@ -493,6 +502,103 @@ module.exports = function(self, options) {
     });
   };
 
+  // Returns the MongoDB indexes of the `aposDocs` collection declared
+  // for this doc type by the `index` property of the top level fields
+  // of its schema and by the `indexes` option, plus those of its
+  // `computed` fields, which are always indexed so they can be sorted
+  // on (with their `Sortified` counterpart if `sortify` is set). Each
+  // is an object with `key` and `options` properties, ready for
+  // `ensureIndex`. See `getSchemaIndex`.
+
+  self.getSchemaIndexes = function() {
+    var indexes = [];
+    if (!self.name) {
+      return indexes;
+    }
+    _.each(self.schema, function(field) {
+      if (field.type === 'computed') {
+        _.each(field.sortify ? [ field.name, field.name + 'Sortified' ] : [ field.name ], function(property) {
+          var key = {};
+          key[property] = 1;
+          indexes.push(self.getSchemaIndex(key, {}));
+        });
+        return;
+      }
+      if (!field.index) {
+        return;
+      }
+      var key = {};
+      key[field.idField || field.idsField || field.name] = 1;
+      indexes.push(self.getSchemaIndex(key, ((typeof field.index) === 'object') ? field.index : {}));
+    });
+    _.each(self.options.indexes || [], function(index) {
+      if (!(index.fields && _.keys(index.fields).length)) {
+        throw new Error(self.__meta.name + ': each of the indexes must have a fields property, such as { fields: { category: 1, price: -1 } }');
+      }
+      indexes.push(self.getSchemaIndex(index.fields, index));
+    });
+    return indexes;
+  };
+
+  // Returns an index of the `aposDocs` collection for the properties of
+  // `key`, limited to docs of this type by a partial filter. If
+  // `options.unique` is true values may not repeat among docs of this
+  // type. If `options.sparse` is true only docs that have all of the
+  // properties are indexed. The name of the index starts with `schema:`
+  // and the type name, see `apos.docs.reportStaleSchemaIndexes`.
+
+  self.getSchemaIndex = function(key, options) {
+    var filter = { type: self.name };
+    var name = 'schema:' + self.name + ':' + _.map(key, function(direction, property) {
+      return property + '_' + direction;
+    }).join('_');
+    var indexOptions = {};
+    if (options.unique) {
+      indexOptions.unique = true;
+      name += ':unique';
+    }
+    if (options.sparse) {
+      // MongoDB does not allow sparse partial indexes, the filter does the job
+      _.each(key, function(direction, property) {
+        filter[property] = { $exists: true };
+      });
+      name += ':sparse';
+    }
+    indexOptions.name = name;
+    indexOptions.partialFilterExpression = filter;
+    return { key: key, options: indexOptions };
+  };
+
+  // Create the indexes returned by `getSchemaIndexes`. Invoked by
+  // `apos.docs.ensureIndexes` during `apostrophe:migrate`.
+  //
+  // MongoDB versions before 5.0 refuse a second index of the same
+  // properties, even with a different partial filter, so there only
+  // the first doc type to index them gets an index. For the others a
+  // warning is printed, rather than failing the migration.
+
+  self.ensureSchemaIndexes = function(callback) {
+    return async.eachSeries(self.getSchemaIndexes(), function(index, callback) {
+      return self.apos.docs.db.ensureIndex(index.key, index.options, function(err) {
+        if (err && self.isIndexConflictError(err)) {
+          self.apos.utils.warn('\n⚠️  The ' + index.options.name + ' index of the aposDocs collection was not created,\n' +
+            'because another doc type already indexes the same properties and this\n' +
+            'version of MongoDB does not allow that. MongoDB 5.0 or later does.\n');
+          return callback(null);
+        }
+        return callback(err);
+      });
+    }, callback);
+  };
+
+  // Returns true if `err` is the error MongoDB reports when an index
+  // conflicts with an existing index of the same properties.
+
+  self.isIndexConflictError = function(err) {
+    // IndexOptionsConflict and IndexKeySpecsConflict
+    return (err.code === 85) || (err.code === 86);
+  };
+
   // pieces subclass uses this
   self.getBatchPermissionsSchema = function(req) {
     return self.apos.schemas.subset(self.allowedSchema(req), self.apos.schemas.getPermissionsFieldNames());
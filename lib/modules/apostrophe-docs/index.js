@@ -43,6 +43,43 @@
 // the browser refreshes the lock every 5 seconds. This timeout should
 // be quite short as there is no longer any reliable way to force a browser
 // to unlock the document when leaving the page.
+//
+// **`trashRetention`: the number of days a doc may remain in the trash
+// before the `apostrophe-docs:purge-trash` task discards it forever.
+// May also be set as the `trashRetention` option of an individual
+// doc type's module, such as a pieces module, which takes precedence;
+// set it to `false` there to never purge docs of that type. If this
+// option is not set, docs are never purged unless their type's module
+// sets it. The clock starts when `trash` is set, as recorded in the
+// `trashedAt` property. Purged docs are discarded via `deleteFromTrash`, so
+// their versions and attachment references are cleaned up too.
+//
+// **`scheduleInterval`: how often, in milliseconds, each web process checks
+// for docs whose `publishAt` or `unpublishAt` date has passed and publishes
+// or unpublishes them, firing the usual save hooks. Defaults to one minute.
+// Only one process does the work at a time. Set it to `false` if you would
+// rather run the `apostrophe-docs:publish-scheduled` task via cron. Schedules
+// are set via the `scheduledPublishing` option of a doc type's module.
+//
+// **`slowQueries`: if set to a number of milliseconds, every query made by
+// the `toArray`, `toCount` and `toDistinct` methods of a cursor is timed,
+// and those that take at least that long are logged as warnings, along
+// with the module whose `find` method created the cursor, the filters
+// applied, the criteria and the indexes MongoDB chose according to
+// `explain()`. You may also pass an object with `threshold` (in milliseconds,
+// default 500) and `explain` (set it to `false` to skip the extra `explain()`
+// query) properties. The explanation only covers the query plan: to also
+// see how many docs a query examined, use the `toExplain` cursor method,
+// which runs it with execution statistics. Override the `logSlowQuery` method to send the
+// reports elsewhere. To examine a particular query, see the `toExplain`
+// cursor method.
+//
+// **`presenceTimeout`: while a user has a doc open for editing, or views
+// a page they can edit, the browser tells Apostrophe so every 5 seconds.
+// Other users see their names in the admin bar and the pieces manager.
+// If the browser is not heard from for this many seconds, 15 by default,
+// the user no longer counts as present. Admins may take control of a doc
+// locked by another user, who is notified.
 
 module.exports = {
 
@@ -52,14 +89,26 @@ module.exports = {
 
   afterConstruct: function(self, callback) {
     return self.enableCollection(function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return self.enablePresenceCollection(afterCollections);
+    });
+
+    function afterCollections(err) {
       if (err) {
         return callback(err);
       }
       self.on('apostrophe:migrate', 'ensureIndexesPromisified', function() {
         return require('bluebird').promisify(self.ensureIndexes)();
       });
+      self.addTrashedAtMigration();
+      self.addTasks();
+      self.on('apostrophe:afterInit', 'startSchedulerAfterInit', function() {
+        self.startScheduler();
+      });
       return callback(null);
-    });
+    }
   },
 
   construct: function(self, options) {
@@ -68,8 +117,13 @@ module.exports = {
     self.apos.define('apostrophe-cursor', require('./lib/cursor.js'));
 
     require('./lib/api.js')(self, options);
+    require('./lib/bundles.js')(self, options);
+    require('./lib/references.js')(self, options);
+    require('./lib/duplicate.js')(self, options);
+    require('./lib/presence.js')(self, options);
     require('./lib/browser.js')(self, options);
     require('./lib/routes.js')(self, options);
+    require('./lib/tasks.js')(self, options);
 
     self.pushAssets();
     self.pushCreateSingleton();
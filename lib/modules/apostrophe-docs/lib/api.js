@@ -29,7 +29,7 @@ module.exports = function(self, options) {
 
   self.ensureIndexes = function(callback) {
 
-    async.series([ indexType, self.ensureSlugIndex, indexTitleSortified, indexUpdatedAt, indexTags, indexPublished, indexText, indexParkedId, indexAdvisoryLockId, self.ensurePathLevelIndex ], callback);
+    async.series([ indexType, self.ensureSlugIndex, indexTitleSortified, indexUpdatedAt, indexTags, indexPublished, indexSchedule, indexText, indexParkedId, indexAdvisoryLockId, indexGeopoints, indexSchemas, self.ensurePathLevelIndex, self.ensurePresenceIndexes ], callback);
 
     function indexType(callback) {
       self.db.ensureIndex({ type: 1 }, {}, callback);
@@ -51,10 +51,43 @@ module.exports = function(self, options) {
       self.db.ensureIndex({ published: 1 }, { }, callback);
     }
 
+    function indexSchedule(callback) {
+      return async.series([
+        function(callback) {
+          self.db.ensureIndex({ publishAt: 1 }, { sparse: true }, callback);
+        },
+        function(callback) {
+          self.db.ensureIndex({ unpublishAt: 1 }, { sparse: true }, callback);
+        }
+      ], callback);
+    }
+
     function indexAdvisoryLockId(callback) {
       self.db.ensureIndex({ 'advisoryLock._id': 1 }, { }, callback);
     }
 
+    // The near and withinBox filters of geopoint fields require these
+    function indexGeopoints(callback) {
+      return async.eachSeries(self.apos.schemas.getGeopointFieldNames(), function(name, callback) {
+        var index = {};
+        index[name] = '2dsphere';
+        return self.db.ensureIndex(index, {}, callback);
+      }, callback);
+    }
+
+    function indexSchemas(callback) {
+      return async.eachSeries(_.uniq(_.values(self.managers)), function(manager, callback) {
+        return manager.ensureSchemaIndexes(callback);
+      }, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        return self.reportStaleSchemaIndexes(function(err) {
+          return callback(err);
+        });
+      });
+    }
+
     function indexText(callback) {
       return self.ensureTextIndex(function(err) {
         if (err) {
@@ -70,6 +103,37 @@ module.exports = function(self, options) {
 
   };
 
+  // Warn about indexes of the `aposDocs` collection that were declared
+  // in the schema of a doc type but no longer are, such as the index of
+  // a field whose `index` property was removed. They are not dropped
+  // automatically. Delivers their names to the callback. Invoked by
+  // `ensureIndexes`.
+
+  self.reportStaleSchemaIndexes = function(callback) {
+    var declared = _.flatten(_.map(_.uniq(_.values(self.managers)), function(manager) {
+      return _.map(manager.getSchemaIndexes(), function(index) {
+        return index.options.name;
+      });
+    }));
+    return self.db.indexes(function(err, indexes) {
+      if (err) {
+        return callback(err);
+      }
+      var stale = _.filter(_.pluck(indexes, 'name'), function(name) {
+        return name.match(/^schema:/) && (!_.includes(declared, name));
+      });
+      if (stale.length) {
+        self.apos.utils.warn('\n⚠️  These indexes of the aposDocs collection are no longer declared by any doc type:\n\n' +
+          _.map(stale, function(name) {
+            return '* ' + name;
+          }).join('\n') + '\n\n' +
+          'If they are not needed, drop them in the MongoDB shell with:\n\n' +
+          'db.aposDocs.dropIndex(\'name\')\n');
+      }
+      return callback(null, stale);
+    });
+  };
+
   self.ensureTextIndex = function(callback) {
     return self.db.ensureIndex({ highSearchText: 'text', lowSearchText: 'text', title: 'text', searchBoost: 'text' }, { default_language: self.options.searchLanguage || 'none', weights: { title: 100, searchBoost: 150, highSearchText: 10, lowSearchText: 2 } }, callback);
   };
@@ -108,6 +172,78 @@ module.exports = function(self, options) {
     return self.apos.create('apostrophe-cursor', { apos: self.apos, req: req, criteria: criteria, projection: projection });
   };
 
+  // The normalized `slowQueries` option, or `null` if slow queries
+  // are not being logged. See the module documentation.
+
+  self.getSlowQueriesOptions = function() {
+    var slowQueries = self.options.slowQueries;
+    if (!slowQueries) {
+      return null;
+    }
+    if ((typeof slowQueries) === 'number') {
+      slowQueries = { threshold: slowQueries };
+    }
+    return _.defaults({}, slowQueries, { threshold: 500, explain: true });
+  };
+
+  self.slowQueries = self.getSlowQueriesOptions();
+
+  // Invoked by cursors when a query takes longer than the `slowQueries`
+  // threshold. `info` has `method` (such as `toArray`), `ms`, `module`
+  // (the name of the module whose `find` method created the cursor),
+  // `filters` (the filters set to something other than their default),
+  // `criteria` and, if the `explain` suboption is not false, `plan`
+  // (see `summarizeExplain`). Logs a warning. Override to send
+  // this information elsewhere.
+
+  self.logSlowQuery = function(info) {
+    self.apos.utils.warn('Slow query (' + info.ms + 'ms) via ' + info.method + ' for ' + info.module + ':\n' +
+      require('util').inspect(_.pick(info, 'filters', 'criteria', 'plan'), { depth: 20 }));
+  };
+
+  // Summarize the output of MongoDB's `explain()` as an object with
+  // `indexes` (the names of the indexes used by the winning plan),
+  // `collectionScan` (true if the plan scans the whole collection, a
+  // sign of a missing index) and, when the explanation includes execution
+  // statistics, `keysExamined`, `docsExamined` and `returned`.
+
+  self.summarizeExplain = function(explanation) {
+    var summary = {
+      indexes: [],
+      collectionScan: false
+    };
+    var planner = explanation.queryPlanner || {};
+    walk(planner.winningPlan);
+    summary.indexes = _.uniq(summary.indexes);
+    var stats = explanation.executionStats;
+    if (stats) {
+      summary.keysExamined = stats.totalKeysExamined;
+      summary.docsExamined = stats.totalDocsExamined;
+      summary.returned = stats.nReturned;
+    }
+    return summary;
+
+    function walk(stage) {
+      if (!stage) {
+        return;
+      }
+      if (stage.stage === 'COLLSCAN') {
+        summary.collectionScan = true;
+      } else if (stage.stage === 'IDHACK') {
+        summary.indexes.push('_id_');
+      } else if (stage.indexName) {
+        summary.indexes.push(stage.indexName);
+      }
+      // Newer versions of MongoDB nest the plan under queryPlan
+      walk(stage.queryPlan);
+      walk(stage.inputStage);
+      _.each(stage.inputStages || [], walk);
+      _.each(stage.shards || [], function(shard) {
+        walk(shard.winningPlan);
+      });
+    }
+  };
+
   // **Most often you will insert or update docs via the
   // insert and update methods of the appropriate doc manager.**
   // This method is for implementation use in those objects,
@@ -251,6 +387,14 @@ module.exports = function(self, options) {
   // If `options.permissions` is set explicitly to
   // `false`, permissions checks are bypassed.
   //
+  // Every update increments the `aposRevision` property
+  // of the doc. If `options.expectedRevision` is set, the
+  // update succeeds only if the `aposRevision` property of
+  // the doc in the database still matches it, otherwise
+  // the `conflict` error is reported and nothing is saved.
+  // Pass the `aposRevision` you originally fetched to avoid
+  // silently overwriting changes made by others meanwhile.
+  //
   // If `callback` is omitted, a promise is returned.
 
   self.update = function(req, doc, options, callback) {
@@ -298,6 +442,244 @@ module.exports = function(self, options) {
     }
   };
 
+  // Insert many docs at once. Much faster than calling `insert`
+  // for each one when importing large numbers of docs, because
+  // the docs are written to MongoDB in a single batch and
+  // the hooks are invoked batch by batch (see `callAllForBatch`).
+  // Otherwise the behavior is the same as `insert`, and
+  // the same `options` are accepted.
+  //
+  // A problem with one doc does not prevent the others from
+  // being inserted. The callback receives `(null, result)`, where
+  // `result.docs` is an array of the docs successfully inserted and
+  // `result.errors` is an array of objects with `index`, `doc` and
+  // `error` properties, one for each doc that could not be inserted.
+  // `index` is the position of the doc in the original `docs` array.
+  //
+  // The `options` object may be omitted completely.
+  //
+  // If `callback` is omitted, a promise is returned.
+
+  self.insertMany = function(req, docs, options, callback) {
+    if (typeof (arguments[2]) !== 'object') {
+      callback = options;
+      options = {};
+    }
+    if (callback) {
+      return body(callback);
+    } else {
+      return Promise.promisify(body)();
+    }
+    function body(callback) {
+      if (!(req && req.res)) {
+        return callback(new Error('You forgot to pass req as the first argument to insertMany()'));
+      }
+      if (!Array.isArray(docs)) {
+        return callback(new Error('The docs argument to insertMany() must be an array'));
+      }
+      if (!(options && ((typeof options) === 'object'))) {
+        return callback(new Error('If the options argument to insertMany() is passed it must be an object'));
+      }
+      var batch = self.newBatch(docs);
+      return async.series({
+        beforeInsert: function(callback) {
+          return self.callAllForBatch('docBeforeInsert', 'docsBeforeInsert', 'beforeInsert', req, batch, options, callback);
+        },
+        beforeSave: function(callback) {
+          return self.callAllForBatch('docBeforeSave', 'docsBeforeSave', 'beforeSave', req, batch, options, callback);
+        },
+        denormalizePermissions: function(callback) {
+          return self.eachInBatch(batch, function(doc, callback) {
+            return self.denormalizePermissions(req, doc, options, callback);
+          }, callback);
+        },
+        insert: function(callback) {
+          return self.insertManyBody(req, batch, options, callback);
+        },
+        afterInsert: function(callback) {
+          return self.callAllForBatch('docAfterInsert', 'docsAfterInsert', 'afterInsert', req, batch, options, callback);
+        },
+        afterSave: function(callback) {
+          return self.callAllForBatch('docAfterSave', 'docsAfterSave', 'afterSave', req, batch, options, callback);
+        },
+        load: function(callback) {
+          return self.callAllAndEmit('docsAfterLoad', 'afterLoad', req, batch.docs(), function(err) {
+            return callback(err);
+          });
+        }
+      }, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        return callback(null, batch.result());
+      });
+    }
+  };
+
+  // Update many docs at once. Much faster than calling `update`
+  // for each one, for the same reasons given for `insertMany`,
+  // and reports the outcome in the same way. Otherwise the behavior
+  // is the same as `update`, and the same `options` are accepted,
+  // except for `expectedRevision`.
+  //
+  // The `options` object may be omitted completely.
+  //
+  // If `callback` is omitted, a promise is returned.
+
+  self.updateMany = function(req, docs, options, callback) {
+    if (typeof (arguments[2]) !== 'object') {
+      callback = options;
+      options = {};
+    }
+    if (callback) {
+      return body(callback);
+    } else {
+      return Promise.promisify(body)();
+    }
+    function body(callback) {
+      if (!(req && req.res)) {
+        return callback(new Error('You forgot to pass req as the first argument to updateMany()'));
+      }
+      if (!Array.isArray(docs)) {
+        return callback(new Error('The docs argument to updateMany() must be an array'));
+      }
+      if (!(options && ((typeof options) === 'object'))) {
+        return callback(new Error('If the options argument to updateMany() is passed it must be an object'));
+      }
+      if (options.expectedRevision !== undefined) {
+        return callback(new Error('The expectedRevision option is not supported by updateMany()'));
+      }
+      var batch = self.newBatch(docs);
+      return async.series({
+        beforeUpdate: function(callback) {
+          return self.callAllForBatch('docBeforeUpdate', 'docsBeforeUpdate', 'beforeUpdate', req, batch, options, callback);
+        },
+        beforeSave: function(callback) {
+          return self.callAllForBatch('docBeforeSave', 'docsBeforeSave', 'beforeSave', req, batch, options, callback);
+        },
+        denormalizePermissions: function(callback) {
+          return self.eachInBatch(batch, function(doc, callback) {
+            return self.denormalizePermissions(req, doc, options, callback);
+          }, callback);
+        },
+        update: function(callback) {
+          return self.updateManyBody(req, batch, options, callback);
+        },
+        afterUpdate: function(callback) {
+          return self.callAllForBatch('docAfterUpdate', 'docsAfterUpdate', 'afterUpdate', req, batch, options, callback);
+        },
+        afterSave: function(callback) {
+          return self.callAllForBatch('docAfterSave', 'docsAfterSave', 'afterSave', req, batch, options, callback);
+        }
+      }, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        return callback(null, batch.result());
+      });
+    }
+  };
+
+  // Returns an object tracking the progress of an array of docs
+  // through `insertMany` or `updateMany`. Its `docs()` method returns
+  // the docs that have not failed so far, its `fail(doc, err)` method
+  // marks a doc as failed, and its `result()` method returns the
+  // `{ docs, errors }` object delivered by `insertMany` and `updateMany`.
+
+  self.newBatch = function(docs) {
+    var entries = _.map(docs, function(doc, index) {
+      return {
+        doc: doc,
+        index: index
+      };
+    });
+    var batch = {
+      docs: function() {
+        return _.pluck(_.filter(entries, function(entry) {
+          return !entry.error;
+        }), 'doc');
+      },
+      fail: function(doc, err) {
+        var entry = entries[_.indexOf(docs, doc)];
+        if (entry && (!entry.error)) {
+          entry.error = err;
+        }
+      },
+      result: function() {
+        return {
+          docs: batch.docs(),
+          errors: _.filter(entries, 'error')
+        };
+      }
+    };
+    return batch;
+  };
+
+  // Invoke `iterator(doc, callback)` for each doc in the batch that
+  // has not failed yet, in series. A doc for which `iterator`
+  // reports an error is marked as failed, without stopping the batch.
+
+  self.eachInBatch = function(batch, iterator, callback) {
+    return async.eachSeries(batch.docs(), function(doc, callback) {
+      return iterator(doc, function(err) {
+        if (err) {
+          batch.fail(doc, err);
+        }
+        return callback(null);
+      });
+    }, callback);
+  };
+
+  // The batch-aware equivalent of `callAllAndEmit`, used by
+  // `insertMany` and `updateMany`. For each module, if a method named
+  // `batchName` exists (for instance `docsAfterSave`), it is invoked
+  // once with `(req, docs, options)` and an optional callback. If it
+  // reports an error, all of those docs fail. Otherwise, if a method
+  // named `callAllName` exists (for instance `docAfterSave`), it is
+  // invoked for each doc as usual, and only the docs for which it
+  // reports an error fail. Finally the promise event `eventName` is
+  // emitted for each doc. Implement a batch method in your module if
+  // your per-doc method would be slow when called thousands of times.
+
+  self.callAllForBatch = function(callAllName, batchName, eventName, req, batch, options, callback) {
+    return async.eachSeries(_.keys(self.apos.modules), function(name, callback) {
+      var module = self.apos.modules[name];
+      var docs = batch.docs();
+      if (!docs.length) {
+        return callback(null);
+      }
+      if (module[batchName]) {
+        return self.apos.callOne(name, batchName, req, docs, options, function(err) {
+          if (err) {
+            _.each(docs, function(doc) {
+              batch.fail(doc, err);
+            });
+          }
+          return callback(null);
+        });
+      }
+      if (!module[callAllName]) {
+        return callback(null);
+      }
+      return self.eachInBatch(batch, function(doc, callback) {
+        return self.apos.callOne(name, callAllName, req, doc, options, callback);
+      }, callback);
+    }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return self.eachInBatch(batch, function(doc, callback) {
+        return self.promiseEmit(eventName, req, doc, options).then(function() {
+          callback(null);
+          return null;
+        }).catch(function(err) {
+          callback(err);
+          return null;
+        });
+      }, callback);
+    });
+  };
+
   // Apostrophe edits doc editing and viewing permissions via joins,
   // but for query performance then copies them to a single array with entries
   // like: `[ 'edit-xxx', 'view-xxx' ]`, where `xxx` might be a user id
@@ -415,7 +797,9 @@ module.exports = function(self, options) {
       return callback(new Error('The doc argument must be an object'));
     }
     doc.trash = true;
-    return self.db.update({ _id: doc._id }, { $set: { trash: true } }, callback);
+    doc.trashedAt = new Date();
+    doc.aposRevision = (doc.aposRevision || 0) + 1;
+    return self.db.update({ _id: doc._id }, { $set: { trash: true, trashedAt: doc.trashedAt }, $inc: { aposRevision: 1 } }, callback);
   };
 
   // Rescue the document matching the specified
@@ -497,7 +881,9 @@ module.exports = function(self, options) {
       return callback(new Error('The doc argument must be an object'));
     }
     delete doc.trash;
-    return self.db.update({ _id: doc._id }, { $unset: { trash: 1 } }, callback);
+    delete doc.trashedAt;
+    doc.aposRevision = (doc.aposRevision || 0) + 1;
+    return self.db.update({ _id: doc._id }, { $unset: { trash: 1, trashedAt: 1 }, $inc: { aposRevision: 1 } }, callback);
   };
 
   // Forever discard the specified document or
@@ -510,6 +896,15 @@ module.exports = function(self, options) {
   // You must have publish permission
   // for the documents to discard them.
   //
+  // docAfterDeleteFromTrash is invoked on all modules
+  // for each document discarded, so that related data
+  // such as versions and attachment references can
+  // be cleaned up. The documents passed to it carry only
+  // the properties returned by `getDeleteFromTrashProjection`.
+  //
+  // Documents are discarded in batches of 100, so that
+  // emptying a large trash does not load it all into memory.
+  //
   // The use of this API without extensive user
   // confirmation is strongly discouraged. Users
   // who ask for a way to empty the trash will often
@@ -527,7 +922,59 @@ module.exports = function(self, options) {
     criteria = {
       $and: [ criteria, self.apos.permissions.criteria(req, 'publish-doc') ]
     };
-    return self.db.remove(criteria, callback);
+    var projection = self.getDeleteFromTrashProjection();
+    var lastId;
+    var done = false;
+    return async.whilst(
+      function() { return !done; },
+      function(callback) {
+        var batchCriteria = lastId ? { $and: [ criteria, { _id: { $gt: lastId } } ] } : criteria;
+        var docs;
+        return async.series({
+          find: function(callback) {
+            return self.db.findWithProjection(batchCriteria, projection).sort({ _id: 1 }).limit(100).toArray(function(err, _docs) {
+              docs = _docs;
+              return callback(err);
+            });
+          },
+          remove: function(callback) {
+            if (!docs.length) {
+              done = true;
+              return callback(null);
+            }
+            lastId = docs[docs.length - 1]._id;
+            return self.db.remove({ _id: { $in: _.pluck(docs, '_id') } }, callback);
+          },
+          afterDeleteFromTrash: function(callback) {
+            return async.eachSeries(docs, function(doc, callback) {
+              return self.callAllAndEmit('docAfterDeleteFromTrash', 'afterDeleteFromTrash', req, doc, callback);
+            }, callback);
+          }
+        }, function(err) {
+          return callback(err);
+        });
+      },
+      function(err) {
+        return callback(err);
+      }
+    );
+  };
+
+  // Returns the MongoDB projection used to fetch the docs discarded
+  // by `deleteFromTrash`, which are passed to `docAfterDeleteFromTrash`
+  // handlers. If a handler of yours needs other properties, extend
+  // this method to add them.
+
+  self.getDeleteFromTrashProjection = function() {
+    return {
+      _id: 1,
+      type: 1,
+      title: 1,
+      slug: 1,
+      path: 1,
+      level: 1,
+      trashedAt: 1
+    };
   };
 
   // bc wrapper for self.deleteFromTrash
@@ -542,6 +989,327 @@ module.exports = function(self, options) {
     return self.deleteFromTrash(req, idOrCriteria, callback);
   };
 
+  // Returns the number of days a doc of the given type may
+  // remain in the trash before `purgeTrash` discards it forever,
+  // or `false` if docs of that type are never purged. The
+  // `trashRetention` option of the doc type's manager takes
+  // precedence over the `trashRetention` option of this module.
+
+  self.getTrashRetention = function(type) {
+    var manager = self.getManager(type);
+    var retention = manager && manager.options.trashRetention;
+    if (retention === undefined) {
+      retention = self.options.trashRetention;
+    }
+    if (!retention) {
+      return false;
+    }
+    if (!((typeof retention) === 'number') || (retention <= 0)) {
+      throw new Error('The trashRetention option must be a number of days, or false');
+    }
+    return retention;
+  };
+
+  // Permanently discard docs that have been in the trash longer than
+  // the `trashRetention` option allows for their type, via
+  // `deleteFromTrash` (for pages, via `apos.pages.deleteFromTrash`,
+  // which also discards their descendants in the trash).
+  //
+  // If `options.dryRun` is true nothing is discarded.
+  //
+  // The callback receives `(err, docs)`, where `docs` is an array of
+  // the docs that were (or with `dryRun`, would have been) discarded,
+  // with `_id`, `type`, `title`, `slug` and `trashedAt` properties.
+  // Descendants of purged pages are not listed separately.
+  //
+  // The `options` argument may be omitted entirely.
+
+  self.purgeTrash = function(req, options, callback) {
+    if (arguments.length === 2) {
+      callback = options;
+      options = {};
+    }
+    if (!(req && req.res)) {
+      return callback(new Error('You forgot to pass req as the first argument'));
+    }
+    var now = Date.now();
+    var purged = [];
+    var types;
+    try {
+      types = _.filter(self.getManaged(), function(type) {
+        return self.getTrashRetention(type);
+      });
+    } catch (e) {
+      return callback(e);
+    }
+    return async.eachSeries(types, function(type, callback) {
+      var cutoff = new Date(now - self.getTrashRetention(type) * 24 * 60 * 60 * 1000);
+      return self.find(req, {
+        type: type,
+        trashedAt: { $lt: cutoff },
+        // Never the trashcan page itself
+        parkedId: { $exists: 0 }
+      }, {
+        _id: 1,
+        type: 1,
+        title: 1,
+        slug: 1,
+        path: 1,
+        level: 1,
+        trashedAt: 1
+      })
+        .trash(true)
+        .published(null)
+        .areas(false)
+        .joins(false)
+        .permission('publish-doc')
+        .sort({ level: 1, _id: 1 })
+        .toArray(function(err, docs) {
+          if (err) {
+            return callback(err);
+          }
+          return async.eachSeries(docs, purgeOne, callback);
+        });
+    }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, purged);
+    });
+
+    function purgeOne(doc, callback) {
+      var isPage = self.apos.pages.isPage(doc);
+      if (isPage && _.find(purged, function(ancestor) {
+        return ancestor.path && (doc.path.indexOf(ancestor.path + '/') === 0);
+      })) {
+        // Already discarded along with an ancestor
+        return callback(null);
+      }
+      purged.push(_.pick(doc, '_id', 'type', 'title', 'slug', 'path', 'trashedAt'));
+      if (options.dryRun) {
+        return callback(null);
+      }
+      if (isPage) {
+        return self.apos.pages.deleteFromTrash(req, doc._id, function(err) {
+          return callback(err);
+        });
+      }
+      return self.deleteFromTrash(req, doc._id, callback);
+    }
+  };
+
+  // Docs that were trashed before `trashedAt` was introduced
+  // begin their retention period when this migration runs.
+
+  self.addTrashedAtMigration = function() {
+    self.apos.migrations.add(self.__meta.name + '.trashedAt', function(callback) {
+      return self.db.update({
+        trash: true,
+        trashedAt: { $exists: 0 }
+      }, {
+        $set: {
+          trashedAt: new Date()
+        }
+      }, {
+        multi: true
+      }, callback);
+    });
+  };
+
+  // Implements scheduled publishing for a doc that is about to be saved,
+  // based on its `publishAt` and `unpublishAt` dates. If the doc's type
+  // has the `scheduledPublishing` option they are `datetime` fields of
+  // its schema, so editors choose the time zone. Docs of other types may
+  // set them directly.
+  //
+  // A `publishAt` date in the future means the doc is not published yet.
+  // Once `publishAt` or `unpublishAt` has passed, the `published` flag is
+  // set accordingly and the schedule is cleared, so a stored schedule is
+  // always in the future. Called by `docBeforeSave`.
+
+  self.applySchedule = function(doc) {
+    var now = new Date();
+    if (doc.publishAt) {
+      if (doc.publishAt <= now) {
+        doc.published = true;
+        self.clearSchedule(doc, 'publish');
+      } else {
+        doc.published = false;
+      }
+    }
+    if (doc.unpublishAt && (doc.unpublishAt <= now)) {
+      doc.published = false;
+      self.clearSchedule(doc, 'unpublish');
+    }
+  };
+
+  // Cancel a scheduled `publish` or `unpublish` action for the doc,
+  // clearing the schema field and its zone if its type has the
+  // `scheduledPublishing` option. Used by the publish and unpublish
+  // routes, which take effect immediately.
+
+  self.clearSchedule = function(doc, action) {
+    var manager = self.getManager(doc.type);
+    if (manager && manager.options.scheduledPublishing) {
+      doc[action + 'At'] = null;
+      doc[action + 'AtZone'] = null;
+    } else {
+      delete doc[action + 'At'];
+    }
+  };
+
+  // Returns MongoDB criteria matching docs that are published right now,
+  // taking `publishAt` and `unpublishAt` into account in case the
+  // scheduler has not caught up with them yet. Used by the `published`
+  // cursor filter for anonymous users, and by the `view` permission.
+
+  self.getPublishedCriteria = function() {
+    var now = new Date();
+    return {
+      $and: [
+        {
+          $or: [
+            {
+              published: true
+            },
+            {
+              publishAt: { $lte: now }
+            }
+          ]
+        },
+        {
+          unpublishAt: { $not: { $lte: now } }
+        }
+      ]
+    };
+  };
+
+  // Returns true if the doc is published right now. See
+  // `getPublishedCriteria`.
+
+  self.isPublished = function(doc) {
+    var now = new Date();
+    if (doc.unpublishAt && (doc.unpublishAt <= now)) {
+      return false;
+    }
+    return !!(doc.published || (doc.publishAt && (doc.publishAt <= now)));
+  };
+
+  // Publish and unpublish docs whose `publishAt` or `unpublishAt` date
+  // has passed, by updating them in the usual way via their manager, so
+  // that all of the usual save hooks run and `applySchedule` flips the
+  // `published` flag. Docs in the trash are left alone. Errors for
+  // individual docs are logged and do not stop the rest. Delivers
+  // `(err, docs)` where `docs` are the docs that were updated.
+  //
+  // This runs every `scheduleInterval` milliseconds in each web process
+  // (see the module documentation), within a lock so that only one
+  // process does the work at a time, and can also be run via the
+  // `apostrophe-docs:publish-scheduled` task.
+
+  self.publishScheduled = function(req, callback) {
+    var now = new Date();
+    var updated = [];
+    return self.db.findWithProjection({
+      $or: [
+        {
+          publishAt: { $lte: now }
+        },
+        {
+          unpublishAt: { $lte: now }
+        }
+      ],
+      trash: { $ne: true }
+    }, { _id: 1 }).toArray(function(err, docs) {
+      if (err) {
+        return callback(err);
+      }
+      return async.eachSeries(_.pluck(docs, '_id'), function(_id, callback) {
+        return self.find(req, { _id: _id }).published(null).permission('edit').toObject(function(err, doc) {
+          if (err) {
+            return callback(err);
+          }
+          if (!doc) {
+            return callback(null);
+          }
+          return self.updateScheduled(req, doc, function(err) {
+            if (err) {
+              self.apos.utils.error('Unable to apply the publishing schedule of ' + doc._id + ':', err);
+              return callback(null);
+            }
+            updated.push(doc);
+            return callback(null);
+          });
+        });
+      }, function(err) {
+        return callback(err, updated);
+      });
+    });
+  };
+
+  // Save a doc whose publishing schedule has come due via the update
+  // method of the appropriate module, so that type-specific `beforeSave`
+  // and `afterSave` methods run too. Called by `publishScheduled`.
+
+  self.updateScheduled = function(req, doc, callback) {
+    var manager = self.getManager(doc.type);
+    if (self.apos.pages.isPage(doc)) {
+      return self.apos.pages.update(req, doc, callback);
+    }
+    if (manager && manager.update) {
+      return manager.update(req, doc, callback);
+    }
+    return self.update(req, doc, callback);
+  };
+
+  // Invokes `publishScheduled` every `scheduleInterval` milliseconds,
+  // unless that option is `false`. Does nothing in command line tasks.
+  // If another process is already running the scheduler, this round
+  // is skipped.
+
+  self.startScheduler = function() {
+    if (self.apos.isTask() || (self.options.scheduleInterval === false)) {
+      return;
+    }
+    self.schedulerInterval = setInterval(self.runScheduler, self.options.scheduleInterval || 60000);
+  };
+
+  self.runScheduler = function() {
+    if (self.schedulerRunning || self.apos.db.closed) {
+      return;
+    }
+    self.schedulerRunning = true;
+    return self.apos.locks.lock('apostrophe-docs-scheduler', { wait: false }, function(err) {
+      if (err) {
+        self.schedulerRunning = false;
+        if (err !== 'locked') {
+          self.apos.utils.error(err);
+        }
+        return;
+      }
+      return self.publishScheduled(self.apos.tasks.getReq(), function(err) {
+        if (err) {
+          self.apos.utils.error(err);
+        }
+        return self.apos.locks.unlock('apostrophe-docs-scheduler', function(err) {
+          self.schedulerRunning = false;
+          if (err) {
+            self.apos.utils.error(err);
+          }
+        });
+      });
+    });
+  };
+
+  // Invoked by `callAll` when `apos.destroy` is called.
+  // Stops the scheduler.
+
+  self.apostropheDestroy = function() {
+    if (self.schedulerInterval) {
+      clearInterval(self.schedulerInterval);
+    }
+  };
+
   // Recursively visit every property of a doc,
   // invoking an iterator function for each one. Optionally
   // deletes properties.
@@ -697,6 +1465,7 @@ module.exports = function(self, options) {
       doc._id = self.apos.utils.generateId();
     }
     doc.createdAt = new Date();
+    doc.aposRevision = 1;
   };
 
   // Called by `docBeforeInsert` to confirm that the user
@@ -727,7 +1496,10 @@ module.exports = function(self, options) {
   // error if there is neither slug nor title.
   //
   // Also implements the "sortify" behavior for
-  // fields that specify it in the schema.
+  // fields that specify it in the schema,
+  // maintains `trashedAt` when the `trash` flag
+  // is set or cleared via an update, and applies
+  // the publishing schedule (see `applySchedule`).
   //
   // Note that methods of this name are invoked
   // on ALL modules that have them, starting with
@@ -746,6 +1518,14 @@ module.exports = function(self, options) {
       throw new Error('The options argument must be an object');
     }
     self.ensureSlug(doc);
+    if (doc.trash) {
+      if (!doc.trashedAt) {
+        doc.trashedAt = new Date();
+      }
+    } else {
+      delete doc.trashedAt;
+    }
+    self.applySchedule(doc);
     var manager = self.getManager(doc.type);
     _.each(manager.schema, function(field) {
       if (field.sortify) {
@@ -842,8 +1622,46 @@ module.exports = function(self, options) {
     if (!(options && ((typeof options) === 'object'))) {
       return callback(new Error('The options argument must be an object'));
     }
+    var explicit = (options.expectedRevision !== undefined);
     return self.retryUntilUnique(req, doc, function(callback) {
-      return self.db.update({ _id: doc._id }, self.apos.utils.clonePermanent(doc), callback);
+      // Without an expected revision, start from the revision of the copy
+      // being saved and retry with the stored one if another update came
+      // first. Either way the revision is only incremented if it did not
+      // change in the meantime, so concurrent updates never both claim
+      // the same revision
+      return attempt(explicit ? options.expectedRevision : (doc.aposRevision || 0));
+
+      function attempt(expected) {
+        var criteria = {
+          _id: doc._id,
+          // Docs that predate revisions match an expected revision of 0
+          aposRevision: expected || { $in: [ 0, null ] }
+        };
+        doc.aposRevision = expected + 1;
+        return self.db.update(criteria, self.apos.utils.clonePermanent(doc), function(err, result) {
+          if (err) {
+            doc.aposRevision = expected;
+            return callback(err);
+          }
+          if (result.result.n) {
+            return callback(null);
+          }
+          doc.aposRevision = expected;
+          if (explicit) {
+            return callback('conflict');
+          }
+          return self.db.findOne({ _id: doc._id }, { aposRevision: 1 }, function(err, stored) {
+            if (err) {
+              return callback(err);
+            }
+            if (!stored) {
+              // Nothing to update
+              return callback(null);
+            }
+            return attempt(stored.aposRevision || 0);
+          });
+        });
+      }
     }, callback);
   };
 
@@ -865,6 +1683,120 @@ module.exports = function(self, options) {
     }, callback);
   };
 
+  // Insert the docs of a batch that have not failed so far. Called by
+  // `.insertMany()`. The docs are written in a single operation; any that
+  // could not be written that way, for instance due to a slug conflict,
+  // are retried one at a time via `insertBody`, and marked as failed
+  // in the batch if that also fails. You may override this method to
+  // change the implementation.
+
+  self.insertManyBody = function(req, batch, options, callback) {
+    var docs;
+    return async.series([
+      existing,
+      insert
+    ], callback);
+
+    // Docs with the _id of an existing doc can never be inserted
+    function existing(callback) {
+      return self.db.findWithProjection({ _id: { $in: _.pluck(batch.docs(), '_id') } }, { _id: 1 }).toArray(function(err, found) {
+        if (err) {
+          return callback(err);
+        }
+        var existing = _.indexBy(found, '_id');
+        _.each(batch.docs(), function(doc) {
+          if (existing[doc._id]) {
+            batch.fail(doc, new Error('A doc with the _id ' + doc._id + ' already exists'));
+          }
+        });
+        docs = batch.docs();
+        return callback(null);
+      });
+    }
+
+    function insert(callback) {
+      if (!docs.length) {
+        return callback(null);
+      }
+      return self.db.insert(_.map(docs, self.apos.utils.clonePermanent), { ordered: false }, function(err) {
+        if (!err) {
+          return callback(null);
+        }
+        // Find out which docs did make it, rather than relying on
+        // the details of the bulk write error
+        return self.db.findWithProjection({ _id: { $in: _.pluck(docs, '_id') } }, { _id: 1 }).toArray(function(err, found) {
+          if (err) {
+            return callback(err);
+          }
+          var inserted = _.indexBy(found, '_id');
+          return self.eachInBatch(batch, function(doc, callback) {
+            if (inserted[doc._id]) {
+              return callback(null);
+            }
+            return self.insertBody(req, doc, options, callback);
+          }, callback);
+        });
+      });
+    }
+  };
+
+  // Update the docs of a batch that have not failed so far. Called by
+  // `.updateMany()`. As in `updateBody`, each doc is only written if its
+  // stored `aposRevision` is still the one it is incremented from, and
+  // the docs are written in a single operation. If any of them could not
+  // be written that way, because of an error or because another update
+  // came first, they are all retried one at a time via `updateBody`,
+  // which retries with the stored revision, and marked as failed in the
+  // batch if that also fails. You may override this method to change
+  // the implementation.
+
+  self.updateManyBody = function(req, batch, options, callback) {
+    var docs = batch.docs();
+    if (!docs.length) {
+      return setImmediate(callback);
+    }
+    // The stored revisions are only a first guess, the writes
+    // check them again
+    return self.db.findWithProjection({ _id: { $in: _.pluck(docs, '_id') } }, { aposRevision: 1 }).toArray(function(err, stored) {
+      if (err) {
+        return callback(err);
+      }
+      var revisions = _.indexBy(stored, '_id');
+      var expected = _.map(docs, function(doc) {
+        return (revisions[doc._id] && revisions[doc._id].aposRevision) || 0;
+      });
+      return self.db.bulkWrite(_.map(docs, function(doc, i) {
+        doc.aposRevision = expected[i] + 1;
+        return {
+          replaceOne: {
+            filter: {
+              _id: doc._id,
+              // Docs that predate revisions match an expected revision of 0
+              aposRevision: expected[i] || { $in: [ 0, null ] }
+            },
+            replacement: self.apos.utils.clonePermanent(doc)
+          }
+        };
+      }), { ordered: false }, function(err, result) {
+        if ((!err) && (getMatchedCount(result) === docs.length)) {
+          return callback(null);
+        }
+        // We can't tell which writes missed, so retry them all. A doc
+        // that was written is written again with the next revision
+        _.each(docs, function(doc, i) {
+          doc.aposRevision = expected[i];
+        });
+        return self.eachInBatch(batch, function(doc, callback) {
+          return self.updateBody(req, doc, options, callback);
+        }, callback);
+      });
+    });
+
+    function getMatchedCount(result) {
+      return (result.matchedCount !== undefined) ? result.matchedCount : result.nMatched;
+    }
+  };
+
   // Given either an id (as a string) or a criteria
   // object, return a criteria object.
 
@@ -935,7 +1867,7 @@ module.exports = function(self, options) {
   // etc.
 
   self.docUnversionedFields = function(req, doc, fields) {
-    fields.push('slug', 'docPermissions', 'viewUserIds', 'viewGroupIds', 'editUserIds', 'editGroupIds', 'loginRequired');
+    fields.push('slug', 'trashedAt', 'aposRevision', 'docPermissions', 'viewUserIds', 'viewGroupIds', 'editUserIds', 'editGroupIds', 'loginRequired');
   };
 
   // Lock the given doc id to a given `contextId`, such
@@ -1011,6 +1943,7 @@ module.exports = function(self, options) {
     return self.db.update(criteria, {
       $set: {
         advisoryLock: {
+          userId: req.user && req.user._id,
           username: req.user && req.user.username,
           title: req.user && req.user.title,
           _id: contextId,
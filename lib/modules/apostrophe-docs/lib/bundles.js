@@ -0,0 +1,521 @@
+// Portable bundles of docs and their attachments, for moving content
+// between environments. See the `apostrophe-docs:export` and
+// `apostrophe-docs:import` tasks.
+//
+// A bundle is a gzipped JSON Lines file. The first line is a `meta`
+// record, followed by one `doc` record per doc and one `attachment`
+// record per attachment, the latter carrying the original file as
+// base64 data. Dates are written as `{ "$date": "ISO string" }` so
+// that they survive the round trip.
+
+var async = require('async');
+var _ = require('@sailshq/lodash');
+var fs = require('fs');
+var zlib = require('zlib');
+var readline = require('readline');
+var Promise = require('bluebird');
+
+module.exports = function(self, options) {
+
+  self.bundleVersion = 1;
+
+  // Write a bundle of the docs matching `selection` to `file`.
+  // `selection` may contain `ids`, `types` (arrays of strings) and
+  // `page` (the `_id` or slug of a page, which is exported together
+  // with all of its descendants). Docs matching any of these are
+  // included, subject to the edit permissions of `req`. Docs in the
+  // trash are never exported.
+  //
+  // Delivers `(err, { docs: n, attachments: n })` to the callback.
+  // Returns a promise if no callback is given.
+
+  self.exportBundle = function(req, selection, file, callback) {
+    if (!callback) {
+      return Promise.promisify(body)();
+    }
+    return body(callback);
+
+    function body(callback) {
+      var docs;
+      var attachments;
+      var out;
+      return async.series([
+        getDocs,
+        getAttachments,
+        write
+      ], function(err) {
+        if (err) {
+          return callback(err);
+        }
+        return callback(null, { docs: docs.length, attachments: attachments.length });
+      });
+
+      function getDocs(callback) {
+        return self.getBundleDocs(req, selection, function(err, _docs) {
+          docs = _docs;
+          return callback(err);
+        });
+      }
+
+      function getAttachments(callback) {
+        var ids = _.uniq(_.pluck(_.flatten(_.map(docs, function(doc) {
+          return self.apos.attachments.all(doc);
+        })), '_id'));
+        return self.apos.attachments.db.findWithProjection({ _id: { $in: ids } }).toArray(function(err, _attachments) {
+          attachments = _attachments;
+          return callback(err);
+        });
+      }
+
+      function write(callback) {
+        var gzip = zlib.createGzip();
+        out = fs.createWriteStream(file);
+        gzip.pipe(out);
+        return async.series([
+          function(callback) {
+            return writeRecord(gzip, { type: 'meta', version: self.bundleVersion, createdAt: new Date() }, callback);
+          },
+          function(callback) {
+            return async.eachSeries(docs, function(doc, callback) {
+              return writeRecord(gzip, { type: 'doc', doc: doc }, callback);
+            }, callback);
+          },
+          function(callback) {
+            return async.eachSeries(attachments, function(attachment, callback) {
+              return self.readBundleAttachment(attachment, function(err, data) {
+                if (err) {
+                  return callback(err);
+                }
+                return writeRecord(gzip, { type: 'attachment', attachment: attachment, data: data }, callback);
+              });
+            }, callback);
+          }
+        ], function(err) {
+          if (err) {
+            gzip.end();
+            return callback(err);
+          }
+          out.on('finish', function() {
+            return callback(null);
+          });
+          gzip.end();
+        });
+      }
+    }
+
+    function writeRecord(stream, record, callback) {
+      if (stream.write(self.stringifyBundleRecord(record) + '\n')) {
+        return setImmediate(callback);
+      }
+      return stream.once('drain', callback);
+    }
+  };
+
+  // Deliver the docs of a bundle, as stored in the database, for
+  // `selection` (see `exportBundle`). Pages are sorted by depth so
+  // that parents always precede their children.
+
+  self.getBundleDocs = function(req, selection, callback) {
+    var clauses = [];
+    if (selection.ids && selection.ids.length) {
+      clauses.push({ _id: { $in: selection.ids } });
+    }
+    if (selection.types && selection.types.length) {
+      clauses.push({ type: { $in: selection.types } });
+    }
+    return async.series([
+      function(callback) {
+        if (!selection.page) {
+          return callback(null);
+        }
+        return self.apos.pages.find(req, { $or: [ { _id: selection.page }, { slug: selection.page } ] }).permission('edit').published(null).areas(false).joins(false).toObject(function(err, page) {
+          if (err) {
+            return callback(err);
+          }
+          if (!page) {
+            return callback(new Error('The page ' + selection.page + ' was not found.'));
+          }
+          clauses.push({ $or: [ { _id: page._id }, { path: self.apos.pages.matchDescendants(page) } ] });
+          return callback(null);
+        });
+      }
+    ], function(err) {
+      if (err) {
+        return callback(err);
+      }
+      if (!clauses.length) {
+        return callback(new Error('You must select docs by ids, types or page.'));
+      }
+      return self.find(req, { $or: clauses }).permission('edit').published(null).areas(false).joins(false).sort({ level: 1, rank: 1, _id: 1 }).toArray(function(err, docs) {
+        if (err) {
+          return callback(err);
+        }
+        return callback(null, _.map(docs, self.apos.utils.clonePermanent));
+      });
+    });
+  };
+
+  // Deliver the original file of an attachment as a base64 string.
+
+  self.readBundleAttachment = function(attachment, callback) {
+    var uploadfs = self.apos.attachments.uploadfs;
+    var tempFile = uploadfs.getTempPath() + '/' + self.apos.utils.generateId() + '.' + attachment.extension;
+    return uploadfs.copyOut('/attachments/' + attachment._id + '-' + attachment.name + '.' + attachment.extension, tempFile, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return fs.readFile(tempFile, function(err, data) {
+        fs.unlink(tempFile, function() { });
+        return callback(err, data && data.toString('base64'));
+      });
+    });
+  };
+
+  // Import the bundle in `file`. Every doc receives a new `_id`, and
+  // every reference to the old `_id` within the bundle, such as joins,
+  // is updated to match. References to docs that are not in the bundle
+  // are left alone. Slug conflicts are resolved in the usual way by
+  // `retryUntilUnique`, so importing a bundle twice yields two copies.
+  //
+  // Pages whose parent is not in the bundle are inserted as the last
+  // children of `options.parent` (the `_id` or slug of a page, by default
+  // the home page), and their descendants beneath them, with slugs
+  // adjusted to match. Parked pages, such as the home page, and the
+  // global doc are not inserted: references to them point to their
+  // existing counterparts instead.
+  //
+  // Attachments keep their `_id`, so their files and crops are copied
+  // in only if they are not already present.
+  //
+  // Delivers `(err, { docs: [ ... ], attachments: n })` to the callback,
+  // where `docs` are the newly inserted docs. Returns a promise if no
+  // callback is given.
+
+  self.importBundle = function(req, file, options, callback) {
+    if (!callback) {
+      return Promise.promisify(body)();
+    }
+    return body(callback);
+
+    function body(callback) {
+      var bundle;
+      var parent;
+      var idMap = {};
+      var existing = {};
+      var inserted = [];
+      var attachments = 0;
+      return async.series([
+        read,
+        getParent,
+        mapIds,
+        importAttachments,
+        importDocs
+      ], function(err) {
+        _.each(bundle && bundle.attachments, function(attachment) {
+          fs.unlink(attachment.tempFile, function() { });
+        });
+        if (err) {
+          return callback(err);
+        }
+        return callback(null, { docs: inserted, attachments: attachments });
+      });
+
+      function read(callback) {
+        return self.readBundle(file, function(err, _bundle) {
+          bundle = _bundle;
+          return callback(err);
+        });
+      }
+
+      function getParent(callback) {
+        var criteria = options.parent ? { $or: [ { _id: options.parent }, { slug: options.parent } ] } : { slug: '/' };
+        return self.apos.pages.find(req, criteria).permission('edit').published(null).areas(false).joins(false).toObject(function(err, _parent) {
+          if (err) {
+            return callback(err);
+          }
+          if (!_parent) {
+            return callback(new Error('The parent page ' + (options.parent || '/') + ' was not found.'));
+          }
+          parent = _parent;
+          return callback(null);
+        });
+      }
+
+      // Docs that exist only once per site map to their counterparts,
+      // everything else gets a new _id
+      function mapIds(callback) {
+        var singletons = _.filter(bundle.docs, self.isBundleSingleton);
+        return async.eachSeries(singletons, function(doc, callback) {
+          var criteria = doc.parkedId ? { parkedId: doc.parkedId } : { type: doc.type };
+          return self.db.findOne(criteria, { _id: 1 }, function(err, counterpart) {
+            if (err) {
+              return callback(err);
+            }
+            if (counterpart) {
+              idMap[doc._id] = counterpart._id;
+              existing[doc._id] = true;
+            }
+            return callback(null);
+          });
+        }, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          _.each(bundle.docs, function(doc) {
+            if (!idMap[doc._id]) {
+              idMap[doc._id] = self.apos.utils.generateId();
+            }
+          });
+          return callback(null);
+        });
+      }
+
+      function importAttachments(callback) {
+        return async.eachSeries(bundle.attachments, function(attachment, callback) {
+          return self.importBundleAttachment(req, attachment, function(err, imported) {
+            if (imported) {
+              attachments++;
+            }
+            return callback(err);
+          });
+        }, callback);
+      }
+
+      function importDocs(callback) {
+        var byPath = _.indexBy(_.filter(bundle.docs, 'path'), 'path');
+        var newPages = {};
+        return async.eachSeries(bundle.docs, function(original, callback) {
+          if (existing[original._id]) {
+            return callback(null);
+          }
+          var doc = self.remapIds(_.omit(original, 'aposRevision', 'advisoryLock', 'trash', 'trashedAt'), idMap);
+          var done = function(err) {
+            if (err) {
+              return callback(err);
+            }
+            inserted.push(doc);
+            return callback(null);
+          };
+          if (!self.apos.pages.isPage(original)) {
+            var manager = self.getManager(doc.type);
+            if (manager && self.apos.instanceOf(manager, 'apostrophe-pieces')) {
+              return manager.insert(req, doc, done);
+            }
+            return self.insert(req, doc, done);
+          }
+          var oldParent = byPath[original.path.replace(/\/[^/]*$/, '')];
+          var newParent = (oldParent && newPages[oldParent._id]) || parent;
+          doc.slug = self.rebaseBundleSlug(doc.slug, oldParent, newParent);
+          delete doc.path;
+          delete doc.level;
+          delete doc.rank;
+          return self.apos.pages.insert(req, newParent, doc, function(err) {
+            if (err) {
+              return callback(err);
+            }
+            newPages[original._id] = doc;
+            return done(null);
+          });
+        }, callback);
+      }
+    }
+  };
+
+  // Returns true if `doc` is a doc that should exist only once per
+  // site, such as a parked page or the global doc. `importBundle` does
+  // not insert these if a counterpart already exists.
+
+  self.isBundleSingleton = function(doc) {
+    return !!(doc.parkedId || (doc.type === 'apostrophe-global'));
+  };
+
+  // Returns the slug for an imported page, previously a child of
+  // `oldParent` (undefined if its parent was not in the bundle), now a
+  // child of `newParent`. Slugs that were nested under the slug of the
+  // old parent are nested under the slug of the new parent instead.
+
+  self.rebaseBundleSlug = function(slug, oldParent, newParent) {
+    var prefix = (newParent.slug === '/') ? '' : newParent.slug;
+    if (!oldParent) {
+      return prefix + '/' + require('path').basename(slug);
+    }
+    var oldPrefix = (oldParent.slug === '/') ? '' : oldParent.slug;
+    if (slug.substring(0, oldPrefix.length + 1) === (oldPrefix + '/')) {
+      return prefix + slug.substring(oldPrefix.length);
+    }
+    return slug;
+  };
+
+  // Returns a deep copy of `value` in which every string, and every
+  // object key, that is an `_id` found in `idMap` is replaced with the
+  // corresponding new `_id`. This takes care of joins, including
+  // relationships and joins nested in widgets and array fields,
+  // without knowledge of the schema.
+
+  self.remapIds = function(value, idMap) {
+    if ((typeof value) === 'string') {
+      return _.has(idMap, value) ? idMap[value] : value;
+    }
+    if (Array.isArray(value)) {
+      return _.map(value, function(item) {
+        return self.remapIds(item, idMap);
+      });
+    }
+    if (value && ((typeof value) === 'object') && (value.constructor === Object)) {
+      var result = {};
+      _.each(value, function(v, key) {
+        result[_.has(idMap, key) ? idMap[key] : key] = self.remapIds(v, idMap);
+      });
+      return result;
+    }
+    return value;
+  };
+
+  // Copy an attachment from a bundle into this site, unless an
+  // attachment with the same `_id` already exists. `attachment` is the
+  // attachment record with a `tempFile` property, the path to the
+  // original file. Crops are regenerated. Delivers `(err, imported)`.
+
+  self.importBundleAttachment = function(req, attachment, callback) {
+    var attachments = self.apos.attachments;
+    var info = _.omit(attachment, 'tempFile', 'crops');
+    var crops = _.compact(_.map(Array.isArray(attachment.crops) ? attachment.crops : [], attachments.sanitizeCrop));
+    return attachments.db.findOne({ _id: info._id }, { _id: 1 }, function(err, existing) {
+      if (err) {
+        return callback(err);
+      }
+      if (existing) {
+        return callback(null, false);
+      }
+      var path = '/attachments/' + info._id + '-' + info.name + '.' + info.extension;
+      var copyIn = attachments.isSized(info.extension) ? attachments.uploadfs.copyImageIn : attachments.uploadfs.copyIn;
+      return async.series([
+        function(callback) {
+          return copyIn(attachment.tempFile, path, function(err) {
+            return callback(err);
+          });
+        },
+        function(callback) {
+          // References are recomputed as the docs using it are inserted
+          info.docIds = [];
+          info.trashDocIds = [];
+          info.crops = [];
+          return attachments.db.insert(info, callback);
+        },
+        function(callback) {
+          return async.eachSeries(crops, function(crop, callback) {
+            return attachments.crop(req, info._id, crop, callback);
+          }, callback);
+        }
+      ], function(err) {
+        return callback(err, !err);
+      });
+    });
+  };
+
+  // Read the bundle in `file`. Attachment files are written to
+  // temporary files as they are encountered. Delivers
+  // `(err, { meta: {...}, docs: [ ... ], attachments: [ ... ] })`, where
+  // each attachment has a `tempFile` property. The caller is responsible
+  // for removing the temporary files.
+
+  self.readBundle = function(file, callback) {
+    var bundle = { docs: [], attachments: [] };
+    var uploadfs = self.apos.attachments.uploadfs;
+    var failed = false;
+    var input = fs.createReadStream(file);
+    var gunzip = zlib.createGunzip();
+    input.on('error', fail);
+    gunzip.on('error', fail);
+    var lines = readline.createInterface({ input: input.pipe(gunzip) });
+    lines.on('line', function(line) {
+      if (failed || !line.length) {
+        return;
+      }
+      try {
+        var record = self.parseBundleRecord(line);
+        if (!bundle.meta) {
+          if (record.type !== 'meta') {
+            throw new Error(file + ' is not a bundle of docs.');
+          }
+          if (record.version > self.bundleVersion) {
+            throw new Error(file + ' was written by a newer version of Apostrophe.');
+          }
+          bundle.meta = record;
+        } else if (record.type === 'doc') {
+          bundle.docs.push(record.doc);
+        } else if (record.type === 'attachment') {
+          var attachment = record.attachment;
+          self.validateBundleAttachment(file, attachment);
+          attachment.tempFile = uploadfs.getTempPath() + '/' + self.apos.utils.generateId() + '.' + attachment.extension;
+          fs.writeFileSync(attachment.tempFile, Buffer.from(record.data, 'base64'));
+          bundle.attachments.push(attachment);
+        }
+      } catch (e) {
+        fail(e);
+      }
+    });
+    lines.on('close', function() {
+      if (failed) {
+        return;
+      }
+      if (!bundle.meta) {
+        return fail(new Error(file + ' is not a bundle of docs.'));
+      }
+      return callback(null, bundle);
+    });
+
+    function fail(err) {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      _.each(bundle.attachments, function(attachment) {
+        fs.unlink(attachment.tempFile, function() { });
+      });
+      lines.close();
+      return callback(err);
+    }
+  };
+
+  // Throws an error unless the `_id`, `name` and `extension` of an
+  // attachment record read from `file` are safe to use in file paths,
+  // as they would be for an attachment uploaded to this site. The
+  // extension must belong to one of the configured `fileGroups`.
+  // Bundles may come from anywhere, so they are not trusted.
+
+  self.validateBundleAttachment = function(file, attachment) {
+    var attachments = self.apos.attachments;
+    if (!attachment || (typeof attachment) !== 'object') {
+      throw new Error(file + ' contains an invalid attachment.');
+    }
+    var id = self.apos.launder.id(attachment._id);
+    var name = self.apos.launder.string(attachment.name);
+    var extension = self.apos.launder.string(attachment.extension);
+    if ((!id) || (id !== attachment._id) || (!name) || (self.apos.utils.slugify(name) !== attachment.name)) {
+      throw new Error(file + ' contains an attachment with an invalid _id or name.');
+    }
+    if ((extension !== attachment.extension) || (!extension.match(/^[a-z0-9]+$/)) || (!attachments.getFileGroup(extension))) {
+      throw new Error(file + ' contains an attachment with the extension ' + extension + ', which is not accepted by this site.');
+    }
+  };
+
+  self.stringifyBundleRecord = function(record) {
+    return JSON.stringify(record, function(key, value) {
+      if (this[key] instanceof Date) {
+        return { $date: value };
+      }
+      return value;
+    });
+  };
+
+  self.parseBundleRecord = function(line) {
+    return JSON.parse(line, function(key, value) {
+      if (value && ((typeof value) === 'object') && ((typeof value.$date) === 'string') && (_.keys(value).length === 1)) {
+        return new Date(value.$date);
+      }
+      return value;
+    });
+  };
+
+};
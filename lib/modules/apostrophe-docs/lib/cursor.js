@@ -51,6 +51,8 @@ var Promise = require('bluebird');
 
 var _ = require('@sailshq/lodash');
 var async = require('async');
+var deep = require('deep-get-set');
+var Readable = require('stream').Readable;
 
 // Helpful to find missing setImmediate callbacks
 // var superSetImmediate = setImmediate;
@@ -287,6 +289,60 @@ module.exports = {
       }
     });
 
+    // Filter. Limits results to docs related to `doc`, most related
+    // first, for "more like this" features. Candidates score points for
+    // each tag they share with `doc`, for each doc that both they and
+    // `doc` join with, and for the similarity of their text to the
+    // `highSearchText` of `doc` according to the full text index. `doc`
+    // itself is never included. All other filters still apply, so
+    // `apos.events.find(req).relatedTo(event)` finds related events only.
+    //
+    // `weights` may have `tags`, `joins` and `text` properties to adjust
+    // the importance of each; they default to 1, and 0 ignores that kind
+    // of relationship. Each shared tag or join target is worth its weight
+    // once. The best text match is worth its weight, and the others
+    // proportionally less. The score of each result is available as
+    // its `_relatedScore` property.
+    //
+    // Only 200 candidates of each kind are considered. Text similarity
+    // is ignored when the `search` filter is also used.
+    //
+    // This filter is added before those that add criteria, so the
+    // queries made to find candidates can be based on a clone of the
+    // cursor without doubling them.
+
+    self.addFilter('relatedTo', {
+      set: function(doc, weights) {
+        self.set('relatedTo', doc);
+        self.set('relatedToWeights', weights);
+      },
+      finalize: function(callback) {
+        var doc = self.get('relatedTo');
+        if (!doc) {
+          return callback(null);
+        }
+        return self.getRelatedScores(doc, function(err, scores) {
+          if (err) {
+            return callback(err);
+          }
+          self.set('relatedToScores', scores);
+          self.explicitOrder(_.sortBy(_.keys(scores), function(id) {
+            return -scores[id];
+          }));
+          return callback(null);
+        });
+      },
+      after: function(results) {
+        var scores = self.get('relatedToScores');
+        if (!scores) {
+          return;
+        }
+        _.each(results, function(result) {
+          result._relatedScore = scores[result._id];
+        });
+      }
+    });
+
     // Filter. If set to `true`, it is possible to obtain
     // counts for each distinct value after a call to
     // `toCount()` is resolved by calling
@@ -702,6 +758,10 @@ module.exports = {
     // Regardless of this filter the user's permissions are
     // always taken into account. For instance, a logged-out user will never
     // see unpublished documents unless `permissions(false)` is called.
+    //
+    // For logged-out users, docs whose `publishAt` date has passed are
+    // considered published, and docs whose `unpublishAt` date has passed
+    // are not, even if the scheduler has not updated them yet.
 
     self.addFilter('published', {
       def: true,
@@ -711,6 +771,10 @@ module.exports = {
           return;
         }
         if (published) {
+          if (!self.get('req').user) {
+            self.and(self.apos.docs.getPublishedCriteria());
+            return;
+          }
           self.and({
             published: true
           });
@@ -888,6 +952,58 @@ module.exports = {
       }
     });
 
+    // Filter. If set to `true`, properties the user may not view
+    // according to the `permission` property of the schema fields of
+    // each doc's type are left out of the results. When the cursor is
+    // limited to a single type this is done via the projection, so the
+    // values never leave MongoDB. Used by API routes that send docs to
+    // the browser. Defaults to `false`.
+
+    self.addFilter('fieldPermissions', {
+      def: false,
+      finalize: function() {
+        if (!self.get('fieldPermissions')) {
+          return;
+        }
+        var type = self.get('type');
+        var manager = ((typeof type) === 'string') && self.apos.docs.getManager(type);
+        if (!manager) {
+          return;
+        }
+        var names = self.apos.schemas.getUnviewableFieldNames(self.get('req'), manager.schema);
+        if (!names.length) {
+          return;
+        }
+        var projection = _.clone(self.get('projection') || {});
+        var positive = _.find(projection, function(val, key) {
+          return (key !== '_id') && ((val === 1) || (val === true));
+        });
+        _.each(names, function(name) {
+          if (positive) {
+            delete projection[name];
+          } else {
+            projection[name] = 0;
+          }
+        });
+        self.set('projection', projection);
+      },
+      after: function(results) {
+        if (!self.get('fieldPermissions')) {
+          return;
+        }
+        var req = self.get('req');
+        _.each(results, function(doc) {
+          var manager = self.apos.docs.getManager(doc.type);
+          if (!(manager && manager.schema)) {
+            return;
+          }
+          _.each(self.apos.schemas.getUnviewableFieldNames(req, manager.schema), function(name) {
+            delete doc[name];
+          });
+        });
+      }
+    });
+
     // If set to a doc object, this filter will limit results to the
     // docs that precede it in the current sort order.
     //
@@ -912,6 +1028,52 @@ module.exports = {
       }
     });
 
+    // Filter. Keyset ("cursor-based") pagination. Pass a continuation token
+    // obtained from the `nextToken` property returned by `toPage()` to fetch
+    // the docs that follow it in the current sort order. Unlike the `page`
+    // and `skip` filters this does not require MongoDB to scan all of the
+    // preceding docs, so it stays fast no matter how deep the user pages.
+    //
+    // The token is opaque and is only meaningful with the same sort that
+    // produced it. A token that does not match the current sort is ignored,
+    // as is a malformed token, and the first page is returned instead.
+    //
+    // Usually you will use this filter together with `toPage()`.
+
+    self.addFilter('pageAfter', {
+      finalize: function() {
+        self.finalizeKeyset('pageAfter');
+      },
+      safeFor: 'public',
+      launder: function(s) {
+        s = self.apos.launder.string(s);
+        return self.decodeKeysetToken(s) ? s : undefined;
+      }
+    });
+
+    // Filter. Like `pageAfter`, but fetches the docs that precede the
+    // given continuation token in the current sort order, as obtained from
+    // the `prevToken` property returned by `toPage()`. The docs are still
+    // delivered in the normal sort order.
+
+    self.addFilter('pageBefore', {
+      finalize: function() {
+        self.finalizeKeyset('pageBefore');
+      },
+      after: function(results) {
+        if (self.get('keysetVerb') === 'pageBefore') {
+          // We queried backwards, restore the normal order.
+          // Must modify the array in place
+          results.reverse();
+        }
+      },
+      safeFor: 'public',
+      launder: function(s) {
+        s = self.apos.launder.string(s);
+        return self.decodeKeysetToken(s) ? s : undefined;
+      }
+    });
+
     // The filters automatically added for each schema field are marked as
     // `safeFor: "manage"` because of the risk they will be used to get information
     // the public shouldn't have. You can mark these filters `safeFor: "public"`
@@ -950,23 +1112,35 @@ module.exports = {
         return Promise.promisify(body)();
       }
       function body(callback) {
+        var precomputed = self.get('precomputedDistinct');
+        if (precomputed && _.has(precomputed, property)) {
+          // Already fetched by `toFacets`
+          if (self.get('distinctCounts')) {
+            self.set('distinctCounts', precomputed[property].counts);
+          }
+          return setImmediate(_.partial(callback, null, precomputed[property].values));
+        }
         return self.finalize(function(err) {
           if (err) {
             return callback(err);
           }
           if (!self.get('distinctCounts')) {
-            return self.db.distinct(property, self.get('criteria'), callback);
+            return self.timeQuery('toDistinct', self, function(callback) {
+              return self.db.distinct(property, self.get('criteria'), callback);
+            }, callback);
           } else {
-            return distinctCounts({ unwind: true }, function(err, results) {
-              if (!err) {
-                return callback(null, results);
-              }
-              // Try again without $unwind for mongodb < 3.2,
-              // which doesn't like $unwind for non-array
-              // properties. Newer will treat them like
-              // single-value arrays and make only one query
-              return distinctCounts({ unwind: false }, callback);
-            });
+            return self.timeQuery('toDistinct', self, function(callback) {
+              return distinctCounts({ unwind: true }, function(err, results) {
+                if (!err) {
+                  return callback(null, results);
+                }
+                // Try again without $unwind for mongodb < 3.2,
+                // which doesn't like $unwind for non-array
+                // properties. Newer will treat them like
+                // single-value arrays and make only one query
+                return distinctCounts({ unwind: false }, callback);
+              });
+            }, callback);
           }
         });
         function distinctCounts(options, callback) {
@@ -988,30 +1162,16 @@ module.exports = {
               }
             }
           ]);
-          return self.db.aggregate(pipeline, function(err, results) {
+          return self.aggregateToArray(pipeline, function(err, results) {
             if (err) {
               return callback(err);
             }
-            if (results.toArray) {
-              // from apostrophe-db-mongo-3-driver
-              return results.toArray(function(err, results) {
-                if (err) {
-                  return callback(err);
-                }
-                return handleResults(results);
-              });
-            } else {
-              // from the 2.x driver or our compatibility wrapper
-              return handleResults(results);
-            }
-            function handleResults(results) {
-              var counts = {};
-              _.each(results, function(doc) {
-                counts[doc._id] = doc.count;
-              });
-              self.set('distinctCounts', counts);
-              return callback(null, _.pluck(results, '_id'));
-            }
+            var counts = {};
+            _.each(results, function(doc) {
+              counts[doc._id] = doc.count;
+            });
+            self.set('distinctCounts', counts);
+            return callback(null, _.pluck(results, '_id'));
           });
         }
       }
@@ -1109,6 +1269,225 @@ module.exports = {
       }
     };
 
+    // Invokes callback with `(err, facets)` where `facets` is an object
+    // with a property for each of the named filters. Each property is an
+    // array of choices, just like those returned by `toChoices`. The
+    // choices for each filter take all of the other filters currently in
+    // effect into account, but not that filter itself, so that the user
+    // can see what else they could pick (filtering by topic pares down the
+    // list of categories and vice versa).
+    //
+    // `filters` is an array. Each entry may be a filter name or an object
+    // with a `name` property and an optional `counts` property. If `counts`
+    // is true, each choice also has a `count` property. This is the same
+    // format as the `piecesFilters` option of `apostrophe-pieces-pages`.
+    //
+    // Unlike calling `toChoices` once per filter, the values and counts
+    // for all of the filters are obtained with a single aggregation query.
+    // Choices for joins still require a query to fetch the titles of the
+    // joined docs. Falls back to one query per filter with MongoDB versions
+    // older than 3.4, which lack the `$facet` stage, or if criteria
+    // incompatible with aggregation, such as `$near`, are present. Other
+    // errors of the aggregation query are reported.
+    //
+    // Returns a promise if invoked without a callback.
+
+    self.toFacets = function(filters, callback) {
+      if (callback) {
+        return body(callback);
+      } else {
+        return Promise.promisify(body)();
+      }
+      function body(callback) {
+        filters = _.map(filters, function(filter) {
+          return ((typeof filter) === 'string') ? { name: filter } : filter;
+        });
+        var names = _.pluck(filters, 'name');
+        var base = self.clone();
+        var cursors = {};
+        var precomputed;
+        var facets = {};
+        _.each(names, function(name) {
+          base[name](undefined);
+          // The choices for each filter should reflect the effect of all
+          // filters except this one
+          var cursor = self.clone();
+          cursor[name](undefined);
+          cursors[name] = cursor;
+        });
+        return async.series([
+          finalize,
+          aggregate,
+          choices
+        ], function(err) {
+          if (err) {
+            return callback(err);
+          }
+          return callback(null, facets);
+        });
+
+        function finalize(callback) {
+          return async.eachSeries([ base ].concat(_.values(cursors)), function(cursor, callback) {
+            return cursor.finalize(callback);
+          }, callback);
+        }
+
+        function aggregate(callback) {
+          if (_.find([ base ].concat(_.values(cursors)), function(cursor) {
+            return cursor.get('lateCriteria');
+          })) {
+            // No aggregation for you, fall back to toDistinct queries
+            return callback(null);
+          }
+          var $facet = {};
+          var properties = {};
+          _.each(names, function(name, i) {
+            var property = self.getFacetProperty(name);
+            properties['f' + i] = property;
+            $facet['f' + i] = [
+              {
+                // MongoDB allows $text only in the first $match of
+                // the pipeline, where the base criteria already have it
+                $match: self.withoutTextCriteria(cursors[name].get('criteria'))
+              },
+              {
+                $unwind: '$' + property
+              },
+              {
+                $group: {
+                  _id: '$' + property,
+                  count: {
+                    $sum: 1
+                  }
+                }
+              }
+            ];
+          });
+          var pipeline = [
+            {
+              $match: base.get('criteria')
+            },
+            {
+              $facet: $facet
+            }
+          ];
+          return self.aggregateToArray(pipeline, function(err, results) {
+            if (err) {
+              if (self.isUnsupportedStageError(err)) {
+                // MongoDB < 3.4 has no $facet, fall back to toDistinct queries
+                return callback(null);
+              }
+              return callback(err);
+            }
+            precomputed = {};
+            _.each(results[0], function(groups, key) {
+              var counts = {};
+              _.each(groups, function(group) {
+                counts[group._id] = group.count;
+              });
+              precomputed[key] = {
+                property: properties[key],
+                values: _.pluck(groups, '_id'),
+                counts: counts
+              };
+            });
+            return callback(null);
+          });
+        }
+
+        function choices(callback) {
+          return async.eachSeries(filters, function(filter, callback) {
+            var i = _.indexOf(names, filter.name);
+            // Fresh clone, since the previous one is finalized
+            var cursor = self.clone();
+            cursor[filter.name](undefined);
+            if (precomputed) {
+              var facet = precomputed['f' + i];
+              var distinct = {};
+              distinct[facet.property] = facet;
+              cursor.set('precomputedDistinct', distinct);
+            }
+            return cursor.toChoices(filter.name, { counts: !!filter.counts }, function(err, choices) {
+              if (err) {
+                return callback(err);
+              }
+              facets[filter.name] = choices;
+              return callback(null);
+            });
+          }, callback);
+        }
+      }
+    };
+
+    // Returns the name of the property in the database that the named
+    // filter examines, for use by `toFacets`. For join filters this is
+    // the `idField` or `idsField` of the join, including the filters
+    // that accept slugs. Otherwise it is assumed to be the name of the
+    // filter. Override this method if you have a custom filter that
+    // works differently and should be usable with `toFacets`.
+
+    self.getFacetProperty = function(name) {
+      var type = self.get('type');
+      var manager = type && self.apos.docs.getManager(type);
+      var schema = (manager && manager.schema) || [];
+      var field = _.find(schema, function(field) {
+        if (!field.type.match(/^joinBy(One|Array)$/)) {
+          return false;
+        }
+        return _.contains([ field.name, field.name + 'And', field.name.replace(/^_/, ''), field.name.replace(/^_/, '') + 'And' ], name);
+      });
+      if (field) {
+        return (field.type === 'joinByOne') ? field.idField : field.idsField;
+      }
+      return name;
+    };
+
+    // Returns a deep copy of MongoDB criteria with any `$text` clauses
+    // removed. Used by `toFacets`.
+
+    self.withoutTextCriteria = function(criteria) {
+      if (Array.isArray(criteria)) {
+        return _.map(criteria, self.withoutTextCriteria);
+      }
+      if (!(criteria && ((typeof criteria) === 'object') && (criteria.constructor === Object))) {
+        return criteria;
+      }
+      var result = {};
+      _.each(criteria, function(val, key) {
+        if (key === '$text') {
+          return;
+        }
+        result[key] = self.withoutTextCriteria(val);
+      });
+      return result;
+    };
+
+    // Runs a MongoDB aggregation pipeline on the docs collection and
+    // invokes `callback` with `(err, results)`, where `results` is an
+    // array, regardless of the MongoDB driver in use.
+
+    self.aggregateToArray = function(pipeline, callback) {
+      return self.db.aggregate(pipeline, function(err, results) {
+        if (err) {
+          return callback(err);
+        }
+        if (results.toArray) {
+          // from apostrophe-db-mongo-3-driver
+          return results.toArray(callback);
+        }
+        // from the 2.x driver or our compatibility wrapper
+        return callback(null, results);
+      });
+    };
+
+    // Returns true if `err` is the error MongoDB reports for an
+    // aggregation pipeline stage it does not recognize, such as `$facet`
+    // before MongoDB 3.4.
+
+    self.isUnsupportedStageError = function(err) {
+      return !!(err && (_.includes([ 16436, 40324 ], err.code) || (err.message && err.message.match(/Unrecognized pipeline stage name/))));
+    };
+
     self.legacyChoices = function(name, callback) {
       var truthyFound = false;
       var falsyFound = false;
@@ -1181,7 +1560,8 @@ module.exports = {
 
     // Invokes callback with `(err, count)` where
     // `count` is the number of documents matching
-    // the query, ignoring the `page`, `skip` and `limit` filters.
+    // the query, ignoring the `page`, `skip`, `limit`,
+    // `pageAfter` and `pageBefore` filters.
     //
     // If the `perPage` filter is set, `totalPages` is
     // made available via `cursor.get('totalPages')`.
@@ -1202,11 +1582,15 @@ module.exports = {
         cursor.limit(undefined);
         cursor.page(undefined);
         cursor.perPage(undefined);
+        cursor.pageAfter(undefined);
+        cursor.pageBefore(undefined);
         return cursor.toMongo(function(err, mongo) {
           if (err) {
             return callback(err);
           }
-          return mongo.count(function(err, count) {
+          return cursor.timeQuery('toCount', cursor, function(callback) {
+            return mongo.count(callback);
+          }, function(err, count) {
             if (err) {
               return callback(err);
             }
@@ -1245,6 +1629,258 @@ module.exports = {
       }
     };
 
+    // Invokes callback with `(err, page)` where `page` is an object
+    // with `docs`, `nextToken` and `prevToken` properties. `docs` contains
+    // up to `perPage` documents (or `limit`, if `perPage` is not set)
+    // matching the query. `nextToken` and `prevToken` are continuation
+    // tokens to be passed to the `pageAfter` and `pageBefore` filters of
+    // an otherwise identical cursor to fetch the following or preceding
+    // page. They are `null` if there is nothing more in that direction.
+    //
+    // This is keyset pagination: the `page` and `skip` filters are
+    // ignored. `_id` is automatically added to the sort as a tiebreaker.
+    // The sort must consist of ordinary properties, so a sort by
+    // search result quality cannot be paginated this way.
+    //
+    // Not chainable. If called without a callback, returns a promise.
+
+    self.toPage = function(callback) {
+      if (callback) {
+        return body(callback);
+      } else {
+        return Promise.promisify(body)();
+      }
+      function body(callback) {
+        var perPage = self.get('perPage') || self.get('limit');
+        if (!perPage) {
+          return callback(new Error('toPage() requires the perPage or limit filter'));
+        }
+        var state = _.pick(self.state, 'perPage', 'page', 'skip', 'limit');
+        self.set('perPage', undefined);
+        self.set('page', undefined);
+        self.set('skip', undefined);
+        // Fetch one extra doc so we know whether there is more to come
+        self.set('limit', perPage + 1);
+        return self.finalize(function(err) {
+          if (err) {
+            return callback(err);
+          }
+          var sort = self.get('sortMongo');
+          if (!self.isKeysetSort(sort)) {
+            return callback(new Error('toPage() requires a sort on ordinary properties'));
+          }
+          if (!_.has(sort, '_id')) {
+            sort._id = 1;
+          }
+          self.projectKeysetFields(sort);
+          return self.toArray(function(err, docs) {
+            _.assign(self.state, state);
+            if (err) {
+              return callback(err);
+            }
+            var verb = self.get('keysetVerb');
+            var more = docs.length > perPage;
+            if (more) {
+              if (verb === 'pageBefore') {
+                docs.shift();
+              } else {
+                docs.pop();
+              }
+            }
+            var page = {
+              docs: docs,
+              nextToken: null,
+              prevToken: null
+            };
+            if (!docs.length) {
+              return callback(null, page);
+            }
+            var first = self.encodeKeysetToken(_.first(docs));
+            var last = self.encodeKeysetToken(_.last(docs));
+            if (verb === 'pageBefore') {
+              // The doc we came from follows this page
+              page.nextToken = last;
+              page.prevToken = more ? first : null;
+            } else {
+              page.nextToken = more ? last : null;
+              page.prevToken = verb ? first : null;
+            }
+            return callback(null, page);
+          });
+        });
+      }
+    };
+
+    // Returns a readable stream, in object mode, which delivers
+    // every document matching the query. Documents are fetched in
+    // batches of `options.batchSize` (default: 100), so memory use
+    // stays bounded however many documents match. Permissions,
+    // joins, `addUrls` and all other `after` behavior of the cursor
+    // are applied to each batch exactly as they would be by `toArray`.
+    //
+    // The `limit` filter is respected. The `page`, `perPage` and
+    // `skip` filters are ignored.
+    //
+    // The `options` argument may be omitted. Not chainable.
+    //
+    // ```
+    // apos.docs.getManager('product').find(req).toStream()
+    //   .on('data', function(product) { ... })
+    //   .on('error', function(err) { ... })
+    //   .on('end', function() { ... });
+    // ```
+    //
+    // In Node.js 10 and up the cursor is also an async iterable,
+    // with the same batching behavior:
+    //
+    // ```
+    // for await (const product of apos.docs.getManager('product').find(req)) { ... }
+    // ```
+
+    self.toStream = function(options) {
+      var batches = self.toBatches(options);
+      var buffer = [];
+      var fetching = false;
+      var stream = new Readable({
+        objectMode: true,
+        read: function() {
+          if (buffer.length) {
+            return drain();
+          }
+          if (fetching) {
+            return;
+          }
+          fetching = true;
+          return batches.next(function(err, docs) {
+            fetching = false;
+            if (err) {
+              return stream.emit('error', err);
+            }
+            if (!docs.length) {
+              return stream.push(null);
+            }
+            buffer = docs;
+            return drain();
+          });
+        }
+      });
+      return stream;
+      function drain() {
+        while (buffer.length) {
+          if (!stream.push(buffer.shift())) {
+            return;
+          }
+        }
+      }
+    };
+
+    if (Symbol.asyncIterator) {
+      // Implements `for await (const doc of cursor) { ... }`, see `toStream`.
+      // Written without generator syntax so that older versions
+      // of Node.js can still parse this file.
+      self[Symbol.asyncIterator] = function() {
+        var batches = self.toBatches();
+        var nextBatch = Promise.promisify(batches.next);
+        var buffer = [];
+        var done = false;
+        return {
+          next: function() {
+            if (buffer.length) {
+              return Promise.resolve({ value: buffer.shift(), done: false });
+            }
+            if (done) {
+              return Promise.resolve({ value: undefined, done: true });
+            }
+            return nextBatch().then(function(docs) {
+              if (!docs.length) {
+                done = true;
+                return { value: undefined, done: true };
+              }
+              buffer = docs;
+              return { value: buffer.shift(), done: false };
+            });
+          }
+        };
+      };
+    }
+
+    // Returns an object with a `next(callback)` method. Each call to
+    // `next` invokes `callback` with `(err, docs)`, where `docs` is the next
+    // batch of up to `options.batchSize` documents (default: 100) matching
+    // the query, with all `after` behavior applied. An empty array means
+    // there are no more documents. You probably want `toStream` instead.
+    //
+    // Batches are fetched with keyset pagination (see `toPage`) so that
+    // each batch is as fast as the first. If the sort does not permit that,
+    // for instance when sorting by search result quality, `skip` is used.
+    //
+    // The `options` argument may be omitted.
+
+    self.toBatches = function(options) {
+      options = options || {};
+      var batchSize = options.batchSize || 100;
+      var limit = self.get('limit');
+      var fetched = 0;
+      var token = null;
+      var keyset = true;
+      var done = false;
+      return {
+        next: function(callback) {
+          var size = batchSize;
+          if (_.isNumber(limit)) {
+            size = Math.min(size, limit - fetched);
+          }
+          if (done || (size <= 0)) {
+            return setImmediate(_.partial(callback, null, []));
+          }
+          var cursor = self.clone();
+          cursor.page(undefined);
+          cursor.perPage(undefined);
+          cursor.skip(undefined);
+          cursor.limit(size);
+          if (!keyset) {
+            return cursor.skip(fetched).toArray(function(err, docs) {
+              return found(err, docs);
+            });
+          }
+          if (token) {
+            cursor.pageAfter(token);
+          }
+          return cursor.finalize(function(err) {
+            if (err) {
+              return callback(err);
+            }
+            if (!cursor.isKeysetSort(cursor.get('sortMongo'))) {
+              keyset = false;
+              return cursor.toArray(function(err, docs) {
+                return found(err, docs);
+              });
+            }
+            return cursor.toPage(function(err, page) {
+              if (err) {
+                return callback(err);
+              }
+              token = page.nextToken;
+              if (!token) {
+                done = true;
+              }
+              return found(null, page.docs);
+            });
+          });
+          function found(err, docs) {
+            if (err) {
+              return callback(err);
+            }
+            fetched += docs.length;
+            if (docs.length < size) {
+              done = true;
+            }
+            return callback(null, docs);
+          }
+        }
+      };
+    };
+
     // Invokes callback with `(err, mongo)` where
     // `mongo` is a MongoDB self. You can use this
     // to access MongoDB's `nextObject` method, etc.
@@ -1288,6 +1924,30 @@ module.exports = {
       }
     };
 
+    // Invokes callback with `(err, explanation)` where `explanation` is
+    // the output of MongoDB's `explain()` for the query this cursor
+    // would make, including execution statistics. Pass it to
+    // `apos.docs.summarizeExplain` to find out which indexes are used.
+    // Handy in tasks and tests. Not chainable.
+    //
+    // If called without a callback, returns a promise.
+
+    self.toExplain = function(callback) {
+      if (callback) {
+        return body(callback);
+      } else {
+        return Promise.promisify(body)();
+      }
+      function body(callback) {
+        return self.toMongo(function(err, mongo) {
+          if (err) {
+            return callback(err);
+          }
+          return mongo.explain('executionStats', callback);
+        });
+      }
+    };
+
     // Create a mongo cursor directly from the given parameters. You don't want this API.
     // It is a low level implementation detail overridden by `apostrophe-optimizer` as needed.
     // Seemingly we don't need req at all here, but overrides like apostrophe-optimizer need it,
@@ -1464,7 +2124,82 @@ module.exports = {
     // change. You probably wanted toMongo.
 
     self.mongoToArray = function(mongo, callback) {
-      return mongo.toArray(callback);
+      return self.timeQuery('toArray', self, function(callback) {
+        return mongo.toArray(callback);
+      }, callback);
+    };
+
+    // Invokes `fn`, which makes a query and takes a callback, then
+    // invokes `callback` with the same results. If the `slowQueries`
+    // option of `apostrophe-docs` is set and the query takes longer than
+    // its threshold, it is reported via `apos.docs.logSlowQuery`, with
+    // the plan MongoDB chooses for the criteria of `cursor`. `method` is
+    // the name of the cursor method on whose behalf the query is made.
+
+    self.timeQuery = function(method, cursor, fn, callback) {
+      var slowQueries = self.apos.docs.slowQueries;
+      if (!slowQueries) {
+        return fn(callback);
+      }
+      var start = Date.now();
+      return fn(function(err) {
+        var ms = Date.now() - start;
+        if ((!err) && (ms >= slowQueries.threshold)) {
+          self.reportSlowQuery(method, ms, cursor);
+        }
+        return callback.apply(null, arguments);
+      });
+    };
+
+    // Report a slow query made by `method` on behalf of `cursor`, which
+    // took `ms` milliseconds. Called for you by `timeQuery`. The report
+    // is made in the background, after the results have been delivered.
+
+    self.reportSlowQuery = function(method, ms, cursor) {
+      var info = {
+        method: method,
+        ms: ms,
+        module: self.options.module ? self.options.module.__meta.name : 'apostrophe-docs',
+        filters: cursor.getAppliedFilters(),
+        criteria: cursor.get('criteria')
+      };
+      if (!self.apos.docs.slowQueries.explain) {
+        return self.apos.docs.logSlowQuery(info);
+      }
+      // Built right away because `after` may briefly unfinalize the cursor
+      var mongo = cursor.lowLevelMongoCursor(cursor.get('req'), cursor.get('criteria'), cursor.get('projection'), {
+        skip: cursor.get('skip'),
+        limit: cursor.get('limit'),
+        sort: cursor.get('sortMongo')
+      });
+      // `queryPlanner` only plans the query. `executionStats` would run
+      // it again, and this one is already known to be slow
+      return mongo.explain('queryPlanner', function(err, explanation) {
+        if (err) {
+          info.explainError = err;
+        } else {
+          info.plan = self.apos.docs.summarizeExplain(explanation);
+        }
+        return self.apos.docs.logSlowQuery(info);
+      });
+    };
+
+    // Returns an object with the filters of this cursor that are set to
+    // something other than their default value, for diagnostic purposes.
+    // The `criteria` filter is left out.
+
+    self.getAppliedFilters = function() {
+      var applied = {};
+      _.each(self.filters, function(definition, name) {
+        if (name === 'criteria') {
+          return;
+        }
+        var value = self.get(name);
+        if ((value !== undefined) && (!_.isEqual(value, definition.def))) {
+          applied[name] = value;
+        }
+      });
+      return applied;
     };
 
     // Invokes "after" methods of all filters
@@ -1500,9 +2235,102 @@ module.exports = {
       }
     };
 
-    // Implementation detail of the `previous` and `next` filters
-    self.nextOrPrevious = function(verb) {
-      var doc = self.get(verb);
+    // Implementation detail of the `relatedTo` filter. Delivers an object
+    // whose keys are the ids of the docs related to `doc` that also match
+    // the other filters of this cursor, and whose values are their scores.
+
+    self.getRelatedScores = function(doc, callback) {
+      var weights = _.defaults({}, self.get('relatedToWeights'), { tags: 1, joins: 1, text: 1 });
+      var scores = {};
+      return async.series([
+        shared,
+        text
+      ], function(err) {
+        return callback(err, scores);
+      });
+
+      function candidates() {
+        var cursor = self.clone();
+        cursor.relatedTo(undefined);
+        cursor.skip(undefined);
+        cursor.limit(200);
+        cursor.page(undefined);
+        cursor.perPage(undefined);
+        cursor.pageAfter(undefined);
+        cursor.pageBefore(undefined);
+        cursor.areas(false);
+        cursor.joins(false);
+        cursor.and({ _id: { $ne: doc._id } });
+        return cursor;
+      }
+
+      // Docs with tags or join targets in common
+      function shared(callback) {
+        var tags = (weights.tags && doc.tags) || [];
+        var references = weights.joins ? self.apos.docs.getReferences(doc) : [];
+        var ids = _.uniq(_.flatten(_.pluck(references, 'ids')));
+        var clauses = [];
+        var projection = { type: 1, tags: 1 };
+        if (tags.length) {
+          clauses.push({ tags: { $in: tags } });
+        }
+        // Look for the same ids at the same location, ignoring array
+        // indexes, which MongoDB does for us
+        _.each(_.groupBy(references, function(reference) {
+          return reference.dotPath.replace(/\.\d+(?=\.|$)/g, '');
+        }), function(references, path) {
+          var clause = {};
+          clause[path] = { $in: _.uniq(_.flatten(_.pluck(references, 'ids'))) };
+          clauses.push(clause);
+          projection[path.split('.')[0]] = 1;
+        });
+        if (!clauses.length) {
+          return callback(null);
+        }
+        return candidates().and({ $or: clauses }).projection(projection).toArray(function(err, docs) {
+          if (err) {
+            return callback(err);
+          }
+          _.each(docs, function(candidate) {
+            var candidateIds = _.flatten(_.pluck(self.apos.docs.getReferences(candidate), 'ids'));
+            var score = (weights.tags * _.intersection(candidate.tags || [], tags).length) +
+              (weights.joins * _.intersection(candidateIds, ids).length);
+            if (score) {
+              scores[candidate._id] = score;
+            }
+          });
+          return callback(null);
+        });
+      }
+
+      // Docs with similar text
+      function text(callback) {
+        if ((!weights.text) || (!doc.highSearchText) || self.get('search') || self.get('regexSearch')) {
+          return callback(null);
+        }
+        var words = _.filter(_.uniq(doc.highSearchText.split(/\s+/)), function(word) {
+          return word.length > 2;
+        });
+        if (!words.length) {
+          return callback(null);
+        }
+        return candidates().search(words.slice(0, 100).join(' ')).sort('search').projection({ _id: 1 }).toArray(function(err, docs) {
+          if (err) {
+            return callback(err);
+          }
+          var best = docs.length && docs[0].textScore;
+          _.each(docs, function(candidate) {
+            scores[candidate._id] = (scores[candidate._id] || 0) + (weights.text * candidate.textScore / best);
+          });
+          return callback(null);
+        });
+      }
+    };
+
+    // Implementation detail of the `previous` and `next` filters.
+    // `doc` defaults to the value of the filter named by `verb`
+    self.nextOrPrevious = function(verb, doc) {
+      doc = doc || self.get(verb);
       if (!doc) {
         return;
       }
@@ -1527,26 +2355,31 @@ module.exports = {
       // { lastName: { $lte: doc.lastName } } OR
       // { lastName: doc.lastName, firstName: { $lte: doc.firstName } },
       // and so on and so forth
+      //
+      // MongoDB sorts null and missing values before all others, but
+      // `$gt` and `$lt` never match them, so they get clauses of their
+      // own. Otherwise docs without a value for a sort key would be
+      // skipped, or would be the last ones ever returned.
       _.each(sort, function(val, key) {
         var clause;
-        if (val === 1) {
+        var value = (doc[key] === undefined) ? null : doc[key];
+        if ((val === 1) || (val === -1)) {
           clause = _.clone(leftHand);
-          if (direction === 1) {
-            clause[key] = { $gt: doc[key] };
-          } else {
-            clause[key] = { $lt: doc[key] };
-          }
-          leftHand[key] = doc[key];
-          clauses.push(clause);
-        } else if (val === -1) {
-          clause = _.clone(leftHand);
-          if (direction === 1) {
-            clause[key] = { $lt: doc[key] };
-          } else {
-            clause[key] = { $gt: doc[key] };
+          if (val * direction === 1) {
+            // Greater values, which include any value at all if
+            // this one is null
+            clause[key] = (value === null) ? { $ne: null } : { $gt: value };
+            clauses.push(clause);
+          } else if (value !== null) {
+            // Lesser values, including null. Nothing is less than null
+            var lesser = {};
+            lesser[key] = { $lt: value };
+            var empty = {};
+            empty[key] = null;
+            clause.$or = [ lesser, empty ];
+            clauses.push(clause);
           }
-          leftHand[key] = doc[key];
-          clauses.push(clause);
+          leftHand[key] = value;
         } else {
           // We don't understand this sort, ignore it.
           // For instance, it's not clear what we
@@ -1601,6 +2434,130 @@ module.exports = {
       self.and(criteria);
     };
 
+    // Implementation detail of the `pageAfter` and `pageBefore` filters.
+    // Decodes the continuation token and, if it matches the current sort,
+    // limits the results to the docs that follow or precede it
+    self.finalizeKeyset = function(verb) {
+      var token = self.get(verb);
+      if (!token) {
+        return;
+      }
+      if (!self.get('sortMongo')) {
+        self.finalizeSort();
+      }
+      var sort = self.get('sortMongo');
+      if (!self.isKeysetSort(sort)) {
+        return;
+      }
+      var decoded = self.decodeKeysetToken(token);
+      if (!decoded) {
+        return;
+      }
+      if (!_.isEqual(decoded.keys, _.without(_.keys(sort), '_id'))) {
+        // Token from a different sort, start from the beginning
+        return;
+      }
+      var doc = _.zipObject(decoded.keys, decoded.values);
+      doc._id = decoded._id;
+      self.set('keysetVerb', verb);
+      self.nextOrPrevious((verb === 'pageAfter') ? 'next' : 'previous', doc);
+    };
+
+    // Returns true if the given MongoDB sort object can be used for
+    // keyset pagination, i.e. every key is sorted in ascending (`1`)
+    // or descending (`-1`) order. `$meta` sorts such as search
+    // result quality are not suitable.
+    self.isKeysetSort = function(sort) {
+      if (!(sort && _.keys(sort).length)) {
+        return false;
+      }
+      return _.every(sort, function(val) {
+        return (val === 1) || (val === -1);
+      });
+    };
+
+    // If the projection is an inclusive one, make sure the properties
+    // in the sort are fetched so that continuation tokens can be built
+    // from the docs. Called for you by `toPage`.
+    self.projectKeysetFields = function(sort) {
+      var projection = self.get('projection');
+      if (!(projection && _.find(_.values(projection), function(val) {
+        return val && (typeof (val) !== 'object');
+      }))) {
+        return;
+      }
+      _.each(_.keys(sort), function(key) {
+        projection[key] = 1;
+      });
+    };
+
+    // Returns an opaque continuation token for the given doc, based on
+    // the current MongoDB sort. The cursor must already be finalized.
+    // Dates survive the round trip. Used by `toPage`.
+    self.encodeKeysetToken = function(doc) {
+      var keys = _.without(_.keys(self.get('sortMongo')), '_id');
+      var data = {
+        k: keys,
+        v: _.map(keys, function(key) {
+          var value = deep(doc, key);
+          if (value instanceof Date) {
+            return { $date: value.getTime() };
+          }
+          return (value === undefined) ? null : value;
+        }),
+        i: doc._id
+      };
+      return Buffer.from(JSON.stringify(data)).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    // Decodes a continuation token created by `encodeKeysetToken`.
+    // Returns an object with `keys`, `values` and `_id` properties, or
+    // `null` if the token is not valid. Never trust a browser: the
+    // values are restricted to scalars and dates.
+    self.decodeKeysetToken = function(token) {
+      if (!(token && ((typeof token) === 'string'))) {
+        return null;
+      }
+      var data;
+      try {
+        data = JSON.parse(Buffer.from(token.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+      } catch (e) {
+        return null;
+      }
+      if (!(data && Array.isArray(data.k) && Array.isArray(data.v) && (data.k.length === data.v.length))) {
+        return null;
+      }
+      if (!((typeof data.i) === 'string')) {
+        return null;
+      }
+      if (!_.every(data.k, function(key) {
+        return ((typeof key) === 'string') && key.length && (key.charAt(0) !== '$');
+      })) {
+        return null;
+      }
+      var values = [];
+      var valid = _.every(data.v, function(value) {
+        if (value && ((typeof value) === 'object')) {
+          if (_.isEqual(_.keys(value), [ '$date' ]) && ((typeof value.$date) === 'number')) {
+            values.push(new Date(value.$date));
+            return true;
+          }
+          return false;
+        }
+        values.push(value);
+        return true;
+      });
+      if (!valid) {
+        return null;
+      }
+      return {
+        keys: data.k,
+        values: values,
+        _id: data.i
+      };
+    };
+
     self.finalizeSort = function() {
 
       // adjust the sort option taking the search
@@ -0,0 +1,226 @@
+// Deep duplication of docs, including pages with their descendants.
+// See `duplicate`.
+
+var async = require('async');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+
+module.exports = function(self, options) {
+
+  // Insert a deep copy of `doc`, which may be a piece, a page or any
+  // other doc. The copy receives a new `_id`, and so does every widget
+  // and array item within it, so that the copy can be edited
+  // independently of the original. Properties beginning with `_`, such
+  // as loaded joins, are not copied.
+  //
+  // Slugs are made unique in the usual way. A copy of a page becomes
+  // a child of the same parent as the original unless `options.parent`
+  // says otherwise, and its slug is nested beneath the slug of that
+  // parent. You must be able to edit that parent page.
+  //
+  // Delivers `(err, copy)` to the callback.
+  //
+  // Options:
+  //
+  // `children`: if true and `doc` is a page, all of its descendants are
+  // duplicated too, keeping their order and their slugs relative to
+  // the new copy. Descendants in the trash are not copied.
+  //
+  // `attachments`: if true, the files of attachments found in the copy
+  // are duplicated as well, so the copy does not share them with the
+  // original. Crops are not carried over.
+  //
+  // `parent`: for pages, the new parent page, as an object or `_id`.
+  //
+  // `title`: a new title for the copy (not its descendants).
+  //
+  // `options` may be omitted. Returns a promise if no callback is given.
+
+  self.duplicate = function(req, doc, options, callback) {
+    if ((typeof arguments[2]) !== 'object') {
+      callback = options;
+      options = {};
+    }
+    if (!callback) {
+      return Promise.promisify(body)();
+    }
+    return body(callback);
+
+    function body(callback) {
+      var copy = self.getDuplicate(doc, options);
+      var attachments = {};
+      if (!self.apos.pages.isPage(doc)) {
+        return insertPiece(callback);
+      }
+      var parent;
+      var copies = {};
+      return async.series([
+        getParent,
+        insertPage,
+        insertDescendants
+      ], function(err) {
+        return callback(err, copy);
+      });
+
+      function insertPiece(callback) {
+        return self.duplicateAttachments(req, copy, options, attachments, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          var manager = self.getManager(copy.type);
+          var insert = (manager && self.apos.instanceOf(manager, 'apostrophe-pieces')) ? manager.insert : self.insert;
+          return insert(req, copy, function(err) {
+            return callback(err, copy);
+          });
+        });
+      }
+
+      function getParent(callback) {
+        var criteria;
+        if (options.parent) {
+          criteria = { _id: (typeof options.parent === 'object') ? options.parent._id : options.parent };
+        } else {
+          var parentPath = getParentPath(doc);
+          if (!parentPath) {
+            // The home page has no parent
+            return callback('invalid');
+          }
+          criteria = { path: parentPath };
+        }
+        return self.apos.pages.find(req, criteria).permission('edit-apostrophe-page').published(null).areas(false).joins(false).toObject(function(err, _parent) {
+          if (err) {
+            return callback(err);
+          }
+          if (!_parent) {
+            return callback('notfound');
+          }
+          parent = _parent;
+          return callback(null);
+        });
+      }
+
+      function insertPage(callback) {
+        copy.slug = self.rebaseBundleSlug(doc.slug, undefined, parent);
+        return insertPageCopy(doc, copy, parent, callback);
+      }
+
+      function insertDescendants(callback) {
+        if (!options.children) {
+          return callback(null);
+        }
+        return self.apos.pages.find(req, { path: self.apos.pages.matchDescendants(doc) })
+          .permission('edit-apostrophe-page')
+          .published(null)
+          .trash(false)
+          .areas(false)
+          .joins(false)
+          .sort({ level: 1, rank: 1 })
+          .toArray(function(err, descendants) {
+            if (err) {
+              return callback(err);
+            }
+            var byPath = _.indexBy(descendants.concat([ doc ]), 'path');
+            return async.eachSeries(descendants, function(descendant, callback) {
+              var originalParent = byPath[getParentPath(descendant)];
+              var newParent = originalParent && copies[originalParent._id];
+              if (!newParent) {
+                // Its parent could not be copied, for instance because
+                // we cannot edit it
+                return callback(null);
+              }
+              var descendantCopy = self.getDuplicate(descendant, _.omit(options, 'title'));
+              descendantCopy.slug = self.rebaseBundleSlug(descendant.slug, originalParent, newParent);
+              return insertPageCopy(descendant, descendantCopy, newParent, callback);
+            }, callback);
+          });
+      }
+
+      function insertPageCopy(original, pageCopy, parent, callback) {
+        return self.duplicateAttachments(req, pageCopy, options, attachments, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          return self.apos.pages.insert(req, parent, pageCopy, function(err) {
+            if (err) {
+              return callback(err);
+            }
+            copies[original._id] = pageCopy;
+            return callback(null);
+          });
+        });
+      }
+    }
+  };
+
+  // Returns the `path` of the parent of `page`, or null for the home page
+
+  function getParentPath(page) {
+    if ((!page.path) || (page.path === '/')) {
+      return null;
+    }
+    return page.path.replace(/\/[^/]*$/, '') || '/';
+  }
+
+  // Returns a copy of `doc` ready to be inserted by `duplicate`: a new
+  // `_id`, new widget and array item ids, and none of the properties
+  // that describe the original's place in the database, the page tree
+  // or the trash. Sets the title if `options.title` is present.
+
+  self.getDuplicate = function(doc, options) {
+    var copy = _.omit(self.apos.utils.clonePermanent(doc), 'createdAt', 'updatedAt', 'aposRevision', 'advisoryLock', 'parked', 'parkedId', 'trash', 'trashedAt', 'path', 'level', 'rank');
+    copy._id = self.apos.utils.generateId();
+    if (options.title) {
+      copy.title = options.title;
+    }
+    self.regenerateNestedIds(copy);
+    return copy;
+  };
+
+  // Give a new `_id` to every object with an `_id` that is an element
+  // of an array within `doc`, at any depth. This covers widgets, which
+  // are the items of their areas, and the items of array fields.
+  // Attachments are left alone. Modifies `doc` in place.
+
+  self.regenerateNestedIds = function(doc) {
+    self.walk(doc, function(o, key, value) {
+      if (Array.isArray(o) && value && ((typeof value) === 'object') && value._id && (value.type !== 'attachment')) {
+        value._id = self.apos.utils.generateId();
+      }
+    });
+  };
+
+  // If `options.attachments` is true, duplicate the files of the
+  // attachments found in `copy` and point it to the new attachments.
+  // `cloned` maps original attachment ids to their duplicates, so an
+  // attachment shared by several copies is duplicated only once.
+  // Otherwise the copy shares the attachments of the original.
+
+  self.duplicateAttachments = function(req, copy, options, cloned, callback) {
+    if (!options.attachments) {
+      return callback(null);
+    }
+    var found = [];
+    self.walk(copy, function(o, key, value) {
+      if (value && (value.type === 'attachment') && value._id && value.extension) {
+        found.push({ object: o, key: key, attachment: value });
+      }
+    });
+    return async.eachSeries(found, function(item, callback) {
+      if (cloned[item.attachment._id]) {
+        return setImmediate(replace);
+      }
+      return self.apos.attachments.clone(req, item.attachment, function(err, target) {
+        if (err) {
+          return callback(err);
+        }
+        cloned[item.attachment._id] = target;
+        return replace();
+      });
+      function replace() {
+        item.object[item.key] = _.assign(_.omit(item.attachment, 'crop'), _.pick(cloned[item.attachment._id], '_id', 'createdAt'));
+        return callback(null);
+      }
+    }, callback);
+  };
+
+};
@@ -0,0 +1,205 @@
+// Presence indicators: which users currently have a given doc open.
+// The browser sends heartbeats via the `verify-lock` route while a doc
+// is open, see `updatePresence` and `getPresence`.
+
+var async = require('async');
+var _ = require('@sailshq/lodash');
+
+module.exports = function(self, options) {
+
+  self.enablePresenceCollection = function(callback) {
+    self.apos.db.collection('aposDocPresence', function(err, collection) {
+      self.presenceDb = collection;
+      return callback(err);
+    });
+  };
+
+  // Presence records nobody has heard about for an hour are removed by
+  // MongoDB. Stale records are ignored long before that, see
+  // `getPresenceExpiration`.
+
+  self.ensurePresenceIndexes = function(callback) {
+    return async.series([
+      function(callback) {
+        return self.presenceDb.ensureIndex({ docId: 1 }, {}, callback);
+      },
+      function(callback) {
+        return self.presenceDb.ensureIndex({ updatedAt: 1 }, { expireAfterSeconds: 3600 }, callback);
+      }
+    ], callback);
+  };
+
+  self.getPresenceExpiration = function() {
+    return new Date(Date.now() - 1000 * self.options.presenceTimeout);
+  };
+
+  // Record that the current user has the doc with the given `id` open
+  // in the browser page identified by `contextId` (normally
+  // `req.htmlPageId`). Nothing is recorded for users who cannot edit
+  // the doc. Delivers `(null, true)` if something was recorded. Called
+  // on every heartbeat.
+
+  self.updatePresence = function(req, id, contextId, callback) {
+    if (!(req.user && id && contextId)) {
+      return setImmediate(_.partial(callback, null, false));
+    }
+    return self.db.findOne({
+      $and: [
+        { _id: id },
+        self.apos.permissions.criteria(req, 'edit')
+      ]
+    }, { _id: 1 }, function(err, doc) {
+      if (err) {
+        return callback(err);
+      }
+      if (!doc) {
+        return callback(null, false);
+      }
+      return self.presenceDb.update({
+        _id: id + '.' + contextId
+      }, {
+        $set: {
+          docId: id,
+          contextId: contextId,
+          userId: req.user._id,
+          username: req.user.username,
+          title: req.user.title,
+          updatedAt: new Date()
+        }
+      }, {
+        upsert: true
+      }, function(err) {
+        return callback(err, !err);
+      });
+    });
+  };
+
+  // Forget that the browser page identified by `contextId` has the doc
+  // with the given `id` open, for instance because it was closed.
+
+  self.removePresence = function(req, id, contextId, callback) {
+    return self.presenceDb.remove({ _id: id + '.' + contextId }, function(err) {
+      return callback(err);
+    });
+  };
+
+  // Delivers an object to the callback with a property for each of the
+  // given doc `ids` that other users currently have open. The value is
+  // an array of those users, each with `_id`, `username` and `title`
+  // properties, plus `locked: true` if that user holds the lock on the
+  // doc. The current user is never included, and nothing is delivered
+  // to anonymous users.
+
+  self.getPresence = function(req, ids, callback) {
+    if (!(req.user && ids.length)) {
+      return setImmediate(_.partial(callback, null, {}));
+    }
+    var records;
+    var locks;
+    return async.series([
+      getRecords,
+      getLocks
+    ], function(err) {
+      if (err) {
+        return callback(err);
+      }
+      var presence = {};
+      _.each(_.groupBy(records, 'docId'), function(records, docId) {
+        presence[docId] = _.map(_.groupBy(records, 'userId'), function(records) {
+          var user = _.pick(records[0], 'username', 'title');
+          user._id = records[0].userId;
+          if (_.find(records, { contextId: locks[docId] })) {
+            user.locked = true;
+          }
+          return user;
+        });
+      });
+      return callback(null, presence);
+    });
+
+    function getRecords(callback) {
+      return self.presenceDb.find({
+        docId: { $in: ids },
+        userId: { $ne: req.user._id },
+        updatedAt: { $gte: self.getPresenceExpiration() }
+      }).toArray(function(err, _records) {
+        records = _records;
+        return callback(err);
+      });
+    }
+
+    function getLocks(callback) {
+      return self.db.findWithProjection({
+        _id: { $in: _.uniq(_.pluck(records, 'docId')) },
+        'advisoryLock.updatedAt': { $gte: self.getAdvisoryLockExpiration() }
+      }, { advisoryLock: 1 }).toArray(function(err, docs) {
+        if (err) {
+          return callback(err);
+        }
+        locks = {};
+        _.each(docs, function(doc) {
+          locks[doc._id] = doc.advisoryLock._id;
+        });
+        return callback(null);
+      });
+    }
+  };
+
+  // Set the `_presence` property of each of the given docs to the array
+  // of other users who have it open, as described for `getPresence`.
+
+  self.addPresence = function(req, docs, callback) {
+    return self.getPresence(req, _.pluck(docs, '_id'), function(err, presence) {
+      if (err) {
+        return callback(err);
+      }
+      _.each(docs, function(doc) {
+        doc._presence = presence[doc._id] || [];
+      });
+      return callback(null);
+    });
+  };
+
+  // Take the lock on the doc with the given `id` for `contextId`, even if
+  // another user holds it, and notify that user via `apos.notify`.
+  // Only admins may do this. Other users are asked to confirm taking
+  // control via the `force` option of `lock` instead.
+
+  self.takeOverLock = function(req, id, contextId, callback) {
+    if (!self.apos.permissions.can(req, 'admin')) {
+      return callback('forbidden');
+    }
+    var previous;
+    return async.series([
+      getPrevious,
+      lock,
+      notify
+    ], callback);
+
+    function getPrevious(callback) {
+      return self.db.findOne({ _id: id }, { title: 1, advisoryLock: 1 }, function(err, doc) {
+        if (err) {
+          return callback(err);
+        }
+        if (!doc) {
+          return callback('notfound');
+        }
+        previous = doc;
+        return callback(null);
+      });
+    }
+
+    function lock(callback) {
+      return self.lock(req, id, contextId, { force: true }, callback);
+    }
+
+    function notify(callback) {
+      var lock = previous.advisoryLock;
+      if (!(lock && lock.userId && (lock.userId !== req.user._id) && (lock.updatedAt >= self.getAdvisoryLockExpiration()))) {
+        return callback(null);
+      }
+      return self.apos.notify(lock.userId, 'Control of "%s" has been taken by %s.', previous.title || '', req.user.title || req.user.username, { type: 'warn' }, callback);
+    }
+  };
+
+};
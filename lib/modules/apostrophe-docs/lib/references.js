@@ -0,0 +1,215 @@
+// Referential integrity checks for joins. See `findBrokenReferences`
+// and the `apostrophe-docs:check-references` task.
+
+var async = require('async');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+
+module.exports = function(self, options) {
+
+  // Find ids stored by `joinByOne` and `joinByArray` fields (their
+  // `idField` or `idsField`) that point to docs which no longer exist,
+  // or which are in the trash. Every doc is checked against the schema
+  // of its type, including array and object fields and the schemas of
+  // widgets in its areas, however deeply nested.
+  //
+  // Delivers `(err, broken)` to the callback, where `broken` is an array
+  // of objects with `_id`, `type` and `title` properties describing the
+  // doc, `field` (the name of the join), `dotPath` (the location of the
+  // id field within the doc) and `ids` (the dangling ids).
+  //
+  // Options:
+  //
+  // `types`: an array of doc types to check. By default all docs are checked.
+  //
+  // `trash`: if explicitly `false`, references to docs in the trash are
+  // not considered broken, since those docs may still be rescued.
+  //
+  // `fix`: if true, the dangling ids are removed from the docs, along with
+  // their relationship data, if any.
+  //
+  // Only admins may do this. Returns a promise if no callback is given.
+
+  self.findBrokenReferences = function(req, options, callback) {
+    if (!callback) {
+      return Promise.promisify(body)();
+    }
+    return body(callback);
+
+    function body(callback) {
+      if (!self.apos.permissions.can(req, 'admin')) {
+        return callback('forbidden');
+      }
+      var criteria = {};
+      if (options.types) {
+        criteria.type = { $in: options.types };
+      }
+      var broken = [];
+      var lastId;
+      var done = false;
+      return async.whilst(
+        function() { return !done; },
+        function(callback) {
+          var batchCriteria = lastId ? { $and: [ criteria, { _id: { $gt: lastId } } ] } : criteria;
+          return self.db.findWithProjection(batchCriteria).sort({ _id: 1 }).limit(100).toArray(function(err, docs) {
+            if (err) {
+              return callback(err);
+            }
+            if (!docs.length) {
+              done = true;
+              return callback(null);
+            }
+            lastId = docs[docs.length - 1]._id;
+            return self.checkReferences(docs, options, function(err, _broken) {
+              if (err) {
+                return callback(err);
+              }
+              broken = broken.concat(_broken);
+              return callback(null);
+            });
+          });
+        },
+        function(err) {
+          if (err) {
+            return callback(err);
+          }
+          return callback(null, broken);
+        }
+      );
+    }
+  };
+
+  // Check the references of a batch of docs, and fix them if
+  // `options.fix` is true. Called by `findBrokenReferences`, which
+  // documents the options and the results.
+
+  self.checkReferences = function(docs, options, callback) {
+    var referencesByDoc = _.map(docs, self.getReferences);
+    var ids = _.uniq(_.flatten(_.map(_.flatten(referencesByDoc), 'ids')));
+    if (!ids.length) {
+      return callback(null, []);
+    }
+    return self.db.findWithProjection({ _id: { $in: ids } }, { _id: 1, trash: 1 }).toArray(function(err, found) {
+      if (err) {
+        return callback(err);
+      }
+      var valid = {};
+      _.each(found, function(doc) {
+        if ((options.trash === false) || (!doc.trash)) {
+          valid[doc._id] = true;
+        }
+      });
+      var broken = [];
+      var fixes = [];
+      _.each(docs, function(doc, i) {
+        var $set = {};
+        var $unset = {};
+        _.each(referencesByDoc[i], function(reference) {
+          var dangling = _.filter(reference.ids, function(id) {
+            return !valid[id];
+          });
+          if (!dangling.length) {
+            return;
+          }
+          broken.push({
+            _id: doc._id,
+            type: doc.type,
+            title: doc.title,
+            field: reference.field.name,
+            dotPath: reference.dotPath,
+            ids: dangling
+          });
+          if (reference.field.type === 'joinByOne') {
+            $unset[reference.dotPath] = 1;
+            return;
+          }
+          $set[reference.dotPath] = _.difference(reference.ids, dangling);
+          if (reference.relationshipsDotPath) {
+            _.each(dangling, function(id) {
+              $unset[reference.relationshipsDotPath + '.' + id] = 1;
+            });
+          }
+        });
+        if (_.isEmpty($set) && _.isEmpty($unset)) {
+          return;
+        }
+        fixes.push({ _id: doc._id, $set: $set, $unset: $unset });
+      });
+      if (!options.fix) {
+        return callback(null, broken);
+      }
+      return async.eachSeries(fixes, function(fix, callback) {
+        var update = { $inc: { aposRevision: 1 } };
+        if (!_.isEmpty(fix.$set)) {
+          update.$set = fix.$set;
+        }
+        if (!_.isEmpty(fix.$unset)) {
+          update.$unset = fix.$unset;
+        }
+        return self.db.update({ _id: fix._id }, update, callback);
+      }, function(err) {
+        return callback(err, broken);
+      });
+    });
+  };
+
+  // Returns an array describing the ids stored by the `joinByOne` and
+  // `joinByArray` fields of `doc`, as found via the schema of its type and
+  // the schemas of the widgets in its areas. Each element has `field`
+  // (the schema field), `dotPath` (the location of the `idField` or
+  // `idsField` within the doc), `ids` (always an array) and, for joins
+  // with relationships, `relationshipsDotPath`.
+
+  self.getReferences = function(doc) {
+    var references = [];
+    var manager = self.getManager(doc.type);
+    if (manager && manager.schema) {
+      addReferences(manager.schema, doc, '');
+    }
+    // Areas are found wherever they are, including inside array fields
+    // and inside other widgets, so `addReferences` need not look for them
+    self.apos.areas.walk(doc, function(area, dotPath) {
+      _.each(area.items || [], function(item, i) {
+        var widgetManager = item && self.apos.areas.getWidgetManager(item.type);
+        if (widgetManager && widgetManager.schema) {
+          addReferences(widgetManager.schema, item, dotPath + '.items.' + i + '.');
+        }
+      });
+    });
+    return references;
+
+    function addReferences(schema, object, prefix) {
+      _.each(schema, function(field) {
+        var value;
+        if (field.type === 'joinByOne') {
+          value = object[field.idField];
+          if (value && ((typeof value) === 'string')) {
+            references.push({ field: field, dotPath: prefix + field.idField, ids: [ value ] });
+          }
+        } else if (field.type === 'joinByArray') {
+          value = object[field.idsField];
+          if (Array.isArray(value) && value.length) {
+            references.push({
+              field: field,
+              dotPath: prefix + field.idsField,
+              ids: value,
+              relationshipsDotPath: field.relationshipsField && (prefix + field.relationshipsField)
+            });
+          }
+        } else if (field.type === 'array') {
+          _.each(object[field.name] || [], function(item, i) {
+            if (item && ((typeof item) === 'object')) {
+              addReferences(self.apos.schemas.getArrayItemSchema(field, item), item, prefix + field.name + '.' + i + '.');
+            }
+          });
+        } else if (field.type === 'object') {
+          value = object[field.name];
+          if (value && ((typeof value) === 'object')) {
+            addReferences(field.schema, value, prefix + field.name + '.');
+          }
+        }
+      });
+    }
+  };
+
+};
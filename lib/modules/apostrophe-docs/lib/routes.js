@@ -1,3 +1,4 @@
+var async = require('async');
 var _ = require('@sailshq/lodash');
 
 module.exports = function(self, options) {
@@ -19,25 +20,79 @@ module.exports = function(self, options) {
     return result;
   });
 
+  // Refreshes the lock held by this browser page, and also serves as the
+  // presence heartbeat while a doc is open. With `presenceOnly`, no lock
+  // is expected. Responds with `presence`, the other users who have the
+  // doc open (see `getPresence`), and `canTakeOver`, true if the current
+  // user may take control of the doc via the `take-over-lock` route.
+
   self.apiRoute('post', 'verify-lock', function(req, res, next) {
-    return self.verifyLock(req,
+    var _id = self.apos.launder.id(req.body._id);
+    var presenceOnly = self.apos.launder.boolean(req.body.presenceOnly);
+    var message;
+    var present;
+    var presence = {};
+    return async.series([
+      verify,
+      updatePresence,
+      getPresence
+    ], function(err) {
+      if (err) {
+        return next(err, null, { message: message });
+      }
+      return next(null, {
+        presence: presence[_id] || [],
+        canTakeOver: self.apos.permissions.can(req, 'admin')
+      });
+    });
+
+    function verify(callback) {
+      if (presenceOnly) {
+        return callback(null);
+      }
+      return self.verifyLock(req, _id, req.htmlPageId, function(err, _message) {
+        message = _message;
+        return callback(err);
+      });
+    }
+
+    function updatePresence(callback) {
+      return self.updatePresence(req, _id, req.htmlPageId, function(err, _present) {
+        present = _present;
+        return callback(err);
+      });
+    }
+
+    // Only those who can edit the doc may know who else is editing it
+    function getPresence(callback) {
+      if (!present) {
+        return callback(null);
+      }
+      return self.getPresence(req, [ _id ], function(err, _presence) {
+        presence = _presence;
+        return callback(err);
+      });
+    }
+  });
+
+  self.apiRoute('post', 'take-over-lock', function(req, res, next) {
+    return self.takeOverLock(req,
       self.apos.launder.id(req.body._id),
       req.htmlPageId,
-      function(err, message) {
-        if (err) {
-          return next(err, null, { message: message });
-        }
-        return next(null);
+      function(err) {
+        return next(err);
       }
     );
   });
 
   self.apiRoute('post', 'unlock', function(req, res, next) {
-    return self.unlock(req,
-      self.apos.launder.id(req.body._id),
-      req.htmlPageId,
-      next
-    );
+    var _id = self.apos.launder.id(req.body._id);
+    return self.unlock(req, _id, req.htmlPageId, function(err) {
+      if (err) {
+        return next(err);
+      }
+      return self.removePresence(req, _id, req.htmlPageId, next);
+    });
   });
 
   // Determine if a particular slug is available. Since the slug namespace
@@ -0,0 +1,173 @@
+var _ = require('@sailshq/lodash');
+
+module.exports = function(self, options) {
+
+  self.addTasks = function() {
+    self.addPurgeTrashTask();
+    self.addPublishScheduledTask();
+    self.addExportTask();
+    self.addImportTask();
+    self.addCheckReferencesTask();
+  };
+
+  self.addPurgeTrashTask = function() {
+    self.addTask('purge-trash',
+      'Usage: node app apostrophe-docs:purge-trash [--dry-run]\n\n' +
+      'Permanently discard docs that have been in the trash longer than\n' +
+      'the trashRetention option allows for their type. There is no undo.\n' +
+      'With --dry-run, the docs that would be discarded are listed but\n' +
+      'nothing is changed.',
+      function(apos, argv, callback) {
+        return self.purgeTrashTask(argv, callback);
+      }
+    );
+  };
+
+  self.purgeTrashTask = function(argv, callback) {
+    var dryRun = !!argv['dry-run'];
+    return self.purgeTrash(self.apos.tasks.getReq(), { dryRun: dryRun }, function(err, docs) {
+      if (err) {
+        return callback(err);
+      }
+      _.each(docs, function(doc) {
+        self.apos.utils.log(doc.type + '\t' + doc._id + '\t' + doc.trashedAt.toISOString() + '\t' + (doc.title || doc.slug));
+      });
+      self.apos.utils.log((dryRun ? 'Would discard ' : 'Discarded ') + docs.length + ' doc(s).');
+      return callback(null);
+    });
+  };
+
+  self.addPublishScheduledTask = function() {
+    self.addTask('publish-scheduled',
+      'Usage: node app apostrophe-docs:publish-scheduled\n\n' +
+      'Publish and unpublish docs whose publishAt or unpublishAt date has\n' +
+      'passed. Web processes do this every minute on their own unless the\n' +
+      'scheduleInterval option is set to false, in which case you may run\n' +
+      'this task via cron instead.',
+      function(apos, argv, callback) {
+        return self.publishScheduled(self.apos.tasks.getReq(), function(err, docs) {
+          if (err) {
+            return callback(err);
+          }
+          _.each(docs, function(doc) {
+            self.apos.utils.log(doc.type + '\t' + doc._id + '\t' + (doc.published ? 'published' : 'unpublished') + '\t' + (doc.title || doc.slug));
+          });
+          return callback(null);
+        });
+      }
+    );
+  };
+
+  self.addExportTask = function() {
+    self.addTask('export',
+      'Usage: node app apostrophe-docs:export --output=file [--ids=id1,id2]\n' +
+      '  [--types=type1,type2] [--page=_id or slug]\n\n' +
+      'Write a bundle of docs, together with the files of their attachments,\n' +
+      'that can be imported into another environment with the\n' +
+      'apostrophe-docs:import task. Docs with the given ids, docs of the\n' +
+      'given types and the given page with all of its descendants are\n' +
+      'included. Joins to docs that are not in the bundle are kept as they\n' +
+      'are, so export those too if they do not exist in the other environment.',
+      function(apos, argv, callback) {
+        return self.exportTask(argv, callback);
+      }
+    );
+  };
+
+  self.exportTask = function(argv, callback) {
+    if (!argv.output) {
+      return callback(new Error('--output is required.'));
+    }
+    var selection = {
+      ids: self.splitListArgument(argv.ids),
+      types: self.splitListArgument(argv.types),
+      page: argv.page && String(argv.page)
+    };
+    return self.exportBundle(self.apos.tasks.getReq(), selection, String(argv.output), function(err, result) {
+      if (err) {
+        return callback(err);
+      }
+      self.apos.utils.log('Exported ' + result.docs + ' doc(s) and ' + result.attachments + ' attachment(s) to ' + argv.output + '.');
+      return callback(null);
+    });
+  };
+
+  self.addImportTask = function() {
+    self.addTask('import',
+      'Usage: node app apostrophe-docs:import --input=file [--parent=_id or slug]\n\n' +
+      'Import a bundle written by the apostrophe-docs:export task. Docs\n' +
+      'receive new ids and joins between them are updated to match, so\n' +
+      'importing the same bundle twice creates two copies. Pages are\n' +
+      'inserted beneath the home page unless --parent is given. Slugs\n' +
+      'that are already in use are made unique.',
+      function(apos, argv, callback) {
+        return self.importTask(argv, callback);
+      }
+    );
+  };
+
+  self.importTask = function(argv, callback) {
+    if (!argv.input) {
+      return callback(new Error('--input is required.'));
+    }
+    return self.importBundle(self.apos.tasks.getReq(), String(argv.input), { parent: argv.parent && String(argv.parent) }, function(err, result) {
+      if (err) {
+        return callback(err);
+      }
+      _.each(result.docs, function(doc) {
+        self.apos.utils.log(doc.type + '\t' + doc._id + '\t' + doc.slug + '\t' + (doc.title || ''));
+      });
+      self.apos.utils.log('Imported ' + result.docs.length + ' doc(s) and ' + result.attachments + ' new attachment(s).');
+      return callback(null);
+    });
+  };
+
+  self.addCheckReferencesTask = function() {
+    self.addTask('check-references',
+      'Usage: node app apostrophe-docs:check-references [--fix] [--types=type1,type2]\n' +
+      '  [--ignore-trash]\n\n' +
+      'List the ids stored by joins, including joins in widgets, that point to\n' +
+      'docs that no longer exist or are in the trash. With --ignore-trash,\n' +
+      'references to docs in the trash are not reported. With --fix, the\n' +
+      'dangling ids are removed.',
+      function(apos, argv, callback) {
+        return self.checkReferencesTask(argv, callback);
+      }
+    );
+  };
+
+  self.checkReferencesTask = function(argv, callback) {
+    var fix = !!argv.fix;
+    var options = {
+      fix: fix,
+      trash: !argv['ignore-trash']
+    };
+    if (argv.types) {
+      options.types = self.splitListArgument(argv.types);
+    }
+    return self.findBrokenReferences(self.apos.tasks.getReq(), options, function(err, broken) {
+      if (err) {
+        return callback(err);
+      }
+      _.each(broken, function(reference) {
+        self.apos.utils.log(reference.type + '\t' + reference._id + '\t' + reference.dotPath + '\t' + reference.ids.join(',') + '\t' + (reference.title || ''));
+      });
+      self.apos.utils.log((fix ? 'Removed ' : 'Found ') + _.sum(broken, function(reference) {
+        return reference.ids.length;
+      }) + ' broken reference(s) in ' + _.uniq(_.pluck(broken, '_id')).length + ' doc(s).');
+      return callback(null);
+    });
+  };
+
+  // Convert a comma-separated command line argument to an array.
+
+  self.splitListArgument = function(value) {
+    if (!value) {
+      return [];
+    }
+    return _.filter(String(value).split(','), function(item) {
+      return item.length;
+    });
+  };
+
+};
@@ -175,6 +175,57 @@ apos.define('apostrophe-docs', {
       );
     };
 
+    // Tell the server every 5 seconds that the doc with the given _id
+    // is open in this html page, so that other users can see it. After
+    // each heartbeat `callback` receives the array of other users who
+    // have the doc open (each with `_id`, `username`, `title` and possibly
+    // `locked: true`), and a boolean which is true if the current user
+    // may take control of the doc via `takeOver`. Returns a function
+    // that stops the heartbeats.
+
+    self.watchPresence = function(_id, callback) {
+      var stopped = false;
+      heartbeat();
+      var interval = setInterval(heartbeat, 5000);
+      return function() {
+        stopped = true;
+        clearInterval(interval);
+      };
+      function heartbeat() {
+        $.jsonCall(self.action + '/verify-lock', {
+          _id: _id,
+          presenceOnly: true
+        }, function(result) {
+          if (stopped || (result.status !== 'ok')) {
+            return;
+          }
+          return callback(result.presence || [], result.canTakeOver);
+        });
+      }
+    };
+
+    // Take control of the doc with the given _id even though another user
+    // holds the lock. They are notified. Only admins may do this. The
+    // callback receives null on success.
+
+    self.takeOver = function(_id, callback) {
+      return $.jsonCall(self.action + '/take-over-lock',
+        {
+          _id: _id
+        },
+        function(result) {
+          if (result.status === 'ok') {
+            self.locks[_id] = true;
+            return callback(null);
+          }
+          return callback(result.status);
+        },
+        function(err) {
+          return callback(err);
+        }
+      );
+    };
+
     // Watch for clicks on links with a [data-apos-fix-id], and open
     // the relevant document for editing, displaying the
     // [data-apos-fix-hint] first to explain why the document is being
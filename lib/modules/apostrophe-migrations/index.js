@@ -8,7 +8,22 @@
 // does remember whether they have been run before in a cache but there is
 // NO guarantee that they will not run again when the cache is cleared. If this is
 // difficult to guarantee, you may wish to write a task instead.
+//
+// Fingerprints of the schemas of doc types are stored when the database
+// is migrated, and developers are warned at startup about fields renamed,
+// removed or retyped since. The `apostrophe-migrations:generate` task
+// writes migrations for them. See `lib/schemaChanges.js`.
+//
+// ## Options
+//
+// ### `directory`
+//
+// The folder of project-level migration files, by default the
+// `apos-migrations` folder of the project. Each `.js` file in it is
+// loaded at startup and must export a function that receives `apos`,
+// like those written by `apostrophe-migrations:generate`.
 
+var async = require('async');
 var Promise = require('bluebird');
 
 module.exports = {
@@ -17,11 +32,15 @@ module.exports = {
 
   afterConstruct: function(self, callback) {
     self.enableCache();
-    return self.enableCollection(function(err) {
+    return async.series([
+      self.enableCollection,
+      self.enableSchemasCollection
+    ], function(err) {
       if (err) {
         return callback(err);
       }
       self.addMigrationTask();
+      self.addGenerateTask();
       return callback(null);
     });
   },
@@ -29,10 +48,17 @@ module.exports = {
   construct: function(self, options) {
     require('./lib/api.js')(self, options);
     require('./lib/implementation.js')(self, options);
+    require('./lib/schemaChanges.js')(self, options);
     // Always run safe migrations at startup; why would we ever continue
     // with an inconsistent database?
     self.on('apostrophe:migrate', 'runRegisteredMigrations', function(options) {
       return Promise.promisify(self.migrate)(options);
     });
+    self.on('apostrophe:migrate', 'storeSchemaFingerprints', function(options) {
+      return self.updateSchemaFingerprints();
+    });
+    self.on('apostrophe:afterInit', 'detectSchemaChanges', function() {
+      return self.warnAboutSchemaChanges();
+    });
   }
 };
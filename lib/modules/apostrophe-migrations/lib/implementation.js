@@ -65,6 +65,9 @@ module.exports = function(self, options) {
   self.afterInit = function() {
     // Add migrations for all Sortified schema fields in doc types
     self.addSortifyMigrations();
+    // Migrations of the project, such as those written by the
+    // generate task
+    self.addProjectMigrations();
     // Add our own migration at the last possible minute so we can
     // prepend before all others
     self.addCollectionMigration();
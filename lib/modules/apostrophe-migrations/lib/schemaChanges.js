@@ -0,0 +1,411 @@
+// Schema change detection. A fingerprint of the schema of each doc type
+// is stored in the `aposSchemas` collection once the database has been
+// migrated. At startup the current schemas are compared with the stored
+// fingerprints, and developers are warned about fields that were
+// renamed, removed or given another type while existing docs still
+// hold the old data. A field that replaces another should say so with
+// its `formerly` option, a field name or an array of them:
+//
+// ```javascript
+// addFields: [
+//   {
+//     name: 'headline',
+//     type: 'string',
+//     formerly: 'subtitle'
+//   }
+// ]
+// ```
+//
+// The `apostrophe-migrations:generate` task writes a file of migrations
+// for these changes, written with `eachDoc`, to the `apos-migrations`
+// folder of the project (see the `directory` option). Every `.js` file
+// in that folder is loaded at startup; it must export a function that
+// receives `apos`. Review the generated code, then run `apostrophe-migrations:migrate`.
+//
+// Each change has a migration name derived from the doc type, the
+// stored fingerprint and the fields concerned. The fingerprint of a doc
+// type is only replaced once the migrations of all of its changes have
+// run, so hand-written migrations may use the same names, which are
+// available via `getSchemaChanges`.
+
+var _ = require('@sailshq/lodash');
+var async = require('async');
+var fs = require('fs');
+var path = require('path');
+var mkdirp = require('mkdirp');
+var moment = require('moment');
+var Promise = require('bluebird');
+
+module.exports = function(self, options) {
+
+  // Where fingerprints are stored, one document per doc type
+  self.enableSchemasCollection = function(callback) {
+    return self.apos.db.collection('aposSchemas', function(err, db) {
+      if (err) {
+        return callback(err);
+      }
+      self.schemasDb = db;
+      return callback(null);
+    });
+  };
+
+  self.addGenerateTask = function() {
+    self.apos.tasks.add(self.__meta.name, 'generate', 'Write migrations for fields renamed, removed or retyped since the\n' +
+      'database was last migrated to a new file in the apos-migrations folder of the project.\n' +
+      'Mark renamed fields with the formerly option. Review the file before migrating.', self.generateTask);
+  };
+
+  // The folder of generated migrations: the `directory` option of this
+  // module, by default the `apos-migrations` folder of the project. A
+  // name of its own keeps the files of other migration tools, often
+  // found in a `migrations` folder, from being loaded.
+
+  self.getMigrationsDirectory = function() {
+    return self.options.directory || path.join(self.apos.rootDir, 'apos-migrations');
+  };
+
+  // Load each `.js` file of the migrations folder, in order of name.
+  // Each one must export a function that receives `apos` and adds
+  // migrations.
+
+  self.addProjectMigrations = function() {
+    var directory = self.getMigrationsDirectory();
+    if (!fs.existsSync(directory)) {
+      return;
+    }
+    _.each(fs.readdirSync(directory).sort(), function(name) {
+      if (!name.match(/\.js$/)) {
+        return;
+      }
+      var file = path.join(directory, name);
+      var exported = require(file);
+      if ((typeof exported) !== 'function') {
+        throw new Error(file + ' does not export a function. Each .js file in ' + directory + '\nmust export a function that receives apos and adds migrations,\nlike those written by the ' + self.__meta.name + ':generate task.');
+      }
+      exported(self.apos);
+    });
+  };
+
+  // Returns the names of the properties of a doc in which `field` is
+  // stored. Joins store ids rather than the joined docs, reverse joins
+  // store nothing.
+
+  self.getStoredProperties = function(field) {
+    if (field.type.match(/Reverse$/)) {
+      return [];
+    }
+    var properties = [];
+    if (field.name.charAt(0) !== '_') {
+      properties.push(field.name);
+    }
+    if (field.sortify) {
+      properties.push(field.name + 'Sortified');
+    }
+    _.each([ 'idField', 'idsField', 'relationshipsField', 'zoneField' ], function(property) {
+      if (field[property]) {
+        properties.push(field[property]);
+      }
+    });
+    return properties;
+  };
+
+  // Returns the fingerprint of `schema`: the name, type and stored
+  // properties of each top level field, and a hash of them.
+
+  self.getSchemaFingerprint = function(schema) {
+    var fields = _.map(schema, function(field) {
+      return {
+        name: field.name,
+        type: field.type,
+        properties: self.getStoredProperties(field)
+      };
+    });
+    return {
+      fields: fields,
+      hash: self.apos.utils.md5(JSON.stringify(fields))
+    };
+  };
+
+  // Returns the changes of the schema of the doc type `type` since
+  // `previous`, a stored fingerprint. Each change has an `action`,
+  // `rename`, `remove` or `retype`, the old `from` and the new `to` field
+  // fingerprints where they apply, and the `name` of the migration
+  // taking care of it. Added fields need no migration and are not
+  // included.
+
+  self.getSchemaChanges = function(type, previous, schema) {
+    var current = self.getSchemaFingerprint(schema).fields;
+    var prefix = 'schema:' + type + ':' + previous.hash.substr(0, 8) + ':';
+    var changes = [];
+    var seen = {};
+    _.each(current, function(to, i) {
+      var from = _.find(previous.fields, { name: to.name });
+      if (!from) {
+        var formerly = _.flatten([ schema[i].formerly || [] ]);
+        from = _.find(previous.fields, function(field) {
+          return _.includes(formerly, field.name) && (!_.find(current, { name: field.name }));
+        });
+        if (!from) {
+          return;
+        }
+        if (from.properties.length && to.properties.length) {
+          changes.push({ action: 'rename', from: from, to: to, name: prefix + 'rename:' + from.name + ':' + to.name });
+        }
+      }
+      seen[from.name] = true;
+      if ((from.type !== to.type) && from.properties.length && to.properties.length) {
+        changes.push({ action: 'retype', from: from, to: to, name: prefix + 'retype:' + to.name });
+      }
+    });
+    _.each(previous.fields, function(from) {
+      if ((!seen[from.name]) && from.properties.length) {
+        changes.push({ action: 'remove', from: from, name: prefix + 'remove:' + from.name });
+      }
+    });
+    return changes;
+  };
+
+  // Deliver an object to the callback whose keys are doc type names and
+  // whose values are the changes of their schemas since their stored
+  // fingerprints, see `getSchemaChanges`. Doc types without changes, or
+  // without a stored fingerprint, are left out.
+
+  self.getAllSchemaChanges = function(callback) {
+    return self.schemasDb.find({}).toArray(function(err, fingerprints) {
+      if (err) {
+        return callback(err);
+      }
+      var result = {};
+      _.each(fingerprints, function(previous) {
+        var manager = self.apos.docs.getManager(previous._id);
+        if (!(manager && manager.schema)) {
+          return;
+        }
+        var changes = self.getSchemaChanges(previous._id, previous, manager.schema);
+        if (changes.length) {
+          result[previous._id] = changes;
+        }
+      });
+      return callback(null, result);
+    });
+  };
+
+  // Returns a sentence describing `change` for humans.
+
+  self.describeSchemaChange = function(change) {
+    if (change.action === 'rename') {
+      return change.from.name + ' was renamed to ' + change.to.name;
+    } else if (change.action === 'retype') {
+      return change.to.name + ' changed from ' + change.from.type + ' to ' + change.to.type;
+    } else {
+      return change.from.name + ' was removed';
+    }
+  };
+
+  // Warn developers about schema changes for which no migration has
+  // been added. Invoked at startup.
+
+  self.warnAboutSchemaChanges = function() {
+    if (self.apos.argv._[0] === (self.__meta.name + ':generate')) {
+      return;
+    }
+    return Promise.promisify(self.getAllSchemaChanges)().then(function(all) {
+      _.each(all, function(changes, type) {
+        var unhandled = _.filter(changes, function(change) {
+          return !_.find(self.migrations, { name: change.name });
+        });
+        if (!unhandled.length) {
+          return;
+        }
+        self.apos.utils.warnDev('\n⚠️  The schema of the ' + type + ' doc type changed since the database was last migrated:\n\n' +
+          _.map(unhandled, function(change) {
+            return '* ' + self.describeSchemaChange(change);
+          }).join('\n') + '\n\n' +
+          'Existing docs still contain the old data. If a field was renamed, set its formerly\n' +
+          'option to the old name. Then run the ' + self.__meta.name + ':generate task to write\n' +
+          'migrations for these changes.\n');
+      });
+    });
+  };
+
+  // Store the fingerprint of the schema of each doc type, unless some
+  // of its changes have not been migrated yet. Invoked after migrations
+  // run.
+
+  self.updateSchemaFingerprints = function() {
+    return Promise.promisify(self.getAllSchemaChanges)().then(function(all) {
+      return Promise.mapSeries(_.keys(self.apos.docs.managers), function(type) {
+        var manager = self.apos.docs.managers[type];
+        if (!manager.schema) {
+          return;
+        }
+        return Promise.mapSeries(all[type] || [], function(change) {
+          return self.db.findOne({ _id: change.name });
+        }).then(function(migrated) {
+          if (!_.every(migrated)) {
+            return;
+          }
+          var fingerprint = self.getSchemaFingerprint(manager.schema);
+          return self.schemasDb.update({ _id: type }, _.assign({ _id: type, at: new Date() }, fingerprint), { upsert: true });
+        });
+      });
+    });
+  };
+
+  // Implements the `apostrophe-migrations:generate` task.
+
+  self.generateTask = function(apos, argv, callback) {
+    return self.getAllSchemaChanges(function(err, all) {
+      if (err) {
+        return callback(err);
+      }
+      var pending = {};
+      _.each(all, function(changes, type) {
+        changes = _.filter(changes, function(change) {
+          return !_.find(self.migrations, { name: change.name });
+        });
+        if (changes.length) {
+          pending[type] = changes;
+        }
+      });
+      if (_.isEmpty(pending)) {
+        self.apos.utils.log('No schema changes require migrations.');
+        return callback(null);
+      }
+      var directory = self.getMigrationsDirectory();
+      var file = path.join(directory, moment().format('YYYYMMDDHHmmss') + '-schema-changes.js');
+      return async.series([
+        function(callback) {
+          return mkdirp(directory).then(function() {
+            return callback(null);
+          }, callback);
+        },
+        function(callback) {
+          return fs.writeFile(file, self.generateMigrations(pending), callback);
+        }
+      ], function(err) {
+        if (err) {
+          return callback(err);
+        }
+        self.apos.utils.log('Wrote ' + file + '\nReview it, then run the ' + self.__meta.name + ':migrate task.');
+        if (_.find(_.flatten(_.values(pending)), function(change) {
+          return (change.action === 'retype') && (!self.canConvertFromText(change.to.type));
+        })) {
+          self.apos.utils.warn('Some of these migrations must be edited by hand, look for TODO comments.');
+        }
+        return callback(null);
+      });
+    });
+  };
+
+  // Returns the source code of a migrations file for `changes`, an
+  // object like that delivered by `getAllSchemaChanges`.
+
+  self.generateMigrations = function(changes) {
+    var code = [
+      '// Migrations for schema changes, written by ' + self.__meta.name + ':generate',
+      '// on ' + moment().format('YYYY-MM-DD') + '. Review them before running ' + self.__meta.name + ':migrate.',
+      '',
+      'module.exports = function(apos) {'
+    ];
+    _.each(changes, function(changes, type) {
+      _.each(changes, function(change) {
+        code = code.concat([ '' ], _.map(self.generateMigration(type, change), function(line) {
+          return '  ' + line;
+        }));
+      });
+    });
+    code.push('', '};', '');
+    return code.join('\n');
+  };
+
+  // Returns the lines of code of a migration for `change` of the schema
+  // of the doc type `type`.
+
+  self.generateMigration = function(type, change) {
+    // Retyping happens after any renaming
+    var property = (change.action === 'retype') ? change.to.properties[0] : change.from.properties[0];
+    var criteria = '{ type: ' + quote(type) + ', ' + key(property) + ': { $exists: 1 } }';
+    var lines = [
+      '// ' + type + ': ' + self.describeSchemaChange(change),
+      'apos.migrations.add(' + quote(change.name) + ', function() {'
+    ];
+    if (change.action === 'rename') {
+      var renames = _.map(_.zip(change.from.properties, change.to.properties), function(pair) {
+        return (pair[0] && pair[1]) ? (key(pair[0]) + ': ' + quote(pair[1])) : null;
+      });
+      lines = lines.concat([
+        '  return apos.migrations.eachDoc(' + criteria + ', 5, function(doc) {',
+        '    return apos.docs.db.update({ _id: doc._id }, { $rename: { ' + _.compact(renames).join(', ') + ' } });',
+        '  });'
+      ]);
+    } else if (change.action === 'remove') {
+      lines = lines.concat([
+        '  return apos.migrations.eachDoc(' + criteria + ', 5, function(doc) {',
+        '    return apos.docs.db.update({ _id: doc._id }, { $unset: { ' + _.map(change.from.properties, function(property) {
+          return key(property) + ': 1';
+        }).join(', ') + ' } });',
+        '  });'
+      ]);
+    } else if (!self.canConvertFromText(change.to.type)) {
+      lines = lines.concat([
+        '  // TODO: EDIT BY HAND. ' + change.to.type + ' values cannot be converted from text, so this',
+        '  // migration only fails until you write the conversion of the old ' + change.from.type + ' values.',
+        '  return apos.migrations.eachDoc(' + criteria + ', 5, function(doc) {',
+        '    // var value = ...;',
+        '    // return apos.docs.db.update({ _id: doc._id }, { $set: { ' + key(change.to.name) + ': value } });',
+        '    throw new Error(' + quote('The ' + change.name + ' migration must be edited by hand.') + ');',
+        '  });'
+      ]);
+    } else {
+      lines = lines.concat([
+        '  // The old ' + change.from.type + ' values are converted as if they were imported as text.',
+        '  // Adjust this for values that do not convert cleanly.',
+        '  var req = apos.tasks.getReq();',
+        '  var schema = apos.schemas.subset(apos.docs.getManager(' + quote(type) + ').schema, [ ' + quote(change.to.name) + ' ]);',
+        '  return apos.migrations.eachDoc(' + criteria + ', 5, function(doc) {',
+        '    var output = {};',
+        '    return new Promise(function(resolve) {',
+        '      return apos.schemas.convert(req, schema, \'string\', { ' + key(change.to.name) + ': String(doc' + (key(property) === property ? ('.' + property) : ('[' + quote(property) + ']')) + ') }, output, function(err) {',
+        '        if (err) {',
+        '          apos.utils.warn(\'Unable to convert ' + change.to.name + ' of \' + doc._id + \': \' + err);',
+        '          return resolve();',
+        '        }',
+        '        if (!Object.keys(output).length) {',
+        '          // Nothing to set, and MongoDB may refuse an empty $set',
+        '          return resolve();',
+        '        }',
+        '        return resolve(apos.docs.db.update({ _id: doc._id }, { $set: output }));',
+        '      });',
+        '    });',
+        '  });'
+      ]);
+    }
+    lines.push('});');
+    return lines;
+  };
+
+  // True if values of the field type `type` can be converted from
+  // text by `apos.schemas.convert`, as retype migrations do. Areas,
+  // singletons, arrays and objects hold structured content that text
+  // does not describe.
+
+  self.canConvertFromText = function(type) {
+    var fieldType = self.apos.schemas.fieldTypes[type];
+    if (!(fieldType && fieldType.converters && fieldType.converters.string)) {
+      return false;
+    }
+    return !_.includes([ 'area', 'singleton', 'array', 'object' ], type);
+  };
+
+  // Object keys are quoted only when necessary
+
+  function key(s) {
+    return s.match(/^[A-Za-z_$][\w$]*$/) ? s : quote(s);
+  }
+
+  function quote(s) {
+    return '\'' + s.replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'';
+  }
+
+};
@@ -156,6 +156,10 @@ module.exports = {
     // This is a helpful way to accommodate percolating detailed
     // error messages up from a nested function call through a
     // stack that otherwise only accommodates simple string errors.
+    //
+    // Similarly, if `req.validationErrors` was set by a failed call to
+    // `apos.schemas.convert`, it is passed as the `errors` property,
+    // an array of objects with `path`, `code` and `message` properties.
 
     self.apiRoute = function(method, path, fn) {
       return self.route.apply(self, [ method, path, 'apiResponder' ].concat(Array.prototype.slice.call(arguments, 2)));
@@ -228,6 +232,9 @@ module.exports = {
           if (req.errorMessages) {
             response.messages = req.errorMessages;
           }
+          if (req.validationErrors) {
+            response.errors = req.validationErrors;
+          }
           return req.res.send(Object.assign(response, extraError || {}));
         } else {
           // We already flagged this as a developer mistake
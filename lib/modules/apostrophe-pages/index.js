@@ -277,6 +277,10 @@ module.exports = {
       action: 'copy-page',
       label: 'Copy Page'
     },
+    {
+      action: 'duplicate-page',
+      label: 'Duplicate with Subpages'
+    },
     {
       action: 'update-page',
       label: 'Page Settings'
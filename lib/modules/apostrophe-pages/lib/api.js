@@ -576,8 +576,10 @@ module.exports = function(self, options) {
         var $unset = {};
         if (moved.trash) {
           $set.trash = true;
+          $set.trashedAt = new Date();
         } else {
           $unset.trash = true;
+          $unset.trashedAt = true;
         }
         var action = {};
         if (!_.isEmpty($set)) {
@@ -592,19 +594,26 @@ module.exports = function(self, options) {
         return self.apos.docs.db.update(mergeCriteria({ path: matchParentPathPrefix }), action, { multi: true }, callback);
       }
       function afterMoved(callback) {
-        return self.afterMove(
-          req,
-          moved,
-          {
-            originalSlug: originalSlug,
-            originalPath: originalPath,
-            changed: changed,
-            target: target,
-            position: position,
-            options: options
-          },
-          callback
-        );
+        var info = {
+          originalSlug: originalSlug,
+          originalPath: originalPath,
+          changed: changed,
+          target: target,
+          position: position,
+          options: options
+        };
+        return self.afterMove(req, moved, info, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          return self.emit('afterMove', req, moved, info).then(function() {
+            callback(null);
+            return null;
+          }).catch(function(err) {
+            callback(err);
+            return null;
+          });
+        });
       }
 
       function finish(err) {
@@ -658,7 +667,9 @@ module.exports = function(self, options) {
   };
 
   // Invoked after a page is moved. Override to carry out
-  // aditional actions
+  // aditional actions. Other modules can listen for the
+  // `apostrophe-pages:afterMove` promise event, which is emitted
+  // afterwards with the same `req`, `moved` and `info` arguments.
 
   self.afterMove = function(req, moved, info, callback) {
     return callback(null);
@@ -694,7 +705,7 @@ module.exports = function(self, options) {
   self.trashInSchema = function(req, _id, toTrash, callback) {
     var page, parent;
     var tree = [];
-    var action = toTrash ? { $set: { trash: true } } : { $unset: { trash: 1 } };
+    var action = toTrash ? { $set: { trash: true, trashedAt: new Date() } } : { $unset: { trash: 1, trashedAt: 1 } };
 
     return async.series(
       [
@@ -189,7 +189,7 @@ module.exports = function(self, options) {
         if (err) {
           return next(err);
         }
-        return next(null, { status: 'ok', url: safePage._url, page: safePage });
+        return next(null, { status: 'ok', url: safePage._url, page: self.apos.docs.getManager(safePage.type).removeUnviewableFields(req, safePage) });
       });
     });
 
@@ -219,7 +219,7 @@ module.exports = function(self, options) {
         var schema = self.allowedSchema(req, page, parentPage);
         // We modified it, we have to bless the new version
         self.apos.schemas.bless(req, schema);
-        return next(null, { data: page, schema: schema });
+        return next(null, { data: self.apos.docs.getManager(page.type).removeUnviewableFields(req, page), schema: schema });
       });
     });
 
@@ -261,7 +261,11 @@ module.exports = function(self, options) {
           return self.apos.schemas.convert(req, schema, 'form', page, existingPage, callback);
         },
         update: function(callback) {
-          return self.update(req, existingPage, callback);
+          var options = {};
+          if (_.has(page, 'aposRevision')) {
+            options.expectedRevision = self.apos.launder.integer(page.aposRevision);
+          }
+          return self.update(req, existingPage, options, callback);
         },
         findAgain: function(callback) {
           // Fetch the page. Yes, we already have it, but this way all the cursor
@@ -278,10 +282,20 @@ module.exports = function(self, options) {
           });
         }
       }, function(err) {
+        if (err === 'conflict') {
+          // Someone else saved the page first, respond with their version
+          return self.find(req, { _id: existingPage._id }).published(null).trash(self.apos.docs.trashInSchema ? null : false).fieldPermissions(true).toObject(function(_err, current) {
+            if (_err) {
+              return next(_err);
+            }
+            res.status(409);
+            return next(err, null, { page: current });
+          });
+        }
         if (err) {
           return next(err);
         }
-        return next(null, { url: existingPage._url, page: existingPage });
+        return next(null, { url: existingPage._url, page: self.apos.docs.getManager(existingPage.type).removeUnviewableFields(req, existingPage) });
       });
     });
 
@@ -326,7 +340,7 @@ module.exports = function(self, options) {
 
         // We modified it, we have to bless the new version
         self.apos.schemas.bless(req, schema);
-        return next(null, { data: page, schema: schema });
+        return next(null, { data: self.apos.docs.getManager(page.type).removeUnviewableFields(req, page), schema: schema });
       });
     });
 
@@ -409,7 +423,15 @@ module.exports = function(self, options) {
           self.callAllAndEmit('pageBeforeCopy', 'beforeCopy', req, workingPage, parentPage, safePage, callback);
         },
         insert: function(callback) {
-          return self.insert(req, parentPage, safePage, callback);
+          // The copy must not share widget and array item ids with
+          // the original, which apos.docs.duplicate takes care of
+          return self.apos.docs.duplicate(req, safePage, { parent: parentPage }, function(err, copy) {
+            if (err) {
+              return callback(err);
+            }
+            safePage = copy;
+            return callback(null);
+          });
         },
         find: function(callback) {
           // Fetch the page. Yes, we already have it, but this way all the cursor
@@ -433,6 +455,37 @@ module.exports = function(self, options) {
       });
     });
 
+    // Duplicate the page with the given `_id` as a sibling of the original,
+    // optionally with all of its descendants (`children: true`), via
+    // `apos.docs.duplicate`. Responds with the `url` of the new page.
+
+    self.apiRoute('post', 'duplicate', self.requireEditor, function(req, res, next) {
+      var _id = self.apos.launder.id(req.body._id);
+      var children = self.apos.launder.boolean(req.body.children);
+      return self.find(req, { _id: _id }).permission('edit-apostrophe-page').published(null).areas(false).joins(false).toObject(function(err, page) {
+        if (err) {
+          return next(err);
+        }
+        if (!page) {
+          return next('notfound');
+        }
+        return self.apos.docs.duplicate(req, page, { children: children }, function(err, copy) {
+          if (err) {
+            return next(err);
+          }
+          return self.find(req, { _id: copy._id }).published(null).toObject(function(err, copy) {
+            if (err) {
+              return next(err);
+            }
+            if (!copy) {
+              return next('notfound');
+            }
+            return next(null, { url: copy._url });
+          });
+        });
+      });
+    });
+
     self.apiRoute('post', 'move', self.requireEditor, function(req, res, next) {
       return self.move(req, self.apos.launder.id(req.body.movedId), self.apos.launder.id(req.body.targetId), self.apos.launder.string(req.body.position), function(err, changed) {
         if (err) {
@@ -601,7 +654,7 @@ module.exports = function(self, options) {
     });
 
     self.apiRoute('post', 'info', self.apos.docs.requireEditorOfSomething, function(req, res, next) {
-      var cursor = self.find(req, { _id: self.apos.launder.id(req.body._id) }).published(null).areas(false);
+      var cursor = self.find(req, { _id: self.apos.launder.id(req.body._id) }).published(null).areas(false).fieldPermissions(true);
       self.setInfoProjection(req, cursor);
       return cursor.toObject(function(err, page) {
         if (err) {
@@ -626,6 +679,7 @@ module.exports = function(self, options) {
     self.route('post', 'publish', self.requireEditor, function(req, res) {
       return self.batchSimpleRoute(req, 'publish', function(req, page, data, callback) {
         page.published = true;
+        self.apos.docs.clearSchedule(page, 'publish');
         return self.update(req, page, callback);
       });
     });
@@ -638,6 +692,7 @@ module.exports = function(self, options) {
     self.route('post', 'unpublish', self.requireEditor, function(req, res) {
       return self.batchSimpleRoute(req, 'unpublish', function(req, page, data, callback) {
         page.published = false;
+        self.apos.docs.clearSchedule(page, 'unpublish');
         return self.update(req, page, callback);
       });
     });
@@ -123,7 +123,10 @@ apos.define('apostrophe-pages-editor', {
           return self.api(self.verb, { currentPageId: self.page._id, page: page }, function(_data) {
             data = _data;
             if (data.status !== 'ok') {
-              apos.notify('An error occurred while creating the page: ' + data.status, { type: 'error' });
+              // Highlight fields the server found invalid, if any
+              if (!apos.schemas.showServerErrors(self.$el, self.schema, data.errors)) {
+                apos.notify('An error occurred while creating the page: ' + data.status, { type: 'error' });
+              }
               return callback(data.status);
             }
             self.savedPage = data.page;
@@ -13,6 +13,7 @@ apos.define('apostrophe-pages', {
 
   afterConstruct: function(self) {
     self.addLinks();
+    self.watchPresence();
   },
 
   construct: function(self) {
@@ -23,6 +24,15 @@ apos.define('apostrophe-pages', {
       apos.ui.link('apos-copy', 'page', function() {
         apos.create('apostrophe-pages-editor-copy', { action: self.options.action });
       });
+      apos.ui.link('apos-duplicate', 'page', function() {
+        self.duplicate(self.page._id, { children: true }, function(err, url) {
+          if (err) {
+            apos.notify('An error occurred while duplicating the page.', { type: 'error', dismiss: true });
+          } else {
+            window.location.href = url;
+          }
+        });
+      });
       apos.ui.link('apos-update', 'page', function() {
         self.pageSettings();
       });
@@ -60,6 +70,17 @@ apos.define('apostrophe-pages', {
       });
     };
 
+    // Let other users know the current page is open here, and display
+    // the users who have it open in the admin bar
+    self.watchPresence = function() {
+      if (!(self.page && self.page._id)) {
+        return;
+      }
+      apos.docs.watchPresence(self.page._id, function(presence, canTakeOver) {
+        apos.adminBar.showPresence(self.page._id, presence, canTakeOver);
+      });
+    };
+
     // page settings for current page
     self.pageSettings = function(options) {
       apos.create('apostrophe-pages-editor-update', _.merge({}, options || {}, { action: self.options.action }));
@@ -98,6 +119,20 @@ apos.define('apostrophe-pages', {
       });
     };
 
+    // Duplicate a page via the `duplicate` route. If `options.children`
+    // is true its descendants are duplicated too. Delivers the URL of the
+    // new page to the callback
+    self.duplicate = function(_id, options, callback) {
+      self.api('duplicate', _.assign({ _id: _id }, options), function(data) {
+        if (data.status === 'ok') {
+          return callback(null, data.url);
+        }
+        return callback(data.status);
+      }, function() {
+        return callback('network');
+      });
+    };
+
     // Rescue a page from the trash. Currently invoked
     // only when trashInSchema option is true
     self.rescue = function(_id, callback) {
@@ -36,7 +36,8 @@ module.exports = function(self, options) {
         // view permissions have some niceties
         if (verb === 'view') {
           // Case #1: it is published and no login is required
-          if (object.published && (!object.loginRequired)) {
+          var published = self.apos.docs.isPublished(object);
+          if (published && (!object.loginRequired)) {
             return true;
           }
 
@@ -44,13 +45,13 @@ module.exports = function(self, options) {
           // it's OK to show objects with loginRequired set to `loginRequired` but not `certainUsers`
           // (this is called "Login Required" on the front end)
           if (permissions.guest) {
-            if (object.published && (object.loginRequired === 'loginRequired')) {
+            if (published && (object.loginRequired === 'loginRequired')) {
               return true;
             }
           }
 
           // Case #3: object is restricted to certain people
-          if (req.user && object.published && (object.loginRequired === 'certainUsers') && _.intersection(self.userPermissionNames(req.user, 'view'), object.docPermissions).length) {
+          if (req.user && published && (object.loginRequired === 'certainUsers') && _.intersection(self.userPermissionNames(req.user, 'view'), object.docPermissions).length) {
             return true;
           }
 
@@ -76,11 +77,17 @@ module.exports = function(self, options) {
 
         // view permissions have some niceties
         if (verb === 'view') {
+          // Honors publishAt and unpublishAt, see apos.docs.getPublishedCriteria
+          var published = self.apos.docs.getPublishedCriteria();
           // Case #1: it is published and no login is required
           clauses.push({
-            published: true,
-            // Either does not exist or is the empty string
-            loginRequired: { $in: [ null, '' ] }
+            $and: [
+              published,
+              {
+                // Either does not exist or is the empty string
+                loginRequired: { $in: [ null, '' ] }
+              }
+            ]
           });
 
           if (req.user) {
@@ -89,17 +96,25 @@ module.exports = function(self, options) {
             // (this is called "Login Required" on the front end)
             if (permissions.guest) {
               clauses.push({
-                published: true,
-                loginRequired: 'loginRequired'
+                $and: [
+                  published,
+                  {
+                    loginRequired: 'loginRequired'
+                  }
+                ]
               });
             }
 
             // Case #3: doc is restricted to certain people
 
             clauses.push({
-              published: true,
-              loginRequired: 'certainUsers',
-              docPermissions: { $in: self.userPermissionNames(req.user, 'view') }
+              $and: [
+                published,
+                {
+                  loginRequired: 'certainUsers',
+                  docPermissions: { $in: self.userPermissionNames(req.user, 'view') }
+                }
+              ]
             });
 
             // Case #4: can edit the doc and is of a type we
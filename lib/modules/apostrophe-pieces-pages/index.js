@@ -22,6 +22,23 @@
 // If a filter configuration has a `counts` property set to `true`, then the array provided for
 // that filter will also have a `count` property for each value. This has a performance
 // impact.
+//
+// ### `keysetPagination`
+//
+// If `true`, the index page is paginated with continuation tokens rather than page
+// numbers, which remains fast for very large numbers of pieces. `req.data.nextToken`
+// and `req.data.prevToken` are made available to the template; link to the next or
+// previous page by passing them as the `pageAfter` or `pageBefore` query parameter.
+// Page numbers are still used when the user is searching, as search results are
+// sorted by quality.
+//
+// ### `related`
+//
+// If set, `req.data.related` is set on the show page to the pieces most
+// related to the piece being displayed, according to the `relatedTo`
+// cursor filter, among those the index page would display. Five are
+// displayed by default. Pass an object to apply other filters, for
+// instance `{ limit: 3 }` or `{ limit: 3, relatedToWeights: { text: 0 } }`.
 
 var _ = require('@sailshq/lodash');
 var async = require('async');
@@ -118,7 +135,7 @@ module.exports = {
           if (err) {
             return callback(err);
           }
-          if (cursor.get('page') > cursor.get('totalPages')) {
+          if ((!self.isKeysetIndex(cursor)) && (cursor.get('page') > cursor.get('totalPages'))) {
             req.notFound = true;
             return callback(null);
           }
@@ -129,21 +146,35 @@ module.exports = {
       }
 
       function findPieces(callback) {
+        if (self.isKeysetIndex(cursor)) {
+          return cursor.toPage(function(err, page) {
+            if (err) {
+              return callback(err);
+            }
+            req.data.nextToken = page.nextToken;
+            req.data.prevToken = page.prevToken;
+            return found(page.docs, callback);
+          });
+        }
         cursor.toArray(function(err, docs) {
           if (err) {
             return callback(err);
           }
-          if (self.apos.utils.isAjaxRequest(req)) {
-            req.template = self.renderer('indexAjax');
-          } else {
-            req.template = self.renderer('index');
-          }
           req.data.currentPage = cursor.get('page');
-          req.data.pieces = docs;
-          return callback();
+          return found(docs, callback);
         });
       }
 
+      function found(docs, callback) {
+        if (self.apos.utils.isAjaxRequest(req)) {
+          req.template = self.renderer('indexAjax');
+        } else {
+          req.template = self.renderer('index');
+        }
+        req.data.pieces = docs;
+        return callback();
+      }
+
       return async.series([getFilters, totalPieces, findPieces], function(err) {
         if (err) {
           return callback(err);
@@ -152,6 +183,13 @@ module.exports = {
       });
     };
 
+    // Returns true if the index page should be paginated with continuation
+    // tokens for the given cursor. See the `keysetPagination` option.
+
+    self.isKeysetIndex = function(cursor) {
+      return !!(self.options.keysetPagination && (!cursor.get('search')));
+    };
+
     // Called before `indexPage`. By default, does nothing.
     // A convenient way to extend the functionality.
 
@@ -185,12 +223,14 @@ module.exports = {
       var doc;
       var previous;
       var next;
+      var related;
 
       return async.series([
         findAsReader,
         findAsEditor,
         findPrevious,
-        findNext
+        findNext,
+        findRelated
       ], function(err) {
         if (err) {
           return callback(err);
@@ -221,6 +261,7 @@ module.exports = {
         req.data.piece = doc;
         req.data.previous = previous;
         req.data.next = next;
+        req.data.related = related;
         return self.beforeShow(req, callback);
       });
 
@@ -295,6 +336,25 @@ module.exports = {
           });
       }
 
+      function findRelated(callback) {
+        if (!(self.options.related && doc)) {
+          return callback(null);
+        }
+        return self.indexCursor(req).relatedTo(doc)
+          .limit(5)
+          .applyFilters(
+            typeof (self.options.related) === 'object'
+              ? self.options.related : {}
+          )
+          .toArray(function(err, _related) {
+            if (err) {
+              return callback(err);
+            }
+            related = _related;
+            return callback(null);
+          });
+      }
+
     };
 
     // Invoked just before the piece is displayed on its "show page." By default,
@@ -461,25 +521,21 @@ module.exports = {
     //
     // If a filter in the array has its `counts` property set to true,
     // Apostrophe will supply a `count` property for each distinct value,
-    // whenever possible. This has a performance impact.
+    // whenever possible.
+    //
+    // The values and counts for all of the filters are fetched with a
+    // single aggregation query via the `toFacets` method of the cursor.
 
     self.populatePiecesFilters = function(cursor, callback) {
       var req = cursor.get('req');
       req.data.piecesFilters = req.data.piecesFilters || {};
-      return async.eachSeries(self.piecesFilters, function(filter, callback) {
-        // The choices for each filter should reflect the effect of all filters
-        // except this one (filtering by topic pares down the list of categories and
-        // vice versa)
-        var _cursor = cursor.clone();
-        _cursor[filter.name](undefined);
-        return _cursor.toChoices(filter.name, _.pick(filter, 'counts'), function(err, choices) {
-          if (err) {
-            return callback(err);
-          }
-          req.data.piecesFilters[filter.name] = choices;
-          return callback(null);
-        });
-      }, callback);
+      return cursor.toFacets(self.piecesFilters, function(err, facets) {
+        if (err) {
+          return callback(err);
+        }
+        _.assign(req.data.piecesFilters, facets);
+        return callback(null);
+      });
     };
   }
 };
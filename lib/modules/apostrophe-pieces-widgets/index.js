@@ -32,6 +32,19 @@
 //
 // Integer that sets the widget cursor limit for fetching
 // pieces individually
+//
+// ### `related`
+//
+// If `true`, editors may also choose to display the pieces most related
+// to the piece being displayed on a show page, or else to the current
+// page, via the `relatedTo` cursor filter. Nothing is displayed if
+// there is no such piece or page.
+//
+// ### `limitByRelated`
+//
+// Integer that sets the widget cursor limit when related pieces are
+// fetched. If this option is not set, editors will be presented with the
+// usual `Maximum Displayed` schema field to set this number manually
 
 var _ = require('@sailshq/lodash');
 var async = require('async');
@@ -44,6 +57,7 @@ module.exports = {
   limitByAll: null,
   limitByTag: null,
   limitById: null,
+  limitByRelated: null,
 
   // cursor filters to apply when loading pieces for this widget type. A common
   // case is to restrict the `projection` filter to improve performance
@@ -75,6 +89,9 @@ module.exports = {
       })) {
         by.push('tag');
       }
+      if (options.related) {
+        by.push('related');
+      }
     }
 
     var addFields = [];
@@ -94,6 +111,11 @@ module.exports = {
         value: 'tag',
         label: options.byTagLabel || 'By Tag',
         showFields: [ 'tags' ].concat(options.limitByTag ? [] : [ 'limitByTag' ])
+      },
+      related: {
+        value: 'related',
+        label: options.byRelatedLabel || 'Related',
+        showFields: options.limitByRelated ? undefined : [ 'limitByRelated' ]
       }
     };
 
@@ -156,6 +178,15 @@ module.exports = {
       }
     }
 
+    if (_.contains(by, 'related') && !options.limitByRelated) {
+      addFields.push({
+        type: 'integer',
+        name: 'limitByRelated',
+        label: 'Maximum displayed',
+        def: 5
+      });
+    }
+
     var arrangeFields = [
       {
         name: 'basics',
@@ -165,7 +196,8 @@ module.exports = {
           '_pieces',
           'limitByAll',
           'tags',
-          'limitByTag'
+          'limitByTag',
+          'limitByRelated'
         ]
       }
     ];
@@ -295,6 +327,15 @@ module.exports = {
       } else if (widget.by === 'all') {
         // We are interested in everything
         cursor.limit(self.options.limitByAll || widget.limitByAll || 5);
+      } else if (widget.by === 'related') {
+        // Related to the piece on a show page, otherwise to the page
+        var doc = req.data.piece || req.data.page;
+        if (!doc) {
+          self.attachPiecesToWidget(widget, []);
+          return callback(null);
+        }
+        cursor.relatedTo(doc);
+        cursor.limit(self.options.limitByRelated || widget.limitByRelated || 5);
       } else if (widget.by === 'id') {
         // By default, "by id" goes through a separate path, but support it here
         // so that the loadOne method can be used directly and naively to load
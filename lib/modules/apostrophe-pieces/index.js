@@ -103,8 +103,15 @@ module.exports = {
       {
         name: 'published',
         label: 'Published',
+        partial: function(value, piece) {
+          return self.partial('managePublished', { value: value, piece: piece });
+        }
+      },
+      {
+        name: '_presence',
+        label: 'Editing',
         partial: function(value) {
-          return self.partial('managePublished', { value: value });
+          return self.partial('managePresence', { value: value || [] });
         }
       }
     ];
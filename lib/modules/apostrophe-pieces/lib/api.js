@@ -127,6 +127,11 @@ module.exports = function(self, options) {
   // options.filters can contain cursor filters. `options.chooser`, `options.format` and
   // `options.manageView` are also implemented. For bc, if `options.filters` does not exist,
   // all properties of options are treated as cursor filters.
+  //
+  // If `options.keysetPagination` is true, or the `pageAfter` or `pageBefore`
+  // filter is present, keyset pagination is used via the `toPage` method of the
+  // cursor and `nextToken` and `prevToken` are included in the results. Such tokens
+  // are passed back as the `pageAfter` and `pageBefore` filters to move between pages.
 
   self.list = function(req, options, callback) {
     var cursor;
@@ -142,6 +147,7 @@ module.exports = function(self, options) {
       self.setListProjection(req, cursor);
       cursor.perPage(self.options.perPage || 10);
     }
+    cursor.fieldPermissions(true);
 
     if (options.filters && options.filters.sortColumn) {
       // Column sort is not a regular cursor filter because the
@@ -231,6 +237,18 @@ module.exports = function(self, options) {
       },
 
       toArray: function(callback) {
+        if (self.isKeysetList(options, cursor)) {
+          return cursor.toPage(function(err, page) {
+            if (err) {
+              return callback(err);
+            }
+            results.limit = cursor.get('perPage');
+            results.pieces = page.docs;
+            results.nextToken = page.nextToken;
+            results.prevToken = page.prevToken;
+            return callback(null);
+          });
+        }
         return cursor
           .toArray(function(err, pieces) {
             if (err) {
@@ -272,6 +290,20 @@ module.exports = function(self, options) {
     cursor.projection(self.getListProjection(req));
   };
 
+  // Returns true if `list` should use keyset pagination for the given options
+  // and cursor. Search results are sorted by quality, which cannot be paginated
+  // that way, so they always use the `page` filter.
+
+  self.isKeysetList = function(options, cursor) {
+    if (options.format === 'allIds') {
+      return false;
+    }
+    if (cursor.get('search') || cursor.get('autocomplete')) {
+      return false;
+    }
+    return !!(options.keysetPagination || cursor.get('pageAfter') || cursor.get('pageBefore'));
+  };
+
   // Insert a piece. Also invokes the `beforeInsert`, `beforeSave`, `afterInsert` and
   // `afterSave` methods of this module.
   //
@@ -300,21 +332,7 @@ module.exports = function(self, options) {
 
     function body(callback) {
       piece.type = self.name;
-
-      if ((options.permissions !== false) &&
-        (!self.apos.permissions.can(req, 'admin-' + self.name))) {
-        // If we are not an admin for this type and we just created something,
-        // make sure we wind up on the list of people who can edit it. Note that
-        // permissions will still keep us from actually inserting it, and thus
-        // making this change, if we're not cool enough to create one. However if
-        // we are ignoring permissions via `permissions: false` do not do this
-        // (leave it up to the developer to decide if anybody gets permission to
-        // edit later).
-        if (req.user) {
-          piece.editUsersIds = (piece.editUsersIds || []).concat([ req.user._id ]);
-          piece.docPermissions = (piece.docPermissions || []).concat([ 'edit-' + req.user._id ]);
-        }
-      }
+      self.addCreatorPermissions(req, piece, options);
 
       return async.series([
         beforeInsert,
@@ -352,6 +370,158 @@ module.exports = function(self, options) {
 
   };
 
+  // If we are not an admin for this type and we are creating a piece,
+  // make sure we wind up on the list of people who can edit it. Note that
+  // permissions will still keep us from actually inserting it, and thus
+  // making this change, if we're not cool enough to create one. However if
+  // we are ignoring permissions via `permissions: false` do not do this
+  // (leave it up to the developer to decide if anybody gets permission to
+  // edit later). Called by `insert` and `insertMany`.
+
+  self.addCreatorPermissions = function(req, piece, options) {
+    if ((options.permissions !== false) &&
+      (!self.apos.permissions.can(req, 'admin-' + self.name))) {
+      if (req.user) {
+        piece.editUsersIds = (piece.editUsersIds || []).concat([ req.user._id ]);
+        piece.docPermissions = (piece.docPermissions || []).concat([ 'edit-' + req.user._id ]);
+      }
+    }
+  };
+
+  // Insert many pieces at once, via `apos.docs.insertMany`. Much faster
+  // than calling `insert` for each one when importing large numbers
+  // of pieces. The `beforeInsert`, `beforeSave`, `afterInsert` and
+  // `afterSave` methods of this module are still invoked for each piece.
+  //
+  // A problem with one piece does not prevent the others from
+  // being inserted. The callback receives `(null, result)`, where
+  // `result.docs` is an array of the pieces successfully inserted and
+  // `result.errors` is an array of objects with `index`, `doc` and
+  // `error` properties, one for each piece that could not be inserted.
+  //
+  // You may omit the `options` argument completely. If no callback
+  // is passed, returns a promise.
+
+  self.insertMany = function(req, pieces, options, callback) {
+    if ((typeof arguments[2]) !== 'object') {
+      callback = options;
+      options = {};
+    }
+    if (callback) {
+      return body(callback);
+    } else {
+      return Promise.promisify(body)();
+    }
+    function body(callback) {
+      _.each(pieces, function(piece) {
+        piece.type = self.name;
+        self.addCreatorPermissions(req, piece, options);
+      });
+      return self.saveMany(req, pieces, options, 'insert', callback);
+    }
+  };
+
+  // Update many pieces at once, via `apos.docs.updateMany`. Otherwise
+  // just like `insertMany`.
+
+  self.updateMany = function(req, pieces, options, callback) {
+    if ((typeof arguments[2]) !== 'object') {
+      callback = options;
+      options = {};
+    }
+    if (callback) {
+      return body(callback);
+    } else {
+      return Promise.promisify(body)();
+    }
+    function body(callback) {
+      _.each(pieces, function(piece) {
+        piece.type = self.name;
+      });
+      return self.saveMany(req, pieces, options, 'update', callback);
+    }
+  };
+
+  // Implementation of `insertMany` and `updateMany`. `verb` is
+  // `insert` or `update`.
+
+  self.saveMany = function(req, pieces, options, verb, callback) {
+    var Verb = _.capitalize(verb);
+    var errors = [];
+    var ready = [];
+    var saved;
+    return async.series([
+      before,
+      save,
+      after
+    ], function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, {
+        docs: saved,
+        errors: _.sortBy(errors, 'index')
+      });
+    });
+
+    function before(callback) {
+      return async.eachSeries(pieces, function(piece, callback) {
+        return async.series([
+          _.partial(self['before' + Verb], req, piece, options),
+          _.partial(self.beforeSave, req, piece, options)
+        ], function(err) {
+          if (err) {
+            fail(piece, err);
+          } else {
+            ready.push(piece);
+          }
+          return callback(null);
+        });
+      }, callback);
+    }
+
+    function save(callback) {
+      return self.apos.docs[verb + 'Many'](req, ready, options, function(err, result) {
+        if (err) {
+          return callback(err);
+        }
+        _.each(result.errors, function(error) {
+          fail(error.doc, error.error);
+        });
+        saved = result.docs;
+        return callback(null);
+      });
+    }
+
+    function after(callback) {
+      var succeeded = [];
+      return async.eachSeries(saved, function(piece, callback) {
+        return async.series([
+          _.partial(self['after' + Verb], req, piece, options),
+          _.partial(self.afterSave, req, piece, options)
+        ], function(err) {
+          if (err) {
+            fail(piece, err);
+          } else {
+            succeeded.push(piece);
+          }
+          return callback(null);
+        });
+      }, function(err) {
+        saved = succeeded;
+        return callback(err);
+      });
+    }
+
+    function fail(piece, err) {
+      errors.push({
+        index: _.indexOf(pieces, piece),
+        doc: piece,
+        error: err
+      });
+    }
+  };
+
   // Update a piece. Also invokes the `beforeUpdate`, `beforeSave`, `afterUpdate` and
   // `afterSave` methods of this module.
   //
@@ -562,16 +732,28 @@ module.exports = function(self, options) {
     });
   };
 
+  // Fields the user may not view are left out of the piece sent by
+  // the insert, update and retrieve routes. See
+  // `removeUnviewableFields`.
+
   self.insertResponse = function(req, res, err, data) {
-    return self.apiResponse(res, err, data);
+    return self.apiResponse(res, err, self.removeUnviewableFields(req, data));
   };
 
+  // A `conflict` error is sent with a 409 status. `data` is the
+  // piece as currently saved by whoever got there first.
+
   self.updateResponse = function(req, res, err, data) {
+    data = self.removeUnviewableFields(req, data);
+    if (err === 'conflict') {
+      res.status(409);
+      return self.apiResponder(req, err, null, { data: data });
+    }
     return self.apiResponse(res, err, data);
   };
 
   self.retrieveResponse = function(req, res, err, data) {
-    return self.apiResponse(res, err, data);
+    return self.apiResponse(res, err, self.removeUnviewableFields(req, data));
   };
 
   self.listResponse = function(req, res, err, data) {
@@ -781,6 +963,8 @@ module.exports = function(self, options) {
   // piece and, if we have permission to edit, copy its
   // non-schema-based top level areas into the new piece.
   // This accounts for content editor-modal.js doesn't know about.
+  // The copy is then inserted via `apos.docs.duplicate`, so that its
+  // widgets and array items receive new ids.
 
   self.convertInsertAndRefresh = function(req, responder) {
     var piece = self.newInstance();
@@ -824,7 +1008,16 @@ module.exports = function(self, options) {
         }
       },
       insert: function(callback) {
-        return self.insert(req, piece, callback);
+        if (!copyingId) {
+          return self.insert(req, piece, callback);
+        }
+        return self.apos.docs.duplicate(req, piece, function(err, copy) {
+          if (err) {
+            return callback(err);
+          }
+          piece = copy;
+          return callback(null);
+        });
       },
       refresh: function(callback) {
         return self.findForEditing(req, { _id: piece._id }).toObject(function(err, _piece) {
@@ -863,25 +1056,48 @@ module.exports = function(self, options) {
         return self.afterConvert(req, req.piece, callback);
       },
       update: function(callback) {
-        return self.update(req, req.piece, callback);
+        return self.update(req, req.piece, self.getUpdateOptions(req), callback);
       },
       refetch: function(callback) {
-        // Refetch the piece so that joins and properties like `_parentUrl` and
-        // `_url` are updated to reflect changes
-        return self.findForEditing(req, { _id: req.piece._id }).toObject(function(err, piece) {
-          if (err) {
-            return callback(err);
-          }
-          if (!piece) {
-            return callback(new Error('removed'));
-          }
-          req.piece = piece;
-          return callback(null);
-        });
+        return refetch(callback);
       }
     }, function(err) {
+      if (err === 'conflict') {
+        // Someone else saved the piece first, respond with their version
+        return refetch(function(_err) {
+          return responder(req, req.res, _err || err, req.piece);
+        });
+      }
       return responder(req, req.res, err, req.piece);
     });
+
+    function refetch(callback) {
+      // Refetch the piece so that joins and properties like `_parentUrl` and
+      // `_url` are updated to reflect changes
+      return self.findForEditing(req, { _id: req.piece._id }).toObject(function(err, piece) {
+        if (err) {
+          return callback(err);
+        }
+        if (!piece) {
+          return callback(new Error('removed'));
+        }
+        req.piece = piece;
+        return callback(null);
+      });
+    }
+  };
+
+  // Returns the options to be passed to `update` by the `update` route.
+  // If the request body includes the `aposRevision` the piece had when
+  // the client fetched it, the update fails with a `conflict` error
+  // if the piece has been saved by someone else since.
+
+  self.getUpdateOptions = function(req) {
+    var options = {};
+    if (_.has(req.body, 'aposRevision')) {
+      options.expectedRevision = self.apos.launder.integer(req.body.aposRevision);
+    }
+    return options;
   };
 
   // Copy top-level areas present in `copyFrom` to `piece`,
@@ -53,6 +53,13 @@ module.exports = function(self, options) {
       },
       after: function(callback) {
         return self.afterList(req, results, callback);
+      },
+      presence: function(callback) {
+        // Who else has these pieces open, for the manage view
+        if (options.format !== 'managePage') {
+          return callback(null);
+        }
+        return self.apos.docs.addPresence(req, results.pieces, callback);
       }
     }, function(err) {
       if (err) {
@@ -105,6 +112,7 @@ module.exports = function(self, options) {
   self.routes.publish = function(req, res) {
     return self.batchSimpleRoute(req, 'publish', function(req, piece, data, callback) {
       piece.published = true;
+      self.apos.docs.clearSchedule(piece, 'publish');
       return self.update(req, piece, callback);
     });
   };
@@ -117,6 +125,7 @@ module.exports = function(self, options) {
   self.routes.unpublish = function(req, res) {
     return self.batchSimpleRoute(req, 'unpublish', function(req, piece, data, callback) {
       piece.published = false;
+      self.apos.docs.clearSchedule(piece, 'unpublish');
       return self.update(req, piece, callback);
     });
   };
@@ -155,6 +164,11 @@ module.exports = function(self, options) {
   // Implement the permissions route, which can apply permissions
   // to many pieces via `req.body.ids`. The permissions are
   // also present in `req.body` as `req.body.loginRequired`, etc.
+  //
+  // After each piece is updated, the `pieceAfterBatchPermissions`
+  // method of every module that has one is invoked with
+  // `(req, piece, permissions, callback)`, and the
+  // `afterBatchPermissions` promise event is emitted.
 
   self.routes.permissions = function(req, res) {
     var schema = self.getBatchPermissionsSchema(req);
@@ -166,7 +180,12 @@ module.exports = function(self, options) {
       }
       return self.batchSimpleRoute(req, 'permissions', function(req, piece, data, callback) {
         _.assign(piece, permissions);
-        return self.update(req, piece, callback);
+        return self.update(req, piece, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          return self.callAllAndEmit('pieceAfterBatchPermissions', 'afterBatchPermissions', req, piece, permissions, callback);
+        });
       });
     });
   };
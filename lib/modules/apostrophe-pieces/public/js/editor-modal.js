@@ -176,9 +176,13 @@ apos.define('apostrophe-pieces-editor-modal', {
     // returned string to apos.notify. This method is a good
     // candidate for overrides because it has access to the
     // entire result object. Invoked when result.status
-    // is not `ok`.
+    // is not `ok`. If the server reported validation errors
+    // for particular fields, they are highlighted instead.
 
     self.displayError = function(result) {
+      if (apos.schemas.showServerErrors(self.$form, self.schema, result.errors)) {
+        return;
+      }
       apos.notify(self.getErrorMessage(result.status), { type: 'error' });
     };
 
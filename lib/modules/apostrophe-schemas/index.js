@@ -28,11 +28,23 @@ module.exports = {
     self.createRoutes();
     self.pushAssets();
     self.pushCreateSingleton();
+    self.addTasks();
+    self.addMarkdownFilter();
+    self.addDatetimeFilter();
   },
 
   construct: function(self, options) {
 
     require('./lib/routes')(self, options);
+    require('./lib/jsonSchema')(self, options);
+    require('./lib/tasks')(self, options);
+    require('./lib/conditions')(self, options);
+    require('./lib/markdown')(self, options);
+    require('./lib/datetime')(self, options);
+    require('./lib/arrayItemTypes')(self, options);
+    require('./lib/validation')(self, options);
+    require('./lib/fieldPermissions')(self, options);
+    require('./lib/computed')(self, options);
 
     self.pushAssets = function() {
 
@@ -274,6 +286,11 @@ module.exports = {
         _.each(field.schema || [], function(subfield) {
           self.setModuleName(subfield, module);
         });
+        _.each(field.itemTypes || [], function(itemType) {
+          _.each(itemType.schema || [], function(subfield) {
+            self.setModuleName(subfield, module);
+          });
+        });
       }
     };
 
@@ -474,6 +491,13 @@ module.exports = {
     };
 
     // Convert submitted `data`, sanitizing it and populating `object` with it.
+    //
+    // Then the `validate` functions and `unique` checks of the fields are
+    // invoked, see `lib/validation.js`. On failure the callback receives
+    // a string error such as `title.required`, and `req.validationErrors`
+    // is set to an array of `{ path, code, message }` objects describing
+    // every problem found. Otherwise `req.validationErrors` is cleared, so
+    // it never describes an earlier call.
 
     self.convert = function(req, schema, from, data, object, callback) {
       if (!req) {
@@ -483,9 +507,12 @@ module.exports = {
       if (from === 'csv') {
         from = 'string';
       }
+      delete req.validationErrors;
       var errors = {};
+      var nested = {};
       return async.eachSeries(schema, function(field, callback) {
-        if (field.readOnly) {
+        if (field.readOnly || (!self.canEditField(req, field))) {
+          // Input for fields this user may not edit is ignored
           return setImmediate(callback);
         }
         // Fields that are contextual are edited in the context of a
@@ -504,20 +531,32 @@ module.exports = {
           // whatever, some field types are not supported in some formats
           return setImmediate(callback);
         }
+        // Structured errors of any nested convert call made by the converter
+        delete req.validationErrors;
         return convert(req, data, field.name, object, field, function(err) {
           if (err) {
             errors[field.name] = err;
+            nested[field.name] = req.validationErrors;
             return callback(null);
           }
           return callback(err);
         });
       }, function(err) {
+        // Leftovers of nested convert calls
+        delete req.validationErrors;
         if (err) {
           // Not expected, errors accumulate in the errors object
           return callback(err);
         }
         var finalError;
+        var validationErrors = [];
+        var hidden = self.clearConditionalFields(schema, object);
         _.each(errors, function(err, name) {
+          if (hidden[name]) {
+            // Hidden by its if property and cleared, so nothing the
+            // user entered there matters
+            return;
+          }
           if ((typeof err) === 'string') {
             // We care if it's a "required" error, ignore any nested
             // property name prepended to it
@@ -528,23 +567,41 @@ module.exports = {
             } else if (req.tolerantSanitization && (err !== 'error')) {
               data[name] = _.find(schema, { name: name }).def;
             } else {
-              finalError = name + '.' + err;
+              validationErrors = validationErrors.concat(self.getFieldValidationErrors(name, err, nested[name]));
             }
           } else {
             finalError = err;
-          }
-          if (finalError) {
             return false;
           }
         });
-        return callback(finalError);
+        if (finalError) {
+          return callback(finalError);
+        }
+        // Validate fields that converted successfully, with access to
+        // the whole object
+        return self.runValidators(req, schema, object, _.assign({}, hidden, errors), function(err, errors) {
+          if (err) {
+            return callback(err);
+          }
+          validationErrors = validationErrors.concat(errors);
+          if (!validationErrors.length) {
+            return callback(null);
+          }
+          req.validationErrors = validationErrors;
+          return callback(validationErrors[0].path + '.' + validationErrors[0].code);
+        });
       });
     };
 
     // Determine whether the given field is visible
     // based on showFields options of all fields
+    // and its own `if` property
 
     self.isVisible = function(schema, object, name) {
+      var conditional = _.find(schema, { name: name });
+      if (conditional && conditional.if && (!self.evaluateCondition(conditional.if, object))) {
+        return false;
+      }
       var hidden = {};
       _.each(schema, function(field) {
         if (!_.find(field.choices || [], function(choice) {
@@ -994,6 +1051,23 @@ module.exports = {
     // ```
     //
     // Note that areas are *always* indexed.
+    //
+    // ### `jsonSchema`
+    //
+    // Optional. A function which accepts `field, object, options` and
+    // returns a JSON Schema describing the value stored in the field, for
+    // `toJsonSchema`:
+    //
+    // ```javascript
+    // jsonSchema: function(field, object, options) {
+    //   return { type: 'string', format: 'email' };
+    // }
+    // ```
+    //
+    // `object` is the JSON Schema of the object being described. If the
+    // field stores other properties too, as joins do, add them to
+    // `object.properties` yourself and return nothing. Fields without a
+    // `jsonSchema` function accept any value.
 
     self.addFieldType = function(type) {
       var fieldType = type;
@@ -1037,6 +1111,12 @@ module.exports = {
       toGroups: function(fields) {
         return self.toGroups(fields);
       },
+      getArrayItemSchema: function(field, item) {
+        return self.getArrayItemSchema(field, item);
+      },
+      getZones: function(field) {
+        return self.getZones(field);
+      },
       field: function(field, readOnly) {
         if (readOnly) {
           field.readOnly = true;
@@ -1052,6 +1132,207 @@ module.exports = {
       }
     });
 
+    // Add filters named `nearName` and `boxName` to `cursor` for the
+    // geopoint `field`.
+    //
+    // The near filter accepts `{ lat: 40.7, lng: -74, maxDistance: 5000 }`
+    // (`maxDistance` and `minDistance` are in meters and optional) or the
+    // string `'40.7,-74,5000'`, and sorts the results nearest first unless
+    // another sort is set explicitly. The box filter accepts
+    // `{ south: 40.5, west: -74.3, north: 40.9, east: -73.7 }` or the string
+    // `'40.5,-74.3,40.9,-73.7'`. Both can be set via `queryToFilters`,
+    // including from public query strings, since their values are always
+    // laundered to numbers.
+
+    self.addGeopointFilters = function(field, cursor, nearName, boxName) {
+      cursor.addFilter(nearName, {
+        finalize: function(callback) {
+          var near = cursor.get(nearName);
+          if (!near) {
+            return callback(null);
+          }
+          var $near = {
+            $geometry: {
+              type: 'Point',
+              coordinates: [ near.lng, near.lat ]
+            }
+          };
+          if (near.maxDistance) {
+            $near.$maxDistance = near.maxDistance;
+          }
+          if (near.minDistance) {
+            $near.$minDistance = near.minDistance;
+          }
+          var criteria = {};
+          criteria[field.name] = { $near: $near };
+          // MongoDB does not allow $near inside $and
+          cursor.addLateCriteria(criteria);
+          if (cursor.get('sort') === undefined) {
+            // Let the implicit sort of $near, nearest first, shine through
+            cursor.set('sort', false);
+            return callback('refinalize');
+          }
+          return callback(null);
+        },
+        safeFor: 'public',
+        launder: function(value) {
+          return self.launderNear(value);
+        }
+      });
+      cursor.addFilter(boxName, {
+        finalize: function() {
+          var box = cursor.get(boxName);
+          if (!box) {
+            return;
+          }
+          var criteria = {};
+          criteria[field.name] = {
+            $geoWithin: {
+              $geometry: {
+                type: 'Polygon',
+                coordinates: [ [
+                  [ box.west, box.south ],
+                  [ box.east, box.south ],
+                  [ box.east, box.north ],
+                  [ box.west, box.north ],
+                  [ box.west, box.south ]
+                ] ]
+              }
+            }
+          };
+          cursor.and(criteria);
+        },
+        safeFor: 'public',
+        launder: function(value) {
+          return self.launderBox(value);
+        }
+      });
+    };
+
+    // Convert `value` to a GeoJSON point. Accepts an object with `lat`
+    // and `lng` properties, the string `'lat,lng'` or a GeoJSON point.
+    // Returns `null` if `value` is empty and `false` if it is invalid.
+
+    self.parseGeopoint = function(value) {
+      var lat;
+      var lng;
+      if ((value === undefined) || (value === null) || (value === '')) {
+        return null;
+      }
+      if ((typeof value) === 'string') {
+        var parts = value.split(',');
+        if (parts.length !== 2) {
+          return false;
+        }
+        lat = parts[0];
+        lng = parts[1];
+      } else if ((typeof value) === 'object') {
+        if ((value.type === 'Point') && Array.isArray(value.coordinates)) {
+          lng = value.coordinates[0];
+          lat = value.coordinates[1];
+        } else {
+          lat = value.lat;
+          lng = value.lng;
+        }
+      } else {
+        return false;
+      }
+      var empty = function(v) {
+        return (v === undefined) || (v === null) || (String(v).trim() === '');
+      };
+      if (empty(lat) && empty(lng)) {
+        return null;
+      }
+      lat = self.apos.launder.float(lat, NaN);
+      lng = self.apos.launder.float(lng, NaN);
+      if (isNaN(lat) || isNaN(lng) || (lat < -90) || (lat > 90) || (lng < -180) || (lng > 180)) {
+        return false;
+      }
+      return {
+        type: 'Point',
+        coordinates: [ lng, lat ]
+      };
+    };
+
+    // Format a GeoJSON point as the string `'lat,lng'`, or return an
+    // empty string if there is no point.
+
+    self.formatGeopoint = function(point) {
+      if (!(point && Array.isArray(point.coordinates))) {
+        return '';
+      }
+      return point.coordinates[1] + ',' + point.coordinates[0];
+    };
+
+    // Launder the value of a near filter (see `addGeopointFilters`).
+    // Returns `{ lat, lng }` with optional `maxDistance` and `minDistance`
+    // properties, or `undefined` if the value is not usable.
+
+    self.launderNear = function(value) {
+      if ((typeof value) === 'string') {
+        var parts = value.split(',');
+        value = { lat: parts[0], lng: parts[1], maxDistance: parts[2] };
+      }
+      if (!(value && ((typeof value) === 'object'))) {
+        return undefined;
+      }
+      var point = self.parseGeopoint({ lat: value.lat, lng: value.lng });
+      if (!point) {
+        return undefined;
+      }
+      var near = {
+        lat: point.coordinates[1],
+        lng: point.coordinates[0]
+      };
+      _.each([ 'maxDistance', 'minDistance' ], function(name) {
+        var distance = self.apos.launder.float(value[name], 0, 0);
+        if (distance) {
+          near[name] = distance;
+        }
+      });
+      return near;
+    };
+
+    // Launder the value of a withinBox filter (see `addGeopointFilters`).
+    // Returns `{ south, west, north, east }`, or `undefined` if the value
+    // is not usable.
+
+    self.launderBox = function(value) {
+      if ((typeof value) === 'string') {
+        var parts = value.split(',');
+        value = { south: parts[0], west: parts[1], north: parts[2], east: parts[3] };
+      }
+      if (!(value && ((typeof value) === 'object'))) {
+        return undefined;
+      }
+      var southWest = self.parseGeopoint({ lat: value.south, lng: value.west });
+      var northEast = self.parseGeopoint({ lat: value.north, lng: value.east });
+      if (!(southWest && northEast)) {
+        return undefined;
+      }
+      return {
+        south: southWest.coordinates[1],
+        west: southWest.coordinates[0],
+        north: northEast.coordinates[1],
+        east: northEast.coordinates[0]
+      };
+    };
+
+    // Returns the names of the top-level geopoint fields of all doc
+    // types, for indexing purposes.
+
+    self.getGeopointFieldNames = function() {
+      var names = [];
+      _.each(self.apos.docs.managers, function(manager) {
+        _.each(manager.schema || [], function(field) {
+          if (field.type === 'geopoint') {
+            names.push(field.name);
+          }
+        });
+      });
+      return _.uniq(names);
+    };
+
     // Given a schema and a cursor, add filter methods to the cursor
     // for each of the fields in the schema, based on their field type,
     // if supported by the field type. If a field name exists in `options.override`
@@ -1112,6 +1393,9 @@ module.exports = {
             self.apos.utils.bless(req, options, 'widget', type);
           });
         }
+      },
+      jsonSchema: function(field, object, options) {
+        return self.getAreaJsonSchema(_.keys((field.options && field.options.widgets) || {}), options);
       }
     });
 
@@ -1123,6 +1407,9 @@ module.exports = {
       },
       bless: function(req, field) {
         self.apos.utils.bless(req, field.options || {}, 'widget', field.widgetType);
+      },
+      jsonSchema: function(field, object, options) {
+        return self.getAreaJsonSchema([ field.widgetType ], options);
       }
     });
 
@@ -1184,6 +1471,37 @@ module.exports = {
             return self.sortedDistinct(field.name, cursor, callback);
           }
         });
+      },
+      jsonSchema: function(field) {
+        var schema = { type: 'string' };
+        if (field.min) {
+          schema.minLength = field.min;
+        }
+        if (field.max) {
+          schema.maxLength = field.max;
+        }
+        if (field.pattern) {
+          schema.pattern = (field.pattern instanceof RegExp) ? field.pattern.source : field.pattern;
+        }
+        return schema;
+      }
+    });
+
+    // Markdown is stored as is and rendered with `renderMarkdown`, for
+    // instance by the `markdown` Nunjucks filter. The rendered text is
+    // indexed for search.
+
+    self.addFieldType({
+      name: 'markdown',
+      extend: 'string',
+      index: function(value, field, texts) {
+        var silent = (field.silent === undefined) ? true : field.silent;
+        texts.push({ weight: field.weight || 15, text: self.markdownToPlaintext(value), silent: silent });
+      },
+      jsonSchema: function(field) {
+        var schema = self.fieldTypes.string.jsonSchema(field);
+        schema.contentMediaType = 'text/markdown';
+        return schema;
       }
     });
 
@@ -1316,6 +1634,13 @@ module.exports = {
           output[name] = object[name].toString();
           return setImmediate(callback);
         }
+      },
+      jsonSchema: function(field) {
+        var schema = { type: 'array', items: { type: 'string' } };
+        if (field.options && field.options.limit) {
+          schema.maxItems = field.options.limit;
+        }
+        return schema;
       }
     });
 
@@ -1399,6 +1724,9 @@ module.exports = {
             }
           });
         });
+      },
+      jsonSchema: function(field) {
+        return { type: 'boolean' };
       }
     });
 
@@ -1531,6 +1859,9 @@ module.exports = {
         if ((typeof field.choices) === 'string') {
           self.apos.utils.bless(req, field, 'field');
         }
+      },
+      jsonSchema: function(field) {
+        return { type: 'array', items: self.getChoicesJsonSchema(field) };
       }
     });
 
@@ -1575,6 +1906,13 @@ module.exports = {
             return callback(null);
           });
         }
+      },
+      jsonSchema: function(field) {
+        var schema = { type: 'object', properties: {} };
+        _.each(field.rows, function(row) {
+          schema.properties[row.name] = _.assign({ title: row.label }, self.getChoicesJsonSchema(field));
+        });
+        return schema;
       }
     });
 
@@ -1682,6 +2020,9 @@ module.exports = {
         if ((typeof field.choices) === 'string') {
           self.apos.utils.bless(req, field, 'field');
         }
+      },
+      jsonSchema: function(field) {
+        return self.getChoicesJsonSchema(field);
       }
     });
 
@@ -1729,6 +2070,9 @@ module.exports = {
             return self.apos.launder.integer(s, null);
           }
         });
+      },
+      jsonSchema: function(field) {
+        return self.getNumberJsonSchema(field, 'integer');
       }
     });
 
@@ -1770,6 +2114,92 @@ module.exports = {
             return self.sortedDistinct(field.name, cursor, callback);
           }
         });
+      },
+      jsonSchema: function(field) {
+        return self.getNumberJsonSchema(field, 'number');
+      }
+    });
+
+    // A point on the globe, edited as a latitude and a longitude and
+    // stored as a GeoJSON point, `{ type: 'Point', coordinates: [ lng, lat ] }`,
+    // with a 2dsphere index (see `apos.docs.ensureIndexes`). Adds
+    // `near` and `withinBox` cursor filters, see `addGeopointFilters`.
+
+    self.addFieldType({
+      name: 'geopoint',
+      converters: {
+        string: function(req, data, name, object, field, callback) {
+          var point = self.parseGeopoint(data[name]);
+          if (point === false) {
+            return callback('invalid');
+          }
+          if ((!point) && field.required) {
+            return callback('required');
+          }
+          object[name] = point;
+          return setImmediate(callback);
+        },
+        form: 'string'
+      },
+      isEmpty: function(field, value) {
+        return !value;
+      },
+      exporters: {
+        string: function(req, object, field, name, output, callback) {
+          output[name] = self.formatGeopoint(object[name]);
+          return setImmediate(callback);
+        }
+      },
+      diffable: function(value) {
+        return self.formatGeopoint(value);
+      },
+      addFilter: function(field, cursor) {
+        self.addGeopointFilters(field, cursor, field.name + 'Near', field.name + 'WithinBox');
+        // The first geopoint field of the schema also gets the short names
+        if (!cursor.near) {
+          self.addGeopointFilters(field, cursor, 'near', 'withinBox');
+        }
+      },
+      jsonSchema: function(field) {
+        return {
+          type: 'object',
+          description: 'A GeoJSON point',
+          properties: {
+            type: { type: 'string', enum: [ 'Point' ] },
+            coordinates: {
+              type: 'array',
+              description: 'Longitude, then latitude',
+              items: { type: 'number' },
+              minItems: 2,
+              maxItems: 2
+            }
+          },
+          required: [ 'type', 'coordinates' ]
+        };
+      }
+    });
+
+    // A value derived from other properties of the doc by the `compute`
+    // function of the field and stored when the doc is saved. Shown read
+    // only in editors. See `lib/computed.js`.
+
+    self.addFieldType({
+      name: 'computed',
+      exporters: {
+        string: function(req, object, field, name, output, callback) {
+          var value = object[name];
+          output[name] = ((value === undefined) || (value === null)) ? '' : ((value instanceof Date) ? value.toISOString() : value.toString());
+          return setImmediate(callback);
+        }
+      },
+      isEmpty: function(field, value) {
+        return (value === undefined) || (value === null) || (value === '');
+      },
+      validate: function(field, options, warn, fail, schema) {
+        self.validateComputedField(field, options, warn, fail, schema);
+      },
+      jsonSchema: function(field) {
+        return { readOnly: true };
       }
     });
 
@@ -1797,6 +2227,9 @@ module.exports = {
           return setImmediate(callback);
         },
         form: 'string'
+      },
+      jsonSchema: function(field) {
+        return { type: 'string', format: 'email' };
       }
     });
 
@@ -1813,6 +2246,9 @@ module.exports = {
           return setImmediate(callback);
         },
         form: 'string'
+      },
+      jsonSchema: function(field) {
+        return { type: 'string' };
       }
     });
 
@@ -1824,6 +2260,9 @@ module.exports = {
           return setImmediate(callback);
         },
         form: 'string'
+      },
+      jsonSchema: function(field) {
+        return self.getNumberJsonSchema(field, 'number');
       }
     });
 
@@ -1863,6 +2302,9 @@ module.exports = {
             return self.sortDistinct(field.name, cursor, callback);
           }
         });
+      },
+      jsonSchema: function(field) {
+        return { type: 'string', format: 'uri-reference' };
       }
     });
 
@@ -1920,6 +2362,82 @@ module.exports = {
             return self.sortDistinct(field.name, cursor, callback);
           }
         });
+      },
+      jsonSchema: function(field) {
+        return { type: 'string', format: 'date' };
+      }
+    });
+
+    // A moment in time, stored as a `Date`, plus the IANA time zone the
+    // editor chose, stored in the `zoneField` property (by default the
+    // name of the field followed by `Zone`). Accepts anything
+    // `parseDatetime` does; wall clock times are in the submitted zone,
+    // else the `zone` of the field, else `getDefaultZone()`. `min` and
+    // `max` are accepted in the same formats. Adds `<name>After` and
+    // `<name>Before` cursor filters, see `addDatetimeFilters`.
+
+    self.addFieldType({
+      name: 'datetime',
+      converters: {
+        string: function(req, data, name, object, field, callback) {
+          var zone = data[field.zoneField] ? self.apos.launder.string(data[field.zoneField]) : (field.zone || self.getDefaultZone());
+          if (!self.isValidZone(zone)) {
+            return callback('zone');
+          }
+          var date = self.parseDatetime(data[name], zone);
+          if (date === false) {
+            return callback('invalid');
+          }
+          if (!date) {
+            if (field.required) {
+              return callback('required');
+            }
+            object[name] = null;
+            object[field.zoneField] = null;
+            return setImmediate(callback);
+          }
+          if (field.min && (date < self.parseDatetime(field.min, zone))) {
+            return callback('min');
+          }
+          if (field.max && (date > self.parseDatetime(field.max, zone))) {
+            return callback('max');
+          }
+          object[name] = date;
+          object[field.zoneField] = zone;
+          return setImmediate(callback);
+        },
+        form: 'string'
+      },
+      exporters: {
+        string: function(req, object, field, name, output, callback) {
+          output[name] = object[name] ? self.dateToZoned(object[name], object[field.zoneField] || self.getDefaultZone()) : '';
+          output[field.zoneField] = object[field.zoneField] || '';
+          return setImmediate(callback);
+        }
+      },
+      isEmpty: function(field, value) {
+        return !value;
+      },
+      addFilter: function(field, cursor) {
+        self.addDatetimeFilters(field, cursor, field.name + 'After', field.name + 'Before');
+      },
+      validate: function(field, options, warn, fail) {
+        field.zoneField = field.zoneField || (field.name + 'Zone');
+        if (field.zone && (!self.isValidZone(field.zone))) {
+          fail('The zone property must be an IANA time zone name such as America/New_York.');
+        }
+        _.each([ 'min', 'max' ], function(property) {
+          if (field[property] && (!self.parseDatetime(field[property], field.zone || self.getDefaultZone()))) {
+            fail('The ' + property + ' property must be a Date or an ISO 8601 date and time.');
+          }
+        });
+      },
+      jsonSchema: function(field, object) {
+        object.properties[field.zoneField] = {
+          type: 'string',
+          description: 'The IANA time zone of ' + field.name
+        };
+        return { type: 'string', format: 'date-time' };
       }
     });
 
@@ -1937,6 +2455,9 @@ module.exports = {
           return setImmediate(callback);
         },
         form: 'string'
+      },
+      jsonSchema: function(field) {
+        return { type: 'string', pattern: '^\\d\\d:\\d\\d:\\d\\d$' };
       }
     });
 
@@ -1952,12 +2473,18 @@ module.exports = {
           return setImmediate(callback);
         },
         form: 'string'
+      },
+      jsonSchema: function(field) {
+        return { type: 'string', writeOnly: true };
       }
     });
 
     self.addFieldType({
-      name: 'group'
+      name: 'group',
       // visual grouping only
+      jsonSchema: function(field) {
+        // Nothing is stored
+      }
     });
 
     self.addFieldType({
@@ -1965,7 +2492,6 @@ module.exports = {
       converters: {
         // no string converter, would be beyond awkward
         form: function(req, data, name, object, field, callback) {
-          var schema = field.schema;
           data = data[name];
           if (!Array.isArray(data)) {
             data = [];
@@ -1978,7 +2504,14 @@ module.exports = {
           return async.eachSeries(data, function(datum, callback) {
             var result = {};
             result.id = self.apos.launder.id(datum.id) || self.apos.utils.generateId();
-            return self.convert(req, schema, 'form', datum, result, function(err) {
+            if (field.itemTypes) {
+              var itemType = self.getArrayItemType(field, self.apos.launder.string(datum.itemType));
+              if (!itemType) {
+                return callback(i + '.itemType.invalid');
+              }
+              result.itemType = itemType.name;
+            }
+            return self.convert(req, self.getArrayItemSchema(field, result), 'form', datum, result, function(err) {
               if (err) {
                 if ((typeof err) === 'string') {
                   return callback(i + '.' + err);
@@ -2010,21 +2543,63 @@ module.exports = {
         // So the individual subfields, like joins, can be edited too
         self.bless(req, field.schema || []);
       },
+      exporters: {
+        string: function(req, object, field, name, output, callback) {
+          var results = [];
+          return async.eachSeries(object[name] || [], function(item, callback) {
+            var result = _.pick(item, 'id', 'itemType');
+            results.push(result);
+            return self.export(req, self.getArrayItemSchema(field, item), 'string', item, result, callback);
+          }, function(err) {
+            output[name] = results;
+            return callback(err);
+          });
+        }
+      },
       index: function(value, field, texts) {
         _.each(value || [], function(item) {
-          self.apos.schemas.indexFields(field.schema, item, texts);
+          self.apos.schemas.indexFields(self.getArrayItemSchema(field, item), item, texts);
         });
       },
       getDefault: function() {
         return [];
       },
       validate: function(field, options, warn, fail) {
+        var subtype = options.subtype ? (options.subtype + '.' + field.name) : field.name;
+        if (field.itemTypes) {
+          return self.validateArrayItemTypes(field, _.assign({}, options, { subtype: subtype }), fail);
+        }
         if (!field.schema) {
           warn('Field of type array has no schema property');
         }
         self.validate(field.schema, {
-          subtype: options.subtype ? (options.subtype + '.' + field.name) : field.name
+          subtype: subtype
         });
+      },
+      jsonSchema: function(field, object, options) {
+        var items;
+        if (field.itemTypes) {
+          items = {
+            anyOf: _.map(field.itemTypes, function(itemType) {
+              var item = self.toJsonSchema(itemType.schema, options);
+              item.title = itemType.label;
+              item.properties = _.assign({
+                id: { type: 'string' },
+                itemType: { type: 'string', enum: [ itemType.name ] }
+              }, item.properties);
+              item.required = [ 'itemType' ].concat(item.required || []);
+              return item;
+            })
+          };
+        } else {
+          items = self.toJsonSchema(field.schema, options);
+          items.properties = _.assign({ id: { type: 'string' } }, items.properties);
+        }
+        var schema = { type: 'array', items: items };
+        if (field.limit) {
+          schema.maxItems = field.limit;
+        }
+        return schema;
       }
     });
 
@@ -2067,6 +2642,9 @@ module.exports = {
             self.fieldTypes[fieldType].bless(req, field);
           }
         });
+      },
+      jsonSchema: function(field, object, options) {
+        return self.toJsonSchema(field.schema, options);
       }
     });
 
@@ -2172,6 +2750,13 @@ module.exports = {
             fail('withType property, ' + field.withType + ', does not match the "name" property of any doc type. Hint: this is not the same thing as a module name. Usually singular.');
           }
         }
+      },
+      jsonSchema: function(field, object, options) {
+        object.properties[field.idField] = { type: 'string', title: field.label };
+        if (field.required) {
+          object.required.push(field.idField);
+        }
+        object.properties[field.name] = self.getJoinJsonSchema(field, false, options);
       }
     });
 
@@ -2230,6 +2815,9 @@ module.exports = {
             fail('idField property does not match the idField property of any join in the schema for ' + field.withType + '. Hint: you are taking advantage of a join already being edited in the schema for that type, your idField must be the same to find the data there.');
           }
         }
+      },
+      jsonSchema: function(field, object, options) {
+        object.properties[field.name] = self.getJoinJsonSchema(field, true, options);
       }
     });
 
@@ -2392,6 +2980,20 @@ module.exports = {
           // TODO more validation here
           fail('relationship field should be an array if present');
         }
+      },
+      jsonSchema: function(field, object, options) {
+        object.properties[field.idsField] = { type: 'array', items: { type: 'string' }, title: field.label };
+        if (field.required) {
+          object.required.push(field.idsField);
+        }
+        if (field.relationshipsField) {
+          object.properties[field.relationshipsField] = {
+            type: 'object',
+            description: 'Relationship properties by _id',
+            additionalProperties: self.toJsonSchema(field.relationship, options)
+          };
+        }
+        object.properties[field.name] = self.getJoinJsonSchema(field, true, options);
       }
     });
 
@@ -2596,6 +3198,9 @@ module.exports = {
             fail('idsField property does not match the idsField property of any join in the schema for ' + field.withType + '. Hint: you are taking advantage of a join already being edited in the schema for that type, your idField must be the same to find the data there.');
           }
         }
+      },
+      jsonSchema: function(field, object, options) {
+        object.properties[field.name] = self.getJoinJsonSchema(field, true, options);
       }
     });
 
@@ -2660,6 +3265,7 @@ module.exports = {
       _.each(self.apos.areas.widgetManagers, function(manager, type) {
         self.validate(manager.schema, { type: 'widget type', subtype: type });
       });
+      self.addComputedMigrations();
     };
 
     self.validatedSchemas = {};
@@ -2694,6 +3300,27 @@ module.exports = {
         if (fieldType.validate) {
           fieldType.validate(field, options, warn, fail, schema);
         }
+        if (field.if) {
+          try {
+            self.validateCondition(field.if);
+          } catch (e) {
+            fail(e.message);
+          }
+        }
+        try {
+          self.validateFieldValidation(field);
+        } catch (e) {
+          fail(e.message);
+        }
+        if (field.permission && ((typeof field.permission) === 'object') && (!(field.permission.view || field.permission.edit))) {
+          fail('The permission property must be a permission name or an object with view and/or edit properties.');
+        }
+        if (field.formerly && (!_.every(_.flatten([ field.formerly ]), _.isString))) {
+          fail('The formerly property must be the former name of the field, or an array of them.');
+        }
+        if (field.index && _.includes([ 'area', 'singleton', 'joinByOneReverse', 'joinByArrayReverse' ], field.type)) {
+          fail('Fields of type ' + field.type + ' cannot be indexed.');
+        }
         // If at least one field is in a non-default group and this one is in the
         // default group, complain about halfassed grouping. The "Info" tab indicates
         // insufficient UX consideration, unless it contains all the fields, which
@@ -0,0 +1,85 @@
+// Polymorphic arrays: an `array` field with an `itemTypes` property
+// rather than a `schema` property lets each item choose among several
+// named item schemas:
+//
+// ```javascript
+// {
+//   name: 'sections',
+//   type: 'array',
+//   itemTypes: [
+//     {
+//       name: 'text',
+//       label: 'Text',
+//       schema: [ { name: 'body', type: 'markdown' } ]
+//     },
+//     {
+//       name: 'gallery',
+//       label: 'Gallery',
+//       titleField: 'heading',
+//       schema: [ { name: 'heading', type: 'string' }, { name: '_images', type: 'joinByArray', withType: 'apostrophe-image' } ]
+//     }
+//   ]
+// }
+// ```
+//
+// Each item records the name of its type in its `itemType` property and
+// is converted and validated with the schema of that type. The "Add
+// Item" button of the array editor offers a choice of item type.
+
+var _ = require('@sailshq/lodash');
+
+module.exports = function(self, options) {
+
+  // Returns the item type of the array `field` that `item` belongs to,
+  // or `undefined` if the field has no `itemTypes` or the type of the
+  // item is unknown. `item` may also be the name of an item type.
+
+  self.getArrayItemType = function(field, item) {
+    if (!field.itemTypes) {
+      return undefined;
+    }
+    var name = ((typeof item) === 'string') ? item : (item && item.itemType);
+    return _.find(field.itemTypes, { name: name });
+  };
+
+  // Returns the schema of `item`, an item of the array `field`. For an
+  // array with `itemTypes` this is the schema of the item's type, or an
+  // empty schema if its type is unknown. Otherwise it is `field.schema`.
+
+  self.getArrayItemSchema = function(field, item) {
+    if (!field.itemTypes) {
+      return field.schema;
+    }
+    var itemType = self.getArrayItemType(field, item);
+    return itemType ? itemType.schema : [];
+  };
+
+  // Validate the `itemTypes` property of the array `field`, then set
+  // `field.schema` to all of the fields of all of the item types, so
+  // that code interested in every field an item may have, such as
+  // joins and contextual areas, finds them. Invoked by the `validate`
+  // method of the `array` field type.
+
+  self.validateArrayItemTypes = function(field, options, fail) {
+    if ((!Array.isArray(field.itemTypes)) || (!field.itemTypes.length)) {
+      fail('The itemTypes property must be a non-empty array.');
+    }
+    var names = {};
+    _.each(field.itemTypes, function(itemType) {
+      if (!(itemType && itemType.name && Array.isArray(itemType.schema))) {
+        fail('Each item type must have a name property and a schema property.');
+      }
+      if (names[itemType.name]) {
+        fail('There are two item types named ' + itemType.name + '.');
+      }
+      names[itemType.name] = true;
+      itemType.label = itemType.label || _.startCase(itemType.name);
+      self.validate(itemType.schema, {
+        type: options.type,
+        subtype: options.subtype + '.' + itemType.name
+      });
+    });
+    field.schema = _.flatten(_.pluck(field.itemTypes, 'schema'));
+  };
+
+};
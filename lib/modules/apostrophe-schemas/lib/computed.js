@@ -0,0 +1,147 @@
+// Persisted computed fields. A top level field of a doc type may have
+// the `computed` type, in which case its value is never edited but
+// derived from other properties of the doc by its `compute` function
+// whenever the doc is saved:
+//
+// ```javascript
+// {
+//   name: 'fullName',
+//   type: 'computed',
+//   label: 'Full Name',
+//   inputs: [ 'firstName', 'lastName' ],
+//   version: 2,
+//   sortify: true,
+//   compute: function(inputs, req) {
+//     return _.compact([ inputs.firstName, inputs.lastName ]).join(' ');
+//   }
+// }
+// ```
+//
+// `compute` receives an object containing just the properties of the
+// doc named by `inputs`, and `req`. It returns the value, or a promise
+// for it. Since the value is stored, computed fields can be sorted on
+// and queried like any other field, and each one is indexed for docs
+// of its type (see `getSchemaIndexes` in `apostrophe-doc-type-manager`).
+// `sortify: true` works as it does for `string` fields, and the
+// sortified property is indexed too.
+//
+// When the `version` of a computed field changes, because its `compute`
+// function now produces different results, the `apostrophe-migrations:migrate`
+// task recomputes it for every existing doc of the type. This also
+// happens when the field is first added. See `addComputedMigrations`
+// for the limits of that.
+
+var _ = require('@sailshq/lodash');
+var async = require('async');
+
+module.exports = function(self, options) {
+
+  // Implements the `docBeforeSave` callAll hook by computing the
+  // computed fields of the doc's type. Since this module is initialized
+  // before `apostrophe-docs`, the values are available to `sortify`
+  // and to the search index.
+
+  self.docBeforeSave = function(req, doc, options, callback) {
+    var manager = self.apos.docs.getManager(doc.type);
+    if (!manager) {
+      return setImmediate(callback);
+    }
+    return self.computeFields(req, manager.schema, doc, callback);
+  };
+
+  // Set the value of each top level `computed` field of `schema` on
+  // `object`, in the order of the schema, so a computed field may be
+  // an input of a later one.
+
+  self.computeFields = function(req, schema, object, callback) {
+    return async.eachSeries(schema, function(field, callback) {
+      if (field.type !== 'computed') {
+        return setImmediate(callback);
+      }
+      return self.computeField(req, field, object, function(err, value) {
+        if (err) {
+          return callback(err);
+        }
+        object[field.name] = value;
+        return callback(null);
+      });
+    }, callback);
+  };
+
+  // Deliver the value of the computed `field` for `object` to the
+  // callback, without setting it.
+
+  self.computeField = function(req, field, object, callback) {
+    return Promise.resolve().then(function() {
+      return field.compute(_.pick(object, field.inputs), req);
+    }).then(function(value) {
+      return callback(null, (value === undefined) ? null : value);
+    }, callback);
+  };
+
+  // Add a migration recomputing each computed field of each doc type
+  // for the existing docs. The version of the field is part of the
+  // name of its migration, so a new version runs again. Called for you
+  // by `afterInit`.
+  //
+  // The migration sets the field, and its `Sortified` counterpart,
+  // directly in the database, without saving the docs in the usual way,
+  // so that a large collection is not flooded with versions and save
+  // hooks. Properties that your own `docBeforeSave` handlers derive from
+  // a computed field are therefore not refreshed by it. If you have
+  // such properties, add a migration of your own that updates the docs
+  // via their manager's `update` method.
+
+  self.addComputedMigrations = function() {
+    _.each(self.apos.docs.managers, function(manager, type) {
+      _.each(manager.schema || [], function(field) {
+        if (field.type !== 'computed') {
+          return;
+        }
+        self.apos.migrations.add(self.__meta.name + '.computed.' + type + '.' + field.name + '.' + field.version, function(callback) {
+          var req = self.apos.tasks.getReq();
+          return self.apos.migrations.eachDoc({ type: type }, 5, function(doc, callback) {
+            return self.computeField(req, field, doc, function(err, value) {
+              if (err) {
+                return callback(err);
+              }
+              var $set = {};
+              $set[field.name] = value;
+              if (field.sortify) {
+                $set[field.name + 'Sortified'] = self.apos.utils.sortify(value || '');
+              }
+              return self.apos.docs.db.update({ _id: doc._id }, { $set: $set }, callback);
+            });
+          }, callback);
+        });
+      });
+    });
+  };
+
+  // Throws an error if the computed `field` is not valid, and makes it
+  // read only. Called for you by `validate`.
+
+  self.validateComputedField = function(field, options, warn, fail, schema) {
+    if ((typeof field.compute) !== 'function') {
+      fail('The compute property must be a function.');
+    }
+    if (!Array.isArray(field.inputs)) {
+      fail('The inputs property must be an array of property names.');
+    }
+    if (options.type !== 'doc type') {
+      fail('Computed fields are only supported at the top level of doc types.');
+    }
+    _.each(field.inputs, function(input) {
+      if ((input !== field.name) && _.find(schema, { name: input })) {
+        return;
+      }
+      if (_.includes([ '_id', 'type', 'slug', 'tags', 'published', 'trash', 'createdAt', 'updatedAt' ], input)) {
+        return;
+      }
+      warn('The input ' + input + ' is not a field of the schema.');
+    });
+    field.version = field.version || 1;
+    field.readOnly = true;
+  };
+
+};
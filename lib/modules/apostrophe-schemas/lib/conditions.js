@@ -0,0 +1,222 @@
+// Conditional fields: schema fields with an `if` property are only
+// shown, required and saved when their condition is met. See
+// `evaluateCondition`. The browser has its own implementation in
+// `public/js/user.js`; keep the two in sync.
+
+var _ = require('@sailshq/lodash');
+
+module.exports = function(self, options) {
+
+  // Returns true if `object` satisfies `condition`, the `if` property of
+  // a schema field. Every property of `condition` must be satisfied:
+  //
+  // ```javascript
+  // // Equality
+  // if: { size: 'large', featured: true }
+  // // Comparisons: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists
+  // if: { count: { $gt: 5 } }
+  // // Logic
+  // if: { $or: [ { size: 'large' }, { $and: [ { count: { $gte: 3 } }, { featured: true } ] } ] }
+  // if: { $not: { size: 'small' } }
+  // // The value of another field
+  // if: { endDate: { $gt: { $field: 'startDate' } } }
+  // // Any item of an array field, or a property of an object field
+  // if: { 'links.url': { $exists: true } }
+  // ```
+  //
+  // `$in` and `$nin` take an array, or a `$field` holding one.
+  //
+  // As in MongoDB, a field holding an array, such as `tags` or
+  // `checkboxes`, matches a value if any of its elements does. `$exists:
+  // true` matches fields with a value other than `null`, `undefined`, an
+  // empty string or an empty array. The `if` property of a field inside
+  // an `array` or `object` field refers to its siblings in that item.
+
+  self.evaluateCondition = function(condition, object) {
+    return _.every(condition, function(value, key) {
+      if (key === '$and') {
+        return _.every(value, function(condition) {
+          return self.evaluateCondition(condition, object);
+        });
+      }
+      if (key === '$or') {
+        return _.some(value, function(condition) {
+          return self.evaluateCondition(condition, object);
+        });
+      }
+      if (key === '$not') {
+        return !self.evaluateCondition(value, object);
+      }
+      // A value that is an array matches if any of its elements does
+      var values = _.flatten(_.map(getPathValues(object, key), function(value) {
+        return Array.isArray(value) ? value.concat([ value ]) : [ value ];
+      }));
+      return matchValues(values, value, object);
+    });
+  };
+
+  // Clear the values of the fields of `schema` whose `if` condition
+  // `object` does not satisfy, in schema order so that conditions may
+  // depend on other conditional fields. Returns an object whose keys are
+  // the names of the cleared fields. Called for you by `convert`.
+
+  self.clearConditionalFields = function(schema, object) {
+    var hidden = {};
+    _.each(schema, function(field) {
+      if ((!field.if) || field.readOnly || field.contextual || (!self.fieldTypes[field.type].converters)) {
+        return;
+      }
+      if (self.evaluateCondition(field.if, object)) {
+        return;
+      }
+      hidden[field.name] = true;
+      var fieldType = self.fieldTypes[field.type];
+      object[field.name] = fieldType.getDefault ? fieldType.getDefault() : null;
+      // Joins store ids elsewhere, datetime fields their zone
+      if (field.zoneField) {
+        object[field.zoneField] = null;
+      }
+      if (field.idField) {
+        object[field.idField] = null;
+      }
+      if (field.idsField) {
+        object[field.idsField] = [];
+      }
+      if (field.relationshipsField) {
+        object[field.relationshipsField] = {};
+      }
+    });
+    return hidden;
+  };
+
+  // Throws an error if `condition` is not a valid `if` property.
+  // Called for you by `validate`.
+
+  self.validateCondition = function(condition) {
+    if (!_.isPlainObject(condition)) {
+      throw new Error('The if property must be an object.');
+    }
+    _.each(condition, function(value, key) {
+      if ((key === '$and') || (key === '$or')) {
+        if (!Array.isArray(value)) {
+          throw new Error(key + ' must be an array.');
+        }
+        _.each(value, self.validateCondition);
+      } else if (key === '$not') {
+        self.validateCondition(value);
+      } else if (key.charAt(0) === '$') {
+        throw new Error('Unknown operator ' + key + ', expected a field name, $and, $or or $not.');
+      } else if (isOperators(value)) {
+        _.each(value, function(operand, operator) {
+          if (!_.contains(operators, operator)) {
+            throw new Error('Unknown operator ' + operator + ' for ' + key + '.');
+          }
+          if (_.contains([ '$in', '$nin' ], operator) && (!Array.isArray(operand)) && (!(_.isPlainObject(operand) && _.has(operand, '$field')))) {
+            throw new Error(operator + ' for ' + key + ' must be an array or a $field.');
+          }
+        });
+      }
+    });
+  };
+
+  var operators = [ '$eq', '$ne', '$in', '$nin', '$exists', '$gt', '$gte', '$lt', '$lte' ];
+
+  function getPathValues(object, path) {
+    var values = [ object ];
+    _.each(path.split('.'), function(key) {
+      values = _.flatten(_.map(values, function(value) {
+        if (Array.isArray(value)) {
+          return _.pluck(value, key);
+        }
+        return [ (value && ((typeof value) === 'object')) ? value[key] : undefined ];
+      }));
+    });
+    return values;
+  }
+
+  // True if `test` is an object of operators like `{ $gt: 5 }`, rather
+  // than a value to compare with or `{ $field: 'name' }`
+
+  function isOperators(test) {
+    return _.isPlainObject(test) && _.keys(test).length && (!_.has(test, '$field')) && _.every(_.keys(test), function(key) {
+      return key.charAt(0) === '$';
+    });
+  }
+
+  function matchValues(values, test, object) {
+    if (!isOperators(test)) {
+      test = { $eq: test };
+    }
+    return _.every(test, function(operand, operator) {
+      operand = resolveOperand(operand, object);
+      switch (operator) {
+        case '$eq':
+          return _.some(values, _.partial(equals, operand));
+        case '$ne':
+          return !_.some(values, _.partial(equals, operand));
+        case '$in':
+          return isIn(values, operand);
+        case '$nin':
+          return !isIn(values, operand);
+        case '$exists':
+          return _.some(values, hasValue) === !!operand;
+        case '$gt':
+          return compare(values, operand, function(a, b) {
+            return a > b;
+          });
+        case '$gte':
+          return compare(values, operand, function(a, b) {
+            return a >= b;
+          });
+        case '$lt':
+          return compare(values, operand, function(a, b) {
+            return a < b;
+          });
+        case '$lte':
+          return compare(values, operand, function(a, b) {
+            return a <= b;
+          });
+        default:
+          // Caught by validateCondition
+          return false;
+      }
+    });
+  }
+
+  // An operand that is not an array, such as a `$field` that does not
+  // hold an array, contains nothing
+
+  function isIn(values, operand) {
+    if (!Array.isArray(operand)) {
+      return false;
+    }
+    return _.some(values, function(value) {
+      return _.some(operand, _.partial(equals, value));
+    });
+  }
+
+  function resolveOperand(operand, object) {
+    if (_.isPlainObject(operand) && _.has(operand, '$field')) {
+      return getPathValues(object, operand.$field)[0];
+    }
+    return operand;
+  }
+
+  function equals(a, b) {
+    return _.isEqual(a, b);
+  }
+
+  function hasValue(value) {
+    return (value !== undefined) && (value !== null) && (value !== '') && (!(Array.isArray(value) && (!value.length)));
+  }
+
+  function compare(values, operand, fn) {
+    if (!hasValue(operand)) {
+      return false;
+    }
+    return _.some(values, function(value) {
+      return hasValue(value) && (!Array.isArray(value)) && fn(value, operand);
+    });
+  }
+
+};
@@ -0,0 +1,236 @@
+// Time zone support for the `datetime` schema field type and the
+// `datetime` Nunjucks filter. Zones are IANA time zone names such as
+// `America/New_York`, converted with the `Intl` API. The browser has
+// its own implementation of `dateToZoned` in `public/js/user.js`; keep
+// the two in sync.
+
+var _ = require('@sailshq/lodash');
+var moment = require('moment');
+var fallbackZones = require('./zones.js');
+
+module.exports = function(self, options) {
+
+  var formatters = {};
+  var knownZones;
+
+  // True if `zone` is an IANA time zone name known to this system.
+
+  self.isValidZone = function(zone) {
+    if (!(zone && ((typeof zone) === 'string'))) {
+      return false;
+    }
+    try {
+      getFormatter(zone);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Returns the zone assumed when none is given: the `defaultZone`
+  // option of this module, or else the zone of the server.
+
+  self.getDefaultZone = function() {
+    return self.options.defaultZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  };
+
+  // Returns the zones editors may choose from for the datetime `field`:
+  // its `zones` property if set, otherwise every zone known to this
+  // system. Where `Intl.supportedValuesOf` is not available, the zones
+  // known to this system are those of the list in `zones.js` that
+  // `isValidZone` accepts.
+
+  self.getZones = function(field) {
+    if (field && field.zones) {
+      return field.zones;
+    }
+    if (!knownZones) {
+      var zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : _.filter(fallbackZones, self.isValidZone);
+      knownZones = _.contains(zones, 'UTC') ? zones : [ 'UTC' ].concat(zones);
+    }
+    return knownZones;
+  };
+
+  // Returns the offset of `zone` from UTC at the moment `date`, in
+  // minutes, positive east of Greenwich.
+
+  self.getZoneOffset = function(date, zone) {
+    var parts = getParts(date, zone);
+    var asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+  };
+
+  // Returns the wall clock time of the Date `date` in `zone` as a
+  // string like `2020-03-08T14:30:00`.
+
+  self.dateToZoned = function(date, zone) {
+    var parts = getParts(date, zone);
+    return parts.year + '-' + pad(parts.month) + '-' + pad(parts.day) + 'T' + pad(parts.hour) + ':' + pad(parts.minute) + ':' + pad(parts.second);
+  };
+
+  // Returns the Date at which the wall clock in `zone` reads `local`, a
+  // string like `2020-03-08T14:30`, `2020-03-08 14:30:00` or
+  // `2020-03-08` (midnight). Returns `null` if `local` is not valid.
+  // A time skipped by a daylight saving change is moved forward.
+
+  self.zonedToDate = function(local, zone) {
+    var matches = local.match(/^(\d{4})-(\d\d)-(\d\d)(?:[T ](\d\d):(\d\d)(?::(\d\d)(?:\.\d+)?)?)?$/);
+    if (!matches) {
+      return null;
+    }
+    var numbers = _.map(matches.slice(1), function(n) {
+      return parseInt(n || '0', 10);
+    });
+    var asUtc = Date.UTC(numbers[0], numbers[1] - 1, numbers[2], numbers[3], numbers[4], numbers[5]);
+    var check = new Date(asUtc);
+    if ((check.getUTCFullYear() !== numbers[0]) || (check.getUTCMonth() !== numbers[1] - 1) || (check.getUTCDate() !== numbers[2]) || (check.getUTCHours() !== numbers[3]) || (check.getUTCMinutes() !== numbers[4]) || (numbers[5] > 59)) {
+      // Month 13, February 30th, 25:00 and the like
+      return null;
+    }
+    // The offset may differ between our first guess and the answer
+    // when a daylight saving change falls in between
+    var offset = self.getZoneOffset(check, zone);
+    var date = new Date(asUtc - (offset * 60000));
+    var corrected = self.getZoneOffset(date, zone);
+    if (corrected === offset) {
+      return date;
+    }
+    var second = new Date(asUtc - (corrected * 60000));
+    if (self.getZoneOffset(second, zone) === corrected) {
+      return second;
+    }
+    // The wall clock never reads `local` that day
+    return (second > date) ? second : date;
+  };
+
+  // Convert `value` to a Date. Accepts a Date, an ISO 8601 string with
+  // a `Z` or an offset such as `+02:00`, or a wall clock time in `zone`
+  // as accepted by `zonedToDate`. Returns `null` if `value` is empty
+  // and `false` if it is invalid.
+
+  self.parseDatetime = function(value, zone) {
+    if ((value === undefined) || (value === null) || (value === '')) {
+      return null;
+    }
+    var date;
+    if (value instanceof Date) {
+      date = value;
+    } else if ((typeof value) !== 'string') {
+      return false;
+    } else {
+      value = value.trim();
+      if (!value.length) {
+        return null;
+      }
+      if (value.match(/(Z|[+-]\d\d:?\d\d)$/i)) {
+        date = new Date(value);
+      } else {
+        date = self.zonedToDate(value, zone);
+      }
+    }
+    if ((!date) || isNaN(date.getTime())) {
+      return false;
+    }
+    return date;
+  };
+
+  // Format the Date `date` as seen in `zone`. If `format` is a string
+  // it is a momentjs format string, `LLL` by default. If it is an
+  // object it is passed on to `Intl.DateTimeFormat`, for instance
+  // `{ weekday: 'long', hour: 'numeric', minute: 'numeric', timeZoneName: 'short' }`.
+  // `locale` is a locale name such as `fr`. An invalid or missing zone
+  // is replaced by `getDefaultZone()`.
+
+  self.formatDatetime = function(date, zone, format, locale) {
+    if (!date) {
+      return '';
+    }
+    date = (date instanceof Date) ? date : new Date(date);
+    if (isNaN(date.getTime())) {
+      return '';
+    }
+    zone = self.isValidZone(zone) ? zone : self.getDefaultZone();
+    if (format && ((typeof format) === 'object')) {
+      return Intl.DateTimeFormat(locale || undefined, _.assign({}, format, { timeZone: zone })).format(date);
+    }
+    var m = moment(date).utcOffset(self.getZoneOffset(date, zone));
+    if (locale) {
+      m.locale(locale);
+    }
+    return m.format(format || 'LLL');
+  };
+
+  // Called for you at startup. Adds the `datetime` Nunjucks filter,
+  // which formats a date with `formatDatetime`. The locale defaults to
+  // that of the request:
+  //
+  // `{{ data.piece.startAt | datetime(data.piece.startAtZone, 'LLLL') }}`
+
+  self.addDatetimeFilter = function() {
+    self.apos.templates.addFilter('datetime', function(date, zone, format, locale) {
+      var req = self.apos.templates.contextReq;
+      return self.formatDatetime(date, zone, format, locale || (req && req.locale));
+    });
+  };
+
+  // Add filters named `afterName` and `beforeName` to `cursor` for the
+  // datetime `field`. They accept anything `parseDatetime` does, in the
+  // default zone, and match values at or after the given moment and
+  // values strictly before it, respectively.
+
+  self.addDatetimeFilters = function(field, cursor, afterName, beforeName) {
+    add(afterName, '$gte');
+    add(beforeName, '$lt');
+    function add(name, operator) {
+      cursor.addFilter(name, {
+        finalize: function() {
+          var date = self.parseDatetime(cursor.get(name), self.getDefaultZone());
+          if (!date) {
+            return;
+          }
+          var criteria = {};
+          criteria[field.name] = {};
+          criteria[field.name][operator] = date;
+          cursor.and(criteria);
+        },
+        safeFor: 'manage',
+        launder: function(value) {
+          return self.parseDatetime(value, self.getDefaultZone()) || undefined;
+        }
+      });
+    }
+  };
+
+  function getFormatter(zone) {
+    if (!formatters[zone]) {
+      formatters[zone] = Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    }
+    return formatters[zone];
+  }
+
+  function getParts(date, zone) {
+    var parts = {};
+    _.each(getFormatter(zone).formatToParts(date), function(part) {
+      if (part.type !== 'literal') {
+        parts[part.type] = parseInt(part.value, 10);
+      }
+    });
+    // Some implementations report midnight as 24
+    parts.hour = parts.hour % 24;
+    return parts;
+  }
+
+  function pad(n) {
+    return ((n < 10) ? '0' : '') + n;
+  }
+
+};
@@ -0,0 +1,111 @@
+// Field-level permissions. The `permission` property of a schema field
+// may be a permission name, in which case only users with that
+// permission see the field in the editor or may change it, while its
+// value is still sent to the browser as before. It may also be an
+// object with `view` and `edit` properties, each a permission name:
+//
+// ```javascript
+// {
+//   name: 'internalNotes',
+//   type: 'string',
+//   textarea: true,
+//   permission: { view: 'admin', edit: 'admin-products' }
+// }
+// ```
+//
+// Users without the `view` permission never receive the field: it is
+// left out of editor schemas and of the docs sent by API routes. Users
+// who may view but not edit the field see it read-only in the editor.
+// Input for fields the user may not edit is ignored by `convert`.
+
+var _ = require('@sailshq/lodash');
+
+module.exports = function(self, options) {
+
+  // True if the user associated with `req` may see the value of
+  // `field`.
+
+  self.canViewField = function(req, field) {
+    var permission = field.permission;
+    if (!(permission && permission.view)) {
+      return true;
+    }
+    return self.apos.permissions.can(req, permission.view);
+  };
+
+  // True if the user associated with `req` may change the value of
+  // `field`. Editing implies viewing.
+
+  self.canEditField = function(req, field) {
+    var permission = field.permission;
+    if (!permission) {
+      return true;
+    }
+    if ((typeof permission) === 'string') {
+      return self.apos.permissions.can(req, permission);
+    }
+    return self.canViewField(req, field) && ((!permission.edit) || self.apos.permissions.can(req, permission.edit));
+  };
+
+  // Returns a copy of `schema` suitable for editing by the user
+  // associated with `req`. Fields the user may not view, or may not
+  // edit according to a `permission` string, are removed. Fields the
+  // user may view but not edit are made `readOnly`. Used by
+  // `allowedSchema` and `subset`.
+
+  self.applyFieldPermissions = function(req, schema) {
+    return _.filter(_.map(schema, function(field) {
+      if (field.type === 'group') {
+        return _.assign({}, field, { fields: self.applyFieldPermissions(req, field.fields || []) });
+      }
+      if (!field.permission) {
+        return field;
+      }
+      if (!self.canViewField(req, field)) {
+        return null;
+      }
+      if (self.canEditField(req, field)) {
+        return field;
+      }
+      if ((typeof field.permission) === 'string') {
+        return null;
+      }
+      return _.assign({}, field, { readOnly: true });
+    }), function(field) {
+      return field && ((field.type !== 'group') || field.fields.length);
+    });
+  };
+
+  // Returns the names of the properties of objects described by
+  // `schema` that the user associated with `req` may not view,
+  // including the properties where joins store their ids.
+
+  self.getUnviewableFieldNames = function(req, schema) {
+    var names = [];
+    _.each(schema, function(field) {
+      if (self.canViewField(req, field)) {
+        return;
+      }
+      names.push(field.name);
+      _.each([ 'idField', 'idsField', 'relationshipsField', 'zoneField' ], function(property) {
+        if (field[property]) {
+          names.push(field[property]);
+        }
+      });
+    });
+    return names;
+  };
+
+  // Returns a shallow copy of `object` without the properties the user
+  // associated with `req` may not view according to `schema`. Called
+  // for you by API routes that send docs to the browser.
+
+  self.removeUnviewableFields = function(req, schema, object) {
+    if (!object) {
+      return object;
+    }
+    var names = self.getUnviewableFieldNames(req, schema);
+    return names.length ? _.omit(object, names) : object;
+  };
+
+};
@@ -0,0 +1,350 @@
+// Machine-readable descriptions of schemas for those who consume
+// Apostrophe content elsewhere: JSON Schema for doc types and widgets
+// and an OpenAPI document for the routes of pieces modules. See
+// `toJsonSchema`, `getJsonSchemas`, `getOpenApi` and the
+// `apostrophe-schemas:export` task.
+
+var _ = require('@sailshq/lodash');
+
+module.exports = function(self, options) {
+
+  // Returns a JSON Schema object describing objects that conform to the
+  // Apostrophe `schema`. Each field is described by the `jsonSchema`
+  // function of its field type, see `addFieldType`. Fields whose type
+  // has no such function accept any value.
+  //
+  // If `options.ref` is a function, it is called with `('doc', type)` or
+  // `('widget', type)` and must return the URI of the JSON Schema of
+  // that doc or widget type, which is then used as a `$ref` to describe
+  // joined docs and the widgets in areas. Otherwise only their `_id` and
+  // `type` properties are described.
+
+  self.toJsonSchema = function(schema, options) {
+    options = options || {};
+    var object = {
+      type: 'object',
+      properties: {},
+      required: []
+    };
+    _.each(schema, function(field) {
+      var fieldType = self.fieldTypes[field.type];
+      var property = (fieldType && fieldType.jsonSchema) ? fieldType.jsonSchema(field, object, options) : {};
+      if (!property) {
+        // The field type took care of it, or stores nothing
+        return;
+      }
+      object.properties[field.name] = _.assign(self.getJsonSchemaAnnotations(field), property);
+      if (field.required) {
+        object.required.push(field.name);
+      }
+    });
+    if (!object.required.length) {
+      delete object.required;
+    }
+    return object;
+  };
+
+  // Returns the `title`, `description` and `default` JSON Schema
+  // keywords for `field`, based on its label, help and default value.
+
+  self.getJsonSchemaAnnotations = function(field) {
+    var annotations = {};
+    if (field.label) {
+      annotations.title = field.label;
+    }
+    if (field.help) {
+      annotations.description = field.help;
+    }
+    if ((field.def !== undefined) && ((typeof field.def) !== 'function')) {
+      annotations.default = field.def;
+    }
+    return annotations;
+  };
+
+  // Returns a JSON Schema for a doc or widget of one of the given
+  // `types`, for use in `jsonSchema` functions of field types. `kind` is
+  // `doc` or `widget`. `types` may be a single type name, or an empty
+  // array if any type is acceptable. See `toJsonSchema` for
+  // `options.ref`.
+
+  self.getJsonSchemaRef = function(kind, types, options) {
+    types = Array.isArray(types) ? types : [ types ];
+    var schemas = _.map(types, function(type) {
+      if (options.ref) {
+        return { $ref: options.ref(kind, type) };
+      }
+      return {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          type: { type: 'string', enum: [ type ] }
+        },
+        required: [ '_id', 'type' ]
+      };
+    });
+    if (!schemas.length) {
+      return {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          type: { type: 'string' }
+        },
+        required: [ '_id', 'type' ]
+      };
+    }
+    return (schemas.length === 1) ? schemas[0] : { anyOf: schemas };
+  };
+
+  // Returns a JSON Schema for an area that may contain the given widget
+  // `types`, or any widget if `types` is empty.
+
+  self.getAreaJsonSchema = function(types, options) {
+    return {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: [ 'area' ] },
+        items: {
+          type: 'array',
+          items: self.getJsonSchemaRef('widget', types, options)
+        }
+      }
+    };
+  };
+
+  // Returns a JSON Schema for the `_name` property of the join `field`,
+  // which is loaded along with the doc and never stored. If `many` is
+  // true it is an array of docs.
+
+  self.getJoinJsonSchema = function(field, many, options) {
+    var doc = self.getJsonSchemaRef('doc', field.withType, options);
+    return _.assign(self.getJsonSchemaAnnotations(field), {
+      readOnly: true
+    }, many ? { type: 'array', items: doc } : { allOf: [ doc ] });
+  };
+
+  // Returns a JSON Schema accepting the values of the choices of `field`,
+  // or any string if they are determined by a method at runtime.
+
+  self.getChoicesJsonSchema = function(field) {
+    if (!Array.isArray(field.choices)) {
+      return { type: 'string' };
+    }
+    return { enum: _.pluck(field.choices, 'value') };
+  };
+
+  // Returns a JSON Schema for a `type` of `integer` or `number`
+  // with the `min` and `max` of `field`.
+
+  self.getNumberJsonSchema = function(field, type) {
+    var schema = { type: type };
+    if ((typeof field.min) === 'number') {
+      schema.minimum = field.min;
+    }
+    if ((typeof field.max) === 'number') {
+      schema.maximum = field.max;
+    }
+    return schema;
+  };
+
+  // Returns `{ docs: { type: jsonSchema, ... }, widgets: { type: jsonSchema, ... } }`
+  // with a JSON Schema for every doc type and widget type. See
+  // `toJsonSchema` for `options`.
+
+  self.getJsonSchemas = function(options) {
+    options = options || {};
+    var schemas = {
+      docs: {},
+      widgets: {}
+    };
+    _.each(self.apos.docs.managers, function(manager, type) {
+      var schema = self.toJsonSchema(manager.schema, options);
+      schema.properties = _.assign({
+        _id: { type: 'string', readOnly: true },
+        type: { type: 'string', enum: [ type ], readOnly: true },
+        createdAt: { type: 'string', format: 'date-time', readOnly: true },
+        updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+      }, schema.properties);
+      schemas.docs[type] = _.assign({ title: manager.label || type }, schema);
+    });
+    _.each(self.apos.areas.widgetManagers, function(manager, type) {
+      var schema = self.toJsonSchema(manager.schema, options);
+      schema.properties = _.assign({
+        _id: { type: 'string' },
+        type: { type: 'string', enum: [ type ] }
+      }, schema.properties);
+      schema.required = [ '_id', 'type' ].concat(schema.required || []);
+      schemas.widgets[type] = _.assign({ title: manager.label || type }, schema);
+    });
+    return schemas;
+  };
+
+  // Returns a JSON Schema document with the schemas of all doc types
+  // and widget types as `definitions.docs.type` and
+  // `definitions.widgets.type`, referring to one another as needed.
+
+  self.getJsonSchemaDocument = function() {
+    return {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      definitions: self.getJsonSchemas({
+        ref: function(kind, type) {
+          return '#/definitions/' + kind + 's/' + type;
+        }
+      })
+    };
+  };
+
+  // Returns an OpenAPI 3 document describing the JSON routes of every
+  // pieces module, such as `insert`, `update` and `list`, with the JSON
+  // Schema of every doc type and widget type as a component named
+  // `doc.type` or `widget.type`. `req` determines the schema of the
+  // batch `permissions` route. The `openApiInfo` option of this module
+  // is merged into the `info` object of the document.
+  //
+  // Like the browser, clients must send the session cookie of a user
+  // and an `X-XSRF-TOKEN` header matching the `XSRF-TOKEN` cookie.
+
+  self.getOpenApi = function(req) {
+    var options = {
+      ref: function(kind, type) {
+        return '#/components/schemas/' + kind + '.' + type;
+      }
+    };
+    var schemas = self.getJsonSchemas(options);
+    var components = {};
+    _.each(schemas.docs, function(schema, type) {
+      components['doc.' + type] = schema;
+    });
+    _.each(schemas.widgets, function(schema, type) {
+      components['widget.' + type] = schema;
+    });
+    var paths = {};
+    _.each(self.apos.docs.managers, function(manager) {
+      if (self.apos.instanceOf(manager, 'apostrophe-pieces')) {
+        _.assign(paths, self.getOpenApiPaths(req, manager, options));
+      }
+    });
+    return {
+      openapi: '3.0.3',
+      info: _.assign({
+        title: self.apos.shortName,
+        version: '1.0.0'
+      }, self.options.openApiInfo),
+      paths: paths,
+      components: {
+        schemas: components
+      }
+    };
+  };
+
+  // Returns the OpenAPI paths object for the JSON routes of the pieces
+  // module `manager`. Called by `getOpenApi`, which supplies `options`
+  // as for `toJsonSchema`.
+
+  self.getOpenApiPaths = function(req, manager, options) {
+    var piece = self.getJsonSchemaRef('doc', manager.name, options);
+    var id = {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' }
+      },
+      required: [ '_id' ]
+    };
+    var ids = {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' },
+        ids: { type: 'array', items: { type: 'string' } },
+        job: { type: 'boolean', description: 'If true, respond at once with a jobId to track progress' }
+      }
+    };
+    var paths = {};
+
+    add('insert', 'Insert a ' + manager.label, piece, piece);
+    add('retrieve', 'Retrieve a ' + manager.label + ' for editing', id, piece);
+    add('update', 'Update a ' + manager.label, { allOf: [ piece, id ] }, piece);
+    add('list', 'List ' + manager.pluralLabel + ', ' + (manager.options.perPage || 10) + ' at a time', {
+      type: 'object',
+      description: 'Any cursor filter that is safe for the manage view may also be given',
+      properties: {
+        page: { type: 'integer', minimum: 1 },
+        search: { type: 'string' },
+        pageAfter: { type: 'string' },
+        pageBefore: { type: 'string' },
+        format: { type: 'string', enum: [ 'allIds' ] }
+      }
+    }, {
+      type: 'object',
+      properties: {
+        pieces: { type: 'array', items: piece },
+        ids: { type: 'array', items: { type: 'string' } },
+        total: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        skip: { type: 'integer' },
+        limit: { type: 'integer' },
+        nextToken: { type: 'string' },
+        prevToken: { type: 'string' }
+      }
+    });
+    add('trash', 'Move ' + manager.pluralLabel + ' to the trash', ids, { type: 'object' }, true);
+    add('rescue', 'Rescue ' + manager.pluralLabel + ' from the trash', ids, { type: 'object' }, true);
+
+    _.each([ 'publish', 'unpublish', 'tag', 'untag', 'permissions' ], function(name) {
+      var operation = _.find(manager.options.batchOperations, { name: name });
+      if ((!operation) || (operation.requiredField && (!_.find(manager.schema, { name: operation.requiredField })))) {
+        return;
+      }
+      var schema = (name === 'permissions') ? manager.getBatchPermissionsSchema(req) : (operation.schema || []);
+      var body = self.toJsonSchema(schema, options);
+      body.properties.ids = { type: 'array', items: { type: 'string' } };
+      body.required = [ 'ids' ].concat(body.required || []);
+      add(name, operation.label + ' ' + manager.pluralLabel, body, null, true);
+    });
+
+    return paths;
+
+    function add(route, summary, body, data, job) {
+      var response = {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            description: '"ok", or an error code such as "notfound", "forbidden" or "invalid"'
+          }
+        },
+        required: [ 'status' ]
+      };
+      if (data) {
+        response.properties.data = data;
+      }
+      if (job) {
+        response.properties.jobId = { type: 'string' };
+      }
+      paths[manager.action + '/' + route] = {
+        post: {
+          tags: [ manager.name ],
+          summary: summary,
+          operationId: _.camelCase(manager.name) + self.apos.utils.capitalizeFirst(route),
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: body
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'The status is "ok" if the operation succeeded',
+              content: {
+                'application/json': {
+                  schema: response
+                }
+              }
+            }
+          }
+        }
+      };
+    }
+  };
+
+};
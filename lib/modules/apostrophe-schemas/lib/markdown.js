@@ -0,0 +1,51 @@
+// Markdown support for the `markdown` schema field type and the
+// `markdown` Nunjucks filter. See `renderMarkdown`.
+
+var MarkdownIt = require('markdown-it');
+var sanitizeHtml = require('sanitize-html');
+
+module.exports = function(self, options) {
+
+  var parser = new MarkdownIt({ html: false });
+
+  // Render the markdown string `markdown` to HTML and sanitize it with
+  // the `sanitizeHtml` option of the `apostrophe-rich-text-widgets`
+  // module, so that markdown fields permit exactly the markup that rich
+  // text widgets do. Raw HTML in the markdown is escaped, not rendered.
+  // The markdown is parsed by `markdown-it` and follows CommonMark, plus
+  // tables and strikethrough.
+
+  self.renderMarkdown = function(markdown) {
+    if ((markdown === null) || (markdown === undefined)) {
+      return '';
+    }
+    var richText = self.apos.modules['apostrophe-rich-text-widgets'];
+    return sanitizeHtml(self.markdownToHtml(markdown.toString()), richText && richText.options.sanitizeHtml);
+  };
+
+  // Render the markdown string `markdown` to HTML, without sanitizing
+  // the result. You probably want `renderMarkdown`.
+
+  self.markdownToHtml = function(markdown) {
+    return parser.render(markdown);
+  };
+
+  // Returns the plaintext of the markdown string `markdown`, as rendered
+  // by `renderMarkdown`. Used for search indexing.
+
+  self.markdownToPlaintext = function(markdown) {
+    return self.apos.utils.htmlToPlaintext(self.renderMarkdown(markdown)).trim();
+  };
+
+  // Called for you at startup. Adds the `markdown` Nunjucks filter,
+  // which renders markdown with `renderMarkdown`:
+  //
+  // `{{ data.piece.body | markdown }}`
+
+  self.addMarkdownFilter = function() {
+    self.apos.templates.addFilter('markdown', function(markdown) {
+      return self.apos.templates.safe(self.renderMarkdown(markdown));
+    });
+  };
+
+};
@@ -11,6 +11,7 @@ module.exports = function(self, options) {
     self.route('post', 'arrayItems', self.routes.arrayItems);
     self.route('post', 'arrayItem', self.routes.arrayItem);
     self.apiRoute('post', 'choices', self.routes.choices);
+    self.apiRoute('post', 'markdown-preview', self.routes.markdownPreview);
   };
 
   self.routes.arrayEditor = function(req, res) {
@@ -41,11 +42,16 @@ module.exports = function(self, options) {
         });
       }
       _.each(receptacle[name], function(item) {
-        if (field.titleField && _.get(item, field.titleField)) {
-          item._title = _.get(item, field.titleField);
+        var itemType = self.getArrayItemType(field, item);
+        var titleField = (itemType && itemType.titleField) || field.titleField;
+        if (titleField && _.get(item, titleField)) {
+          item._title = _.get(item, titleField);
         } else {
           item._title = '#' + item._ordinal;
         }
+        if (itemType) {
+          item._itemTypeLabel = itemType.label;
+        }
       });
       return self.renderAndSend(req, 'arrayItems', { active: active, arrayItems: receptacle[name], field: req.body.field });
     });
@@ -88,4 +94,16 @@ module.exports = function(self, options) {
     }).catch(next);
   };
 
+  // Render the `markdown` property of the body for the preview of
+  // `markdown` fields, exactly as `renderMarkdown` will on the page
+
+  self.routes.markdownPreview = function(req, res, next) {
+    if (!req.user) {
+      return next('forbidden');
+    }
+    return next(null, {
+      html: self.renderMarkdown(self.apos.launder.string(req.body.markdown))
+    });
+  };
+
 };
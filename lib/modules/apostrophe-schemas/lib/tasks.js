@@ -0,0 +1,32 @@
+var fs = require('fs');
+
+module.exports = function(self, options) {
+
+  self.addTasks = function() {
+    self.addExportTask();
+  };
+
+  self.addExportTask = function() {
+    self.addTask('export',
+      'Usage: node app apostrophe-schemas:export [--openapi] [--output=file]\n\n' +
+      'Write a JSON Schema document describing every doc type and widget type\n' +
+      'to standard output, or to the given file. With --openapi, write an\n' +
+      'OpenAPI 3 document describing the JSON routes of every pieces module\n' +
+      'instead, including the same schemas.',
+      function(apos, argv, callback) {
+        return self.exportTask(argv, callback);
+      }
+    );
+  };
+
+  self.exportTask = function(argv, callback) {
+    var document = argv.openapi ? self.getOpenApi(self.apos.tasks.getReq()) : self.getJsonSchemaDocument();
+    var json = JSON.stringify(document, null, '  ') + '\n';
+    if (!argv.output) {
+      process.stdout.write(json);
+      return callback(null);
+    }
+    return fs.writeFile(String(argv.output), json, callback);
+  };
+
+};
@@ -0,0 +1,168 @@
+// Cross-field and asynchronous validation for `convert`. Any schema
+// field may have a `validate` function, which receives `req`, the whole
+// object being converted and the field, and returns (or resolves to)
+// nothing if all is well, or else an error code, a `{ code, message }`
+// object or an array of them:
+//
+// ```javascript
+// {
+//   name: 'endDate',
+//   type: 'date',
+//   validate: function(req, object, field) {
+//     if (object.startDate && object.endDate && (object.endDate < object.startDate)) {
+//       return { code: 'beforeStart', message: 'The end date must not precede the start date.' };
+//     }
+//   }
+// }
+// ```
+//
+// An error applies to the field itself unless it has a `path` property
+// naming another field. A top level field of a doc type may also have
+// `unique: true`, in which case `convert` rejects values already
+// present in another doc of the same type with the `unique` error code.
+// This is a courtesy to editors, not a guarantee: it is only a query
+// made before saving, so two docs saved at the same moment may both
+// pass it, and code that inserts docs without `convert` skips it. For
+// a guarantee also declare `index: { unique: true, sparse: true }` on
+// the field, which creates a unique MongoDB index (see the `indexes`
+// option of `apostrophe-doc-type-manager`), and be prepared for
+// `apos.docs.isUniqueError` errors when saving.
+//
+// When `convert` fails, `req.validationErrors` is set to an array of
+// structured errors, each with `path`, `code` and, if known, `message`
+// properties. The error passed to the callback of `convert` is still a
+// string made from the path and code of the first of them, for
+// instance `sections.0.body.required`. API routes send the array to
+// the browser as the `errors` property of the response, and the pieces
+// and pages editors highlight the fields concerned.
+
+var _ = require('@sailshq/lodash');
+var async = require('async');
+
+module.exports = function(self, options) {
+
+  // Invoke the `validate` functions and `unique` checks of the fields of
+  // `schema` for `object`, skipping fields whose names are keys of
+  // `skip` and fields hidden via `showFields`. Delivers an array of
+  // structured errors to the callback. Called for you by `convert`.
+
+  self.runValidators = function(req, schema, object, skip, callback) {
+    var errors = [];
+    return async.eachSeries(schema, function(field, callback) {
+      if (!(field.validate || field.unique)) {
+        return setImmediate(callback);
+      }
+      if (skip[field.name] || field.readOnly || field.contextual || (!self.canEditField(req, field)) || (!self.isVisible(schema, object, field.name))) {
+        return setImmediate(callback);
+      }
+      return async.series([
+        unique,
+        validate
+      ], callback);
+
+      function unique(callback) {
+        if (!field.unique) {
+          return setImmediate(callback);
+        }
+        return self.isUnique(req, field, object, function(err, unique) {
+          if (err) {
+            return callback(err);
+          }
+          if (!unique) {
+            errors.push({ path: field.name, code: 'unique' });
+          }
+          return callback(null);
+        });
+      }
+
+      function validate(callback) {
+        if (!field.validate) {
+          return setImmediate(callback);
+        }
+        return Promise.resolve().then(function() {
+          return field.validate(req, object, field);
+        }).then(function(result) {
+          errors = errors.concat(self.normalizeValidationErrors(field, result));
+          return callback(null);
+        }, callback);
+      }
+    }, function(err) {
+      return callback(err, errors);
+    });
+  };
+
+  // Deliver `true` to the callback unless another doc of the same type
+  // as `object` has the same value for `field`. Empty values, and objects
+  // that are not docs, such as array items, are always unique.
+
+  self.isUnique = function(req, field, object, callback) {
+    var value = object[field.name];
+    var fieldType = self.fieldTypes[field.type];
+    if ((value === undefined) || (value === null) || (fieldType.isEmpty && fieldType.isEmpty(field, value))) {
+      return setImmediate(_.partial(callback, null, true));
+    }
+    if (!(object.type && self.apos.docs.getManager(object.type))) {
+      return setImmediate(_.partial(callback, null, true));
+    }
+    var criteria = { type: object.type };
+    criteria[field.name] = value;
+    if (object._id) {
+      criteria._id = { $ne: object._id };
+    }
+    if (object.workflowLocale) {
+      criteria.workflowLocale = object.workflowLocale;
+    }
+    return self.apos.docs.db.findOne(criteria, { _id: 1 }, function(err, doc) {
+      return callback(err, !doc);
+    });
+  };
+
+  // Convert the value returned by the `validate` function of `field` to
+  // an array of structured errors.
+
+  self.normalizeValidationErrors = function(field, result) {
+    if (!result) {
+      return [];
+    }
+    return _.map(Array.isArray(result) ? result : [ result ], function(error) {
+      if ((typeof error) === 'string') {
+        error = { code: error };
+      }
+      return _.assign({ path: field.name, code: 'invalid' }, error);
+    });
+  };
+
+  // Returns structured errors for the error string `err` reported by the
+  // converter of the field `name`. If the converter invoked `convert`
+  // for nested fields, as the `array` and `object` field types do, the
+  // structured errors of that call are passed as `nested` so that their
+  // messages are not lost. Called for you by `convert`.
+
+  self.getFieldValidationErrors = function(name, err, nested) {
+    var first = nested && nested[0] && (nested[0].path + '.' + nested[0].code);
+    if (first && (err.slice(-first.length) === first)) {
+      // err is the first nested error prefixed by the converter,
+      // for instance with an array index
+      var prefix = name + '.' + err.slice(0, err.length - first.length);
+      return _.map(nested, function(error) {
+        return _.assign({}, error, { path: prefix + error.path });
+      });
+    }
+    var path = (name + '.' + err).split('.');
+    var code = path.pop();
+    return [ { path: path.join('.'), code: code } ];
+  };
+
+  // Throws an error if the `validate` or `unique` property of `field`
+  // is not valid. Called for you by `validate`.
+
+  self.validateFieldValidation = function(field) {
+    if (field.validate && ((typeof field.validate) !== 'function')) {
+      throw new Error('The validate property must be a function.');
+    }
+    if (field.unique && (_.includes([ 'area', 'singleton', 'array', 'object', 'joinByOne', 'joinByArray', 'joinByOneReverse', 'joinByArrayReverse' ], field.type))) {
+      throw new Error('Fields of type ' + field.type + ' cannot be unique.');
+    }
+  };
+
+};
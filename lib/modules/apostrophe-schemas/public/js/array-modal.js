@@ -26,6 +26,11 @@ apos.define('apostrophe-array-editor-modal', {
         self.active = 0;
       }
       if (!self.arrayItems.length) {
+        if (self.field.itemTypes) {
+          // Wait for the user to choose an item type
+          self.active = -1;
+          return self.refresh();
+        }
         return self.createItem();
       } else {
         self.setItemTitles();
@@ -104,12 +109,17 @@ apos.define('apostrophe-array-editor-modal', {
     // This method adds a new item to the array. It is invoked
     // by `createItem`, which should be called instead if your intention
     // is to immediately display the new item in the item editor.
+    // `itemType` is the name of the item type, for arrays with
+    // `itemTypes`.
 
-    self.addToItems = function() {
-      var item = apos.schemas.newInstance(self.field.schema);
+    self.addToItems = function(itemType) {
+      var item = apos.schemas.newInstance(apos.schemas.getArrayItemSchema(self.field, itemType));
       _.assign(item, {
         id: apos.utils.generateId()
       });
+      if (itemType) {
+        item.itemType = itemType;
+      }
       self.arrayItems.push(item);
       self.active = self.arrayItems.length - 1;
       self.refresh();
@@ -138,11 +148,13 @@ apos.define('apostrophe-array-editor-modal', {
 
     // Adds a new item to the array, populating the form with its
     // initial default values from the schema. The list view is refreshed.
+    // `itemType` is the name of the item type, for arrays with
+    // `itemTypes`.
 
-    self.createItem = function() {
-      return self.html('arrayItem', { field: self.field }, function(html) {
+    self.createItem = function(itemType) {
+      return self.html('arrayItem', { field: self.field, itemType: itemType }, function(html) {
         self.$arrayItem.html($(html));
-        self.addToItems();
+        self.addToItems(itemType);
         self.populateItem();
       });
     };
@@ -152,7 +164,7 @@ apos.define('apostrophe-array-editor-modal', {
     // active item's content. The list view is refreshed.
 
     self.editItem = function() {
-      return self.html('arrayItem', { field: self.field }, function(html) {
+      return self.html('arrayItem', { field: self.field, itemType: self.arrayItems[self.active].itemType }, function(html) {
         self.$arrayItem.html($(html));
         self.populateItem();
       });
@@ -164,13 +176,14 @@ apos.define('apostrophe-array-editor-modal', {
 
     self.populateItem = function() {
       var $form = self.$arrayItem.find('[data-apos-form]');
-      apos.schemas.populate($form, self.field.schema, self.arrayItems[self.active], function(err) {
+      var schema = self.getItemSchema();
+      apos.schemas.populate($form, schema, self.arrayItems[self.active], function(err) {
         if (err) {
           apos.utils.error(err);
         }
         self.refresh();
         if (self.errorPath && (self.errorPath.length > 1)) {
-          apos.schemas.returnToError($form, self.field.schema, self.errorPath.slice(1), self.error, function(err) {
+          apos.schemas.returnToError($form, schema, self.errorPath.slice(1), self.error, function(err) {
             if (err) {
               apos.utils.error(err);
             }
@@ -189,7 +202,7 @@ apos.define('apostrophe-array-editor-modal', {
         // We currently don't have an actively selected item to convert.
         return setImmediate(callback);
       }
-      apos.schemas.convert(self.$arrayItem.find('[data-apos-form]'), self.field.schema, self.arrayItems[self.active], function(err) {
+      apos.schemas.convert(self.$arrayItem.find('[data-apos-form]'), self.getItemSchema(), self.arrayItems[self.active], function(err) {
         if (err) {
           return callback(err);
         }
@@ -198,6 +211,13 @@ apos.define('apostrophe-array-editor-modal', {
       });
     };
 
+    // Returns the schema of the currently active item, which depends
+    // on its item type for arrays with `itemTypes`.
+
+    self.getItemSchema = function() {
+      return apos.schemas.getArrayItemSchema(self.field, self.arrayItems[self.active]);
+    };
+
     // This method invokes `options.save` and passes `self.arrayItems` to it,
     // then dismisses the modal via `hide`.
 
@@ -236,20 +256,29 @@ apos.define('apostrophe-array-editor-modal', {
 
       if (options.field.readOnly) {
         // Remove "Add item" and "Save Items" button
-        self.$el.children().find('[data-apos-add-array-item]').remove();
+        self.$el.children().find('[data-apos-add-array-item], [data-apos-array-item-types-toggle]').remove();
         self.$el.parents('[data-modal]').find('[data-apos-save-array-items]').remove();
       } else {
         self.$el.on('click', '[data-apos-add-array-item]', function(e) {
           e.stopPropagation();
           e.preventDefault();
+          var itemType = $(this).attr('data-apos-add-array-item') || undefined;
+          self.$el.find('[data-apos-array-item-types]').addClass('apos-hidden');
           self.saveItemState(function(err) {
             if (err) {
               return;
             }
-            self.createItem();
+            self.createItem(itemType);
           });
         });
 
+        // For arrays with itemTypes, "Add Item" offers a choice of type
+        self.$el.on('click', '[data-apos-array-item-types-toggle]', function(e) {
+          e.stopPropagation();
+          e.preventDefault();
+          self.$el.find('[data-apos-array-item-types]').toggleClass('apos-hidden');
+        });
+
         self.$el.on('click', '[data-apos-move-array-item]', function(e) {
           e.stopPropagation();
           e.preventDefault();
@@ -382,10 +411,10 @@ apos.define('apostrophe-array-editor-modal', {
         return;
       }
       if (self.arrayItems.length >= self.field.limit) {
-        self.$el.find('[data-apos-add-array-item]').hide();
+        self.$el.find('[data-apos-add-array-item], [data-apos-array-item-types-toggle]').hide();
         self.$el.find('[data-apos-array-limit-reached]').show();
       } else {
-        self.$el.find('[data-apos-add-array-item]').show();
+        self.$el.find('[data-apos-add-array-item], [data-apos-array-item-types-toggle]').show();
         self.$el.find('[data-apos-array-limit-reached]').hide();
       }
     };
@@ -56,6 +56,7 @@ apos.define('apostrophe-schemas', {
           });
         }, function() {
           self.enableSlugSuggestions($el, schema, object);
+          self.enableConditionalFields($el, schema);
           return callback();
         });
       }
@@ -204,6 +205,43 @@ apos.define('apostrophe-schemas', {
       return callback(null);
     };
 
+    // Highlight the fields concerned by `errors`, the structured errors
+    // sent by the server as the `errors` property of an API response
+    // when `apos.schemas.convert` fails. Each has `path`, `code` and
+    // possibly `message` properties. An error in a nested field, such as
+    // `sections.0.body`, is shown via `returnToError`. Returns true if
+    // at least one error could be shown.
+
+    self.showServerErrors = function($el, schema, errors) {
+      var shown = false;
+      var nested = false;
+      _.each(errors || [], function(serverError) {
+        var path = serverError.path.split('.');
+        var field = _.find(schema, { name: path[0] });
+        if (!field) {
+          return;
+        }
+        shown = true;
+        if (path.length > 1) {
+          // Only the first nested error can be returned to
+          if (!nested) {
+            nested = true;
+            self.returnToError($el, schema, path, serverError.code, function() {});
+          }
+          return;
+        }
+        var error = self.error(field, serverError.code);
+        if (serverError.message) {
+          error.message = serverError.message;
+        }
+        self.showError($el, error);
+      });
+      if (shown) {
+        self.scrollToError($el);
+      }
+      return shown;
+    };
+
     // Create a valid error object to be reported from a converter.
     // You can also report a string as an error in which case self.convert
     // creates one of these for you. The object is nice if you want to
@@ -230,6 +268,9 @@ apos.define('apostrophe-schemas', {
         case 'taken':
           error.message = 'Already taken';
           break;
+        case 'unique':
+          error.message = 'Already in use';
+          break;
         case 'mandatory':
           if (typeof (field.mandatory) === 'string') {
             error.message = field.mandatory;
@@ -562,6 +603,21 @@ apos.define('apostrophe-schemas', {
       return def;
     };
 
+    // Returns the schema of `item`, an item of the array `field`, taking
+    // its `itemType` into account for arrays with `itemTypes`. `item`
+    // may also be the name of an item type.
+    //
+    // Keep in sync with server side version
+
+    self.getArrayItemSchema = function(field, item) {
+      if (!field.itemTypes) {
+        return field.schema;
+      }
+      var name = ((typeof item) === 'string') ? item : (item && item.itemType);
+      var itemType = _.find(field.itemTypes, { name: name });
+      return itemType ? itemType.schema : [];
+    };
+
     // Enable autocomplete of tags. Expects the fieldset element
     // (not the input element) and an array of existing tags already
     // assigned to this item. Exported for the convenience of
@@ -603,6 +659,82 @@ apos.define('apostrophe-schemas', {
       }
     };
 
+    // Enable the Write and Preview buttons of a markdown field.
+    // Expects the fieldset element and the textarea. The preview is
+    // rendered by the server, exactly as it will appear on the page.
+
+    self.enableMarkdownPreview = function($fieldset, $field) {
+      var $write = $fieldset.find('[data-apos-markdown-write]');
+      var $preview = $fieldset.find('[data-apos-markdown-preview]');
+      var $content = $fieldset.find('[data-apos-markdown-preview-content]');
+      $write.on('click', function() {
+        $write.addClass('apos-active');
+        $preview.removeClass('apos-active');
+        $content.addClass('apos-hidden');
+        $field.removeClass('apos-hidden');
+        return false;
+      });
+      $preview.on('click', function() {
+        $preview.addClass('apos-active');
+        $write.removeClass('apos-active');
+        apos.ui.globalBusy(true);
+        self.api('markdown-preview', {
+          markdown: $field.val()
+        }, function(result) {
+          apos.ui.globalBusy(false);
+          if (result.status !== 'ok') {
+            return;
+          }
+          $content.html(result.html);
+          $content.removeClass('apos-hidden');
+          $field.addClass('apos-hidden');
+        }, function() {
+          apos.ui.globalBusy(false);
+        });
+        return false;
+      });
+    };
+
+    // Returns the IANA time zone of the browser, such as
+    // `America/New_York`, or `UTC` if it cannot be determined.
+
+    self.getBrowserZone = function() {
+      try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+      } catch (e) {
+        return 'UTC';
+      }
+    };
+
+    // Returns the wall clock time of the Date `date` in the IANA time
+    // zone `zone` as a string like `2020-03-08T14:30:00`.
+    //
+    // Keep in sync with server side version
+
+    self.dateToZoned = function(date, zone) {
+      var parts = {};
+      _.each(Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }).formatToParts(date), function(part) {
+        if (part.type !== 'literal') {
+          parts[part.type] = parseInt(part.value, 10);
+        }
+      });
+      // Some implementations report midnight as 24
+      parts.hour = parts.hour % 24;
+      return parts.year + '-' + pad(parts.month) + '-' + pad(parts.day) + 'T' + pad(parts.hour) + ':' + pad(parts.minute) + ':' + pad(parts.second);
+      function pad(n) {
+        return ((n < 10) ? '0' : '') + n;
+      }
+    };
+
     // Reusable utility to watch the title and use it to
     // suggest valid slugs.
     //
@@ -761,6 +893,220 @@ apos.define('apostrophe-schemas', {
       }
     };
 
+    // Show and hide the fields of `schema` that have an `if` property
+    // as the fields their conditions refer to change. Like fields
+    // controlled by `showFields`, hidden fields get the `apos-hidden`
+    // class, so `convert` does not insist on them. The server clears
+    // their values on save.
+
+    self.enableConditionalFields = function($el, schema) {
+      var conditional = _.filter(schema, function(field) {
+        return field.if;
+      });
+      if (!conditional.length) {
+        return;
+      }
+      var names = _.uniq(_.flatten(_.map(conditional, function(field) {
+        return self.getConditionFieldNames(field.if);
+      })));
+      var fields = _.filter(schema, function(field) {
+        return _.contains(names, field.name) && (!field.contextual) && self.fieldTypes[field.type].convert;
+      });
+
+      update();
+
+      $el.on('change input', update);
+
+      function update() {
+        var data = {};
+        return async.eachSeries(fields, function(field, callback) {
+          return self.fieldTypes[field.type].convert(data, field.name, self.findField($el, field.name), $el, field, function() {
+            // Errors do not matter here, they are reported on save
+            return callback(null);
+          });
+        }, function() {
+          self.normalizeConditionValues(fields, data);
+          _.each(conditional, function(field) {
+            var visible = self.evaluateCondition(field.if, data);
+            if (!visible) {
+              // As on the server, fields that depend on this one see it empty
+              data[field.name] = null;
+            }
+            self.findFieldset($el, field.name).toggleClass('apos-hidden', !visible);
+          });
+        });
+      }
+    };
+
+    // Returns the names of the fields the `if` property `condition`
+    // refers to.
+
+    self.getConditionFieldNames = function(condition) {
+      var names = [];
+      _.each(condition, function(value, key) {
+        if ((key === '$and') || (key === '$or')) {
+          _.each(value, function(condition) {
+            names = names.concat(self.getConditionFieldNames(condition));
+          });
+        } else if (key === '$not') {
+          names = names.concat(self.getConditionFieldNames(value));
+        } else {
+          names.push(key.split('.')[0]);
+          _.each(_.isPlainObject(value) ? (value.$field ? [ value ] : _.values(value)) : [], function(operand) {
+            if (_.isPlainObject(operand) && operand.$field) {
+              names.push(operand.$field.split('.')[0]);
+            }
+          });
+        }
+      });
+      return names;
+    };
+
+    // Form elements deliver strings. Convert the values of `fields` in
+    // `data` to the types the server would store, so conditions
+    // evaluate the same way in both places.
+
+    self.normalizeConditionValues = function(fields, data) {
+      _.each(fields, function(field) {
+        var value = data[field.name];
+        if (field.type === 'boolean') {
+          data[field.name] = (value === true) || (value === '1') || (value === 'true');
+        } else if (_.contains([ 'integer', 'float', 'range' ], field.type)) {
+          data[field.name] = ((value === undefined) || (value === null) || (value === '') || isNaN(parseFloat(value))) ? null : parseFloat(value);
+        } else if (field.type === 'select') {
+          var choice = _.find(Array.isArray(field.choices) ? field.choices : [], function(choice) {
+            return String(choice.value) === String(value);
+          });
+          if (choice) {
+            data[field.name] = choice.value;
+          }
+        }
+      });
+    };
+
+    // Returns true if `object` satisfies `condition`, the `if` property
+    // of a schema field. See the server side `evaluateCondition` method
+    // for the syntax.
+    //
+    // Keep in sync with server side version
+
+    self.evaluateCondition = function(condition, object) {
+      return _.every(condition, function(value, key) {
+        if (key === '$and') {
+          return _.every(value, function(condition) {
+            return self.evaluateCondition(condition, object);
+          });
+        }
+        if (key === '$or') {
+          return _.some(value, function(condition) {
+            return self.evaluateCondition(condition, object);
+          });
+        }
+        if (key === '$not') {
+          return !self.evaluateCondition(value, object);
+        }
+        // A value that is an array matches if any of its elements does
+        var values = _.flatten(_.map(getPathValues(object, key), function(value) {
+          return Array.isArray(value) ? value.concat([ value ]) : [ value ];
+        }));
+        return matchValues(values, value, object);
+      });
+
+      function getPathValues(object, path) {
+        var values = [ object ];
+        _.each(path.split('.'), function(key) {
+          values = _.flatten(_.map(values, function(value) {
+            if (Array.isArray(value)) {
+              return _.pluck(value, key);
+            }
+            return [ (value && ((typeof value) === 'object')) ? value[key] : undefined ];
+          }));
+        });
+        return values;
+      }
+
+      function isOperators(test) {
+        return _.isPlainObject(test) && _.keys(test).length && (!_.has(test, '$field')) && _.every(_.keys(test), function(key) {
+          return key.charAt(0) === '$';
+        });
+      }
+
+      function matchValues(values, test, object) {
+        if (!isOperators(test)) {
+          test = { $eq: test };
+        }
+        return _.every(test, function(operand, operator) {
+          operand = resolveOperand(operand, object);
+          switch (operator) {
+            case '$eq':
+              return _.some(values, _.partial(equals, operand));
+            case '$ne':
+              return !_.some(values, _.partial(equals, operand));
+            case '$in':
+              return isIn(values, operand);
+            case '$nin':
+              return !isIn(values, operand);
+            case '$exists':
+              return _.some(values, hasValue) === !!operand;
+            case '$gt':
+              return compare(values, operand, function(a, b) {
+                return a > b;
+              });
+            case '$gte':
+              return compare(values, operand, function(a, b) {
+                return a >= b;
+              });
+            case '$lt':
+              return compare(values, operand, function(a, b) {
+                return a < b;
+              });
+            case '$lte':
+              return compare(values, operand, function(a, b) {
+                return a <= b;
+              });
+            default:
+              return false;
+          }
+        });
+      }
+
+      // An operand that is not an array, such as a `$field` that does not
+      // hold an array, contains nothing
+
+      function isIn(values, operand) {
+        if (!Array.isArray(operand)) {
+          return false;
+        }
+        return _.some(values, function(value) {
+          return _.some(operand, _.partial(equals, value));
+        });
+      }
+
+      function resolveOperand(operand, object) {
+        if (_.isPlainObject(operand) && _.has(operand, '$field')) {
+          return getPathValues(object, operand.$field)[0];
+        }
+        return operand;
+      }
+
+      function equals(a, b) {
+        return _.isEqual(a, b);
+      }
+
+      function hasValue(value) {
+        return (value !== undefined) && (value !== null) && (value !== '') && (!(Array.isArray(value) && (!value.length)));
+      }
+
+      function compare(values, operand, fn) {
+        if (!hasValue(operand)) {
+          return false;
+        }
+        return _.some(values, function(value) {
+          return hasValue(value) && (!Array.isArray(value)) && fn(value, operand);
+        });
+      }
+    };
+
     self.addFieldType({
       name: 'area',
       populate: function(data, name, $field, $el, field, callback) {
@@ -1257,6 +1603,17 @@ apos.define('apostrophe-schemas', {
       }
     });
 
+    self.addFieldType({
+      name: 'markdown',
+      populate: function(data, name, $field, $el, field, callback) {
+        return populateString(data, name, $field, $el, field, function() {
+          self.enableMarkdownPreview(self.findFieldset($el, name), $field);
+          return callback(null);
+        });
+      },
+      convert: convertString
+    });
+
     self.addFieldType({
       name: 'tags',
       populate: function(data, name, $field, $el, field, callback) {
@@ -1512,6 +1869,37 @@ apos.define('apostrophe-schemas', {
       }
     });
 
+    self.addFieldType({
+      name: 'geopoint',
+      populate: function(data, name, $field, $el, field, callback) {
+        var point = data[name];
+        if (point && point.coordinates) {
+          $field.filter('[data-apos-geopoint-lat]').val(point.coordinates[1]);
+          $field.filter('[data-apos-geopoint-lng]').val(point.coordinates[0]);
+        }
+        return setImmediate(callback);
+      },
+      convert: function(data, name, $field, $el, field, callback) {
+        var lat = $field.filter('[data-apos-geopoint-lat]').val().trim();
+        var lng = $field.filter('[data-apos-geopoint-lng]').val().trim();
+        if ((!lat.length) && (!lng.length)) {
+          if (field.required) {
+            return setImmediate(_.partial(callback, 'required'));
+          }
+          data[name] = null;
+          return setImmediate(callback);
+        }
+        var latValue = parseFloat(lat);
+        var lngValue = parseFloat(lng);
+        if (isNaN(latValue) || isNaN(lngValue) || (Math.abs(latValue) > 90) || (Math.abs(lngValue) > 180)) {
+          return setImmediate(_.partial(callback, 'invalid'));
+        }
+        // The server stores this as GeoJSON
+        data[name] = { lat: lat, lng: lng };
+        return setImmediate(callback);
+      }
+    });
+
     self.addFieldType({
       name: 'email',
       populate: function(data, name, $field, $el, field, callback) {
@@ -1560,6 +1948,45 @@ apos.define('apostrophe-schemas', {
       convert: convertString
     });
 
+    self.addFieldType({
+      name: 'datetime',
+      populate: function(data, name, $field, $el, field, callback) {
+        var $zone = self.findSafe(self.findFieldset($el, name), '[name="' + field.zoneField + '"]');
+        var zone = data[field.zoneField] || field.zone || self.getBrowserZone();
+        if (!$zone.find('option[value="' + zone + '"]').length) {
+          $zone.append($('<option></option>').attr('value', zone).text(zone));
+        }
+        $zone.val(zone);
+        if (data[name]) {
+          // Edit the wall clock time in the zone of the datetime
+          $field.val(self.dateToZoned(new Date(data[name]), zone).substr(0, 16));
+        }
+        return setImmediate(callback);
+      },
+      convert: function(data, name, $field, $el, field, callback) {
+        data[name] = $field.val();
+        data[field.zoneField] = self.findSafe(self.findFieldset($el, name), '[name="' + field.zoneField + '"]').val();
+        if (field.required && (!data[name])) {
+          return setImmediate(_.partial(callback, self.error(field, 'required')));
+        }
+        return setImmediate(callback);
+      }
+    });
+
+    // Displayed only, the server computes the value when the doc is saved
+
+    self.addFieldType({
+      name: 'computed',
+      populate: function(data, name, $field, $el, field, callback) {
+        var value = data[name];
+        $field.val(((value === undefined) || (value === null)) ? '' : (Array.isArray(value) ? value.join(', ') : value.toString()));
+        return setImmediate(callback);
+      },
+      convert: function(data, name, $field, $el, field, callback) {
+        return setImmediate(callback);
+      }
+    });
+
     self.addFieldType({
       name: 'time',
       populate: function(data, name, $field, $el, field, callback) {
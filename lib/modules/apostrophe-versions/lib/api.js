@@ -15,6 +15,57 @@ module.exports = function(self, options) {
   };
 
   self.docAfterSave = function(req, doc, options, callback) {
+    var version;
+    return async.series({
+      newVersion: function(callback) {
+        return self.newVersion(req, doc, function(err, _version) {
+          version = _version;
+          return callback(err);
+        });
+      },
+      insert: function(callback) {
+        return self.db.insert(version, callback);
+      },
+      pruneOldVersions: function(callback) {
+        return self.pruneOldVersions(doc, callback);
+      }
+    }, callback);
+  };
+
+  // Batch equivalent of `docAfterSave`, invoked by `apos.docs.insertMany`
+  // and `apos.docs.updateMany`. The new versions are inserted in a single
+  // operation. Newly inserted docs have nothing to prune.
+
+  self.docsAfterSave = function(req, docs, options, callback) {
+    var versions = [];
+    return async.series({
+      newVersions: function(callback) {
+        return async.eachSeries(docs, function(doc, callback) {
+          return self.newVersion(req, doc, function(err, version) {
+            versions.push(version);
+            return callback(err);
+          });
+        }, callback);
+      },
+      insert: function(callback) {
+        if (!versions.length) {
+          return callback(null);
+        }
+        return self.db.insert(versions, callback);
+      },
+      pruneOldVersions: function(callback) {
+        return async.eachSeries(_.filter(docs, function(doc) {
+          return doc.aposRevision > 1;
+        }), self.pruneOldVersions, callback);
+      }
+    }, callback);
+  };
+
+  // Delivers a new version object for the given doc to the callback,
+  // ready to be inserted. All modules are given the opportunity to
+  // exclude properties from versions via `docUnversionedFields`.
+
+  self.newVersion = function(req, doc, callback) {
 
     var pruned = self.apos.utils.clonePermanent(doc);
     var version = {
@@ -30,25 +81,21 @@ module.exports = function(self, options) {
 
     var unversionedFields = [];
 
-    return async.series({
-      unversionedFields: function(callback) {
-        return self.callAllAndEmit('docUnversionedFields', 'unversionedFields', req, doc, unversionedFields, function(err) {
-          if (err) {
-            return callback(err);
-          }
-          pruned = _.omit(pruned, unversionedFields);
-          return callback(null);
-        });
-      },
-      insert: function(callback) {
-        version.doc = pruned;
-        return self.db.insert(version, callback);
-      },
-      pruneOldVersions: function(callback) {
-        return self.pruneOldVersions(doc, callback);
+    return self.callAllAndEmit('docUnversionedFields', 'unversionedFields', req, doc, unversionedFields, function(err) {
+      if (err) {
+        return callback(err);
       }
-    }, callback);
+      version.doc = _.omit(pruned, unversionedFields);
+      return callback(null, version);
+    });
+
+  };
+
+  // A doc that has been permanently discarded from the trash
+  // can never be reverted, so its versions are discarded too.
 
+  self.docAfterDeleteFromTrash = function(req, doc, callback) {
+    return self.db.remove({ docId: doc._id }, callback);
   };
 
   // Prune old versions so that the database is not choked
@@ -352,7 +399,7 @@ module.exports = function(self, options) {
 
         if (field.type === 'array') {
 
-          return compareArrays(schemaIdentifier, schemaDecoratorGenerator(field.schema), old, current);
+          return compareArrays(schemaIdentifier, arrayDecoratorGenerator(field), old, current);
 
         } else if ((field.type === 'area') || (field.type === 'singleton')) {
 
@@ -623,8 +670,23 @@ module.exports = function(self, options) {
       return changes;
     }
 
+    // Array items are identified by their id and, for arrays with
+    // `itemTypes`, their item type, so that replacing an item with one
+    // of another type is reported as a removal and an addition
+
     function schemaIdentifier(item) {
-      return item._id;
+      return (item.id || item._id) + (item.itemType ? (':' + item.itemType) : '');
+    }
+
+    function arrayDecoratorGenerator(field) {
+      return function(change) {
+        var item = change.current || change.old;
+        var itemType = self.apos.schemas.getArrayItemType(field, item);
+        schemaDecoratorGenerator(self.apos.schemas.getArrayItemSchema(field, item))(change);
+        if (itemType) {
+          change.field.label = itemType.label;
+        }
+      };
     }
 
     function schemaDecoratorGenerator(schema) {
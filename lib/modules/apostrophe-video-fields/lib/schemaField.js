@@ -39,6 +39,16 @@ module.exports = function(self, options) {
         }
         // always return a valid string
         return '';
+      },
+      jsonSchema: function(field) {
+        return {
+          type: 'object',
+          properties: {
+            url: { type: 'string', format: 'uri' },
+            title: { type: 'string' },
+            thumbnail: { type: 'string', format: 'uri' }
+          }
+        };
       }
     });
   };
@@ -263,11 +263,11 @@ module.exports = {
     // Return a new schema containing only fields for which the
     // current user has the permission specified by the `permission`
     // property of the schema field, or there is no `permission` property for the field.
+    // Fields the user may view but not edit are `readOnly`. See
+    // `apos.schemas.applyFieldPermissions`.
 
     self.allowedSchema = function(req) {
-      return _.filter(self.schema, function(field) {
-        return (!field.permission) || self.apos.permissions.can(req, field.permission);
-      });
+      return self.apos.schemas.applyFieldPermissions(req, self.schema);
     };
 
     // Remove all properties of a widget that are the results of joins
@@ -45,10 +45,10 @@ describe('Admin bar', function() {
       afterInit: function(callback) {
         assert(apos.modules['apostrophe-admin-bar']);
         assert(apos.adminBar);
-        assert(apos.adminBar.items.length === 8);
-        assert(apos.adminBar.items[5].name === 'apostrophe-login-logout');
-        assert(apos.adminBar.items[6].name === 'apostrophe-files');
-        assert(apos.adminBar.items[7].name === 'apostrophe-images');
+        assert(apos.adminBar.items.length === 9);
+        assert(apos.adminBar.items[6].name === 'apostrophe-login-logout');
+        assert(apos.adminBar.items[7].name === 'apostrophe-files');
+        assert(apos.adminBar.items[8].name === 'apostrophe-images');
         // In tests this will be the name of the test file,
         // so override that in order to get apostrophe to
         // listen normally and not try to run a task. -Tom
@@ -97,10 +97,10 @@ describe('Admin bar', function() {
       afterInit: function(callback) {
         assert(apos.modules['apostrophe-admin-bar']);
         assert(apos.adminBar);
-        assert(apos.adminBar.items.length === 8);
-        assert(apos.adminBar.items[5].name === 'apostrophe-files');
-        assert(apos.adminBar.items[6].name === 'apostrophe-images');
-        assert(apos.adminBar.items[7].name === 'apostrophe-login-logout');
+        assert(apos.adminBar.items.length === 9);
+        assert(apos.adminBar.items[6].name === 'apostrophe-files');
+        assert(apos.adminBar.items[7].name === 'apostrophe-images');
+        assert(apos.adminBar.items[8].name === 'apostrophe-login-logout');
         // In tests this will be the name of the test file,
         // so override that in order to get apostrophe to
         // listen normally and not try to run a task. -Tom
@@ -0,0 +1,214 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+var fs = require('fs');
+var apos;
+
+describe('Audit', function() {
+
+  this.timeout(t.timeout);
+
+  var exportFile = require('os').tmpdir() + '/apos-audit-test.jsonl';
+
+  after(function(done) {
+    if (fs.existsSync(exportFile)) {
+      fs.unlinkSync(exportFile);
+    }
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-audit': {
+          enabled: true
+        },
+        'apostrophe-pages': {
+          types: [
+            {
+              name: 'home',
+              label: 'Home'
+            },
+            {
+              name: 'testPage',
+              label: 'Test Page'
+            }
+          ]
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing'
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.audit);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  function entriesFor(docId) {
+    return apos.audit.db.findWithProjection({ docId: docId }).sort({ createdAt: 1, _id: 1 }).toArray();
+  }
+
+  it('should record inserts, updates and publication changes', function() {
+    var req = apos.tasks.getReq();
+    req.user._id = 'admin1';
+    req.user.username = 'admin';
+    return apos.things.insert(req, {
+      _id: 'thing1',
+      title: 'Thing One',
+      published: false
+    }).then(function(thing) {
+      assert(!_.has(thing, '_auditPrevious'));
+      thing.title = 'Thing One Again';
+      return apos.things.update(req, thing);
+    }).then(function(thing) {
+      thing.published = true;
+      return apos.things.update(req, thing);
+    }).then(function() {
+      return entriesFor('thing1');
+    }).then(function(entries) {
+      assert.deepEqual(_.pluck(entries, 'action'), [ 'insert', 'update', 'publish' ]);
+      assert(entries[2].userId === 'admin1');
+      assert(entries[2].username === 'admin');
+      assert(entries[2].docType === 'thing');
+      assert(entries[2].title === 'Thing One Again');
+      assert(entries[2].details.revision === 3);
+    });
+  });
+
+  it('should record trash, rescue and discard', function() {
+    var req = apos.tasks.getReq();
+    return Promise.promisify(apos.docs.trash)(req, 'thing1').then(function() {
+      return Promise.promisify(apos.docs.rescue)(req, 'thing1');
+    }).then(function() {
+      return Promise.promisify(apos.docs.trash)(req, 'thing1');
+    }).then(function() {
+      return Promise.promisify(apos.docs.deleteFromTrash)(req, 'thing1');
+    }).then(function() {
+      return entriesFor('thing1');
+    }).then(function(entries) {
+      assert.deepEqual(_.pluck(entries, 'action').slice(3), [ 'trash', 'rescue', 'trash', 'delete' ]);
+    });
+  });
+
+  it('should record batch inserts', function() {
+    var docs = _.map(_.range(0, 5), function(i) {
+      return {
+        _id: 'batch' + i,
+        type: 'thing',
+        title: 'Batch ' + i,
+        published: true
+      };
+    });
+    return apos.docs.insertMany(apos.tasks.getReq(), docs).then(function(result) {
+      assert(result.docs.length === 5);
+      return apos.audit.db.count({ docId: /^batch/, action: 'insert' });
+    }).then(function(count) {
+      assert(count === 5);
+    });
+  });
+
+  it('should record page moves', function() {
+    var req = apos.tasks.getReq();
+    var home;
+    return apos.pages.find(req, { level: 0 }).toObject().then(function(_home) {
+      home = _home;
+      return apos.pages.insert(req, home._id, {
+        _id: 'parent',
+        type: 'testPage',
+        title: 'Parent',
+        slug: '/parent',
+        published: true
+      });
+    }).then(function() {
+      return apos.pages.insert(req, home._id, {
+        _id: 'child',
+        type: 'testPage',
+        title: 'Child',
+        slug: '/child',
+        published: true
+      });
+    }).then(function() {
+      return apos.pages.move(req, 'child', 'parent', 'inside');
+    }).then(function() {
+      return apos.audit.db.findOne({ docId: 'child', action: 'move' });
+    }).then(function(entry) {
+      assert(entry);
+      assert(entry.details.targetId === 'parent');
+      assert(entry.details.position === 'inside');
+      assert(entry.details.originalSlug === '/child');
+      assert(entry.details.slug === '/parent/child');
+    });
+  });
+
+  it('should record logins', function() {
+    var req = apos.tasks.getReq();
+    req.user._id = 'user1';
+    req.user.username = 'someone';
+    return apos.login.emit('after', req).then(function() {
+      return apos.audit.db.findOne({ action: 'login', userId: 'user1' });
+    }).then(function(entry) {
+      assert(entry);
+      assert(entry.username === 'someone');
+      assert(entry.docId === null);
+    });
+  });
+
+  it('should find entries with filters, for admins only', function() {
+    var find = Promise.promisify(apos.audit.find, { multiArgs: true });
+    return find(apos.tasks.getReq(), { action: [ 'trash', 'rescue' ] }, {}).spread(function(entries, total) {
+      assert(total === 3);
+      assert(entries.length === 3);
+      // Newest first
+      assert(entries[0].createdAt >= entries[2].createdAt);
+      return find(apos.tasks.getReq(), { search: 'batch' }, { limit: 2 });
+    }).spread(function(entries, total) {
+      assert(total === 5);
+      assert(entries.length === 2);
+      return find(apos.tasks.getReq(), { since: new Date(Date.now() + 60000) }, {});
+    }).spread(function(entries, total) {
+      assert(total === 0);
+      return find(apos.tasks.getAnonReq(), {}, {});
+    }).then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err === 'forbidden');
+    });
+  });
+
+  it('should export entries as JSON Lines', function() {
+    return apos.tasks.invoke('apostrophe-audit:export', [], { output: exportFile, action: 'insert,login' }).then(function() {
+      var lines = fs.readFileSync(exportFile, 'utf8').split('\n');
+      // Trailing newline
+      assert(lines.pop() === '');
+      var entries = _.map(lines, JSON.parse);
+      assert(entries.length);
+      assert(_.every(entries, function(entry) {
+        return (entry.action === 'insert') || (entry.action === 'login');
+      }));
+      assert(_.find(entries, { docId: 'thing1' }));
+      assert(_.find(entries, { action: 'login' }));
+      // Oldest first
+      assert(entries[0].createdAt <= entries[entries.length - 1].createdAt);
+    });
+  });
+
+});
@@ -0,0 +1,201 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var fs = require('fs');
+var apos;
+
+describe('Docs Export and Import', function() {
+
+  this.timeout(t.timeout);
+
+  var bundleFile = require('os').tmpdir() + '/apos-bundle-test.jsonl.gz';
+  var attachment;
+
+  after(function(done) {
+    if (fs.existsSync(bundleFile)) {
+      fs.unlinkSync(bundleFile);
+    }
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-pages': {
+          types: [
+            {
+              name: 'home',
+              label: 'Home'
+            },
+            {
+              name: 'testPage',
+              label: 'Test Page'
+            }
+          ]
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing',
+          addFields: [
+            {
+              name: '_friend',
+              type: 'joinByOne',
+              withType: 'thing'
+            },
+            {
+              name: 'file',
+              type: 'attachment'
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should insert test content', function() {
+    var req = apos.tasks.getReq();
+    return apos.attachments.insert(req, {
+      name: 'upload_apos_api.txt',
+      path: __dirname + '/data/upload_tests/upload_apos_api.txt'
+    }).then(function(_attachment) {
+      attachment = _attachment;
+      return apos.things.insert(req, {
+        _id: 'thing1',
+        title: 'Thing One',
+        slug: 'thing-one',
+        published: true,
+        file: attachment
+      });
+    }).then(function() {
+      return apos.things.insert(req, {
+        _id: 'thing2',
+        title: 'Thing Two',
+        slug: 'thing-two',
+        published: true,
+        friendId: 'thing1'
+      });
+    }).then(function() {
+      return apos.pages.find(req, { slug: '/' }).toObject();
+    }).then(function(home) {
+      return apos.pages.insert(req, home._id, {
+        _id: 'parent',
+        type: 'testPage',
+        title: 'Parent',
+        slug: '/parent',
+        published: true
+      });
+    }).then(function(parent) {
+      return apos.pages.insert(req, parent._id, {
+        _id: 'child',
+        type: 'testPage',
+        title: 'Child',
+        slug: '/parent/child',
+        published: true
+      });
+    });
+  });
+
+  it('should export a page subtree and pieces', function() {
+    return apos.docs.exportBundle(apos.tasks.getReq(), { page: '/parent', types: [ 'thing' ] }, bundleFile).then(function(result) {
+      assert(result.docs === 4);
+      assert(result.attachments === 1);
+      assert(fs.existsSync(bundleFile));
+    });
+  });
+
+  it('should refuse an empty selection', function() {
+    return apos.tasks.invoke('apostrophe-docs:export', [], { output: bundleFile + '.empty' }).then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err);
+      assert(!fs.existsSync(bundleFile + '.empty'));
+    });
+  });
+
+  it('should import with new ids, remapped joins and unique slugs', function() {
+    // Simulate a fresh environment for the attachment
+    var path = '/attachments/' + attachment._id + '-' + attachment.name + '.' + attachment.extension;
+    return apos.attachments.db.remove({ _id: attachment._id }).then(function() {
+      return require('bluebird').promisify(apos.attachments.uploadfs.remove)(path);
+    }).then(function() {
+      return apos.tasks.invoke('apostrophe-docs:import', [], { input: bundleFile, parent: '/parent' });
+    }).then(function() {
+      return apos.docs.db.findWithProjection({ title: /^(Thing|Parent|Child)/ }).toArray();
+    }).then(function(docs) {
+      assert(docs.length === 8);
+      var copies = _.filter(docs, function(doc) {
+        return !_.contains([ 'thing1', 'thing2', 'parent', 'child' ], doc._id);
+      });
+      assert(copies.length === 4);
+      var byTitle = _.indexBy(copies, 'title');
+      assert(byTitle['Thing Two'].friendId === byTitle['Thing One']._id);
+      assert(byTitle['Thing One'].slug !== 'thing-one');
+      assert(byTitle['Thing One'].file._id === attachment._id);
+      assert(byTitle['Parent'].slug === '/parent/parent');
+      assert(byTitle['Parent'].path === '/parent/parent');
+      assert(byTitle['Parent'].level === 2);
+      assert(byTitle['Child'].slug === '/parent/parent/child');
+      assert(byTitle['Child'].level === 3);
+      return apos.attachments.db.findOne({ _id: attachment._id });
+    }).then(function(imported) {
+      assert(imported);
+      assert(imported.md5 === attachment.md5);
+      assert(fs.existsSync(__dirname + '/public/uploads' + path));
+    });
+  });
+
+  it('should reject attachments whose paths are not safe', function(done) {
+    var evilFile = bundleFile + '.evil';
+    var records = [
+      { type: 'meta', version: apos.docs.bundleVersion },
+      { type: 'attachment', attachment: { _id: 'evil', name: '../../evil', extension: 'jpg' }, data: '' }
+    ];
+    fs.writeFileSync(evilFile, require('zlib').gzipSync(_.map(records, JSON.stringify).join('\n') + '\n'));
+    return apos.docs.readBundle(evilFile, function(err) {
+      fs.unlinkSync(evilFile);
+      assert(err);
+      assert(apos.docs.validateBundleAttachment(evilFile, { _id: 'good', name: 'photo', extension: 'jpg' }) === undefined);
+      assert.throws(function() {
+        apos.docs.validateBundleAttachment(evilFile, { _id: 'good', name: 'photo', extension: 'jpg/../../x' });
+      });
+      assert.throws(function() {
+        apos.docs.validateBundleAttachment(evilFile, { _id: '../good', name: 'photo', extension: 'jpg' });
+      });
+      done();
+    });
+  });
+
+  it('should remap ids in nested structures and keys', function() {
+    var result = apos.docs.remapIds({
+      a: 'old1',
+      b: [ { c: 'old2', d: 'other' } ],
+      old1: { e: 5 },
+      date: new Date(0)
+    }, { old1: 'new1', old2: 'new2' });
+    assert(result.a === 'new1');
+    assert(result.b[0].c === 'new2');
+    assert(result.b[0].d === 'other');
+    assert(result.new1.e === 5);
+    assert(result.date instanceof Date);
+  });
+
+});
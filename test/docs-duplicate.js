@@ -0,0 +1,247 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var apos;
+
+describe('Docs Duplicate', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-pages': {
+          types: [
+            {
+              name: 'home',
+              label: 'Home'
+            },
+            {
+              name: 'testPage',
+              label: 'Test Page'
+            }
+          ]
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing',
+          addFields: [
+            {
+              name: 'body',
+              type: 'area'
+            },
+            {
+              name: 'links',
+              type: 'array',
+              schema: [
+                {
+                  name: 'url',
+                  type: 'url'
+                }
+              ]
+            },
+            {
+              name: 'file',
+              type: 'attachment'
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  function area(_id, text) {
+    return {
+      type: 'area',
+      items: [
+        {
+          _id: _id,
+          type: 'apostrophe-rich-text',
+          content: '<p>' + text + '</p>'
+        }
+      ]
+    };
+  }
+
+  var attachment;
+
+  it('should insert test content', function() {
+    var req = apos.tasks.getReq();
+    return apos.attachments.insert(req, {
+      name: 'upload_apos_api.txt',
+      path: __dirname + '/data/upload_tests/upload_apos_api.txt'
+    }).then(function(_attachment) {
+      attachment = _attachment;
+      return apos.things.insert(req, {
+        _id: 'thing',
+        title: 'Thing',
+        slug: 'thing',
+        published: true,
+        body: area('thingWidget', 'Thing'),
+        links: [
+          {
+            _id: 'link',
+            url: 'http://example.com'
+          }
+        ],
+        file: attachment
+      });
+    }).then(function() {
+      return apos.pages.find(req, { slug: '/' }).toObject();
+    }).then(function(home) {
+      return apos.pages.insert(req, home._id, {
+        _id: 'parent',
+        type: 'testPage',
+        title: 'Parent',
+        slug: '/parent',
+        published: true,
+        body: area('parentWidget', 'Parent')
+      });
+    }).then(function(parent) {
+      return apos.pages.insert(req, parent._id, {
+        _id: 'child1',
+        type: 'testPage',
+        title: 'Child One',
+        slug: '/parent/child-one',
+        published: true
+      });
+    }).then(function() {
+      return apos.pages.insert(req, 'parent', {
+        _id: 'child2',
+        type: 'testPage',
+        title: 'Child Two',
+        slug: '/parent/child-two',
+        published: true
+      });
+    }).then(function() {
+      return apos.pages.insert(req, 'child1', {
+        _id: 'grandchild',
+        type: 'testPage',
+        title: 'Grandchild',
+        slug: '/parent/child-one/grandchild',
+        published: true,
+        body: area('grandchildWidget', 'Grandchild')
+      });
+    });
+  });
+
+  it('should duplicate a piece with new widget and array item ids', function() {
+    var req = apos.tasks.getReq();
+    return apos.things.find(req, { _id: 'thing' }).toObject().then(function(thing) {
+      return apos.docs.duplicate(req, thing, { title: 'Thing Copy' });
+    }).then(function(copy) {
+      return apos.docs.db.findOne({ _id: copy._id });
+    }).then(function(copy) {
+      assert(copy);
+      assert(copy._id !== 'thing');
+      assert(copy.title === 'Thing Copy');
+      assert(copy.slug !== 'thing');
+      assert(copy.body.items[0]._id !== 'thingWidget');
+      assert(copy.body.items[0].content === '<p>Thing</p>');
+      assert(copy.links[0]._id !== 'link');
+      assert(copy.links[0].url === 'http://example.com');
+      assert(copy.file._id === attachment._id);
+    });
+  });
+
+  it('should optionally duplicate attachments', function() {
+    var req = apos.tasks.getReq();
+    return apos.things.find(req, { _id: 'thing' }).toObject().then(function(thing) {
+      return apos.docs.duplicate(req, thing, { attachments: true });
+    }).then(function(copy) {
+      assert(copy.file._id !== attachment._id);
+      assert(copy.file.name === attachment.name);
+      return apos.attachments.db.findOne({ _id: copy.file._id });
+    }).then(function(cloned) {
+      assert(cloned);
+      assert(cloned.docIds.length === 1);
+    });
+  });
+
+  it('should duplicate a page alone', function() {
+    var req = apos.tasks.getReq();
+    return apos.pages.find(req, { _id: 'parent' }).toObject().then(function(parent) {
+      return apos.docs.duplicate(req, parent, {});
+    }).then(function(copy) {
+      assert(copy.slug.match(/^\/parent\d+$/));
+      assert(copy.level === 1);
+      return apos.docs.db.count({ path: apos.pages.matchDescendants(copy) });
+    }).then(function(count) {
+      assert(count === 0);
+    });
+  });
+
+  it('should duplicate a page with all of its descendants', function() {
+    var req = apos.tasks.getReq();
+    var copy;
+    return apos.pages.find(req, { _id: 'parent' }).toObject().then(function(parent) {
+      return apos.docs.duplicate(req, parent, { children: true, title: 'Parent Copy' });
+    }).then(function(_copy) {
+      copy = _copy;
+      assert(copy.title === 'Parent Copy');
+      assert(copy.body.items[0]._id !== 'parentWidget');
+      return apos.docs.db.findWithProjection({ path: apos.pages.matchDescendants(copy) }).sort({ level: 1, rank: 1 }).toArray();
+    }).then(function(descendants) {
+      assert.deepEqual(_.pluck(descendants, 'title'), [ 'Child One', 'Child Two', 'Grandchild' ]);
+      assert(!_.intersection(_.pluck(descendants, '_id'), [ 'child1', 'child2', 'grandchild' ]).length);
+      var byTitle = _.indexBy(descendants, 'title');
+      assert(byTitle['Child One'].slug === copy.slug + '/child-one');
+      assert(byTitle['Child One'].level === 2);
+      assert(byTitle['Child One'].rank === 0);
+      assert(byTitle['Child Two'].rank === 1);
+      assert(byTitle['Grandchild'].slug === copy.slug + '/child-one/grandchild');
+      assert(byTitle['Grandchild'].path === byTitle['Child One'].path + '/grandchild');
+      assert(byTitle['Grandchild'].body.items[0]._id !== 'grandchildWidget');
+      return apos.docs.db.count({ path: apos.pages.matchDescendants({ path: '/parent' }) });
+    }).then(function(count) {
+      // The originals are untouched
+      assert(count === 3);
+    });
+  });
+
+  it('should not duplicate the home page without a new parent', function() {
+    var req = apos.tasks.getReq();
+    return apos.pages.find(req, { slug: '/' }).toObject().then(function(home) {
+      return apos.docs.duplicate(req, home, {});
+    }).then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err === 'invalid');
+    });
+  });
+
+  it('should not duplicate a page beneath a parent the user cannot edit', function() {
+    var req = apos.tasks.getReq();
+    return apos.pages.find(req, { _id: 'child1' }).toObject().then(function(child) {
+      return apos.docs.duplicate(apos.tasks.getAnonReq(), child, {});
+    }).then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err === 'notfound');
+    });
+  });
+
+});
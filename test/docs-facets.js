@@ -0,0 +1,188 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+var apos;
+
+describe('Docs Facets', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'test-categories': {
+          extend: 'apostrophe-doc-type-manager',
+          name: 'test-category'
+        },
+        'test-people': {
+          extend: 'apostrophe-doc-type-manager',
+          name: 'test-person',
+          addFields: [
+            {
+              name: 'color',
+              type: 'select',
+              label: 'Color',
+              choices: [
+                {
+                  label: 'Red',
+                  value: 'red'
+                },
+                {
+                  label: 'Blue',
+                  value: 'blue'
+                }
+              ]
+            },
+            {
+              name: '_category',
+              type: 'joinByOne',
+              withType: 'test-category',
+              idField: 'categoryId',
+              label: 'Category'
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should insert test categories and people', function() {
+    var categories = [
+      {
+        _id: 'category1',
+        type: 'test-category',
+        title: 'Category One',
+        slug: 'category-one',
+        published: true
+      },
+      {
+        _id: 'category2',
+        type: 'test-category',
+        title: 'Category Two',
+        slug: 'category-two',
+        published: true
+      }
+    ];
+    var people = _.map(_.range(0, 12), function(i) {
+      return {
+        _id: 'person' + i,
+        type: 'test-person',
+        title: 'Person ' + i,
+        slug: 'person-' + i,
+        published: true,
+        // 6 red, 6 blue
+        color: (i % 2) ? 'red' : 'blue',
+        // 4 in category1, 8 in category2
+        categoryId: (i % 3) ? 'category2' : 'category1',
+        tags: (i < 4) ? [ 'tall', 'smart' ] : [ 'short' ]
+      };
+    });
+    return Promise.mapSeries(categories.concat(people), function(doc) {
+      return apos.docs.insert(apos.tasks.getReq(), doc);
+    });
+  });
+
+  it('should fetch choices and counts for several filters at once', function() {
+    return apos.docs.getManager('test-person').find(apos.tasks.getAnonReq())
+      .toFacets([ { name: 'color', counts: true }, { name: '_category', counts: true }, 'tags' ])
+      .then(function(facets) {
+        assert(facets.color.length === 2);
+        assert(_.find(facets.color, { value: 'red' }).count === 6);
+        assert(_.find(facets.color, { value: 'red' }).label === 'Red');
+        assert(_.find(facets.color, { value: 'blue' }).count === 6);
+        assert(facets._category.length === 2);
+        assert(_.find(facets._category, { value: 'category1' }).count === 4);
+        assert(_.find(facets._category, { value: 'category1' }).label === 'Category One');
+        assert(_.find(facets._category, { value: 'category2' }).count === 8);
+        assert.deepEqual(_.pluck(facets.tags, 'value').sort(), [ 'short', 'smart', 'tall' ]);
+        assert(facets.tags[0].count === undefined);
+      });
+  });
+
+  it('should narrow each facet by the other filters but not by itself', function() {
+    return apos.docs.getManager('test-person').find(apos.tasks.getAnonReq())
+      .color('red')
+      .tags('tall')
+      .toFacets([ { name: 'color', counts: true }, { name: 'tags', counts: true } ])
+      .then(function(facets) {
+        // Persons 0-3 are tall: 0 and 2 are blue, 1 and 3 are red
+        assert(_.find(facets.color, { value: 'red' }).count === 2);
+        assert(_.find(facets.color, { value: 'blue' }).count === 2);
+        // Red persons are 1, 3, 5, 7, 9, 11
+        assert(_.find(facets.tags, { value: 'tall' }).count === 2);
+        assert(_.find(facets.tags, { value: 'smart' }).count === 2);
+        assert(_.find(facets.tags, { value: 'short' }).count === 4);
+      });
+  });
+
+  it('should match the results of separate toChoices calls', function() {
+    var manager = apos.docs.getManager('test-person');
+    var facets;
+    return manager.find(apos.tasks.getAnonReq()).color('blue').toFacets([ { name: '_category', counts: true } ]).then(function(_facets) {
+      facets = _facets;
+      return manager.find(apos.tasks.getAnonReq()).color('blue').toChoices('_category', { counts: true });
+    }).then(function(choices) {
+      assert.deepEqual(
+        _.map(facets._category, function(choice) {
+          return _.pick(choice, 'value', 'label', 'count');
+        }),
+        _.map(choices, function(choice) {
+          return _.pick(choice, 'value', 'label', 'count');
+        })
+      );
+    });
+  });
+
+  it('should accept a callback', function(done) {
+    return apos.docs.getManager('test-person').find(apos.tasks.getAnonReq()).toFacets([ 'color' ], function(err, facets) {
+      assert(!err);
+      assert(facets.color.length === 2);
+      done();
+    });
+  });
+
+  it('should fall back only when $facet is not supported', function() {
+    var cursor = apos.docs.getManager('test-person').find(apos.tasks.getAnonReq());
+    assert(cursor.isUnsupportedStageError({ code: 40324, message: 'Unrecognized pipeline stage name: \'$facet\'' }));
+    assert(!cursor.isUnsupportedStageError({ code: 2, message: 'bad query' }));
+    cursor.aggregateToArray = function(pipeline, callback) {
+      return callback({ code: 40324, message: 'Unrecognized pipeline stage name: \'$facet\'' });
+    };
+    return cursor.toFacets([ 'color' ]).then(function(facets) {
+      assert(facets.color.length === 2);
+      cursor = apos.docs.getManager('test-person').find(apos.tasks.getAnonReq());
+      cursor.aggregateToArray = function(pipeline, callback) {
+        return callback(new Error('connection lost'));
+      };
+      return cursor.toFacets([ 'color' ]);
+    }).then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err.message === 'connection lost');
+    });
+  });
+
+});
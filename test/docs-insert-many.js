@@ -0,0 +1,181 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var apos;
+
+describe('Docs Bulk Insert and Update', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  var batchCalls = 0;
+  var singleCalls = 0;
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing'
+        },
+        'batch-watcher': {
+          construct: function(self, options) {
+            self.docsAfterInsert = function(req, docs, options) {
+              batchCalls++;
+            };
+            self.docAfterInsert = function(req, doc, options) {
+              singleCalls++;
+            };
+          }
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should insert many docs, reporting per-doc errors', function() {
+    var docs = _.map(_.range(0, 50), function(i) {
+      return {
+        _id: 'thing' + i,
+        type: 'thing',
+        title: 'Thing ' + i,
+        published: true
+      };
+    });
+    // Neither slug nor title
+    delete docs[10].title;
+    // Slug conflicts are resolved as usual
+    docs[20].slug = 'thing-19';
+    docs[21].slug = 'thing-19';
+    return apos.docs.insertMany(apos.tasks.getReq(), docs).then(function(result) {
+      assert(result.docs.length === 49);
+      assert(result.errors.length === 1);
+      assert(result.errors[0].index === 10);
+      assert(result.errors[0].doc === docs[10]);
+      assert(result.errors[0].error);
+      assert(batchCalls === 1);
+      assert(singleCalls === 0);
+      return apos.docs.db.findWithProjection({ type: 'thing' }).toArray();
+    }).then(function(things) {
+      assert(things.length === 49);
+      assert(_.uniq(_.pluck(things, 'slug')).length === 49);
+      assert(_.every(things, function(thing) {
+        return thing.aposRevision === 1;
+      }));
+      return apos.versions.db.count({ docId: /^thing/ });
+    }).then(function(count) {
+      assert(count === 49);
+    });
+  });
+
+  it('should report a duplicate _id without failing the rest', function() {
+    return apos.docs.insertMany(apos.tasks.getReq(), [
+      {
+        _id: 'thing0',
+        type: 'thing',
+        title: 'Duplicate',
+        published: true
+      },
+      {
+        _id: 'thing100',
+        type: 'thing',
+        title: 'Thing 100',
+        published: true
+      }
+    ]).then(function(result) {
+      assert(result.docs.length === 1);
+      assert(result.docs[0]._id === 'thing100');
+      assert(result.errors.length === 1);
+      assert(result.errors[0].index === 0);
+    });
+  });
+
+  it('should update many docs', function() {
+    var req = apos.tasks.getReq();
+    return apos.things.find(req, {}).toArray().then(function(things) {
+      _.each(things, function(thing) {
+        thing.title = thing.title + ' Updated';
+      });
+      return apos.docs.updateMany(req, things);
+    }).then(function(result) {
+      assert(result.errors.length === 0);
+      assert(result.docs.length === 50);
+      return apos.docs.db.findWithProjection({ type: 'thing' }).toArray();
+    }).then(function(things) {
+      assert(_.every(things, function(thing) {
+        return thing.title.match(/Updated$/) && (thing.aposRevision === 2);
+      }));
+    });
+  });
+
+  it('should give concurrent updates distinct revisions', function() {
+    var req = apos.tasks.getReq();
+    return Promise.all([
+      apos.things.find(req, {}).sort({ _id: 1 }).limit(3).toArray(),
+      apos.things.find(req, {}).sort({ _id: 1 }).limit(1).toObject()
+    ]).then(function(results) {
+      var things = results[0];
+      var other = results[1];
+      other.title = 'Concurrent';
+      return Promise.all([
+        apos.docs.updateMany(req, things),
+        apos.docs.update(req, other)
+      ]);
+    }).then(function(results) {
+      assert(results[0].errors.length === 0);
+      var first = _.find(results[0].docs, { _id: results[1]._id });
+      assert(first.aposRevision !== results[1].aposRevision);
+      return apos.docs.db.findOne({ _id: first._id });
+    }).then(function(stored) {
+      assert(stored.aposRevision === 4);
+    });
+  });
+
+  it('should refuse updates without permission, per doc', function() {
+    return apos.things.find(apos.tasks.getReq(), {}).limit(2).toArray().then(function(things) {
+      return apos.docs.updateMany(apos.tasks.getAnonReq(), things);
+    }).then(function(result) {
+      assert(result.docs.length === 0);
+      assert(result.errors.length === 2);
+    });
+  });
+
+  it('should insert many pieces via the pieces module', function() {
+    var pieces = _.map(_.range(0, 10), function(i) {
+      return {
+        title: 'Piece ' + i,
+        published: true
+      };
+    });
+    return apos.things.insertMany(apos.tasks.getReq(), pieces).then(function(result) {
+      assert(result.errors.length === 0);
+      assert(result.docs.length === 10);
+      assert(_.every(result.docs, { type: 'thing' }));
+      return apos.things.find(apos.tasks.getAnonReq(), { title: /^Piece/ }).toCount();
+    }).then(function(count) {
+      assert(count === 10);
+    });
+  });
+
+});
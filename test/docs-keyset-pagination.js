@@ -0,0 +1,218 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+var apos;
+
+describe('Docs Keyset Pagination', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'test-people': {
+          extend: 'apostrophe-doc-type-manager',
+          name: 'test-person'
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should insert test people, some with identical titles', function() {
+    var people = _.map(_.range(0, 25), function(i) {
+      return {
+        _id: 'person' + i,
+        type: 'test-person',
+        // Plenty of ties so the _id tiebreaker is exercised
+        title: 'Person ' + Math.floor(i / 3),
+        slug: 'person-' + i,
+        published: true,
+        age: i % 7
+      };
+    });
+    // Insert via the API so that titleSortified is populated
+    return Promise.mapSeries(people, function(person) {
+      return apos.docs.insert(apos.tasks.getReq(), person);
+    });
+  });
+
+  var all;
+
+  it('should fetch the expected sort order without pagination', function() {
+    return apos.docs.getManager('test-person').find(apos.tasks.getAnonReq())
+      .sort({ title: 1, _id: 1 })
+      .toArray()
+      .then(function(docs) {
+        assert(docs.length === 25);
+        all = _.pluck(docs, '_id');
+      });
+  });
+
+  it('should walk forward through every page with nextToken', function() {
+    var seen = [];
+    var pages = 0;
+    return next(null);
+    function next(token) {
+      var cursor = apos.docs.getManager('test-person').find(apos.tasks.getAnonReq()).perPage(10);
+      if (token) {
+        cursor.pageAfter(token);
+      }
+      return cursor.toPage().then(function(page) {
+        pages++;
+        if (token) {
+          assert(page.prevToken);
+        } else {
+          assert(!page.prevToken);
+        }
+        seen = seen.concat(_.pluck(page.docs, '_id'));
+        if (page.nextToken) {
+          assert(page.docs.length === 10);
+          return next(page.nextToken);
+        }
+        assert(pages === 3);
+        assert.deepEqual(seen, all);
+      });
+    }
+  });
+
+  it('should walk backward from the last page with prevToken', function() {
+    var cursor = apos.docs.getManager('test-person').find(apos.tasks.getAnonReq()).perPage(10);
+    var last;
+    // Find the token for the last page first
+    return cursor.toPage().then(function(page) {
+      return apos.docs.getManager('test-person').find(apos.tasks.getAnonReq()).perPage(10).pageAfter(page.nextToken).toPage();
+    }).then(function(page) {
+      return apos.docs.getManager('test-person').find(apos.tasks.getAnonReq()).perPage(10).pageAfter(page.nextToken).toPage();
+    }).then(function(page) {
+      last = page;
+      assert(!last.nextToken);
+      assert.deepEqual(_.pluck(last.docs, '_id'), all.slice(20));
+      return apos.docs.getManager('test-person').find(apos.tasks.getAnonReq()).perPage(10).pageBefore(last.prevToken).toPage();
+    }).then(function(page) {
+      assert.deepEqual(_.pluck(page.docs, '_id'), all.slice(10, 20));
+      assert(page.nextToken);
+      assert(page.prevToken);
+      return apos.docs.getManager('test-person').find(apos.tasks.getAnonReq()).perPage(10).pageBefore(page.prevToken).toPage();
+    }).then(function(page) {
+      assert.deepEqual(_.pluck(page.docs, '_id'), all.slice(0, 10));
+      assert(!page.prevToken);
+      assert(page.nextToken);
+    });
+  });
+
+  it('should honor a custom sort', function() {
+    var manager = apos.docs.getManager('test-person');
+    var expected;
+    return manager.find(apos.tasks.getAnonReq()).sort({ age: -1, _id: 1 }).toArray().then(function(docs) {
+      expected = _.pluck(docs, '_id');
+      return manager.find(apos.tasks.getAnonReq()).sort({ age: -1 }).perPage(20).toPage();
+    }).then(function(page) {
+      assert.deepEqual(_.pluck(page.docs, '_id'), expected.slice(0, 20));
+      return manager.find(apos.tasks.getAnonReq()).sort({ age: -1 }).perPage(20).pageAfter(page.nextToken).toPage();
+    }).then(function(page) {
+      assert.deepEqual(_.pluck(page.docs, '_id'), expected.slice(20));
+      assert(!page.nextToken);
+    });
+  });
+
+  it('should ignore a token from a different sort', function() {
+    var manager = apos.docs.getManager('test-person');
+    return manager.find(apos.tasks.getAnonReq()).sort({ age: -1 }).perPage(10).toPage().then(function(page) {
+      return manager.find(apos.tasks.getAnonReq()).perPage(10).pageAfter(page.nextToken).toPage();
+    }).then(function(page) {
+      assert.deepEqual(_.pluck(page.docs, '_id'), all.slice(0, 10));
+    });
+  });
+
+  it('should launder away malformed tokens via queryToFilters', function() {
+    var cursor = apos.docs.getManager('test-person').find(apos.tasks.getAnonReq())
+      .queryToFilters({ pageAfter: 'not a real token' }, 'public');
+    assert(cursor.get('pageAfter') === undefined);
+  });
+
+  it('should count all matching docs regardless of the token', function() {
+    var manager = apos.docs.getManager('test-person');
+    return manager.find(apos.tasks.getAnonReq()).perPage(10).toPage().then(function(page) {
+      return manager.find(apos.tasks.getAnonReq()).perPage(10).pageAfter(page.nextToken).toCount();
+    }).then(function(count) {
+      assert(count === 25);
+    });
+  });
+
+  it('should include docs with null or missing sort values in both directions', function() {
+    var manager = apos.docs.getManager('test-person');
+    return Promise.mapSeries(_.range(0, 25), function(i) {
+      // A third of the people have no shoe size, a third a null one
+      var update = (i % 3 === 0) ? { $unset: { shoeSize: 1 } } : { $set: { shoeSize: (i % 3 === 1) ? null : (i % 4) } };
+      return apos.docs.db.update({ _id: 'person' + i }, update);
+    }).then(function() {
+      return Promise.mapSeries([ 1, -1 ], function(direction) {
+        var expected;
+        var forward = [];
+        var backward = [];
+        var last;
+        return manager.find(apos.tasks.getAnonReq()).sort({ shoeSize: direction, _id: 1 }).toArray().then(function(docs) {
+          expected = _.pluck(docs, '_id');
+          return walk('pageAfter', null);
+        }).then(function(page) {
+          last = page;
+          assert.deepEqual(forward, expected);
+          return walk('pageBefore', last.prevToken);
+        }).then(function() {
+          assert.deepEqual(backward.concat(_.pluck(last.docs, '_id')), expected);
+        });
+        function walk(verb, token) {
+          var cursor = manager.find(apos.tasks.getAnonReq()).sort({ shoeSize: direction }).perPage(4);
+          if (token) {
+            cursor[verb](token);
+          }
+          return cursor.toPage().then(function(page) {
+            var ids = _.pluck(page.docs, '_id');
+            if (verb === 'pageAfter') {
+              forward = forward.concat(ids);
+              return page.nextToken ? walk(verb, page.nextToken) : page;
+            }
+            backward = ids.concat(backward);
+            return page.prevToken ? walk(verb, page.prevToken) : page;
+          });
+        }
+      });
+    });
+  });
+
+  it('should refuse to paginate search results by token', function() {
+    return apos.docs.getManager('test-person').find(apos.tasks.getAnonReq())
+      .search('person')
+      .perPage(10)
+      .toPage()
+      .then(function() {
+        throw new Error('should not succeed');
+      }, function(err) {
+        assert(err);
+      });
+  });
+
+});
@@ -0,0 +1,149 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+var apos;
+
+describe('Docs Presence', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-docs': {
+          presenceTimeout: 2
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing'
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  function getReq(_id, admin) {
+    return apos.tasks.getReq({
+      user: {
+        _id: _id,
+        username: _id,
+        title: _id.charAt(0).toUpperCase() + _id.substring(1),
+        _permissions: admin ? { admin: true } : {}
+      }
+    });
+  }
+
+  var alice;
+  var bob;
+  var carol;
+
+  var updatePresence = Promise.promisify(function(req, id, contextId, callback) {
+    return apos.docs.updatePresence(req, id, contextId, callback);
+  });
+
+  var getPresence = Promise.promisify(function(req, ids, callback) {
+    return apos.docs.getPresence(req, ids, callback);
+  });
+
+  it('should insert a piece', function() {
+    alice = getReq('alice', true);
+    bob = getReq('bob', true);
+    carol = getReq('carol', false);
+    return apos.things.insert(apos.tasks.getReq(), {
+      _id: 'thing',
+      title: 'Thing',
+      published: true
+    });
+  });
+
+  it('should record presence for editors only', function() {
+    return updatePresence(alice, 'thing', 'alicePage').then(function(present) {
+      assert(present === true);
+      return updatePresence(carol, 'thing', 'carolPage');
+    }).then(function(present) {
+      assert(present === false);
+      return getPresence(bob, [ 'thing' ]);
+    }).then(function(presence) {
+      assert(presence.thing.length === 1);
+      assert(presence.thing[0]._id === 'alice');
+      assert(presence.thing[0].title === 'Alice');
+      assert(!presence.thing[0].locked);
+    });
+  });
+
+  it('should not report the current user or anonymous users', function() {
+    return getPresence(alice, [ 'thing' ]).then(function(presence) {
+      assert(!presence.thing);
+      return getPresence(apos.tasks.getAnonReq(), [ 'thing' ]);
+    }).then(function(presence) {
+      assert(_.isEmpty(presence));
+    });
+  });
+
+  it('should report each user once and flag the lock holder', function() {
+    return updatePresence(alice, 'thing', 'aliceOtherPage').then(function() {
+      return Promise.promisify(apos.docs.lock)(alice, 'thing', 'alicePage');
+    }).then(function() {
+      var things = [ { _id: 'thing' } ];
+      return Promise.promisify(apos.docs.addPresence)(bob, things).then(function() {
+        return things;
+      });
+    }).then(function(things) {
+      assert(things[0]._presence.length === 1);
+      assert(things[0]._presence[0].locked === true);
+    });
+  });
+
+  it('should only let admins take over a lock', function() {
+    return Promise.promisify(apos.docs.takeOverLock)(carol, 'thing', 'carolPage').then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err === 'forbidden');
+    });
+  });
+
+  it('should let an admin take over a lock and notify the previous holder', function() {
+    return Promise.promisify(apos.docs.takeOverLock)(bob, 'thing', 'bobPage').then(function() {
+      return apos.docs.db.findOne({ _id: 'thing' });
+    }).then(function(thing) {
+      assert(thing.advisoryLock._id === 'bobPage');
+      assert(thing.advisoryLock.userId === 'bob');
+      return apos.notifications.db.find({ userId: 'alice' }).toArray();
+    }).then(function(notifications) {
+      assert(notifications.length === 1);
+      assert.deepEqual(notifications[0].strings, [ 'Thing', 'Bob' ]);
+    });
+  });
+
+  it('should forget users who are not heard from', function() {
+    return Promise.delay(3000).then(function() {
+      return getPresence(bob, [ 'thing' ]);
+    }).then(function(presence) {
+      assert(!presence.thing);
+    });
+  });
+
+});
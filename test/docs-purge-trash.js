@@ -0,0 +1,218 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+var apos;
+
+describe('Docs Trash Retention', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-docs': {
+          trashRetention: 30
+        },
+        'apostrophe-pages': {
+          types: [
+            {
+              name: 'home',
+              label: 'Home'
+            },
+            {
+              name: 'testPage',
+              label: 'Test Page'
+            }
+          ]
+        },
+        'test-people': {
+          extend: 'apostrophe-doc-type-manager',
+          name: 'test-person',
+          trashRetention: 90
+        },
+        'test-keepers': {
+          extend: 'apostrophe-doc-type-manager',
+          name: 'test-keeper',
+          trashRetention: false
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should resolve retention per type', function() {
+    assert(apos.docs.getTrashRetention('test-person') === 90);
+    assert(apos.docs.getTrashRetention('test-keeper') === false);
+    assert(apos.docs.getTrashRetention('testPage') === 30);
+  });
+
+  it('should insert and trash test docs', function() {
+    var req = apos.tasks.getReq();
+    var docs = _.map(_.range(0, 4), function(i) {
+      return {
+        _id: 'person' + i,
+        type: 'test-person',
+        title: 'Person ' + i,
+        slug: 'person-' + i,
+        published: true
+      };
+    }).concat([
+      {
+        _id: 'keeper',
+        type: 'test-keeper',
+        title: 'Keeper',
+        slug: 'keeper',
+        published: true
+      }
+    ]);
+    return Promise.mapSeries(docs, function(doc) {
+      return apos.docs.insert(req, doc);
+    }).then(function() {
+      return Promise.mapSeries([ 'person0', 'person1', 'person2', 'keeper' ], function(id) {
+        return Promise.promisify(apos.docs.trash)(req, id);
+      });
+    }).then(function() {
+      return apos.docs.db.findWithProjection({ trash: true, trashedAt: { $exists: 1 } }).toArray();
+    }).then(function(docs) {
+      assert(docs.length === 4);
+    });
+  });
+
+  it('should insert a page with a child and move it to the trash', function() {
+    var req = apos.tasks.getReq();
+    return apos.pages.find(req, { level: 0 }).toObject().then(function(home) {
+      return apos.pages.insert(req, home._id, {
+        _id: 'parent',
+        type: 'testPage',
+        title: 'Parent',
+        slug: '/parent',
+        published: true
+      });
+    }).then(function() {
+      return apos.pages.insert(req, 'parent', {
+        _id: 'child',
+        type: 'testPage',
+        title: 'Child',
+        slug: '/parent/child',
+        published: true
+      });
+    }).then(function() {
+      return Promise.promisify(apos.pages.moveToTrash)(req, 'parent');
+    }).then(function() {
+      return apos.docs.db.findWithProjection({ _id: { $in: [ 'parent', 'child' ] }, trash: true, trashedAt: { $exists: 1 } }).toArray();
+    }).then(function(pages) {
+      assert(pages.length === 2);
+    });
+  });
+
+  it('should clear trashedAt on rescue', function() {
+    return Promise.promisify(apos.docs.rescue)(apos.tasks.getReq(), 'person2').then(function() {
+      return apos.docs.db.findOne({ _id: 'person2' });
+    }).then(function(doc) {
+      assert(!doc.trash);
+      assert(!doc.trashedAt);
+    });
+  });
+
+  it('should backdate some trashed docs', function() {
+    var longAgo = new Date(Date.now() - 100 * 24 * 60 * 60 * 1000);
+    var recently = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    return apos.docs.db.update({ _id: { $in: [ 'person0', 'keeper', 'parent', 'child' ] } }, { $set: { trashedAt: longAgo } }, { multi: true }).then(function() {
+      return apos.docs.db.update({ _id: 'person1' }, { $set: { trashedAt: recently } });
+    });
+  });
+
+  it('should list but not discard docs in a dry run', function() {
+    return Promise.promisify(apos.docs.purgeTrash)(apos.tasks.getReq(), { dryRun: true }).then(function(docs) {
+      // The child is discarded with the parent and not listed separately
+      assert.deepEqual(_.pluck(docs, '_id').sort(), [ 'parent', 'person0' ]);
+      return apos.docs.db.count({ _id: { $in: [ 'person0', 'parent', 'child' ] } });
+    }).then(function(count) {
+      assert(count === 3);
+    });
+  });
+
+  it('should discard expired docs and their versions', function() {
+    return apos.versions.db.count({ docId: 'person0' }).then(function(count) {
+      assert(count > 0);
+      return apos.tasks.invoke('apostrophe-docs:purge-trash', [], {});
+    }).then(function() {
+      return apos.docs.db.findWithProjection({}, { _id: 1 }).toArray();
+    }).then(function(docs) {
+      var ids = _.pluck(docs, '_id');
+      assert(!_.includes(ids, 'person0'));
+      assert(!_.includes(ids, 'parent'));
+      assert(!_.includes(ids, 'child'));
+      // Too recent
+      assert(_.includes(ids, 'person1'));
+      // Rescued
+      assert(_.includes(ids, 'person2'));
+      // Never purged
+      assert(_.includes(ids, 'person3'));
+      assert(_.includes(ids, 'keeper'));
+      // The trashcan itself
+      return apos.docs.db.count({ parkedId: 'trash' });
+    }).then(function(count) {
+      assert(count === 1);
+      return apos.versions.db.count({ docId: 'person0' });
+    }).then(function(count) {
+      assert(count === 0);
+    });
+  });
+
+  it('should discard large numbers of docs in batches, passing projected docs to handlers', function() {
+    var docs = _.map(_.range(0, 250), function(i) {
+      return {
+        _id: 'bulk' + i,
+        type: 'test-keeper',
+        slug: 'bulk-' + i,
+        title: 'Bulk ' + i,
+        trash: true,
+        body: 'not needed'
+      };
+    });
+    var seen = [];
+    var original = apos.versions.docAfterDeleteFromTrash;
+    apos.versions.docAfterDeleteFromTrash = function(req, doc, callback) {
+      seen.push(doc);
+      return original(req, doc, callback);
+    };
+    return apos.docs.db.insert(docs).then(function() {
+      return Promise.promisify(apos.docs.deleteFromTrash)(apos.tasks.getReq(), { type: 'test-keeper', slug: /^bulk-/ });
+    }).then(function() {
+      apos.versions.docAfterDeleteFromTrash = original;
+      assert(seen.length === 250);
+      assert(seen[0].title === 'Bulk 0');
+      assert(!_.has(seen[0], 'body'));
+      return apos.docs.db.count({ slug: /^bulk-/ });
+    }).then(function(count) {
+      assert(count === 0);
+      return apos.docs.db.count({ _id: 'keeper' });
+    }).then(function(count) {
+      assert(count === 1);
+    });
+  });
+
+});
@@ -0,0 +1,168 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+var apos;
+
+describe('Docs Broken References', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing',
+          addFields: [
+            {
+              name: '_friend',
+              type: 'joinByOne',
+              withType: 'thing'
+            },
+            {
+              name: '_friends',
+              type: 'joinByArray',
+              withType: 'thing',
+              relationship: [
+                {
+                  name: 'since',
+                  type: 'string'
+                }
+              ]
+            },
+            {
+              name: 'body',
+              type: 'area'
+            },
+            {
+              name: 'links',
+              type: 'array',
+              schema: [
+                {
+                  name: '_thing',
+                  type: 'joinByOne',
+                  withType: 'thing'
+                }
+              ]
+            }
+          ]
+        },
+        'things-widgets': {
+          extend: 'apostrophe-pieces-widgets'
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should insert test content', function() {
+    var req = apos.tasks.getReq();
+    return Promise.mapSeries([ 'alive', 'trashed', 'gone' ], function(_id) {
+      return apos.things.insert(req, {
+        _id: _id,
+        title: _id,
+        published: true
+      });
+    }).then(function() {
+      return apos.things.insert(req, {
+        _id: 'referrer',
+        title: 'Referrer',
+        published: true,
+        friendId: 'gone',
+        friendsIds: [ 'alive', 'trashed', 'gone' ],
+        friendsRelationships: {
+          alive: { since: 'always' },
+          gone: { since: 'yesterday' }
+        },
+        body: {
+          type: 'area',
+          items: [
+            {
+              _id: 'widget1',
+              type: 'things',
+              by: 'id',
+              pieceIds: [ 'gone', 'alive' ]
+            }
+          ]
+        },
+        links: [
+          {
+            _id: 'link1',
+            thingId: 'trashed'
+          }
+        ]
+      });
+    }).then(function() {
+      return Promise.promisify(apos.docs.trash)(req, 'trashed');
+    }).then(function() {
+      return apos.docs.db.remove({ _id: 'gone' });
+    });
+  });
+
+  it('should report dangling ids per doc and field', function() {
+    return apos.docs.findBrokenReferences(apos.tasks.getReq(), {}).then(function(broken) {
+      var byPath = _.indexBy(broken, 'dotPath');
+      assert(broken.length === 4);
+      assert(_.every(broken, { _id: 'referrer' }));
+      assert.deepEqual(byPath.friendId.ids, [ 'gone' ]);
+      assert(byPath.friendId.field === '_friend');
+      assert.deepEqual(byPath.friendsIds.ids, [ 'trashed', 'gone' ]);
+      assert.deepEqual(byPath['body.items.0.pieceIds'].ids, [ 'gone' ]);
+      assert.deepEqual(byPath['links.0.thingId'].ids, [ 'trashed' ]);
+    });
+  });
+
+  it('should optionally ignore references to docs in the trash', function() {
+    return apos.docs.findBrokenReferences(apos.tasks.getReq(), { trash: false }).then(function(broken) {
+      assert(broken.length === 3);
+      assert(!_.find(broken, { dotPath: 'links.0.thingId' }));
+    });
+  });
+
+  it('should be for admins only', function() {
+    return apos.docs.findBrokenReferences(apos.tasks.getAnonReq(), {}).then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err === 'forbidden');
+    });
+  });
+
+  it('should remove dangling ids with --fix', function() {
+    return apos.tasks.invoke('apostrophe-docs:check-references', [], { fix: true }).then(function() {
+      return apos.docs.db.findOne({ _id: 'referrer' });
+    }).then(function(doc) {
+      assert(!_.has(doc, 'friendId'));
+      assert.deepEqual(doc.friendsIds, [ 'alive' ]);
+      assert.deepEqual(_.keys(doc.friendsRelationships), [ 'alive' ]);
+      assert.deepEqual(doc.body.items[0].pieceIds, [ 'alive' ]);
+      assert(!_.has(doc.links[0], 'thingId'));
+      return apos.docs.findBrokenReferences(apos.tasks.getReq(), {});
+    }).then(function(broken) {
+      assert(!broken.length);
+    });
+  });
+
+});
@@ -0,0 +1,147 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var apos;
+
+describe('Docs Related', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'categories': {
+          extend: 'apostrophe-pieces',
+          name: 'category',
+          label: 'Category'
+        },
+        'articles': {
+          extend: 'apostrophe-pieces',
+          name: 'article',
+          label: 'Article',
+          addFields: [
+            {
+              name: '_categories',
+              type: 'joinByArray',
+              withType: 'category'
+            }
+          ]
+        },
+        'articles-widgets': {
+          extend: 'apostrophe-pieces-widgets',
+          related: true
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  function article(_id, title, tags, categoryIds) {
+    return {
+      _id: _id,
+      title: title,
+      published: true,
+      tags: tags,
+      categoriesIds: categoryIds
+    };
+  }
+
+  it('should insert test content', function() {
+    var req = apos.tasks.getReq();
+    return apos.categories.insert(req, { _id: 'news', title: 'News', published: true }).then(function() {
+      return apos.categories.insert(req, { _id: 'sports', title: 'Sports', published: true });
+    }).then(function() {
+      return apos.docs.insertMany(req, [
+        article('source', 'Penguins win the hockey championship', [ 'hockey', 'penguins' ], [ 'news', 'sports' ]),
+        article('both', 'Penguins parade', [ 'hockey', 'penguins' ], [ 'sports' ]),
+        article('tag', 'Hockey season preview', [ 'hockey' ], []),
+        article('category', 'Elections', [], [ 'news' ]),
+        article('text', 'Championship hockey penguins', [], []),
+        article('unrelated', 'Gardening tips', [ 'gardening' ], [])
+      ].map(function(doc) {
+        doc.type = 'article';
+        return doc;
+      }));
+    });
+  });
+
+  it('should find related docs, most related first, without the doc itself', function() {
+    var req = apos.tasks.getReq();
+    return apos.articles.find(req, { _id: 'source' }).toObject().then(function(source) {
+      return apos.articles.find(req).relatedTo(source).toArray();
+    }).then(function(related) {
+      var ids = _.pluck(related, '_id');
+      assert(!_.contains(ids, 'source'));
+      assert(!_.contains(ids, 'unrelated'));
+      assert(ids[0] === 'both');
+      assert(_.contains(ids, 'tag'));
+      assert(_.contains(ids, 'category'));
+      assert(_.contains(ids, 'text'));
+      assert(related[0]._relatedScore > related[1]._relatedScore);
+    });
+  });
+
+  it('should respect weights, limits and other filters', function() {
+    var req = apos.tasks.getReq();
+    var source;
+    return apos.articles.find(req, { _id: 'source' }).toObject().then(function(_source) {
+      source = _source;
+      return apos.articles.find(req).relatedTo(source, { tags: 0, text: 0 }).toArray();
+    }).then(function(related) {
+      assert.deepEqual(_.pluck(related, '_id').sort(), [ 'both', 'category' ]);
+      return apos.articles.find(req).relatedTo(source).limit(1).toArray();
+    }).then(function(related) {
+      assert(related.length === 1);
+      assert(related[0]._id === 'both');
+      return apos.articles.find(req, { tags: { $in: [ 'hockey' ] } }).relatedTo(source).toCount();
+    }).then(function(count) {
+      assert(count === 2);
+    });
+  });
+
+  it('should load related pieces in a widget on a show page', function() {
+    var req = apos.tasks.getReq();
+    return apos.articles.find(req, { _id: 'source' }).toObject().then(function(source) {
+      req.data.piece = source;
+      var widget = {
+        _id: 'widget',
+        type: 'articles',
+        by: 'related',
+        limitByRelated: 2
+      };
+      return new Promise(function(resolve, reject) {
+        return apos.modules['articles-widgets'].load(req, [ widget ], function(err) {
+          if (err) {
+            return reject(err);
+          }
+          return resolve(widget);
+        });
+      });
+    }).then(function(widget) {
+      assert(widget._pieces.length === 2);
+      assert(widget._pieces[0]._id === 'both');
+    });
+  });
+
+});
@@ -0,0 +1,193 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var Promise = require('bluebird');
+var apos;
+
+describe('Docs Revisions', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing'
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should start at revision 1 on insert', function() {
+    return apos.things.insert(apos.tasks.getReq(), {
+      _id: 'thing1',
+      title: 'Thing One',
+      published: true
+    }).then(function(thing) {
+      assert(thing.aposRevision === 1);
+    });
+  });
+
+  it('should increment the revision on every update', function() {
+    var req = apos.tasks.getReq();
+    return apos.things.find(req, { _id: 'thing1' }).toObject().then(function(thing) {
+      thing.title = 'Thing One Again';
+      return apos.things.update(req, thing);
+    }).then(function(thing) {
+      assert(thing.aposRevision === 2);
+      return apos.docs.db.findOne({ _id: 'thing1' });
+    }).then(function(thing) {
+      assert(thing.aposRevision === 2);
+    });
+  });
+
+  it('should increment the revision even when saving a stale copy without expectedRevision', function() {
+    var req = apos.tasks.getReq();
+    return apos.things.update(req, {
+      _id: 'thing1',
+      type: 'thing',
+      title: 'Stale',
+      slug: 'thing-one',
+      published: true,
+      aposRevision: 1
+    }).then(function(thing) {
+      assert(thing.aposRevision === 3);
+    });
+  });
+
+  it('should update with the current expectedRevision', function() {
+    var req = apos.tasks.getReq();
+    return apos.things.find(req, { _id: 'thing1' }).toObject().then(function(thing) {
+      thing.title = 'Careful';
+      return apos.things.update(req, thing, { expectedRevision: thing.aposRevision });
+    }).then(function(thing) {
+      assert(thing.aposRevision === 4);
+    });
+  });
+
+  it('should report a conflict for a stale expectedRevision and save nothing', function() {
+    var req = apos.tasks.getReq();
+    return apos.things.find(req, { _id: 'thing1' }).toObject().then(function(thing) {
+      thing.title = 'Too Late';
+      return apos.things.update(req, thing, { expectedRevision: 3 });
+    }).then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err === 'conflict');
+      return apos.docs.db.findOne({ _id: 'thing1' });
+    }).then(function(thing) {
+      assert(thing.title === 'Careful');
+      assert(thing.aposRevision === 4);
+    });
+  });
+
+  it('should increment the revision on trash and rescue', function() {
+    var req = apos.tasks.getReq();
+    return Promise.promisify(apos.docs.trash)(req, 'thing1').then(function(thing) {
+      assert(thing.aposRevision === 5);
+      return Promise.promisify(apos.docs.rescue)(req, 'thing1');
+    }).then(function(thing) {
+      assert(thing.aposRevision === 6);
+      return apos.docs.db.findOne({ _id: 'thing1' });
+    }).then(function(thing) {
+      assert(thing.aposRevision === 6);
+    });
+  });
+
+  it('should treat docs without a revision as revision 0', function() {
+    var req = apos.tasks.getReq();
+    return apos.docs.db.insert({
+      _id: 'legacy',
+      type: 'thing',
+      title: 'Legacy',
+      slug: 'legacy',
+      published: true
+    }).then(function() {
+      return apos.things.find(req, { _id: 'legacy' }).toObject();
+    }).then(function(thing) {
+      return apos.things.update(req, thing, { expectedRevision: 0 });
+    }).then(function(thing) {
+      assert(thing.aposRevision === 1);
+    });
+  });
+
+  it('should respond to a conflicting update route request with the server copy', function(done) {
+    var req = apos.tasks.getReq();
+    return apos.things.find(req, { _id: 'thing1' }).toObject().then(function(thing) {
+      req.piece = thing;
+      req.body = {
+        _id: 'thing1',
+        title: 'From The Browser',
+        aposRevision: 2
+      };
+      return apos.things.convertUpdateAndRefresh(req, function(req, res, err, data) {
+        assert(err === 'conflict');
+        assert(data.title === 'Careful');
+        assert(data.aposRevision === 6);
+        return done();
+      });
+    });
+  });
+
+  it('should give interleaved updates distinct revisions', function() {
+    var req = apos.tasks.getReq();
+    var first;
+    return apos.things.insert(req, {
+      _id: 'thing2',
+      title: 'Thing Two',
+      published: true
+    }).then(function() {
+      return Promise.all([
+        apos.things.find(req, { _id: 'thing2' }).toObject(),
+        apos.things.find(req, { _id: 'thing2' }).toObject()
+      ]);
+    }).then(function(copies) {
+      copies[0].title = 'First Writer';
+      copies[1].title = 'Second Writer';
+      return Promise.all([
+        apos.things.update(req, copies[0]),
+        apos.things.update(req, copies[1])
+      ]);
+    }).then(function(results) {
+      assert.deepEqual(results.map(function(thing) {
+        return thing.aposRevision;
+      }).sort(), [ 2, 3 ]);
+      first = (results[0].aposRevision === 2) ? results[0] : results[1];
+      return apos.docs.db.findOne({ _id: 'thing2' });
+    }).then(function(stored) {
+      assert(stored.aposRevision === 3);
+      // A client holding the revision of the first write must not
+      // overwrite the second one
+      first.title = 'Overwrite';
+      return apos.things.update(req, first, { expectedRevision: first.aposRevision });
+    }).then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err === 'conflict');
+    });
+  });
+
+});
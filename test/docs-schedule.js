@@ -0,0 +1,185 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var moment = require('moment');
+var Promise = require('bluebird');
+var apos;
+
+describe('Docs Scheduled Publishing', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  var saves = [];
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-audit': {
+          enabled: true
+        },
+        'stories': {
+          extend: 'apostrophe-pieces',
+          name: 'story',
+          label: 'Story',
+          scheduledPublishing: true
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing'
+        },
+        'save-watcher': {
+          construct: function(self, options) {
+            self.docAfterSave = function(req, doc, options) {
+              saves.push(doc._id);
+            };
+          }
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  function anonFind(_id) {
+    return apos.docs.find(apos.tasks.getAnonReq(), { _id: _id }).toObject();
+  }
+
+  it('should add schedule fields to the schema only when asked', function() {
+    assert(_.find(apos.stories.schema, { name: 'publishAt' }).type === 'datetime');
+    assert(_.find(apos.stories.schema, { name: 'unpublishAt' }).type === 'datetime');
+    assert(!_.find(apos.things.schema, { name: 'publishAt' }));
+  });
+
+  it('should save a story with a future publication date as unpublished', function() {
+    var req = apos.tasks.getReq();
+    var tomorrow = moment().add(1, 'day').format('YYYY-MM-DD');
+    var story = apos.stories.newInstance();
+    return Promise.promisify(apos.schemas.convert)(req, apos.stories.schema, 'form', {
+      title: 'Embargoed',
+      published: true,
+      // Editors choose the zone, the server's does not matter
+      publishAt: tomorrow + 'T09:30',
+      publishAtZone: 'Asia/Tokyo'
+    }, story).then(function() {
+      story._id = 'embargoed';
+      return apos.stories.insert(req, story);
+    }).then(function(story) {
+      assert(story.published === false);
+      assert(story.publishAt instanceof Date);
+      assert(story.publishAt.toISOString() === tomorrow + 'T00:30:00.000Z');
+      assert(story.publishAtZone === 'Asia/Tokyo');
+      return anonFind('embargoed');
+    }).then(function(story) {
+      assert(!story);
+    });
+  });
+
+  it('should show it to anonymous users as soon as the date passes', function() {
+    // As if the clock had moved on
+    return apos.docs.db.update({ _id: 'embargoed' }, { $set: { publishAt: new Date(Date.now() - 1000) } }).then(function() {
+      return anonFind('embargoed');
+    }).then(function(story) {
+      assert(story);
+      assert(story.published === false);
+      return apos.stories.find(apos.tasks.getAnonReq(), {}).toArray();
+    }).then(function(stories) {
+      assert(_.find(stories, { _id: 'embargoed' }));
+    });
+  });
+
+  it('should publish it via the scheduler, firing save hooks', function() {
+    saves = [];
+    return Promise.promisify(apos.docs.publishScheduled)(apos.tasks.getReq()).then(function(docs) {
+      assert(_.pluck(docs, '_id').join() === 'embargoed');
+      assert(_.includes(saves, 'embargoed'));
+      return apos.docs.db.findOne({ _id: 'embargoed' });
+    }).then(function(story) {
+      assert(story.published === true);
+      assert(story.publishAt === null);
+      assert(story.publishAtZone === null);
+      return apos.audit.db.findOne({ docId: 'embargoed', action: 'publish' });
+    }).then(function(entry) {
+      assert(entry);
+    });
+  });
+
+  it('should hide a story once its unpublication date passes, then unpublish it', function() {
+    var req = apos.tasks.getReq();
+    return apos.stories.find(req, { _id: 'embargoed' }).toObject().then(function(story) {
+      story.unpublishAt = moment().add(1, 'day').toDate();
+      story.unpublishAtZone = 'UTC';
+      return apos.stories.update(req, story);
+    }).then(function(story) {
+      assert(story.published === true);
+      assert(story.unpublishAt instanceof Date);
+      return anonFind('embargoed');
+    }).then(function(story) {
+      assert(story);
+      // As if the clock had moved on
+      return apos.docs.db.update({ _id: 'embargoed' }, { $set: { unpublishAt: new Date(Date.now() - 1000) } });
+    }).then(function() {
+      return anonFind('embargoed');
+    }).then(function(story) {
+      assert(!story);
+      return Promise.promisify(apos.docs.publishScheduled)(req);
+    }).then(function(docs) {
+      assert(docs.length === 1);
+      return apos.docs.db.findOne({ _id: 'embargoed' });
+    }).then(function(story) {
+      assert(story.published === false);
+      assert(story.unpublishAt === null);
+    });
+  });
+
+  it('should honor publishAt set directly on types without schedule fields', function() {
+    var req = apos.tasks.getReq();
+    return apos.things.insert(req, {
+      _id: 'thing1',
+      title: 'Thing One',
+      published: true,
+      publishAt: new Date(Date.now() + 60000)
+    }).then(function(thing) {
+      assert(thing.published === false);
+      assert(!apos.docs.isPublished(thing));
+      thing.publishAt = new Date(Date.now() - 1000);
+      assert(apos.docs.isPublished(thing));
+      return apos.things.update(req, thing);
+    }).then(function(thing) {
+      assert(thing.published === true);
+      assert(!_.has(thing, 'publishAt'));
+    });
+  });
+
+  it('should cancel a pending publication when published immediately', function() {
+    var doc = {
+      type: 'story',
+      publishAt: new Date(Date.now() + 60000),
+      publishAtZone: 'Europe/Paris'
+    };
+    apos.docs.clearSchedule(doc, 'publish');
+    assert(doc.publishAt === null);
+    assert(doc.publishAtZone === null);
+  });
+
+});
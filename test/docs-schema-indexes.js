@@ -0,0 +1,144 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var apos;
+
+describe('Docs Schema Indexes', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'products': {
+          extend: 'apostrophe-pieces',
+          name: 'product',
+          label: 'Product',
+          indexes: [
+            {
+              fields: { category: 1, price: -1 }
+            }
+          ],
+          addFields: [
+            {
+              name: 'category',
+              type: 'select',
+              choices: [
+                { label: 'Hats', value: 'hats' },
+                { label: 'Shoes', value: 'shoes' }
+              ],
+              index: true
+            },
+            {
+              name: 'sku',
+              type: 'string',
+              index: { unique: true, sparse: true }
+            },
+            {
+              name: 'price',
+              type: 'float'
+            },
+            {
+              name: '_brand',
+              type: 'joinByOne',
+              withType: 'brand',
+              index: true
+            }
+          ]
+        },
+        'brands': {
+          extend: 'apostrophe-pieces',
+          name: 'brand',
+          label: 'Brand',
+          addFields: [
+            {
+              // Also indexed by products, with different options
+              name: 'sku',
+              type: 'string',
+              index: true
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should reject indexes on unsupported field types at startup', function() {
+    assert.throws(function() {
+      apos.schemas.validate([ { name: 'body', type: 'area', index: true } ], { type: 'doc type', subtype: 'indexed-area' });
+    });
+  });
+
+  it('should create the declared indexes with a partial filter on type', function() {
+    return apos.docs.db.indexes().then(function(indexes) {
+      var category = _.find(indexes, { name: 'schema:product:category_1' });
+      assert(category);
+      assert.deepEqual(category.partialFilterExpression, { type: 'product' });
+      assert(_.find(indexes, { name: 'schema:product:brandId_1' }));
+      var compound = _.find(indexes, { name: 'schema:product:category_1_price_-1' });
+      assert.deepEqual(compound.key, { category: 1, price: -1 });
+      var sku = _.find(indexes, { name: 'schema:product:sku_1:unique:sparse' });
+      assert(sku.unique);
+      assert.deepEqual(sku.partialFilterExpression, { type: 'product', sku: { $exists: true } });
+    });
+  });
+
+  it('should not fail the migration when two types index the same properties', function() {
+    // Depending on the version of MongoDB, the second one may only be
+    // reported, but startup went through either way
+    assert(apos.docs.getManager('brand').isIndexConflictError({ code: 85 }));
+    assert(!apos.docs.getManager('brand').isIndexConflictError({ code: 11000 }));
+    return apos.docs.db.indexes().then(function(indexes) {
+      assert(_.find(indexes, { name: 'schema:product:sku_1:unique:sparse' }) || _.find(indexes, { name: 'schema:brand:sku_1' }));
+    });
+  });
+
+  it('should enforce unique indexes among docs of the same type only', function() {
+    return apos.docs.db.insert([
+      { _id: 'p1', type: 'product', slug: 'p1', sku: 'A1' },
+      { _id: 'p2', type: 'product', slug: 'p2' },
+      { _id: 'p3', type: 'product', slug: 'p3' },
+      { _id: 'b1', type: 'brand', slug: 'b1', sku: 'A1' }
+    ]).then(function() {
+      return apos.docs.db.insert({ _id: 'p4', type: 'product', slug: 'p4', sku: 'A1' }).then(function() {
+        assert(false);
+      }, function(e) {
+        assert(apos.docs.isUniqueError(e));
+      });
+    });
+  });
+
+  it('should report indexes that are no longer declared', function(done) {
+    return apos.docs.db.ensureIndex({ color: 1 }, { name: 'schema:product:color_1', partialFilterExpression: { type: 'product' } }, function(err) {
+      assert(!err);
+      return apos.docs.reportStaleSchemaIndexes(function(err, stale) {
+        assert(!err);
+        assert.deepEqual(stale, [ 'schema:product:color_1' ]);
+        done();
+      });
+    });
+  });
+
+});
@@ -0,0 +1,152 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+var apos;
+
+describe('Docs Slow Queries', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  var listeners = [];
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-docs': {
+          // Report every query
+          slowQueries: 0.0001
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing'
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        apos.docs.logSlowQuery = function(info) {
+          _.each(listeners, function(listener) {
+            listener(info);
+          });
+        };
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  // Resolves with the first report for which `test` returns true
+
+  function nextReport(test) {
+    return new Promise(function(resolve) {
+      listeners.push(function listener(info) {
+        if (test(info)) {
+          listeners = _.without(listeners, listener);
+          resolve(info);
+        }
+      });
+    });
+  }
+
+  it('should normalize the option', function() {
+    assert(apos.docs.slowQueries.threshold === 0.0001);
+    assert(apos.docs.slowQueries.explain === true);
+  });
+
+  it('should report toArray queries with module, filters and plan', function() {
+    var report = nextReport(function(info) {
+      return info.filters.search === 'nothing';
+    });
+    return apos.things.find(apos.tasks.getReq(), {}).search('nothing').toArray().then(function() {
+      return report;
+    }).then(function(info) {
+      assert(info.method === 'toArray');
+      assert(info.module === 'things');
+      assert((typeof info.ms) === 'number');
+      assert(info.criteria);
+      assert(info.plan);
+      assert(Array.isArray(info.plan.indexes));
+      assert((typeof info.plan.collectionScan) === 'boolean');
+      // Only planned, not run a second time
+      assert(!_.has(info.plan, 'docsExamined'));
+    });
+  });
+
+  it('should report toCount and toDistinct queries', function() {
+    var counted = nextReport(function(info) {
+      return (info.method === 'toCount') && (info.module === 'things');
+    });
+    var distinct = nextReport(function(info) {
+      return info.method === 'toDistinct';
+    });
+    return apos.things.find(apos.tasks.getReq(), {}).toCount().then(function() {
+      return counted;
+    }).then(function(info) {
+      assert(!_.has(info.filters, 'limit'));
+      return apos.docs.find(apos.tasks.getReq(), {}).toDistinct('type');
+    }).then(function() {
+      return distinct;
+    }).then(function(info) {
+      assert(info.module === 'apostrophe-docs');
+    });
+  });
+
+  it('should explain a query via toExplain', function() {
+    return apos.docs.find(apos.tasks.getReq(), { slug: '/' }).toExplain().then(function(explanation) {
+      assert(explanation.queryPlanner);
+      var summary = apos.docs.summarizeExplain(explanation);
+      assert(Array.isArray(summary.indexes));
+      assert((typeof summary.docsExamined) === 'number');
+    });
+  });
+
+  it('should summarize explain output', function() {
+    var summary = apos.docs.summarizeExplain({
+      queryPlanner: {
+        winningPlan: {
+          stage: 'OR',
+          inputStages: [
+            {
+              stage: 'FETCH',
+              inputStage: {
+                stage: 'IXSCAN',
+                indexName: 'slug_1'
+              }
+            },
+            {
+              stage: 'COLLSCAN'
+            }
+          ]
+        }
+      },
+      executionStats: {
+        totalKeysExamined: 1,
+        totalDocsExamined: 10,
+        nReturned: 2
+      }
+    });
+    assert.deepEqual(summary.indexes, [ 'slug_1' ]);
+    assert(summary.collectionScan);
+    assert(summary.docsExamined === 10);
+    assert(summary.returned === 2);
+  });
+
+});
@@ -0,0 +1,146 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+var apos;
+
+describe('Docs Streaming', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'test-people': {
+          extend: 'apostrophe-doc-type-manager',
+          name: 'test-person',
+          addFields: [
+            {
+              name: '_friend',
+              type: 'joinByOne',
+              withType: 'test-person',
+              idField: 'friendId',
+              label: 'Friend'
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.docs);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should insert test people', function() {
+    var people = _.map(_.range(0, 35), function(i) {
+      return {
+        _id: 'person' + i,
+        type: 'test-person',
+        title: 'Person ' + i,
+        slug: 'person-' + i,
+        // A few unpublished people to prove permissions still apply
+        published: !!(i % 5),
+        friendId: 'person' + ((i + 1) % 35)
+      };
+    });
+    return Promise.mapSeries(people, function(person) {
+      return apos.docs.insert(apos.tasks.getReq(), person);
+    });
+  });
+
+  it('should stream all published people in batches, with joins', function(done) {
+    var seen = [];
+    apos.docs.getManager('test-person').find(apos.tasks.getAnonReq())
+      .toStream({ batchSize: 10 })
+      .on('data', function(person) {
+        assert(person.published);
+        // Unpublished friends are not visible to the public
+        if (!person.friendId.match(/^person(0|5|10|15|20|25|30)$/)) {
+          assert(person._friend);
+        }
+        seen.push(person._id);
+      })
+      .on('error', function(err) {
+        assert(!err);
+      })
+      .on('end', function() {
+        assert(seen.length === 28);
+        assert(_.uniq(seen).length === 28);
+        done();
+      });
+  });
+
+  it('should respect the limit filter', function(done) {
+    var seen = 0;
+    apos.docs.getManager('test-person').find(apos.tasks.getReq())
+      .published(null)
+      .limit(15)
+      .toStream({ batchSize: 4 })
+      .on('data', function(person) {
+        seen++;
+      })
+      .on('end', function() {
+        assert(seen === 15);
+        done();
+      });
+  });
+
+  it('should deliver batches via toBatches', function(done) {
+    var batches = apos.docs.getManager('test-person').find(apos.tasks.getReq()).published(null).toBatches({ batchSize: 20 });
+    return batches.next(function(err, docs) {
+      assert(!err);
+      assert(docs.length === 20);
+      return batches.next(function(err, docs) {
+        assert(!err);
+        assert(docs.length === 15);
+        return batches.next(function(err, docs) {
+          assert(!err);
+          assert(docs.length === 0);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should be an async iterable', function() {
+    if (!Symbol.asyncIterator) {
+      // Node.js 8
+      return;
+    }
+    var cursor = apos.docs.getManager('test-person').find(apos.tasks.getReq()).published(null);
+    var iterator = cursor[Symbol.asyncIterator]();
+    var count = 0;
+    return next();
+    function next() {
+      return iterator.next().then(function(result) {
+        if (result.done) {
+          assert(count === 35);
+          return;
+        }
+        assert(result.value.type === 'test-person');
+        count++;
+        return next();
+      });
+    }
+  });
+
+});
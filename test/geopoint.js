@@ -0,0 +1,153 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Promise = require('bluebird');
+var apos;
+
+describe('Geopoint Fields', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'places': {
+          extend: 'apostrophe-pieces',
+          name: 'place',
+          label: 'Place',
+          addFields: [
+            {
+              type: 'geopoint',
+              name: 'location',
+              label: 'Location'
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.schemas);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  var convert = Promise.promisify(function(from, input, callback) {
+    var result = {};
+    var schema = apos.schemas.compose({
+      addFields: [
+        {
+          type: 'geopoint',
+          name: 'location',
+          label: 'Location'
+        }
+      ]
+    });
+    return apos.schemas.convert(apos.tasks.getReq(), schema, from, input, result, function(err) {
+      return callback(err, result);
+    });
+  });
+
+  it('should convert form and string input to GeoJSON', function() {
+    return convert('form', { location: { lat: '40.758', lng: '-73.9855' } }).then(function(result) {
+      assert.deepEqual(result.location, { type: 'Point', coordinates: [ -73.9855, 40.758 ] });
+      return convert('string', { location: '40.758,-73.9855' });
+    }).then(function(result) {
+      assert.deepEqual(result.location.coordinates, [ -73.9855, 40.758 ]);
+      return convert('form', { location: { lat: '', lng: '' } });
+    }).then(function(result) {
+      assert(result.location === null);
+    });
+  });
+
+  it('should reject out of range coordinates', function() {
+    return convert('form', { location: { lat: '91', lng: '0' } }).then(function() {
+      throw new Error('should not succeed');
+    }, function(err) {
+      assert(err === 'location.invalid');
+    });
+  });
+
+  it('should have a 2dsphere index', function() {
+    return apos.docs.db.indexInformation().then(function(indexes) {
+      assert(_.find(indexes, function(keys) {
+        return _.find(keys, function(key) {
+          return (key[0] === 'location') && (key[1] === '2dsphere');
+        });
+      }));
+    });
+  });
+
+  it('should insert some places', function() {
+    var req = apos.tasks.getReq();
+    return Promise.mapSeries([
+      [ 'Times Square', 40.758, -73.9855 ],
+      [ 'Central Park', 40.7829, -73.9654 ],
+      [ 'Brooklyn Bridge', 40.7061, -73.9969 ],
+      [ 'Philadelphia', 39.9526, -75.1652 ]
+    ], function(place) {
+      return apos.places.insert(req, {
+        title: place[0],
+        published: true,
+        location: apos.schemas.parseGeopoint({ lat: place[1], lng: place[2] })
+      });
+    }).then(function() {
+      // Some places have no location at all
+      return apos.places.insert(req, {
+        title: 'Online',
+        published: true,
+        location: null
+      });
+    });
+  });
+
+  it('should find places near a point, nearest first', function() {
+    return apos.places.find(apos.tasks.getReq()).near({ lat: 40.758, lng: -73.9855, maxDistance: 10000 }).toArray().then(function(places) {
+      assert.deepEqual(_.pluck(places, 'title'), [ 'Times Square', 'Central Park', 'Brooklyn Bridge' ]);
+    });
+  });
+
+  it('should count places near a point', function() {
+    return apos.places.find(apos.tasks.getReq()).locationNear('40.758,-73.9855,10000').toCount().then(function(count) {
+      assert(count === 3);
+    });
+  });
+
+  it('should find places within a box via queryToFilters', function() {
+    return apos.places.find(apos.tasks.getReq()).queryToFilters({ withinBox: '39,-76,40.5,-74' }).toArray().then(function(places) {
+      assert.deepEqual(_.pluck(places, 'title'), [ 'Philadelphia' ]);
+    });
+  });
+
+  it('should accept the filters from public query strings', function() {
+    return apos.places.find(apos.tasks.getAnonReq()).queryToFilters({ withinBox: '39,-76,40.5,-74' }, 'public').toArray().then(function(places) {
+      assert.deepEqual(_.pluck(places, 'title'), [ 'Philadelphia' ]);
+    });
+  });
+
+  it('should ignore unusable filter values', function() {
+    assert(apos.schemas.launderNear('north pole') === undefined);
+    assert(apos.schemas.launderBox({ south: 'x' }) === undefined);
+    return apos.places.find(apos.tasks.getReq()).queryToFilters({ near: 'garbage' }).toCount().then(function(count) {
+      assert(count === 5);
+    });
+  });
+
+});
@@ -0,0 +1,167 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var fs = require('fs');
+var _ = require('@sailshq/lodash');
+var apos;
+
+var directory = __dirname + '/data/migrations';
+
+describe('Migrations Schema Changes', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    if (fs.existsSync(directory)) {
+      _.each(fs.readdirSync(directory), function(name) {
+        fs.unlinkSync(directory + '/' + name);
+      });
+      fs.rmdirSync(directory);
+    }
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-migrations': {
+          directory: directory
+        },
+        'products': {
+          extend: 'apostrophe-pieces',
+          name: 'product',
+          label: 'Product',
+          addFields: [
+            {
+              name: 'headline',
+              type: 'string',
+              formerly: 'subtitle'
+            },
+            {
+              name: 'price',
+              type: 'float'
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.migrations);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  var previous = {
+    _id: 'product',
+    hash: 'abcdef0123456789',
+    fields: [
+      { name: 'title', type: 'string', properties: [ 'title' ] },
+      { name: 'subtitle', type: 'string', properties: [ 'subtitle' ] },
+      { name: 'price', type: 'string', properties: [ 'price' ] },
+      { name: 'color', type: 'string', properties: [ 'color' ] },
+      { name: '_related', type: 'joinByArrayReverse', properties: [] }
+    ]
+  };
+
+  it('should reject invalid formerly properties at startup', function() {
+    assert.throws(function() {
+      apos.schemas.validate([ { name: 'headline', type: 'string', formerly: [ 'subtitle', 5 ] } ], { type: 'doc type', subtype: 'formerly-number' });
+    });
+  });
+
+  it('should store fingerprints when the database is migrated', function() {
+    return apos.migrations.schemasDb.findOne({ _id: 'product' }).then(function(fingerprint) {
+      assert(fingerprint);
+      assert(fingerprint.hash === apos.migrations.getSchemaFingerprint(apos.products.schema).hash);
+      assert(_.find(fingerprint.fields, { name: 'price' }).type === 'float');
+    });
+  });
+
+  it('should detect renamed, retyped and removed fields', function() {
+    var changes = apos.migrations.getSchemaChanges('product', previous, apos.products.schema);
+    assert.deepEqual(_.map(changes, function(change) {
+      return [ change.action, change.name ];
+    }), [
+      [ 'rename', 'schema:product:abcdef01:rename:subtitle:headline' ],
+      [ 'retype', 'schema:product:abcdef01:retype:price' ],
+      [ 'remove', 'schema:product:abcdef01:remove:color' ]
+    ]);
+  });
+
+  it('should generate migrations that update existing docs', function() {
+    return apos.migrations.schemasDb.update({ _id: 'product' }, previous).then(function() {
+      return apos.docs.db.insert({
+        _id: 'old-product',
+        type: 'product',
+        title: 'Old Product',
+        slug: 'old-product',
+        subtitle: 'Still here',
+        price: '9.50',
+        color: 'red'
+      });
+    }).then(function() {
+      return apos.tasks.invoke('apostrophe-migrations:generate', [], {});
+    }).then(function() {
+      var files = fs.readdirSync(directory);
+      assert(files.length === 1);
+      require(directory + '/' + files[0])(apos);
+      assert(_.find(apos.migrations.migrations, { name: 'schema:product:abcdef01:remove:color' }));
+      return new Promise(function(resolve, reject) {
+        return apos.migrations.migrate({}, function(err) {
+          return err ? reject(err) : resolve();
+        });
+      });
+    }).then(function() {
+      return apos.docs.db.findOne({ _id: 'old-product' });
+    }).then(function(product) {
+      assert(product.headline === 'Still here');
+      assert(!_.has(product, 'subtitle'));
+      assert(product.price === 9.5);
+      assert(!_.has(product, 'color'));
+      return apos.migrations.updateSchemaFingerprints();
+    }).then(function() {
+      return apos.migrations.schemasDb.findOne({ _id: 'product' });
+    }).then(function(fingerprint) {
+      assert(fingerprint.hash === apos.migrations.getSchemaFingerprint(apos.products.schema).hash);
+    });
+  });
+
+  it('should generate hand-edit stubs for types that cannot be converted from text', function() {
+    var change = {
+      action: 'retype',
+      name: 'schema:product:abcdef01:retype:price',
+      from: { name: 'price', type: 'string', properties: [ 'price' ] },
+      to: { name: 'price', type: 'area', properties: [ 'price' ] }
+    };
+    assert(!apos.migrations.canConvertFromText('area'));
+    assert(apos.migrations.canConvertFromText('float'));
+    var code = apos.migrations.generateMigrations({ product: [ change ] });
+    assert(code.indexOf('EDIT BY HAND') !== -1);
+    assert(code.indexOf('apos.schemas.convert') === -1);
+    assert(!require('syntax-error')(code));
+    change.to.type = 'float';
+    code = apos.migrations.generateMigrations({ product: [ change ] });
+    assert(code.indexOf('Object.keys(output).length') !== -1);
+  });
+
+  it('should refuse migration files that do not export a function', function() {
+    fs.writeFileSync(directory + '/99999999999999-not-a-migration.js', 'module.exports = { name: \'config\' };\n');
+    assert.throws(function() {
+      apos.migrations.addProjectMigrations();
+    }, /does not export a function/);
+  });
+
+});
@@ -0,0 +1,226 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var apos;
+
+describe('Schemas Array Item Types', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'articles': {
+          extend: 'apostrophe-pieces',
+          name: 'article',
+          label: 'Article',
+          addFields: [
+            {
+              name: 'sections',
+              type: 'array',
+              itemTypes: [
+                {
+                  name: 'text',
+                  schema: [
+                    {
+                      name: 'body',
+                      type: 'string',
+                      required: true
+                    }
+                  ]
+                },
+                {
+                  name: 'quote',
+                  label: 'Pull Quote',
+                  titleField: 'author',
+                  schema: [
+                    {
+                      name: 'quote',
+                      type: 'string',
+                      searchable: true
+                    },
+                    {
+                      name: 'author',
+                      type: 'string'
+                    }
+                  ]
+                }
+              ]
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.schemas);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should validate item types at startup', function() {
+    var field = _.find(apos.articles.schema, { name: 'sections' });
+    assert(field.itemTypes[0].label === 'Text');
+    assert(field.itemTypes[1].label === 'Pull Quote');
+    // The union of the item schemas, for code that walks every field
+    assert.deepEqual(_.pluck(field.schema, 'name'), [ 'body', 'quote', 'author' ]);
+    assert.deepEqual(_.pluck(apos.schemas.getArrayItemSchema(field, { itemType: 'quote' }), 'name'), [ 'quote', 'author' ]);
+    assert.deepEqual(apos.schemas.getArrayItemSchema(field, 'nonesuch'), []);
+    assert.throws(function() {
+      apos.schemas.validate([
+        {
+          name: 'sections',
+          type: 'array',
+          itemTypes: [
+            { name: 'text', schema: [] },
+            { name: 'text', schema: [] }
+          ]
+        }
+      ], { type: 'doc type', subtype: 'duplicates' });
+    });
+  });
+
+  it('should convert each item with the schema of its type', function(done) {
+    var req = apos.tasks.getReq();
+    var output = {};
+    return apos.schemas.convert(req, apos.articles.schema, 'form', {
+      title: 'Article',
+      sections: [
+        {
+          itemType: 'text',
+          body: 'Hello',
+          quote: 'Not part of a text item'
+        },
+        {
+          itemType: 'quote',
+          quote: 'Brevity is the soul of wit',
+          author: 'Polonius'
+        }
+      ]
+    }, output, function(err) {
+      assert(!err);
+      assert(output.sections.length === 2);
+      assert(output.sections[0].id);
+      assert(output.sections[0].itemType === 'text');
+      assert(output.sections[0].body === 'Hello');
+      assert(output.sections[0].quote === undefined);
+      assert(output.sections[1].itemType === 'quote');
+      assert(output.sections[1].author === 'Polonius');
+      assert(output.sections[1].body === undefined);
+      done();
+    });
+  });
+
+  it('should reject unknown item types and invalid items', function(done) {
+    var req = apos.tasks.getReq();
+    return apos.schemas.convert(req, apos.articles.schema, 'form', {
+      title: 'Article',
+      sections: [ { itemType: 'quote', quote: 'x' }, { itemType: 'video' } ]
+    }, {}, function(err) {
+      assert(err === 'sections.1.itemType.invalid');
+      return apos.schemas.convert(req, apos.articles.schema, 'form', {
+        title: 'Article',
+        sections: [ { itemType: 'text', body: '' } ]
+      }, {}, function(err) {
+        assert(err === 'sections.0.body.required');
+        done();
+      });
+    });
+  });
+
+  it('should export each item with the schema of its type', function(done) {
+    var req = apos.tasks.getReq();
+    var output = {};
+    return apos.schemas.export(req, apos.articles.schema, 'string', {
+      title: 'Article',
+      sections: [
+        { id: 'a1', itemType: 'text', body: 'Hello' },
+        { id: 'a2', itemType: 'quote', quote: 'Hi', author: 'Me' }
+      ]
+    }, output, function(err) {
+      assert(!err);
+      assert.deepEqual(output.sections, [
+        { id: 'a1', itemType: 'text', body: 'Hello' },
+        { id: 'a2', itemType: 'quote', quote: 'Hi', author: 'Me' }
+      ]);
+      done();
+    });
+  });
+
+  it('should describe item types in JSON Schema', function() {
+    var schema = apos.schemas.toJsonSchema(apos.articles.schema);
+    var items = schema.properties.sections.items;
+    assert(items.anyOf.length === 2);
+    assert(items.anyOf[1].title === 'Pull Quote');
+    assert.deepEqual(items.anyOf[1].properties.itemType.enum, [ 'quote' ]);
+    assert(items.anyOf[0].required.indexOf('body') !== -1);
+  });
+
+  it('should index items for search', function() {
+    var req = apos.tasks.getReq();
+    return apos.articles.insert(req, {
+      title: 'Quotable',
+      published: true,
+      sections: [
+        { id: 'a1', itemType: 'quote', quote: 'Platypuses are delightful', author: 'Me' }
+      ]
+    }).then(function(article) {
+      return apos.articles.find(req, { _id: article._id }).search('platypuses').toObject();
+    }).then(function(article) {
+      assert(article);
+    });
+  });
+
+  it('should compare versions of items by type', function(done) {
+    var req = apos.tasks.getReq();
+    return apos.versions.compare(req, { type: 'article' }, {
+      doc: {
+        type: 'article',
+        sections: [
+          { id: 'a1', itemType: 'text', body: 'Hello' },
+          { id: 'a2', itemType: 'quote', quote: 'Hi', author: 'Me' }
+        ]
+      }
+    }, {
+      doc: {
+        type: 'article',
+        sections: [
+          { id: 'a1', itemType: 'text', body: 'Goodbye' },
+          { id: 'a2', itemType: 'text', body: 'Hi' }
+        ]
+      }
+    }, function(err, changes) {
+      assert(!err);
+      assert(changes.length === 1);
+      assert(changes[0].key === 'sections');
+      var itemChanges = changes[0].changes;
+      assert(itemChanges.length === 3);
+      var change = _.find(itemChanges, { action: 'change' });
+      assert(change.field.label === 'Text');
+      assert(change.changes.length === 1);
+      assert(change.changes[0].key === 'body');
+      // A change of type is a removal and an addition
+      assert(_.find(itemChanges, { action: 'remove' }).field.label === 'Pull Quote');
+      assert(_.find(itemChanges, { action: 'add' }).field.label === 'Text');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,172 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var apos;
+
+describe('Schemas Computed Fields', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'people': {
+          extend: 'apostrophe-pieces',
+          name: 'person',
+          label: 'Person',
+          addFields: [
+            {
+              name: 'firstName',
+              type: 'string'
+            },
+            {
+              name: 'lastName',
+              type: 'string'
+            },
+            {
+              name: 'fullName',
+              type: 'computed',
+              inputs: [ 'firstName', 'lastName' ],
+              sortify: true,
+              compute: function(inputs) {
+                return _.compact([ inputs.firstName, inputs.lastName ]).join(' ');
+              }
+            },
+            {
+              name: 'initials',
+              type: 'computed',
+              inputs: [ 'fullName' ],
+              version: 2,
+              compute: function(inputs) {
+                // Asynchronous, and based on another computed field
+                return Promise.resolve(_.map((inputs.fullName || '').split(' '), function(word) {
+                  return word.charAt(0);
+                }).join(''));
+              }
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.schemas);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should reject invalid computed fields at startup', function() {
+    assert.throws(function() {
+      apos.schemas.validate([ { name: 'total', type: 'computed', inputs: [] } ], { type: 'doc type', subtype: 'no-compute' });
+    });
+    assert.throws(function() {
+      apos.schemas.validate([ { name: 'total', type: 'computed', compute: _.noop } ], { type: 'doc type', subtype: 'no-inputs' });
+    });
+    assert.throws(function() {
+      apos.schemas.validate([ { name: 'total', type: 'computed', inputs: [], compute: _.noop } ], { type: 'widget type', subtype: 'computed-widget' });
+    });
+    var field = _.find(apos.people.schema, { name: 'fullName' });
+    assert(field.readOnly);
+    assert(field.version === 1);
+  });
+
+  it('should ignore input for computed fields', function(done) {
+    var person = apos.people.newInstance();
+    return apos.schemas.convert(apos.tasks.getReq(), apos.people.schema, 'form', {
+      title: 'Jane',
+      fullName: 'Someone Else'
+    }, person, function(err) {
+      assert(!err);
+      assert(!person.fullName);
+      done();
+    });
+  });
+
+  it('should compute fields when docs are saved', function() {
+    var req = apos.tasks.getReq();
+    return apos.people.insert(req, {
+      title: 'Jane',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      published: true
+    }).then(function(person) {
+      assert(person.fullName === 'Jane Doe');
+      assert(person.fullNameSortified === 'jane doe');
+      assert(person.initials === 'JD');
+      person.lastName = 'Smith';
+      return apos.people.update(req, person);
+    }).then(function() {
+      return apos.people.find(req, { fullName: 'Jane Smith' }).toObject();
+    }).then(function(person) {
+      assert(person);
+      assert(person.initials === 'JS');
+    });
+  });
+
+  it('should add a migration for each version of each computed field', function() {
+    var names = _.pluck(apos.migrations.migrations, 'name');
+    assert(_.includes(names, 'apostrophe-schemas.computed.person.fullName.1'));
+    assert(_.includes(names, 'apostrophe-schemas.computed.person.initials.2'));
+  });
+
+  it('should index computed fields for their doc type', function() {
+    var names = _.map(apos.people.getSchemaIndexes(), function(index) {
+      return index.options.name;
+    });
+    assert(_.includes(names, 'schema:person:fullName_1'));
+    assert(_.includes(names, 'schema:person:fullNameSortified_1'));
+    assert(_.includes(names, 'schema:person:initials_1'));
+    assert(!_.includes(names, 'schema:person:initialsSortified_1'));
+    return apos.docs.db.indexes().then(function(indexes) {
+      var index = _.find(indexes, { name: 'schema:person:fullNameSortified_1' });
+      assert(index);
+      assert.deepEqual(index.partialFilterExpression, { type: 'person' });
+    });
+  });
+
+  it('should recompute existing docs in the migration', function() {
+    var migration = _.find(apos.migrations.migrations, { name: 'apostrophe-schemas.computed.person.fullName.1' });
+    return apos.docs.db.insert({
+      _id: 'legacy-person',
+      type: 'person',
+      title: 'John',
+      slug: 'john',
+      firstName: 'John',
+      lastName: 'Roe'
+    }).then(function() {
+      return new Promise(function(resolve, reject) {
+        return migration.callback(function(err) {
+          return err ? reject(err) : resolve();
+        });
+      });
+    }).then(function() {
+      return apos.docs.db.findOne({ _id: 'legacy-person' });
+    }).then(function(person) {
+      assert(person.fullName === 'John Roe');
+      assert(person.fullNameSortified === 'john roe');
+    });
+  });
+
+  it('should describe computed fields as read only in JSON Schema', function() {
+    var schema = apos.schemas.toJsonSchema(apos.people.schema);
+    assert(schema.properties.fullName.readOnly);
+  });
+
+});
@@ -0,0 +1,177 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var apos;
+
+describe('Schemas Datetime', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-schemas': {
+          defaultZone: 'UTC'
+        },
+        'events': {
+          extend: 'apostrophe-pieces',
+          name: 'event',
+          label: 'Event',
+          addFields: [
+            {
+              name: 'startAt',
+              type: 'datetime',
+              required: true,
+              min: '2000-01-01T00:00:00Z'
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.schemas);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should convert wall clock times in the chosen zone', function(done) {
+    var req = apos.tasks.getReq();
+    var output = {};
+    return apos.schemas.convert(req, apos.events.schema, 'form', {
+      title: 'Concert',
+      startAt: '2020-07-01T20:30',
+      startAtZone: 'America/New_York'
+    }, output, function(err) {
+      assert(!err);
+      assert(output.startAt instanceof Date);
+      assert(output.startAt.toISOString() === '2020-07-02T00:30:00.000Z');
+      assert(output.startAtZone === 'America/New_York');
+      done();
+    });
+  });
+
+  it('should accept ISO dates with offsets and fall back to the default zone', function(done) {
+    var req = apos.tasks.getReq();
+    var output = {};
+    return apos.schemas.convert(req, apos.events.schema, 'form', {
+      title: 'Concert',
+      startAt: '2020-07-01T20:30:00+02:00'
+    }, output, function(err) {
+      assert(!err);
+      assert(output.startAt.toISOString() === '2020-07-01T18:30:00.000Z');
+      assert(output.startAtZone === 'UTC');
+      done();
+    });
+  });
+
+  it('should reject invalid, missing, early and unzoned values', function(done) {
+    var req = apos.tasks.getReq();
+    var schema = apos.events.schema;
+    return apos.schemas.convert(req, schema, 'form', { title: 'x', startAt: '2020-02-30T10:00' }, {}, function(err) {
+      assert(err === 'startAt.invalid');
+      return apos.schemas.convert(req, schema, 'form', { title: 'x', startAt: '' }, {}, function(err) {
+        assert(err === 'startAt.required');
+        return apos.schemas.convert(req, schema, 'form', { title: 'x', startAt: '1999-12-31T12:00' }, {}, function(err) {
+          assert(err === 'startAt.min');
+          return apos.schemas.convert(req, schema, 'form', { title: 'x', startAt: '2020-01-01T12:00', startAtZone: 'Mars/Olympus_Mons' }, {}, function(err) {
+            assert(err === 'startAt.zone');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should reject dates that would roll over', function() {
+    assert(apos.schemas.zonedToDate('2020-13-05T10:00', 'UTC') === null);
+    assert(apos.schemas.zonedToDate('2020-00-05T10:00', 'UTC') === null);
+    assert(apos.schemas.zonedToDate('2020-02-30T10:00', 'UTC') === null);
+    assert(apos.schemas.zonedToDate('2020-12-05T10:00', 'UTC').toISOString() === '2020-12-05T10:00:00.000Z');
+  });
+
+  it('should handle daylight saving changes', function() {
+    var spring = apos.schemas.zonedToDate('2020-03-08T02:30', 'America/New_York');
+    // 2:30am does not exist that day in New York, so it becomes 3:30am EDT
+    assert(spring.toISOString() === '2020-03-08T07:30:00.000Z');
+    var date = new Date('2020-11-01T06:30:00Z');
+    assert(apos.schemas.dateToZoned(date, 'America/New_York') === '2020-11-01T01:30:00');
+    assert(apos.schemas.getZoneOffset(date, 'America/New_York') === -300);
+    assert(apos.schemas.getZoneOffset(date, 'Asia/Kathmandu') === 345);
+  });
+
+  it('should sort and filter by range', function() {
+    var req = apos.tasks.getReq();
+    return apos.docs.insertMany(req, _.map([
+      [ 'late', '2021-01-01T00:00:00Z' ],
+      [ 'early', '2020-01-01T00:00:00Z' ],
+      [ 'middle', '2020-06-01T00:00:00Z' ]
+    ], function(pair) {
+      return {
+        type: 'event',
+        title: pair[0],
+        published: true,
+        startAt: new Date(pair[1]),
+        startAtZone: 'UTC'
+      };
+    })).then(function() {
+      return apos.events.find(req).sort({ startAt: 1 }).toArray();
+    }).then(function(events) {
+      assert.deepEqual(_.pluck(events, 'title'), [ 'early', 'middle', 'late' ]);
+      return apos.events.find(req).startAtAfter('2020-06-01').startAtBefore(new Date('2021-01-01T00:00:00Z')).toArray();
+    }).then(function(events) {
+      assert.deepEqual(_.pluck(events, 'title'), [ 'middle' ]);
+      return apos.events.find(req).queryToFilters({ startAtBefore: '2020-06-01T00:00:00Z' }, 'manage').toArray();
+    }).then(function(events) {
+      assert.deepEqual(_.pluck(events, 'title'), [ 'early' ]);
+    });
+  });
+
+  it('should format datetimes in their zone', function() {
+    var req = apos.tasks.getReq();
+    var result = apos.modules.events.renderString(req, '{{ data.startAt | datetime(data.startAtZone, "YYYY-MM-DD HH:mm Z") }}', {
+      startAt: new Date('2020-07-01T16:00:00Z'),
+      startAtZone: 'Europe/Paris'
+    });
+    assert(result === '2020-07-01 18:00 +02:00');
+    result = apos.modules.events.renderString(req, '{{ data.startAt | datetime("Asia/Tokyo", { "hour": "numeric", "minute": "numeric", "hourCycle": "h23" }, "en-US") }}', {
+      startAt: new Date('2020-07-01T16:00:00Z')
+    });
+    assert(result === '01:00');
+    assert(apos.schemas.formatDatetime(new Date('2020-07-01T16:00:00Z'), 'Europe/Paris', 'LLL', 'fr') === '1 juillet 2020 18:00');
+    assert(apos.modules.events.renderString(req, '{{ data.missing | datetime }}', {}) === '');
+  });
+
+  it('should offer IANA zones on every version of Node', function() {
+    var zones = apos.schemas.getZones({ name: 'startAt', type: 'datetime' });
+    assert(zones[0] === 'UTC');
+    assert(_.contains(zones, 'America/New_York'));
+    var fallback = require('../lib/modules/apostrophe-schemas/lib/zones.js');
+    assert(_.contains(fallback, 'Asia/Tokyo'));
+    assert(_.every(fallback, apos.schemas.isValidZone));
+  });
+
+  it('should describe datetime fields in JSON Schema', function() {
+    var schema = apos.schemas.toJsonSchema(apos.events.schema);
+    assert(schema.properties.startAt.format === 'date-time');
+    assert(schema.properties.startAtZone.type === 'string');
+  });
+
+});
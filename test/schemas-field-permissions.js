@@ -0,0 +1,144 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var apos;
+
+describe('Schemas Field Permissions', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'products': {
+          extend: 'apostrophe-pieces',
+          name: 'product',
+          label: 'Product',
+          addFields: [
+            {
+              name: 'internalNotes',
+              type: 'string',
+              permission: { view: 'admin-product', edit: 'admin' }
+            },
+            {
+              name: 'legacyCode',
+              type: 'string',
+              permission: 'admin'
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.schemas);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  function getReq(permissions) {
+    return apos.tasks.getReq({
+      user: {
+        _id: 'user',
+        title: 'User',
+        _permissions: permissions
+      }
+    });
+  }
+
+  var product;
+
+  it('should reject invalid permission properties at startup', function() {
+    assert.throws(function() {
+      apos.schemas.validate([ { name: 'notes', type: 'string', permission: {} } ], { type: 'doc type', subtype: 'empty-permission' });
+    });
+  });
+
+  it('should leave out or protect fields in editor schemas', function() {
+    var editor = apos.products.allowedSchema(getReq({ 'edit-product': true }));
+    assert(!_.find(editor, { name: 'internalNotes' }));
+    assert(!_.find(editor, { name: 'legacyCode' }));
+    var manager = apos.products.allowedSchema(getReq({ 'admin-product': true }));
+    assert(_.find(manager, { name: 'internalNotes' }).readOnly);
+    assert(!_.find(manager, { name: 'legacyCode' }));
+    var admin = apos.products.allowedSchema(apos.tasks.getReq());
+    assert(!_.find(admin, { name: 'internalNotes' }).readOnly);
+    assert(_.find(admin, { name: 'legacyCode' }));
+    // The original field is not modified
+    assert(!_.find(apos.products.schema, { name: 'internalNotes' }).readOnly);
+    var subset = apos.schemas.subset(editor, [ 'title', 'internalNotes' ]);
+    assert.deepEqual(_.pluck(subset, 'name'), [ 'title' ]);
+  });
+
+  it('should ignore input for fields the user may not edit', function(done) {
+    var piece = { title: 'Widget', internalNotes: 'Secret', legacyCode: 'W1' };
+    return apos.schemas.convert(getReq({ 'admin-product': true }), apos.products.schema, 'form', {
+      title: 'Gadget',
+      internalNotes: 'Not so secret',
+      legacyCode: 'G1'
+    }, piece, function(err) {
+      assert(!err);
+      assert(piece.title === 'Gadget');
+      assert(piece.internalNotes === 'Secret');
+      assert(piece.legacyCode === 'W1');
+      return apos.schemas.convert(apos.tasks.getReq(), apos.products.schema, 'form', {
+        title: 'Gadget',
+        internalNotes: 'Not so secret',
+        legacyCode: 'G1'
+      }, piece, function(err) {
+        assert(!err);
+        assert(piece.internalNotes === 'Not so secret');
+        assert(piece.legacyCode === 'G1');
+        done();
+      });
+    });
+  });
+
+  it('should leave unviewable fields out of API results', function() {
+    return apos.products.insert(apos.tasks.getReq(), {
+      title: 'Widget',
+      published: true,
+      internalNotes: 'Secret',
+      legacyCode: 'W1'
+    }).then(function(_product) {
+      product = _product;
+      return apos.products.find(getReq({ 'edit-product': true }), { _id: product._id }).fieldPermissions(true).toObject();
+    }).then(function(doc) {
+      assert(doc.title === 'Widget');
+      assert(!_.has(doc, 'internalNotes'));
+      // A permission name only restricts editing
+      assert(doc.legacyCode === 'W1');
+      return apos.products.find(getReq({ 'edit-product': true }), { _id: product._id }).projection({ title: 1, internalNotes: 1 }).fieldPermissions(true).toObject();
+    }).then(function(doc) {
+      assert(doc.title === 'Widget');
+      assert(!_.has(doc, 'internalNotes'));
+      return apos.docs.find(getReq({ 'edit-product': true }), { _id: product._id }).fieldPermissions(true).toObject();
+    }).then(function(doc) {
+      assert(!_.has(doc, 'internalNotes'));
+      return apos.products.find(getReq({ 'admin-product': true }), { _id: product._id }).fieldPermissions(true).toObject();
+    }).then(function(doc) {
+      assert(doc.internalNotes === 'Secret');
+      var copy = apos.products.removeUnviewableFields(getReq({ 'edit-product': true }), doc);
+      assert(!_.has(copy, 'internalNotes'));
+      assert(doc.internalNotes === 'Secret');
+    });
+  });
+
+});
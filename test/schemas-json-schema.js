@@ -0,0 +1,150 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var fs = require('fs');
+var apos;
+
+describe('Schemas JSON Schema', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    try {
+      fs.unlinkSync(__dirname + '/data/json-schema-export.json');
+    } catch (e) {
+      // Not written
+    }
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'things': {
+          extend: 'apostrophe-pieces',
+          name: 'thing',
+          label: 'Thing',
+          addFields: [
+            {
+              name: 'body',
+              type: 'area',
+              options: {
+                widgets: {
+                  'apostrophe-rich-text': {},
+                  'things': {}
+                }
+              }
+            },
+            {
+              name: 'size',
+              type: 'select',
+              choices: [
+                { label: 'Small', value: 'small' },
+                { label: 'Large', value: 'large' }
+              ],
+              def: 'small'
+            },
+            {
+              name: 'count',
+              type: 'integer',
+              min: 1,
+              max: 10,
+              required: true
+            },
+            {
+              name: 'links',
+              type: 'array',
+              schema: [
+                {
+                  name: 'url',
+                  type: 'url'
+                }
+              ]
+            },
+            {
+              name: '_friends',
+              type: 'joinByArray',
+              withType: 'thing'
+            },
+            {
+              name: 'image',
+              type: 'attachment',
+              fileGroup: 'images'
+            }
+          ]
+        },
+        'things-widgets': {
+          extend: 'apostrophe-pieces-widgets'
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.schemas);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should describe each field type', function() {
+    var schema = apos.schemas.toJsonSchema(apos.things.schema);
+    var properties = schema.properties;
+    assert(properties.title.type === 'string');
+    assert(properties.tags.type === 'array');
+    assert(properties.published.type === 'boolean');
+    assert.deepEqual(properties.size.enum, [ 'small', 'large' ]);
+    assert(properties.size.default === 'small');
+    assert(properties.count.type === 'integer');
+    assert(properties.count.minimum === 1);
+    assert(properties.count.maximum === 10);
+    assert(schema.required.indexOf('count') !== -1);
+    assert(properties.body.properties.items.items.anyOf.length === 2);
+    assert(properties.links.items.properties.url.format === 'uri-reference');
+    assert(properties.links.items.properties.id);
+    assert(properties.friendsIds.type === 'array');
+    assert(properties._friends.readOnly);
+    assert(properties._friends.items.properties.type.enum[0] === 'thing');
+    assert.deepEqual(properties.image.properties.group.enum, [ 'images' ]);
+  });
+
+  it('should describe all doc types and widgets with references', function() {
+    var document = apos.schemas.getJsonSchemaDocument();
+    var thing = document.definitions.docs.thing;
+    assert(thing);
+    assert(thing.properties.type.enum[0] === 'thing');
+    assert(document.definitions.docs['apostrophe-user'].properties.password.writeOnly);
+    assert(document.definitions.widgets.things);
+    assert(document.definitions.widgets['apostrophe-rich-text']);
+    assert(thing.properties._friends.items.$ref === '#/definitions/docs/thing');
+  });
+
+  it('should describe the routes of pieces with OpenAPI', function() {
+    var openApi = apos.schemas.getOpenApi(apos.tasks.getReq());
+    assert(openApi.openapi.match(/^3\./));
+    assert(openApi.components.schemas['doc.thing']);
+    var insert = openApi.paths['/modules/things/insert'];
+    assert(insert.post.requestBody.content['application/json'].schema.$ref === '#/components/schemas/doc.thing');
+    assert(openApi.paths['/modules/things/list']);
+    assert(openApi.paths['/modules/things/tag'].post.requestBody.content['application/json'].schema.properties.tags);
+  });
+
+  it('should export via the task', function() {
+    var file = __dirname + '/data/json-schema-export.json';
+    return apos.tasks.invoke('apostrophe-schemas:export', [], { openapi: true, output: file }).then(function() {
+      var openApi = JSON.parse(fs.readFileSync(file, 'utf8'));
+      assert(openApi.paths['/modules/things/update']);
+    });
+  });
+
+});
@@ -0,0 +1,140 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var apos;
+
+describe('Schemas Markdown', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'apostrophe-rich-text-widgets': {
+          sanitizeHtml: {
+            allowedTags: [ 'h2', 'p', 'em', 'a', 'ul', 'li', 'code', 'pre', 'br' ],
+            allowedAttributes: {
+              a: [ 'href' ]
+            }
+          }
+        },
+        'notes': {
+          extend: 'apostrophe-pieces',
+          name: 'note',
+          label: 'Note',
+          addFields: [
+            {
+              name: 'body',
+              type: 'markdown',
+              required: true
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.schemas);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should render markdown', function() {
+    var html = apos.schemas.markdownToHtml([
+      '## Penguins',
+      '',
+      'They *swim* and **dive**, see [the list](/list "List").',
+      '',
+      '- Emperor',
+      '- King',
+      '',
+      '1. One',
+      '2. Two',
+      '',
+      '> Quoted',
+      '',
+      '```js',
+      'var x = 1 < 2;',
+      '```'
+    ].join('\n'));
+    assert(html.indexOf('<h2>Penguins</h2>') !== -1);
+    assert(html.indexOf('<p>They <em>swim</em> and <strong>dive</strong>, see <a href="/list" title="List">the list</a>.</p>') !== -1);
+    assert(html.indexOf('<ul>\n<li>Emperor</li>\n<li>King</li>\n</ul>') !== -1);
+    assert(html.indexOf('<ol>\n<li>One</li>\n<li>Two</li>\n</ol>') !== -1);
+    assert(html.indexOf('<blockquote>\n<p>Quoted</p>\n</blockquote>') !== -1);
+    assert(html.indexOf('<pre><code class="language-js">var x = 1 &lt; 2;\n</code></pre>') !== -1);
+  });
+
+  it('should sanitize like rich text widgets', function() {
+    var html = apos.schemas.renderMarkdown('<script>alert(1)</script> **bold** [bad](javascript:alert(1)) [good](/ok "Title")');
+    assert(html.indexOf('<script>') === -1);
+    assert(html.indexOf('&lt;script&gt;') !== -1);
+    // The link is refused and left as text
+    assert(html.indexOf('href="javascript:') === -1);
+    // strong is not an allowed tag here, title not an allowed attribute
+    assert(html.indexOf('<strong>') === -1);
+    assert(html.indexOf('bold') !== -1);
+    assert(html.indexOf('<a href="/ok">good</a>') !== -1);
+    assert(apos.schemas.renderMarkdown(null) === '');
+  });
+
+  it('should provide the markdown filter', function() {
+    var req = apos.tasks.getReq();
+    var result = apos.modules.notes.renderString(req, '{{ data.body | markdown }}', {
+      body: 'Hello *world*'
+    });
+    assert(result.trim() === '<p>Hello <em>world</em></p>');
+    assert(apos.modules.notes.renderString(req, '{{ data.missing | markdown }}', {}) === '');
+  });
+
+  it('should convert markdown fields', function(done) {
+    var req = apos.tasks.getReq();
+    var output = {};
+    return apos.schemas.convert(req, apos.notes.schema, 'form', { title: 'Note', body: '# Hello' }, output, function(err) {
+      assert(!err);
+      assert(output.body === '# Hello');
+      return apos.schemas.convert(req, apos.notes.schema, 'form', { title: 'Note', body: '' }, {}, function(err) {
+        assert(err);
+        assert(err === 'body.required');
+        done();
+      });
+    });
+  });
+
+  it('should index the rendered text for search', function() {
+    var req = apos.tasks.getReq();
+    return apos.notes.insert(req, {
+      title: 'Note',
+      published: true,
+      body: 'Penguins **waddle** to the [sea](/sea)'
+    }).then(function(note) {
+      var texts = apos.search.getSearchTexts(note);
+      var text = texts.find(function(text) {
+        return (text.text || '').indexOf('waddle') !== -1;
+      });
+      assert(text);
+      assert(text.text === 'Penguins waddle to the sea');
+      assert(text.silent);
+      return apos.notes.find(req, { _id: note._id }).search('waddle').toObject();
+    }).then(function(note) {
+      assert(note);
+    });
+  });
+
+});
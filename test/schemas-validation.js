@@ -0,0 +1,203 @@
+var t = require('../test-lib/test.js');
+var assert = require('assert');
+var apos;
+
+describe('Schemas Validation', function() {
+
+  this.timeout(t.timeout);
+
+  after(function(done) {
+    return t.destroy(apos, done);
+  });
+
+  // EXISTENCE
+
+  it('should be a property of the apos object', function(done) {
+    apos = require('../index.js')({
+      root: module,
+      shortName: 'test',
+
+      modules: {
+        'apostrophe-express': {
+          secret: 'xxx',
+          port: 7900
+        },
+        'products': {
+          extend: 'apostrophe-pieces',
+          name: 'product',
+          label: 'Product',
+          addFields: [
+            {
+              name: 'sku',
+              type: 'string',
+              unique: true
+            },
+            {
+              name: 'startDate',
+              type: 'date'
+            },
+            {
+              name: 'endDate',
+              type: 'date',
+              validate: function(req, object) {
+                if (object.startDate && object.endDate && (object.endDate < object.startDate)) {
+                  return { code: 'beforeStart', message: 'The end date must not precede the start date.' };
+                }
+              }
+            },
+            {
+              name: 'price',
+              type: 'float',
+              validate: function(req, object) {
+                // Asynchronous, and reported on another field
+                return new Promise(function(resolve) {
+                  setTimeout(function() {
+                    resolve((object.price > 100) && (!object.sku) && { path: 'sku', code: 'requiredForExpensive' });
+                  }, 10);
+                });
+              }
+            },
+            {
+              name: 'options',
+              type: 'array',
+              schema: [
+                {
+                  name: 'color',
+                  type: 'string',
+                  validate: function(req, object) {
+                    if (object.color === 'plaid') {
+                      return { code: 'unavailable', message: 'Plaid is sold out.' };
+                    }
+                  }
+                }
+              ]
+            }
+          ]
+        }
+      },
+      afterInit: function(callback) {
+        assert(apos.schemas);
+        apos.argv._ = [];
+        return callback(null);
+      },
+      afterListen: function(err) {
+        assert(!err);
+        done();
+      }
+    });
+  });
+
+  it('should reject invalid validation properties at startup', function() {
+    assert.throws(function() {
+      apos.schemas.validate([ { name: 'body', type: 'area', unique: true } ], { type: 'doc type', subtype: 'unique-area' });
+    });
+    assert.throws(function() {
+      apos.schemas.validate([ { name: 'title', type: 'string', validate: 'nope' } ], { type: 'doc type', subtype: 'validate-string' });
+    });
+  });
+
+  it('should run cross-field validators', function(done) {
+    var req = apos.tasks.getReq();
+    var piece = apos.products.newInstance();
+    return apos.schemas.convert(req, apos.products.schema, 'form', {
+      title: 'Widget',
+      startDate: '2020-05-01',
+      endDate: '2020-04-01'
+    }, piece, function(err) {
+      assert(err === 'endDate.beforeStart');
+      assert.deepEqual(req.validationErrors, [
+        { path: 'endDate', code: 'beforeStart', message: 'The end date must not precede the start date.' }
+      ]);
+      return apos.schemas.convert(req, apos.products.schema, 'form', {
+        title: 'Widget',
+        startDate: '2020-05-01',
+        endDate: '2020-06-01'
+      }, piece, function(err) {
+        assert(!err);
+        assert(!req.validationErrors);
+        done();
+      });
+    });
+  });
+
+  it('should not leave the errors of an earlier call behind', function(done) {
+    var req = apos.tasks.getReq();
+    req.validationErrors = [ { path: 'title', code: 'required' } ];
+    var schema = [
+      {
+        name: 'broken',
+        type: 'string',
+        validate: function() {
+          throw new Error('broken validator');
+        }
+      }
+    ];
+    return apos.schemas.convert(req, schema, 'form', { broken: 'x' }, {}, function(err) {
+      assert(err);
+      assert(!req.validationErrors);
+      done();
+    });
+  });
+
+  it('should run asynchronous validators and report every error', function(done) {
+    var req = apos.tasks.getReq();
+    return apos.schemas.convert(req, apos.products.schema, 'form', {
+      title: '',
+      price: 500,
+      startDate: '2020-05-01',
+      endDate: '2020-04-01'
+    }, apos.products.newInstance(), function(err) {
+      assert(err === 'title.required');
+      assert.deepEqual(req.validationErrors, [
+        { path: 'title', code: 'required' },
+        { path: 'endDate', code: 'beforeStart', message: 'The end date must not precede the start date.' },
+        { path: 'sku', code: 'requiredForExpensive' }
+      ]);
+      done();
+    });
+  });
+
+  it('should report the messages of nested validators', function(done) {
+    var req = apos.tasks.getReq();
+    return apos.schemas.convert(req, apos.products.schema, 'form', {
+      title: 'Scarf',
+      options: [ { color: 'red' }, { color: 'plaid' } ]
+    }, apos.products.newInstance(), function(err) {
+      assert(err === 'options.1.color.unavailable');
+      assert.deepEqual(req.validationErrors, [
+        { path: 'options.1.color', code: 'unavailable', message: 'Plaid is sold out.' }
+      ]);
+      done();
+    });
+  });
+
+  it('should enforce unique fields among docs of the same type', function() {
+    var req = apos.tasks.getReq();
+    var existing;
+    return apos.products.insert(req, {
+      title: 'First',
+      sku: 'ABC-1',
+      published: true
+    }).then(function(piece) {
+      existing = piece;
+      return convert({ title: 'Second', sku: 'ABC-1' }, apos.products.newInstance());
+    }).then(function(err) {
+      assert(err === 'sku.unique');
+      assert.deepEqual(req.validationErrors, [ { path: 'sku', code: 'unique' } ]);
+      // The doc itself does not count
+      return convert({ title: 'First', sku: 'ABC-1' }, existing);
+    }).then(function(err) {
+      assert(!err);
+      return convert({ title: 'Second', sku: 'ABC-2' }, apos.products.newInstance());
+    }).then(function(err) {
+      assert(!err);
+    });
+
+    function convert(data, piece) {
+      return new Promise(function(resolve) {
+        return apos.schemas.convert(req, apos.products.schema, 'form', data, piece, resolve);
+      });
+    }
+  });
+
+});
@@ -2128,4 +2128,176 @@ describe('Schemas', function() {
     });
   });
 
+  it('ignores required property and clears the value of a field hidden by if', function(done) {
+    var req = apos.tasks.getReq();
+    var schema = apos.schemas.compose({
+      addFields: [
+        {
+          name: 'count',
+          type: 'integer'
+        },
+        {
+          name: 'reason',
+          type: 'string',
+          required: true,
+          if: {
+            count: { $gt: 5 }
+          }
+        }
+      ]
+    });
+    var output = {};
+    apos.schemas.convert(req, schema, 'form', { count: '3', reason: 'Too many' }, output, function(err) {
+      assert(!err);
+      assert(output.count === 3);
+      assert(output.reason === null);
+      done();
+    });
+  });
+
+  it('enforces required property for a field shown by if', function(done) {
+    var req = apos.tasks.getReq();
+    var schema = apos.schemas.compose({
+      addFields: [
+        {
+          name: 'count',
+          type: 'integer'
+        },
+        {
+          name: 'featured',
+          type: 'boolean'
+        },
+        {
+          name: 'reason',
+          type: 'string',
+          required: true,
+          if: {
+            $and: [
+              { count: { $gt: 5 } },
+              { featured: true }
+            ]
+          }
+        }
+      ]
+    });
+    var output = {};
+    apos.schemas.convert(req, schema, 'form', { count: '6', featured: true, reason: '' }, output, function(err) {
+      assert(err === 'reason.required');
+      done();
+    });
+  });
+
+  it('evaluates if with $or, $field references and array fields', function(done) {
+    var req = apos.tasks.getReq();
+    var schema = apos.schemas.compose({
+      addFields: [
+        {
+          name: 'start',
+          type: 'date'
+        },
+        {
+          name: 'end',
+          type: 'date'
+        },
+        {
+          name: 'links',
+          type: 'array',
+          schema: [
+            {
+              name: 'url',
+              type: 'url'
+            },
+            {
+              name: 'label',
+              type: 'string',
+              if: {
+                url: { $exists: true }
+              }
+            }
+          ]
+        },
+        {
+          name: 'summary',
+          type: 'string',
+          if: {
+            $or: [
+              { end: { $gt: { $field: 'start' } } },
+              { 'links.url': 'http://example.com' }
+            ]
+          }
+        },
+        {
+          name: 'note',
+          type: 'string',
+          if: {
+            summary: { $exists: true }
+          }
+        }
+      ]
+    });
+    var output = {};
+    apos.schemas.convert(req, schema, 'form', {
+      start: '2020-01-02',
+      end: '2020-01-01',
+      links: [
+        { url: 'http://example.com', label: 'Example' },
+        { url: '', label: 'Nowhere' }
+      ],
+      summary: 'Summary',
+      note: 'Note'
+    }, output, function(err) {
+      assert(!err);
+      assert(output.summary === 'Summary');
+      assert(output.note === 'Note');
+      assert(output.links[0].label === 'Example');
+      assert(output.links[1].label === null);
+      output = {};
+      apos.schemas.convert(req, schema, 'form', {
+        start: '2020-01-02',
+        end: '2020-01-01',
+        links: [],
+        summary: 'Summary',
+        note: 'Note'
+      }, output, function(err) {
+        assert(!err);
+        assert(output.summary === null);
+        // Depends on a field that was cleared
+        assert(output.note === null);
+        done();
+      });
+    });
+  });
+
+  it('rejects unknown operators in if', function() {
+    assert.throws(function() {
+      apos.schemas.validate([
+        {
+          name: 'reason',
+          type: 'string',
+          if: {
+            count: { $greaterThan: 5 }
+          }
+        }
+      ], { type: 'test', subtype: 'bad-if' });
+    });
+  });
+
+  it('rejects $in and $nin operands that are not arrays in if', function() {
+    assert.throws(function() {
+      apos.schemas.validate([
+        {
+          name: 'reason',
+          type: 'string',
+          if: {
+            size: { $in: 'large' }
+          }
+        }
+      ], { type: 'test', subtype: 'bad-in' });
+    }, /must be an array/);
+    apos.schemas.validateCondition({ size: { $nin: [ 'small' ] }, color: { $in: { $field: 'colors' } } });
+    assert(!apos.schemas.evaluateCondition({ size: { $in: { $field: 'other' } } }, { size: 'large', other: 'large' }));
+    assert(apos.schemas.evaluateCondition({ size: { $nin: { $field: 'other' } } }, { size: 'large', other: 'large' }));
+    assert(apos.schemas.evaluateCondition({ size: { $in: { $field: 'other' } } }, { size: 'large', other: [ 'large' ] }));
+  });
+
 });